@@ -1,102 +1,178 @@
 import React, { useEffect, useMemo, useState, useRef, useCallback } from "react";
 import {
   LineChart, Line, XAxis, YAxis, Tooltip, CartesianGrid, ResponsiveContainer,
-  AreaChart, Area, BarChart, Bar, ComposedChart, ReferenceLine
+  AreaChart, Area, BarChart, Bar, ComposedChart, ReferenceLine, Cell
 } from "recharts";
+import {
+  AUTOSAVE_SLOT, AUTOSAVE_INTERVAL, readSave, writeSave, listSaves, deleteSave,
+  loadIndicatorPresets, storeIndicatorPresets, loadImportedSeries, storeImportedSeries,
+  loadUniverse, storeUniverse, loadWatchlists, storeWatchlists, loadAlerts, storeAlerts, loadBots, storeBots
+} from "./persistence.js";
+import {
+  SIMULATION_SPEEDS, createMarketState, createMarketEngine, catchUp, defaultLotSize, defaultTickSize,
+  syncUserOrders, takeLiquidity, acknowledgeFills
+} from "./engine/market.js";
+import {
+  SCENARIOS, createScenarioMarket, benchmarkReturn, evaluateObjective, describeObjective
+} from "./engine/scenarios.js";
+import {
+  DIFFICULTY_PRESETS, SETTING_FIELDS, DEFAULT_DIFFICULTY, matchPreset, difficultyFromPreset,
+  difficultyLabel, marketSettingsFor, validateSetting
+} from "./engine/difficulty.js";
+import { SESSION_LABELS, assetSession, holidayOn, nextRegularOpen } from "./engine/calendar.js";
+import { parseOhlcv, createReplayMarket, replayProgress } from "./engine/replay.js";
+import {
+  DEFAULT_UNIVERSE, sectorColor, validateAssetDefinition, validateSector,
+  addMarketAsset, updateMarketAsset, removeMarketAsset
+} from "./engine/universe.js";
+import {
+  MARKET_FACTOR, idiosyncraticVolatility, systematicShare, setFactorCorrelation, validateLoading, setAssetLoadings
+} from "./engine/factors.js";
+import { PRICE_MODELS, REGIMES, setAssetModel } from "./engine/models.js";
+import { NEWS_SEVERITIES, IMPACT_CURVES, REACTION_HORIZONS, averageReaction } from "./engine/news.js";
+import { hashSeed, randomSeed } from "./engine/random.js";
+import { CURRENCIES, BASE_CURRENCY, usdRate, currencyQuote, crossQuotes, crossQuote } from "./engine/fx.js";
+import { CANDLE_TIMEFRAMES, aggregateCandles } from "./analysis/candles.js";
+import { INDICATORS, createIndicator, indicatorKey, applyIndicators } from "./analysis/indicators.js";
+import { createPerformanceState, recordFills, recordEquity, buildReport } from "./analysis/performance.js";
+import { CORRELATION_WINDOWS, realisedCorrelations } from "./analysis/correlation.js";
+import { returnDiagnostics } from "./analysis/distribution.js";
+import { DEPTH_LEVELS, depthCurve, bookMetrics, tapeSummary } from "./analysis/orderflow.js";
+import {
+  ORDER_TYPE_LABELS, TIME_IN_FORCE, timeInForceOptions, isImmediate, dayOrderExpiry, floorToStep, validateOrderSize,
+  reservePrice, calculateReservations, validateOrderPrices, bracketEntryPrice, validateBracket, addBracketLegs,
+  roundQuantity, canExecute, validateOrder, bookOrders, matchOrders
+} from "./trading/orders.js";
+import {
+  ACCOUNT_TYPES, createInitialPortfolio, isMarginAccount, calculateExposure, marginStatus,
+  calculateBuyingPower, checkOrderFunds, applyTrade,
+  revaluePortfolio, planLiquidation
+} from "./trading/account.js";
+import { COMMISSION_TYPES, COMMISSION_PARAMS, priceFill, priceBookFill, estimateOrder } from "./trading/execution.js";
+import {
+  TRAIL_MODES, PROTECTION_REASONS, RISK_LIMIT_FIELDS, trailingStopPrice, validateProtection, createProtection, setPositionProtection,
+  trailProtection, protectionExits, rollRiskDay, dailyLoss, checkRiskLimits
+} from "./trading/risk.js";
+import {
+  ALERT_TYPES, alertFields, defaultAlertParams, describeAlert, validateAlert, evaluateAlerts
+} from "./trading/alerts.js";
+import {
+  BOT_TEMPLATES, BOT_TIMEOUT, MAX_BOT_LOG, validateBot, marketUpdate, botPortfolio, validateBotRequest, botOrder,
+  recordBotFills, botPnl
+} from "./trading/bots.js";
+import {
+  pairName, currencyHolding, planCrossTrade, planConversion, validateCrossOrder, validateConversion,
+  checkPlanFunds, applyPlan
+} from "./trading/currencies.js";
+import {
+  BACKTEST_INTERVALS, DEFAULT_BACKTEST, parseSweep, sweepGrid, validateBacktest, paramsKey, summarizeRuns, histogram
+} from "./trading/backtest.js";
+
+// Utility functions
+const fmtCurrency = (n) => `$${n.toLocaleString(undefined, { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`;
+const fmtPercent = (n) => `${(n * 100).toFixed(2)}%`;
+const fmtNumber = (n) => n.toLocaleString();
+const fmtQuantity = (n) => n.toLocaleString(undefined, { maximumFractionDigits: 8 });
+// Order prices to the tick: sub-dollar assets quote to four decimals
+const fmtPrice = (n) => `$${n.toLocaleString(undefined, { minimumFractionDigits: 2, maximumFractionDigits: n < 1 ? 4 : 2 })}`;
+// Amount of a currency with its sign and precision
+const fmtMoney = (n, code) => {
+  const { sign, decimals } = CURRENCIES[code];
+  const digits = Math.abs(n).toLocaleString(undefined, { minimumFractionDigits: Math.min(decimals, 2), maximumFractionDigits: decimals });
+  return `${n < 0 ? "-" : ""}${sign}${digits}`;
+};
+// Cross pair prices to six significant figures: ADA/BTC is a few millionths
+const fmtCrossPrice = (n) => Number(n.toPrecision(6)).toLocaleString(undefined, { maximumFractionDigits: 12 });
+const fmtRatio = (n) => n === null ? "—" : Number.isFinite(n) ? n.toFixed(2) : "∞";
+const fmtDuration = (ms) => {
+  const minutes = Math.floor(ms / 60000);
+  if (minutes < 60) return `${minutes}m ${Math.floor((ms % 60000) / 1000)}s`;
+  if (minutes < 24 * 60) return `${Math.floor(minutes / 60)}h ${minutes % 60}m`;
+  return `${Math.floor(minutes / (24 * 60))}d ${Math.floor((minutes % (24 * 60)) / 60)}h`;
+};
+const fmtClock = (ms) => `${Math.floor(ms / 60000)}:${String(Math.floor((ms % 60000) / 1000)).padStart(2, "0")}`;
+const fmtOpen = (time) => new Date(time).toLocaleString(undefined, { weekday: "short", hour: "numeric", minute: "2-digit" });
+const fmtMarketTime = (time) => new Date(time).toLocaleString(undefined, {
+  weekday: "short", month: "short", day: "numeric", hour: "2-digit", minute: "2-digit"
+});
+const now = () => Date.now();
+
+const DAY_MS = 24 * 60 * 60 * 1000;
 
-// ==================== REAL MARKET SIMULATION ENGINE ====================
-
-// Market data structures
-const MARKET_SYMBOLS = {
-  STOCKS: [
-    { symbol: "AAPL", name: "Apple Inc.", sector: "Technology", volatility: 0.22, basePrice: 182.63 },
-    { symbol: "MSFT", name: "Microsoft", sector: "Technology", volatility: 0.20, basePrice: 407.54 },
-    { symbol: "TSLA", name: "Tesla Inc.", sector: "Automotive", volatility: 0.45, basePrice: 238.59 },
-    { symbol: "NVDA", name: "NVIDIA Corp.", sector: "Technology", volatility: 0.38, basePrice: 118.11 },
-    { symbol: "JPM", name: "JPMorgan Chase", sector: "Financial", volatility: 0.25, basePrice: 178.23 },
-    { symbol: "AMZN", name: "Amazon.com", sector: "E-Commerce", volatility: 0.28, basePrice: 145.18 },
-    { symbol: "GOOGL", name: "Alphabet", sector: "Technology", volatility: 0.24, basePrice: 142.56 },
-    { symbol: "META", name: "Meta Platforms", sector: "Technology", volatility: 0.32, basePrice: 332.42 }
-  ],
-  CRYPTO: [
-    { symbol: "BTC", name: "Bitcoin", sector: "Cryptocurrency", volatility: 0.55, basePrice: 65120.48 },
-    { symbol: "ETH", name: "Ethereum", sector: "Cryptocurrency", volatility: 0.48, basePrice: 3420.65 },
-    { symbol: "ADA", name: "Cardano", sector: "Cryptocurrency", volatility: 0.62, basePrice: 0.482 },
-    { symbol: "SOL", name: "Solana", sector: "Cryptocurrency", volatility: 0.58, basePrice: 102.34 },
-    { symbol: "BNB", name: "Binance Coin", sector: "Cryptocurrency", volatility: 0.42, basePrice: 352.18 },
-    { symbol: "XRP", name: "Ripple", sector: "Cryptocurrency", volatility: 0.52, basePrice: 0.623 }
-  ]
+const NEWS_SEVERITY_STYLES = {
+  minor: "bg-gray-700 text-gray-300",
+  major: "bg-yellow-500/20 text-yellow-300",
+  critical: "bg-red-500/20 text-red-300"
 };
 
-const SECTOR_COLORS = {
-  Technology: "#3B82F6",
-  Automotive: "#EF4444",
-  Financial: "#10B981",
-  Cryptocurrency: "#F59E0B",
-  "E-Commerce": "#8B5CF6"
+const BOT_LOG_STYLES = {
+  info: "text-gray-400",
+  log: "text-gray-200",
+  error: "text-red-400"
 };
 
-// Market events that affect prices
-const MARKET_EVENTS = {
-  POSITIVE: [
-    "Strong earnings report exceeds expectations",
-    "New product launch receives positive reception",
-    "FDA approval for breakthrough treatment",
-    "Major partnership announcement",
-    "Market expansion into new regions",
-    "Dividend increase announced",
-    "Analyst upgrade to strong buy",
-    "Successful clinical trial results"
-  ],
-  NEGATIVE: [
-    "Earnings miss estimates",
-    "Regulatory investigation launched",
-    "CEO resigns unexpectedly",
-    "Data breach affects millions",
-    "Supply chain disruptions",
-    "Competitor gains market share",
-    "Economic downturn concerns",
-    "Product recall announced"
-  ],
-  SECTOR_WIDE: [
-    "Tech sector rally on AI optimism",
-    "Financial stocks decline on rate fears",
-    "Crypto market surge on institutional adoption",
-    "Automotive sector hit by supply issues",
-    "E-commerce stocks rise on holiday sales",
-    "Market-wide selloff on recession fears"
-  ]
+const BACKTEST_CURVES = 10; // Seeds' equity curves drawn for one combination
+
+// Backtest summary columns, sortable by their key. Lower is better for drawdowns and errors.
+const BACKTEST_COLUMNS = [
+  { key: "meanReturn", label: "Mean return", format: fmtPercent },
+  { key: "medianReturn", label: "Median", format: fmtPercent },
+  { key: "worstReturn", label: "Worst", format: fmtPercent },
+  { key: "sharpeRatio", label: "Sharpe", format: fmtRatio },
+  { key: "maxDrawdown", label: "Mean max DD", format: fmtPercent, lowerIsBetter: true },
+  { key: "worstDrawdown", label: "Worst DD", format: fmtPercent, lowerIsBetter: true },
+  { key: "profitable", label: "Profitable", format: (n) => `${(n * 100).toFixed(0)}%` },
+  { key: "roundTrips", label: "Round trips", format: (n) => n.toFixed(1) },
+  { key: "errors", label: "Errors", format: fmtNumber, lowerIsBetter: true }
+];
+
+// Form for a new alert of `type` on `asset`, with the type's default parameters
+const newAlertForm = (type, asset) => ({
+  type,
+  symbol: asset.symbol,
+  params: defaultAlertParams(type, asset),
+  repeat: false
+});
+
+const EMPTY_ASSET_FORM = { editing: null, symbol: "", name: "", sector: "", assetClass: "stock", volatility: "30", basePrice: "100", lotSize: "", tickSize: "" };
+
+// Market Watch sort orders
+const WATCH_SORTS = {
+  symbol: { label: "Symbol", compare: (a, b) => a.symbol.localeCompare(b.symbol) },
+  name: { label: "Name", compare: (a, b) => a.name.localeCompare(b.name) },
+  change: { label: "% Change", compare: (a, b) => b.changePercent - a.changePercent },
+  price: { label: "Price", compare: (a, b) => b.price - a.price },
+  sector: { label: "Sector", compare: (a, b) => a.sector.localeCompare(b.sector) || a.symbol.localeCompare(b.symbol) }
 };
 
-// Utility functions
-const fmtCurrency = (n) => `$${n.toLocaleString(undefined, { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`;
-const fmtPercent = (n) => `${(n * 100).toFixed(2)}%`;
-const fmtNumber = (n) => n.toLocaleString();
-const now = () => Date.now();
-const randomInt = (min, max) => Math.floor(Math.random() * (max - min + 1)) + min;
-const clamp = (value, min, max) => Math.max(min, Math.min(max, value));
-
-function generateRealisticPrice(previousPrice, volatility, marketSentiment, eventImpact = 0, timeStep = 1/252/390) {
-  // More realistic price changes with mean reversion tendency
-  const drift = 0.00005; // Very small positive drift (long-term growth)
-  const meanReversion = 0.1; // Strength of mean reversion to base price
-  const basePriceMultiplier = 0.8 + (Math.random() * 0.4); // Random base price fluctuation
-  
-  // Calculate distance from "fair value" (base price with some random fluctuation)
-  const fairValue = previousPrice * basePriceMultiplier;
-  const reversionForce = (fairValue - previousPrice) * meanReversion * timeStep;
-  
-  // Random component with volatility
-  const randomShock = (Math.random() - 0.5) * 2 * volatility * Math.sqrt(timeStep);
-  
-  // Combine all factors with appropriate weights
-  const priceChange = drift + reversionForce + randomShock + 
-                     (marketSentiment * 0.0003) + (eventImpact * 0.7);
-  
-  const newPrice = previousPrice * Math.exp(priceChange);
-  
-  // Ensure price doesn't go to zero and has some minimum value
-  return Math.max(0.01, newPrice);
+// Heatmap cell colour: blue for positive correlation, red for negative, stronger as it grows
+const correlationColor = (value) => value === null
+  ? "transparent"
+  : value >= 0 ? `rgba(59, 130, 246, ${value * 0.8})` : `rgba(239, 68, 68, ${-value * 0.8})`;
+
+const SESSION_DOT_COLORS = {
+  regular: "bg-green-500 animate-pulse",
+  pre: "bg-yellow-500",
+  post: "bg-yellow-500",
+  closed: "bg-red-500"
+};
+
+// ==================== SAVE & RESTORE ====================
+
+// Brings a loaded save up to the present: the simulation clock keeps running at 1x
+// while the game is closed, so the market is simulated across that time and the
+// portfolio is revalued at the new prices. A paused clock, or a scenario in progress,
+// stays where it was instead.
+function restoreSave(save) {
+  if (!save) return null;
+
+  const frozen = save.clock.paused || save.scenario?.status === "active";
+  const market = frozen ? save.market : catchUp(save.market, save.market.time + (now() - save.savedAt));
+  return {
+    ...save,
+    market,
+    portfolio: revaluePortfolio(save.portfolio, market.assets, market.time, market.fx.rates)
+  };
 }
 
 // Custom tooltip component
@@ -115,525 +191,4217 @@ const MarketTooltip = ({ active, payload, label }) => {
   return null;
 };
 
+// Candlestick drawn over a [low, high] range bar: the bar spans the wick, the body is scaled inside it
+const CandlestickShape = ({ x, y, width, height, payload }) => {
+  const { open, close, high, low } = payload;
+  const color = close >= open ? "#10B981" : "#EF4444";
+  const top = Math.min(y, y + height);
+  const span = Math.abs(height);
+  const pixelsPerUnit = high > low ? span / (high - low) : 0;
+  const bodyTop = top + (high - Math.max(open, close)) * pixelsPerUnit;
+  const bodyHeight = Math.max(1, Math.abs(close - open) * pixelsPerUnit);
+  const center = x + width / 2;
+
+  return (
+    <g stroke={color} fill={color}>
+      <line x1={center} x2={center} y1={top} y2={top + span} strokeWidth={1} />
+      <rect x={x + width * 0.15} y={bodyTop} width={Math.max(1, width * 0.7)} height={bodyHeight} />
+    </g>
+  );
+};
+
+const CandleTooltip = ({ active, payload, label }) => {
+  if (active && payload && payload.length) {
+    const candle = payload[0].payload;
+    return (
+      <div className="bg-gray-800 p-3 border border-gray-600 rounded-lg shadow-xl text-sm">
+        <p className="text-gray-300">{new Date(label).toLocaleString()}</p>
+        <div className="grid grid-cols-2 gap-x-3 font-mono">
+          <span className="text-gray-400">O</span><span>{fmtCurrency(candle.open)}</span>
+          <span className="text-gray-400">H</span><span className="text-green-400">{fmtCurrency(candle.high)}</span>
+          <span className="text-gray-400">L</span><span className="text-red-400">{fmtCurrency(candle.low)}</span>
+          <span className="text-gray-400">C</span><span>{fmtCurrency(candle.close)}</span>
+        </div>
+        <p className="text-gray-400">Volume: {fmtNumber(candle.volume)}</p>
+      </div>
+    );
+  }
+  return null;
+};
+
+// Bid/ask imbalance from −1 (all asks) to +1 (all bids), as the bids' share of a bar
+const ImbalanceBar = ({ label, value }) => (
+  <div>
+    <div className="flex justify-between text-xs text-gray-400 mb-1">
+      <span>{label}</span>
+      <span className={value >= 0 ? 'text-green-400' : 'text-red-400'}>
+        {value >= 0 ? '+' : ''}{(value * 100).toFixed(0)}%
+      </span>
+    </div>
+    <div className="h-1.5 bg-red-500/60 rounded overflow-hidden">
+      <div className="h-full bg-green-500" style={{ width: `${(value + 1) * 50}%` }} />
+    </div>
+  </div>
+);
+
+const MAX_CANDLES = 300; // Most recent candles drawn; older ones are scrolled off
+const MAX_NOTIFICATIONS = 100;
+const MAX_TOASTS = 4;
+const TOAST_DURATION = 5000; // ms a toast stays up
+
 // ==================== MAIN TRADING SIMULATOR ====================
 
 export default function ProfessionalTradingSimulator() {
   // State management
-  const [marketData, setMarketData] = useState(() => {
-    const allAssets = [...MARKET_SYMBOLS.STOCKS, ...MARKET_SYMBOLS.CRYPTO];
-    return allAssets.reduce((acc, asset) => {
-      // Generate 30 days of historical data for proper charting
-      const initialHistory = [];
-      const days = 30;
-      const pointsPerDay = 390; // Trading minutes
-      const totalPoints = days * pointsPerDay;
-      
-      let currentPrice = asset.basePrice * (0.9 + Math.random() * 0.2); // Start with some variation
-      for (let i = 0; i < totalPoints; i++) {
-        // Use the new price generation algorithm for historical data
-        const timeStep = 1/252/pointsPerDay;
-        const randomBaseMultiplier = 0.95 + (Math.random() * 0.1);
-        const fairValue = asset.basePrice * randomBaseMultiplier;
-        const reversionForce = (fairValue - currentPrice) * 0.1 * timeStep;
-        const randomShock = (Math.random() - 0.5) * 2 * asset.volatility * Math.sqrt(timeStep);
-        
-        const priceChange = 0.00005 + reversionForce + randomShock;
-        currentPrice = currentPrice * Math.exp(priceChange);
-        
-        initialHistory.push({
-          price: currentPrice,
-          volume: randomInt(100000, 500000),
-          timestamp: now() - (totalPoints - i) * 60000
-        });
-      }
-      
-      acc[asset.symbol] = {
-        ...asset,
-        price: currentPrice,
-        history: initialHistory,
-        dailyHigh: Math.max(...initialHistory.slice(-390).map(h => h.price)),
-        dailyLow: Math.min(...initialHistory.slice(-390).map(h => h.price)),
-        change: 0,
-        changePercent: 0,
-        volume: initialHistory.slice(-390).reduce((sum, h) => sum + h.volume, 0),
-        bid: currentPrice * 0.9995,
-        ask: currentPrice * 1.0005,
-        spread: currentPrice * 0.001
-      };
-      return acc;
-    }, {});
-  });
-
-  const [marketStatus, setMarketStatus] = useState({
-    sentiment: 0, // -1 to 1
-    events: [],
-    isMarketOpen: true,
-    lastUpdate: now(),
-    marketHours: {
-      open: new Date().setHours(9, 30, 0, 0),
-      close: new Date().setHours(16, 0, 0, 0)
+  // Restore the last autosave, if any, before the rest of state initialises from it. A
+  // damaged one starts a new game, and the Saves panel says why.
+  const [initialLoad] = useState(() => {
+    try {
+      return { save: restoreSave(readSave(AUTOSAVE_SLOT)), error: null };
+    } catch (error) {
+      return { save: null, error: error.message };
     }
   });
+  const initialSave = initialLoad.save;
 
-  const [portfolio, setPortfolio] = useState({
-    cash: 100000,
-    positions: {},
-    equityHistory: Array(390).fill(0).map((_, i) => ({
-      value: 100000,
-      timestamp: now() - (390 - i) * 60000
-    })),
-    totalValue: 100000,
-    realizedPnL: 0
-  });
+  // Assets and sectors free-play games trade, as edited by the player
+  const [universe, setUniverse] = useState(() => loadUniverse() ?? DEFAULT_UNIVERSE);
+  const [showUniverse, setShowUniverse] = useState(false);
+
+  // Correlations view: realised correlations over a look-back window, plus the factor model
+  const [correlationState, setCorrelationState] = useState({ isOpen: false, window: "1D" });
+  const [showDiagnostics, setShowDiagnostics] = useState(false);
+  const [newsState, setNewsState] = useState({ isOpen: false, severity: "all" });
+  const [assetForm, setAssetForm] = useState(EMPTY_ASSET_FORM);
+  const [sectorForm, setSectorForm] = useState({ name: "", color: "#14B8A6" });
+
+  // The market engine owns prices, events and order books; the component mirrors its latest state
+  const [engine] = useState(() => createMarketEngine(
+    initialSave?.market ?? createMarketState({ seed: randomSeed(), symbols: universe.assets })
+  ));
+  const [market, setMarket] = useState(() => engine.getState());
+  const marketData = market.assets;
+
+  const [portfolio, setPortfolio] = useState(() => initialSave?.portfolio ?? createInitialPortfolio());
+  // The latest portfolio, including changes made earlier in the same tick. Fills are
+  // settled against it rather than the last render, so handlers and effects running
+  // before the next render see each other's trades. Every change goes through
+  // updatePortfolio to keep it current.
+  const portfolioRef = useRef(portfolio);
+  const updatePortfolio = useCallback((update) => {
+    portfolioRef.current = typeof update === "function" ? update(portfolioRef.current) : update;
+    setPortfolio(portfolioRef.current);
+  }, []);
 
-  const [tradingState, setTradingState] = useState({
-    selectedSymbol: "AAPL",
+  const [tradingState, setTradingState] = useState(() => ({
+    selectedSymbol: initialSave?.selectedSymbol ?? "AAPL",
     quantity: "",
     activeTab: "chart",
     chartRange: "1D",
+    chartType: "line",
+    candleTimeframe: "5m",
     orderType: "market",
+    sizeMode: "units", // "units", or "notional" for a dollar amount
     limitPrice: "",
-    stopPrice: ""
-  });
+    stopPrice: "",
+    timeInForce: "gtc",
+    bracket: false,
+    takeProfit: "",
+    stopLoss: "",
+    confirmOrders: true
+  }));
 
-  const [performanceMetrics, setPerformanceMetrics] = useState({
-    totalTrades: 0,
-    totalProfit: 0,
-    bestTrade: 0,
-    worstTrade: 0,
-    winRate: 0,
-    sharpeRatio: 0,
-    maxDrawdown: 0
-  });
+  // Round-trip and equity-curve statistics, folded in as fills and ticks arrive
+  const [performance, setPerformance] = useState(
+    () => initialSave?.performance ?? createPerformanceState(market.time, portfolio.totalValue)
+  );
+  const [showFullReport, setShowFullReport] = useState(false);
+
+  const [tradeHistory, setTradeHistory] = useState(() => initialSave?.tradeHistory ?? []);
+
+  // Market Watch: named watchlists plus the search, filters and sort applied to the list
+  const [watchlistState, setWatchlistState] = useState(() => ({
+    lists: loadWatchlists(),
+    active: "all",
+    search: "",
+    assetClass: "all",
+    sector: "all",
+    sortBy: "symbol",
+    newName: ""
+  }));
+
+  // Resting limit/stop orders waiting for the market to reach them
+  const [openOrders, setOpenOrders] = useState(() => initialSave?.openOrders ?? []);
+  // The latest open orders, kept like portfolioRef: fills and triggers settle against it
+  // and every change goes through updateOpenOrders
+  const openOrdersRef = useRef(openOrders);
+  const updateOpenOrders = useCallback((update) => {
+    openOrdersRef.current = typeof update === "function" ? update(openOrdersRef.current) : update;
+    setOpenOrders(openOrdersRef.current);
+  }, []);
+  const [editingOrder, setEditingOrder] = useState(null);
+  // Order awaiting confirmation in the ticket's preview, or null
+  const [orderPreview, setOrderPreview] = useState(null);
+  // Protection levels being entered for a position, or null
+  const [protectionForm, setProtectionForm] = useState(null);
+
+  // Chart indicators: the active set plus named presets saved per symbol
+  const [indicatorState, setIndicatorState] = useState(() => ({
+    active: [],
+    presets: loadIndicatorPresets(),
+    newType: "sma",
+    presetName: ""
+  }));
 
-  const [orderBook, setOrderBook] = useState({
-    bids: [],
-    asks: []
+  // Save slots
+  const [saveState, setSaveState] = useState(() => ({
+    isOpen: false,
+    slotName: "",
+    saves: listSaves(),
+    lastAutosave: initialSave ? initialSave.savedAt : null,
+    error: initialLoad.error // Why the last save couldn't be loaded
+  }));
+
+  // Scenario being played (objective, start prices, outcome), or null in free play
+  const [scenario, setScenario] = useState(() => initialSave?.scenario ?? null);
+  const [showScenarios, setShowScenarios] = useState(false);
+
+  // Difficulty the current game is played at, and whether the engine settings were changed after it started
+  const [session, setSession] = useState(() => initialSave?.session ?? {
+    startedAt: market.startTime,
+    difficulty: DEFAULT_DIFFICULTY,
+    changedMidGame: false
   });
+  const [showSettings, setShowSettings] = useState(false);
+
+  // Simulation clock: market time runs at `speed` unless paused
+  const [clock, setClock] = useState(() => initialSave?.clock ?? { speed: "1x", paused: false });
+
+  // Historical replay: the library of imported series and the import form
+  const [replayState, setReplayState] = useState(() => ({
+    isOpen: false,
+    library: loadImportedSeries(),
+    selected: [],
+    symbol: "",
+    name: "",
+    sector: "Imported",
+    assetClass: "stock",
+    data: ""
+  }));
 
-  const [tradeHistory, setTradeHistory] = useState([]);
+  // Alerts: the player's rules, the notification history and the new-alert form
+  const [alertState, setAlertState] = useState(() => ({
+    ...loadAlerts(),
+    isOpen: false,
+    form: newAlertForm("price", marketData[tradingState.selectedSymbol] ?? Object.values(marketData)[0])
+  }));
+  const [toasts, setToasts] = useState([]);
+  const alertTrackingRef = useRef(null);
+
+  // Strategy bots: their scripts (kept across games), the one open in the editor, which are
+  // running and each one's log
+  const [botState, setBotState] = useState(() => ({
+    isOpen: false,
+    bots: loadBots(),
+    selected: null, // Bot open in the editor, or null for a new one
+    draft: { name: BOT_TEMPLATES.sma_cross.label, code: BOT_TEMPLATES.sma_cross.code },
+    template: "sma_cross",
+    status: {}, // id → "running" or "error"
+    logs: {} // id → [{ time, level, message }], newest first
+  }));
+  // Each bot's P/L from its own fills, by bot id
+  const [botLedgers, setBotLedgers] = useState(() => initialSave?.botLedgers ?? {});
+  // Orders and cancels bots have sent, waiting to be placed in turn
+  const [botRequests, setBotRequests] = useState([]);
+  // Workers of running bots: id → { worker, busy, sentAt, time, since }
+  const botWorkersRef = useRef({});
+
+  // Backtests: the form, the sweep's progress, the runs finished so far and how the
+  // summary is sorted
+  const [backtestState, setBacktestState] = useState(() => ({
+    isOpen: false,
+    form: {
+      strategy: "template:sma_cross", // "template:<key>" or "bot:<id>"
+      days: String(DEFAULT_BACKTEST.days),
+      interval: DEFAULT_BACKTEST.interval,
+      seed: String(DEFAULT_BACKTEST.seed),
+      seeds: String(DEFAULT_BACKTEST.seeds),
+      sweep: DEFAULT_BACKTEST.sweep
+    },
+    running: false,
+    total: 0, // Runs in the sweep
+    done: 0, // Runs finished, fractional within a run
+    runs: [],
+    sort: { key: "meanReturn", descending: true },
+    selected: null, // Combination shown in detail, by paramsKey
+    seed: null // Run of that combination shown in detail, or null for its first
+  }));
+  // Worker running the current sweep
+  const backtestWorkerRef = useRef(null);
+
+  // Currencies: the conversion form and the cross pair order form
+  const [currencyState, setCurrencyState] = useState({
+    isOpen: false,
+    conversion: { from: BASE_CURRENCY, to: "EUR", amount: "" },
+    cross: { base: "ETH", quote: "BTC", quantity: "" }
+  });
 
-  // Refs for interval management
-  const marketIntervalRef = useRef();
-  const eventIntervalRef = useRef();
-  const orderBookIntervalRef = useRef();
+  // Latest game state, read by autosave without restarting its timer on every tick
+  const gameStateRef = useRef();
 
   // Get current asset
   const currentAsset = marketData[tradingState.selectedSymbol];
+  const orderBook = market.orderBooks[tradingState.selectedSymbol] || { bids: [], asks: [] };
+  const tape = market.tape[tradingState.selectedSymbol] ?? [];
 
-  // Generate order book data
-  const generateOrderBook = useCallback((price) => {
-    const bids = [];
-    const asks = [];
-    const spread = price * 0.0005; // 0.05% spread
-    
-    // Generate bids (buy orders)
-    for (let i = 1; i <= 15; i++) {
-      const bidPrice = price - (spread * i);
-      bids.push({
-        price: bidPrice,
-        size: randomInt(10, 1000)
-      });
-    }
-    
-    // Generate asks (sell orders)
-    for (let i = 1; i <= 15; i++) {
-      const askPrice = price + (spread * i);
-      asks.push({
-        price: askPrice,
-        size: randomInt(10, 1000)
-      });
-    }
-    
-    return { bids, asks };
+  // Assets shown in Market Watch: the active watchlist, searched, filtered and sorted
+  const activeWatchlist = watchlistState.lists.find(list => list.id === watchlistState.active) ?? null;
+  const marketSectors = [...new Set(Object.values(marketData).map(asset => asset.sector))].sort();
+  const watchedAssets = useMemo(() => {
+    const search = watchlistState.search.trim().toLowerCase();
+    return Object.values(marketData)
+      .filter(asset => !activeWatchlist || activeWatchlist.symbols.includes(asset.symbol))
+      .filter(asset => !search || asset.symbol.toLowerCase().includes(search) || asset.name.toLowerCase().includes(search))
+      .filter(asset => watchlistState.assetClass === "all" || asset.assetClass === watchlistState.assetClass)
+      .filter(asset => watchlistState.sector === "all" || asset.sector === watchlistState.sector)
+      .sort(WATCH_SORTS[watchlistState.sortBy].compare);
+  }, [marketData, activeWatchlist, watchlistState.search, watchlistState.assetClass, watchlistState.sector, watchlistState.sortBy]);
+
+  // Realised correlations, worked out only while the view is open. Assets are grouped by
+  // sector so related blocks sit together.
+  const correlations = useMemo(() => {
+    if (!correlationState.isOpen) return null;
+    const assets = Object.values(marketData)
+      .sort((a, b) => a.sector.localeCompare(b.sector) || a.symbol.localeCompare(b.symbol));
+    return realisedCorrelations(assets, market.time - CORRELATION_WINDOWS[correlationState.window]);
+  }, [correlationState.isOpen, correlationState.window, marketData, market.time]);
+
+  // Return distribution and realised volatility of the selected asset, while the view is open
+  const diagnostics = useMemo(
+    () => showDiagnostics && currentAsset ? returnDiagnostics(currentAsset.history) : null,
+    [showDiagnostics, currentAsset]
+  );
+
+  // Depth, spread and imbalance of the selected book, and who's been taking liquidity
+  const depth = depthCurve(orderBook);
+  const bookStats = bookMetrics(orderBook);
+  const tapeStats = tapeSummary(tape);
+
+  // Value and P/L in the reporting currency: the value now at today's rate against the
+  // starting value at the opening rate, so currency moves count toward P/L. Falls back to
+  // USD if the currency can't be valued in this market.
+  const reportingCurrency = usdRate(market.fx, portfolio.account.reportingCurrency) ? portfolio.account.reportingCurrency : BASE_CURRENCY;
+  const reportingRate = usdRate(market.fx, reportingCurrency);
+  const openingRate = reportingCurrency === BASE_CURRENCY ? 1 : market.fx.opening[reportingCurrency];
+  const reportedValue = portfolio.totalValue / reportingRate;
+  const reportedPnl = openingRate ? reportedValue - performance.equity.startValue / openingRate : null;
+
+  // What's held in each currency, valued in the reporting currency, then everything else
+  const currencyHoldings = Object.keys(CURRENCIES).map(code => {
+    const amount = currencyHolding(portfolio, code);
+    const rate = usdRate(market.fx, code);
+    return { code, amount, value: rate === null ? null : amount * rate / reportingRate };
+  });
+  const otherPositionsValue = (portfolio.totalValue - currencyHoldings.reduce((sum, holding) => sum + (holding.value ?? 0), 0) * reportingRate) / reportingRate;
+
+  const unreadNotifications = alertState.notifications.filter(notification => !notification.read).length;
+  const alertForm = alertState.form;
+
+  const newsArchive = newsState.severity === "all"
+    ? market.newsArchive
+    : market.newsArchive.filter(item => item.severity === newsState.severity);
+
+  // Trading sessions: stocks follow the calendar, crypto (and scenario markets) never close
+  const marketSession = market.calendar ? market.session : "regular";
+  const selectedSession = currentAsset ? assetSession(market, currentAsset) : "regular";
+  const holiday = marketSession === "closed" ? holidayOn(market.time) : null;
+
+  // Cash and shares held back by open orders
+  const reservations = useMemo(() => calculateReservations(openOrders), [openOrders]);
+  const availableCash = portfolio.cash - reservations.cash;
+  const availableShares = (symbol) =>
+    (portfolio.positions[symbol]?.quantity || 0) - (reservations.shares[symbol] || 0);
+  const buyingPower = calculateBuyingPower(portfolio, marketData) -
+    (isMarginAccount(portfolio) ? 0 : reservations.cash);
+  const margin = marginStatus(portfolio, marketData);
+  const exposure = calculateExposure(portfolio.positions, marketData);
+  const latestMarginCall = portfolio.marginCalls[portfolio.marginCalls.length - 1];
+
+  // Execution costs as a share of traded volume, in basis points
+  const { costs } = portfolio;
+  const costDragBps = costs.notional > 0 ? ((costs.commissions + costs.slippage) / costs.notional) * 10000 : 0;
+
+  // Scenario clock and returns so far, measured against an equal-weight buy-and-hold
+  const scenarioProgress = useMemo(() => {
+    if (!scenario || !market.scenario) return null;
+    const elapsed = market.time - market.scenario.startedAt;
+    return {
+      elapsed,
+      remaining: Math.max(0, scenario.objective.duration - elapsed),
+      playerReturn: portfolio.totalValue / scenario.startingCash - 1,
+      benchmark: benchmarkReturn(scenario.startPrices, marketData)
+    };
+  }, [scenario, market.scenario, market.time, portfolio.totalValue, marketData]);
+
+  // Finished scenarios show their final score, running ones the live one
+  const scenarioScore = scenario?.result ?? scenarioProgress;
+
+  // Replay standings against buy-and-hold of the replayed series since playback started
+  const replayScore = useMemo(() => {
+    if (!market.replay) return null;
+    const startValue = performance.equity.startValue;
+    const benchmark = benchmarkReturn(market.replay.startPrices, marketData);
+    return {
+      progress: replayProgress(market.replay),
+      playerReturn: portfolio.totalValue / startValue - 1,
+      benchmark,
+      benchmarkValue: startValue * (1 + benchmark),
+      symbolReturns: Object.entries(market.replay.startPrices).map(([symbol, price]) => ({
+        symbol,
+        change: marketData[symbol].price / price - 1
+      }))
+    };
+  }, [market.replay, marketData, portfolio.totalValue, performance.equity.startValue]);
+
+  const report = useMemo(() => buildReport(performance), [performance]);
+
+  // Time in force of the ticket's order: the one picked, if its type takes it
+  const timeInForceChoices = timeInForceOptions(tradingState.orderType);
+  const ticketTimeInForce = timeInForceChoices.includes(tradingState.timeInForce)
+    ? tradingState.timeInForce
+    : timeInForceChoices[0] ?? null;
+
+  // The order the ticket describes on `side`. A dollar amount buys whole lots at the price
+  // the order is expected to trade at: the quote, or its limit or stop.
+  const ticketOrder = (side) => {
+    const type = tradingState.orderType;
+    const limitPrice = parseFloat(tradingState.limitPrice);
+    const stopPrice = parseFloat(tradingState.stopPrice);
+    const quote = side === "buy" ? currentAsset.ask : currentAsset.bid;
+    const entered = parseFloat(tradingState.quantity);
+    const sizingPrice = type === "market" ? quote : type === "stop" ? stopPrice : limitPrice;
+
+    return {
+      id: Math.random().toString(36).substr(2, 9),
+      symbol: currentAsset.symbol,
+      side,
+      type,
+      quantity: tradingState.sizeMode === "notional" ? floorToStep(entered / sizingPrice, currentAsset.lotSize) : entered,
+      limitPrice,
+      stopPrice,
+      quotedPrice: quote,
+      timeInForce: ticketTimeInForce,
+      expiresAt: null,
+      triggered: false,
+      bracket: tradingState.bracket
+        ? { takeProfit: parseFloat(tradingState.takeProfit), stopLoss: parseFloat(tradingState.stopLoss) }
+        : null,
+      ocoGroup: null,
+      timestamp: market.time
+    };
+  };
+
+  // What the ticket's order would fill at right now, or null while it's incomplete
+  const estimateTicket = (order) => {
+    if (!(order.quantity > 0) || validateOrderPrices(order)) return null;
+    return estimateOrder({
+      order,
+      asset: marketData[order.symbol],
+      orderBook: market.orderBooks[order.symbol],
+      fees: portfolio.account.fees
+    });
+  };
+  const ticketEstimates = currentAsset && tradingState.quantity
+    ? { buy: estimateTicket(ticketOrder("buy")), sell: estimateTicket(ticketOrder("sell")) }
+    : null;
+  const previewEstimate = orderPreview && marketData[orderPreview.symbol] ? estimateTicket(orderPreview) : null;
+
+  // Market simulation: mirror every engine tick and mark the portfolio to market
+  useEffect(() => {
+    const unsubscribe = engine.subscribe(state => {
+      setMarket(state);
+      // Trailing stops only follow quotes their market can trade on
+      const isTradable = (asset) => assetSession(state, asset) === "regular";
+      updatePortfolio(prev => rollRiskDay(
+        trailProtection(revaluePortfolio(prev, state.assets, state.time, state.fx.rates), state.assets, isTradable),
+        state.time
+      ));
+    });
+    return unsubscribe;
+  }, [engine, updatePortfolio]);
+
+  // The engine only ticks while the clock runs
+  useEffect(() => {
+    if (clock.paused) return;
+    engine.start();
+    return () => engine.stop();
+  }, [engine, clock.paused]);
+
+  useEffect(() => {
+    engine.setSpeed(clock.speed);
+  }, [engine, clock.speed]);
+
+  // Tick length follows the difficulty settings
+  useEffect(() => {
+    engine.setTickInterval(session.difficulty.tickInterval);
+  }, [engine, session.difficulty.tickInterval]);
+
+  // Toasts: short-lived, non-blocking messages for errors and fired alerts
+  const dismissToast = useCallback((id) => setToasts(prev => prev.filter(toast => toast.id !== id)), []);
+  const showToast = useCallback((message, { tone = "error", title = null } = {}) => {
+    const id = Math.random().toString(36).substr(2, 9);
+    setToasts(prev => [...prev, { id, tone, title, message }].slice(-MAX_TOASTS));
+    setTimeout(() => dismissToast(id), TOAST_DURATION);
+  }, [dismissToast]);
+
+  // Adds fills executed at market time `time` to the trade log, performance analytics and
+  // the P/L of the bots that sent them
+  const recordTrades = useCallback((trades, time) => {
+    setPerformance(prev => recordFills(prev, trades.map(trade => ({ ...trade, time }))));
+    setBotLedgers(prev => recordBotFills(prev, trades));
+    setTradeHistory(prev => [
+      ...trades.map(trade => ({
+        id: Math.random().toString(36).substr(2, 9),
+        symbol: trade.symbol,
+        action: trade.action,
+        quantity: trade.quantity,
+        price: trade.price,
+        commission: trade.commission,
+        slippage: trade.slippage,
+        liquidity: trade.liquidity,
+        orderType: trade.orderType,
+        botId: trade.botId ?? null,
+        pair: trade.pair ?? null, // Cross pair the fill was a leg of
+        timestamp: time
+      })).reverse(),
+      ...prev
+    ].slice(0, 50)); // Keep last 50 trades
   }, []);
 
-  // Market simulation engine
+  // Player orders that fill at market take their size out of the book, so the price feels them
+  const takeFromBooks = useCallback((trades) => {
+    engine.setState(trades.reduce(
+      (state, trade) => takeLiquidity(state, trade.symbol, trade.action, trade.quantity),
+      engine.getState()
+    ));
+  }, [engine]);
+
+  // Trigger stops whose price the latest tick crossed, fill queued market orders and
+  // expire DAY orders past their close. Filled bracket entries leave their exit legs behind.
+  // This and the book fills below work on the latest orders and portfolio, so an order
+  // settled by one isn't settled again by the other.
   useEffect(() => {
-    // Clear any existing intervals
-    if (marketIntervalRef.current) clearInterval(marketIntervalRef.current);
-    if (eventIntervalRef.current) clearInterval(eventIntervalRef.current);
-    if (orderBookIntervalRef.current) clearInterval(orderBookIntervalRef.current);
-
-    // Market data updates (every 500ms for realistic trading)
-    marketIntervalRef.current = setInterval(() => {
-      setMarketData(prev => {
-        const newData = { ...prev };
-        let totalSentiment = 0;
-
-        Object.keys(newData).forEach(symbol => {
-          const asset = newData[symbol];
-          const eventImpact = marketStatus.events.reduce((impact, event) => {
-            if (event.symbols.includes(symbol) || event.sector === asset.sector) {
-              return impact + event.impact;
-            }
-            return impact;
-          }, 0);
-
-          const newPrice = generateRealisticPrice(
-            asset.price,
-            asset.volatility * 0.7, // Reduced volatility for stability
-            marketStatus.sentiment * 0.5, // Reduced sentiment impact
-            eventImpact * 0.5, // Reduced event impact
-            1/252/390/2 // 500ms intervals
-          );
-
-          // Update bid/ask prices
-          const spread = newPrice * 0.0003; // Tighter spread
-          const bid = newPrice - spread;
-          const ask = newPrice + spread;
-
-          // Update asset data
-          newData[symbol] = {
-            ...asset,
-            price: newPrice,
-            history: [
-              ...asset.history.slice(1),
-              {
-                price: newPrice,
-                volume: randomInt(5000, 25000),
-                timestamp: now()
-              }
-            ],
-            dailyHigh: Math.max(asset.dailyHigh, newPrice),
-            dailyLow: Math.min(asset.dailyLow, newPrice),
-            change: newPrice - asset.history[asset.history.length - 390]?.price || 0,
-            changePercent: ((newPrice - asset.history[asset.history.length - 390]?.price) / asset.history[asset.history.length - 390]?.price) * 100 || 0,
-            volume: asset.volume + randomInt(5000, 25000),
-            bid,
-            ask,
-            spread: ask - bid
-          };
-
-          totalSentiment += newPrice > asset.price ? 0.005 : -0.005;
-        });
-
-        return newData;
+    if (openOrdersRef.current.length === 0) return;
+
+    const sessionOf = (asset) => assetSession({ calendar: market.calendar, session: market.session }, asset);
+    const { resting, fills, expired, changed } = matchOrders(openOrdersRef.current, marketData, market.time, sessionOf);
+    if (!changed) return;
+
+    expired.forEach(order => {
+      showToast(`DAY order to ${order.side} ${fmtQuantity(order.quantity)} ${order.symbol} expired`, { tone: "info" });
+    });
+
+    // Settle fills in order against the current portfolio; anything it can't cover is rejected.
+    // Stops and queued market orders fill at market and take liquidity.
+    let nextPortfolio = portfolioRef.current;
+    let nextOrders = resting;
+    const executed = [];
+    fills.forEach(({ order }) => {
+      const fill = priceFill({
+        asset: marketData[order.symbol],
+        orderBook: market.orderBooks[order.symbol],
+        side: order.side,
+        quantity: order.quantity,
+        liquidity: "taker",
+        fees: nextPortfolio.account.fees
       });
+      const trade = { symbol: order.symbol, action: order.side, quantity: order.quantity, ...fill };
+      const result = applyTrade(nextPortfolio, trade);
+      if (result.error) {
+        showToast(`${result.error} Your ${order.symbol} ${order.side} order couldn't fill and was cancelled`);
+        return;
+      }
+      nextPortfolio = result.portfolio;
+      executed.push({ ...trade, profit: result.profit, orderType: order.type, botId: order.botId ?? null });
+      nextOrders = addBracketLegs(nextOrders, order, order.quantity, market.time);
+    });
+
+    updateOpenOrders(nextOrders);
+    if (executed.length === 0) return;
+
+    updatePortfolio(nextPortfolio);
+    recordTrades(executed, market.time);
+    takeFromBooks(executed);
+  }, [marketData, market.time, market.orderBooks, market.calendar, market.session, openOrders, portfolio, recordTrades, showToast, takeFromBooks, updatePortfolio, updateOpenOrders]);
+
+  // Resting limit orders live in the engine's order books: mirror every change to them there
+  useEffect(() => {
+    const state = engine.getState();
+    const next = syncUserOrders(state, bookOrders(openOrders));
+    if (next !== state) engine.setState(next);
+  }, [engine, openOrders]);
+
+  // Settle the fills the books made on the player's orders at the book's price. Partly
+  // filled orders keep resting with what's left; fills on orders already gone (an OCO leg
+  // cancelled by the other the same tick) are dropped.
+  const settledFillsRef = useRef(null);
+  useEffect(() => {
+    if (market.userFills.length === 0 || settledFillsRef.current === market.userFills) return;
+    settledFillsRef.current = market.userFills;
 
-      // Update portfolio value
-      setPortfolio(prev => {
-        const positionsValue = Object.entries(prev.positions).reduce((total, [symbol, position]) => {
-          return total + (marketData[symbol]?.price || 0) * position.quantity;
-        }, 0);
-
-        const totalValue = prev.cash + positionsValue;
-
-        return {
-          ...prev,
-          totalValue,
-          equityHistory: [
-            ...prev.equityHistory.slice(1),
-            { value: totalValue, timestamp: now() }
-          ]
-        };
+    let nextPortfolio = portfolioRef.current;
+    let nextOrders = openOrdersRef.current;
+    const executed = [];
+    const rejected = [];
+    market.userFills.forEach(fill => {
+      const order = nextOrders.find(open => open.id === fill.orderId);
+      const asset = marketData[fill.symbol];
+      if (!order || !asset) return;
+
+      const trade = {
+        symbol: fill.symbol,
+        action: fill.side,
+        quantity: fill.quantity,
+        ...priceBookFill({ asset, price: fill.price, quantity: fill.quantity, liquidity: fill.liquidity, fees: nextPortfolio.account.fees })
+      };
+      const result = applyTrade(nextPortfolio, trade);
+      if (result.error) {
+        rejected.push(order);
+        nextOrders = nextOrders.filter(open => open.id !== order.id);
+        return;
+      }
+      nextPortfolio = result.portfolio;
+      executed.push({ ...trade, profit: result.profit, orderType: order.type, botId: order.botId ?? null });
+
+      // Legs of an OCO group shrink together to what's left of the one trading, so a
+      // take-profit that fills in full cancels its stop-loss
+      const remaining = roundQuantity(order.quantity - fill.quantity);
+      nextOrders = nextOrders.flatMap(open => {
+        if (open.id === order.id) return remaining > 0 ? [{ ...open, quantity: remaining }] : [];
+        if (!order.ocoGroup || open.ocoGroup !== order.ocoGroup) return [open];
+        return remaining > 0 ? [{ ...open, quantity: remaining, revision: (open.revision ?? 0) + 1 }] : [];
       });
+      nextOrders = addBracketLegs(nextOrders, order, fill.quantity, market.time);
+    });
 
-      setMarketStatus(prev => ({
-        ...prev,
-        lastUpdate: now(),
-        sentiment: clamp(prev.sentiment + (Math.random() - 0.5) * 0.01, -1, 1)
-      }));
-
-    }, 500); // 500ms updates for more stable movement
-
-    // Market events (every 20-40 seconds)
-    eventIntervalRef.current = setInterval(() => {
-      if (Math.random() < 0.2) { // 20% chance of event
-        const eventType = Math.random() < 0.6 ? "POSITIVE" : "NEGATIVE";
-        const events = MARKET_EVENTS[eventType];
-        const eventMessage = events[randomInt(0, events.length - 1)];
-        
-        const impact = eventType === "POSITIVE" ? 
-          randomInt(1, 5) / 1000 : 
-          randomInt(-5, -1) / 1000;
-
-        // Determine affected symbols
-        let affectedSymbols = [];
-        let sector = null;
-
-        if (Math.random() < 0.4) { // Sector-wide event
-          const sectors = Object.keys(SECTOR_COLORS);
-          sector = sectors[randomInt(0, sectors.length - 1)];
-          affectedSymbols = Object.values(marketData)
-            .filter(asset => asset.sector === sector)
-            .map(asset => asset.symbol);
-        } else { // Single asset event
-          const symbols = Object.keys(marketData);
-          affectedSymbols = [symbols[randomInt(0, symbols.length - 1)]];
+    engine.setState(acknowledgeFills(engine.getState(), market.userFills.map(fill => fill.id)));
+    rejected.forEach(order => {
+      showToast(`Couldn't settle a fill on your ${order.symbol} ${order.side} order; it was cancelled`);
+    });
+    updateOpenOrders(nextOrders);
+    if (executed.length === 0) return;
+
+    updatePortfolio(nextPortfolio);
+    recordTrades(executed, market.time);
+  }, [engine, market.userFills, market.time, marketData, openOrders, portfolio, recordTrades, showToast, updatePortfolio, updateOpenOrders]);
+
+  // Margin calls: once equity falls below maintenance, force-liquidate until it's covered
+  // again. Checked on the latest portfolio, after this tick's other fills.
+  useEffect(() => {
+    const current = portfolioRef.current;
+    if (!isMarginAccount(current)) return;
+
+    const status = marginStatus(current, marketData);
+    if (!status.isBelowMaintenance) return;
+
+    // Positions can only be closed while their market is in its regular session
+    const isTradable = (asset) => assetSession({ calendar: market.calendar, session: market.session }, asset) === "regular";
+    const trades = planLiquidation(current, marketData, market.orderBooks, isTradable)
+      .map(trade => ({ ...trade, orderType: "liquidation" }));
+    if (trades.length === 0) return;
+    const liquidated = trades.map(trade => trade.symbol);
+
+    updatePortfolio(prev => ({
+      ...trades.reduce((acc, trade) => applyTrade(acc, trade).portfolio, prev),
+      marginCalls: [
+        ...prev.marginCalls,
+        {
+          timestamp: market.time,
+          equity: status.equity,
+          requirement: status.maintenanceRequirement,
+          liquidated
         }
+      ].slice(-20)
+    }));
+    updateOpenOrders(prev => prev.filter(order => !liquidated.includes(order.symbol)));
+    recordTrades(trades, market.time);
+    takeFromBooks(trades);
+  }, [marketData, market.time, market.orderBooks, market.calendar, market.session, portfolio, recordTrades, takeFromBooks, updatePortfolio, updateOpenOrders]);
+
+  // Position protection: close positions at market once their stop-loss, trailing stop or
+  // take-profit is hit. Bracket legs left on a closed position are cancelled with it.
+  // Exits are decided on the latest portfolio, so a position an order already closed this
+  // tick isn't closed twice.
+  useEffect(() => {
+    const isTradable = (asset) => assetSession({ calendar: market.calendar, session: market.session }, asset) === "regular";
+    let nextPortfolio = portfolioRef.current;
+    const exits = protectionExits(nextPortfolio.positions, marketData, isTradable);
+    if (exits.length === 0) return;
+
+    const trades = [];
+    exits.forEach(({ symbol, reason }) => {
+      const position = nextPortfolio.positions[symbol];
+      if (!position) return;
+      const action = position.quantity > 0 ? "sell" : "buy";
+      const quantity = Math.abs(position.quantity);
+      const fill = priceFill({
+        asset: marketData[symbol],
+        orderBook: market.orderBooks[symbol],
+        side: action,
+        quantity,
+        liquidity: "taker",
+        fees: nextPortfolio.account.fees
+      });
+      const trade = { symbol, action, quantity, ...fill, orderType: reason };
+      const result = applyTrade(nextPortfolio, trade);
+      if (result.error) return;
+      nextPortfolio = result.portfolio;
+      trades.push({ ...trade, profit: result.profit });
+    });
+    if (trades.length === 0) return;
+    const closed = trades.map(trade => trade.symbol);
+
+    updatePortfolio(nextPortfolio);
+    updateOpenOrders(prev => prev.filter(order => !(order.parentId && closed.includes(order.symbol))));
+    recordTrades(trades, market.time);
+    takeFromBooks(trades);
+    trades.forEach(trade => {
+      showToast(`${PROTECTION_REASONS[trade.orderType]} closed ${fmtQuantity(trade.quantity)} ${trade.symbol} at ${fmtPrice(trade.price)}`, { tone: "info" });
+    });
+  }, [marketData, market.time, market.orderBooks, market.calendar, market.session, portfolio, recordTrades, showToast, takeFromBooks, updatePortfolio, updateOpenOrders]);
+
+  // Scenario objective: settle the outcome once it's won or lost
+  useEffect(() => {
+    if (!scenarioProgress || scenario.status !== "active") return;
+
+    const status = evaluateObjective(scenario.objective, scenarioProgress);
+    if (status === "active") return;
+
+    setScenario(prev => ({
+      ...prev,
+      status,
+      result: {
+        playerReturn: scenarioProgress.playerReturn,
+        benchmark: scenarioProgress.benchmark,
+        finishedAt: market.time,
+        difficulty: difficultyLabel(session.difficulty) + (session.changedMidGame ? " (changed mid-game)" : "")
+      }
+    }));
+  }, [scenarioProgress, scenario, market.time, session]);
+
+  // Alerts: check every rule on each tick and deliver what fired to the notification
+  // centre, a toast and, if enabled, a browser notification. One-off alerts switch off
+  // once they fire.
+  useEffect(() => {
+    const { tracking, fired } = evaluateAlerts(
+      alertState.alerts,
+      { market, positions: portfolio.positions },
+      alertTrackingRef.current
+    );
+    alertTrackingRef.current = tracking;
+    if (fired.length === 0) return;
 
-        const newEvent = {
-          id: Math.random().toString(36).substr(2, 9),
-          message: eventMessage,
-          impact,
-          type: eventType.toLowerCase(),
-          symbols: affectedSymbols,
-          sector,
-          timestamp: now(),
-          duration: randomInt(15, 45) // Event lasts 15-45 seconds
-        };
-
-        setMarketStatus(prev => ({
-          ...prev,
-          events: [newEvent, ...prev.events.slice(0, 4)] // Keep last 5 events
-        }));
-
-        // Auto-remove event after duration
-        setTimeout(() => {
-          setMarketStatus(prev => ({
-            ...prev,
-            events: prev.events.filter(e => e.id !== newEvent.id)
-          }));
-        }, newEvent.duration * 1000);
+    const notifications = fired.map(({ alert, message }) => ({
+      id: Math.random().toString(36).substr(2, 9),
+      alertId: alert.id,
+      title: describeAlert(alert),
+      message,
+      time: market.time,
+      read: false
+    }));
+    setAlertState(prev => ({
+      ...prev,
+      alerts: prev.alerts.map(alert => {
+        const hit = fired.find(entry => entry.alert.id === alert.id);
+        return hit ? { ...alert, enabled: alert.repeat, triggeredAt: market.time } : alert;
+      }),
+      notifications: [...notifications.reverse(), ...prev.notifications].slice(0, MAX_NOTIFICATIONS)
+    }));
+    notifications.forEach(notification => {
+      showToast(notification.message, { tone: "info", title: `🔔 ${notification.title}` });
+      if (alertState.browserNotifications && typeof Notification !== "undefined" && Notification.permission === "granted") {
+        new Notification(notification.title, { body: notification.message });
       }
-    }, randomInt(20000, 40000));
+    });
+  }, [market, portfolio.positions, alertState.alerts, alertState.browserNotifications, showToast]);
+
+  // Storing in the background (autosave, alerts) reports a failure once, not again until
+  // that store has worked in between
+  const storageFailingRef = useRef({});
+  const reportStorage = useCallback((key, title, error = null) => {
+    if (error && !storageFailingRef.current[key]) showToast(error.message, { title });
+    storageFailingRef.current[key] = Boolean(error);
+  }, [showToast]);
+
+  // Alert rules and notifications outlive any single game
+  useEffect(() => {
+    try {
+      storeAlerts({
+        alerts: alertState.alerts,
+        notifications: alertState.notifications,
+        browserNotifications: alertState.browserNotifications
+      });
+      reportStorage("alerts");
+    } catch (error) {
+      reportStorage("alerts", "Alerts not stored", error);
+    }
+  }, [alertState.alerts, alertState.notifications, alertState.browserNotifications, reportStorage]);
+
+  // Feed each new equity point into the drawdown, exposure and return statistics
+  useEffect(() => {
+    const latest = portfolio.equityHistory[portfolio.equityHistory.length - 1];
+    setPerformance(prev => recordEquity(prev, {
+      time: latest.timestamp,
+      value: latest.value,
+      exposed: Object.keys(portfolio.positions).length > 0
+    }));
+  }, [portfolio.equityHistory, portfolio.positions]);
+
+  // Keep the autosave snapshot source current
+  useEffect(() => {
+    gameStateRef.current = {
+      market,
+      portfolio,
+      performance,
+      tradeHistory,
+      openOrders,
+      botLedgers,
+      selectedSymbol: tradingState.selectedSymbol,
+      scenario,
+      session,
+      clock
+    };
+  }, [market, portfolio, performance, tradeHistory, openOrders, botLedgers, tradingState.selectedSymbol, scenario, session, clock]);
 
-    // Order book updates (every 1000ms)
-    orderBookIntervalRef.current = setInterval(() => {
-      if (currentAsset) {
-        const newOrderBook = generateOrderBook(currentAsset.price);
-        setOrderBook(newOrderBook);
+  // Autosave periodically and when the page is closed
+  useEffect(() => {
+    const autosave = () => {
+      if (!gameStateRef.current) return;
+      try {
+        const entry = writeSave(AUTOSAVE_SLOT, "Autosave", gameStateRef.current);
+        setSaveState(prev => ({ ...prev, saves: listSaves(), lastAutosave: entry.savedAt }));
+        reportStorage("autosave");
+      } catch (error) {
+        reportStorage("autosave", "Autosave failed", error);
       }
-    }, 1000);
+    };
 
+    const interval = setInterval(autosave, AUTOSAVE_INTERVAL);
+    window.addEventListener("beforeunload", autosave);
     return () => {
-      clearInterval(marketIntervalRef.current);
-      clearInterval(eventIntervalRef.current);
-      clearInterval(orderBookIntervalRef.current);
+      clearInterval(interval);
+      window.removeEventListener("beforeunload", autosave);
     };
-  }, [marketData, currentAsset, generateOrderBook]);
+  }, [reportStorage]);
 
-  // Trading functions
-  const executeTrade = (action) => {
-    const quantity = parseInt(tradingState.quantity);
-    if (quantity <= 0) return;
+  // Save slot actions
+  const saveToSlot = () => {
+    const name = saveState.slotName.trim() || `Save ${new Date().toLocaleString()}`;
+    const existing = saveState.saves.find(entry => entry.name === name && entry.slot !== AUTOSAVE_SLOT);
+    const slot = existing ? existing.slot : `slot-${now().toString(36)}`;
 
-    const asset = marketData[tradingState.selectedSymbol];
-    if (!asset) return;
+    try {
+      writeSave(slot, name, gameStateRef.current);
+      setSaveState(prev => ({ ...prev, slotName: "", saves: listSaves() }));
+    } catch (error) {
+      showToast(error.message);
+    }
+  };
 
-    let tradePrice;
-    if (tradingState.orderType === "market") {
-      tradePrice = action === "buy" ? asset.ask : asset.bid;
-    } else if (tradingState.orderType === "limit") {
-      tradePrice = parseFloat(tradingState.limitPrice);
-      if (isNaN(tradePrice)) return;
-    } else {
-      // Stop order
-      tradePrice = parseFloat(tradingState.stopPrice);
-      if (isNaN(tradePrice)) return;
+  const loadSlot = (slot) => {
+    let save;
+    try {
+      save = restoreSave(readSave(slot));
+    } catch (error) {
+      setSaveState(prev => ({ ...prev, error: error.message }));
+      return;
+    }
+    if (!save) {
+      showToast("This save couldn't be loaded.");
+      return;
     }
 
-    const tradeValue = tradePrice * quantity;
+    stopAllBots();
+    engine.setState(save.market);
+    updatePortfolio(save.portfolio);
+    setPerformance(save.performance);
+    setTradeHistory(save.tradeHistory);
+    updateOpenOrders(save.openOrders);
+    setBotLedgers(save.botLedgers);
+    setEditingOrder(null);
+    setScenario(save.scenario);
+    setSession(save.session);
+    setClock(save.clock);
+    setTradingState(prev => ({
+      ...prev,
+      selectedSymbol: save.selectedSymbol ?? prev.selectedSymbol,
+      quantity: ""
+    }));
+    setSaveState(prev => ({ ...prev, isOpen: false, error: null }));
+  };
 
-    if (action === 'buy') {
-      if (tradeValue > portfolio.cash) {
-        alert("Insufficient funds!");
-        return;
-      }
+  const deleteSlot = (slot) => {
+    deleteSave(slot);
+    setSaveState(prev => ({ ...prev, saves: listSaves() }));
+  };
 
-      setPortfolio(prev => {
-        const currentPosition = prev.positions[tradingState.selectedSymbol] || { 
-          quantity: 0, 
-          averageCost: 0,
-          totalInvested: 0 
-        };
-
-        const newQuantity = currentPosition.quantity + quantity;
-        const newTotalInvested = currentPosition.totalInvested + tradeValue;
-        const newAverageCost = newTotalInvested / newQuantity;
-
-        return {
-          ...prev,
-          cash: prev.cash - tradeValue,
-          positions: {
-            ...prev.positions,
-            [tradingState.selectedSymbol]: {
-              quantity: newQuantity,
-              averageCost: newAverageCost,
-              totalInvested: newTotalInvested
-            }
-          }
-        };
-      });
+  // New games: replace the running market and reset the portfolio and records
+  const startNewGame = (nextMarket, startingCash, nextScenario = null) => {
+    stopAllBots();
+    engine.setState(nextMarket);
+    updatePortfolio(createInitialPortfolio(nextMarket.time, startingCash));
+    setPerformance(createPerformanceState(nextMarket.time, startingCash));
+    setTradeHistory([]);
+    updateOpenOrders([]);
+    setBotLedgers({});
+    setEditingOrder(null);
+    setScenario(nextScenario);
+    setSession(prev => ({ startedAt: nextMarket.time, difficulty: prev.difficulty, changedMidGame: false }));
+    setTradingState(prev => ({
+      ...prev,
+      selectedSymbol: nextMarket.assets[prev.selectedSymbol] ? prev.selectedSymbol : Object.keys(nextMarket.assets)[0],
+      quantity: ""
+    }));
+    setShowScenarios(false);
+    setShowSettings(false);
+  };
 
-    } else if (action === 'sell') {
-      const position = portfolio.positions[tradingState.selectedSymbol];
-      if (!position || position.quantity < quantity) {
-        alert("Not enough shares to sell!");
-        return;
-      }
+  const startScenario = (id) => {
+    const preset = SCENARIOS[id];
+    const nextMarket = createScenarioMarket(id, {
+      seed: randomSeed(),
+      startTime: now(),
+      settings: marketSettingsFor(session.difficulty)
+    });
+    startNewGame(nextMarket, preset.startingCash, {
+      id,
+      name: preset.name,
+      objective: preset.objective,
+      startingCash: preset.startingCash,
+      startPrices: Object.fromEntries(Object.values(nextMarket.assets).map(asset => [asset.symbol, asset.price])),
+      status: "active",
+      result: null
+    });
+  };
 
-      const profit = (tradePrice - position.averageCost) * quantity;
+  const startFreePlay = () => startNewGame(
+    createMarketState({ seed: randomSeed(), symbols: universe.assets, settings: marketSettingsFor(session.difficulty) }),
+    session.difficulty.startingCash
+  );
 
-      setPortfolio(prev => {
-        const newQuantity = position.quantity - quantity;
-        const newPositions = { ...prev.positions };
+  // Difficulty: market settings apply to the running engine straight away, starting cash from the next game
+  const applyDifficulty = (difficulty) => {
+    const changesMarket = SETTING_FIELDS.some(field =>
+      field.key !== "startingCash" && difficulty[field.key] !== session.difficulty[field.key]);
 
-        if (newQuantity === 0) {
-          delete newPositions[tradingState.selectedSymbol];
-        } else {
-          newPositions[tradingState.selectedSymbol] = {
-            ...position,
-            quantity: newQuantity,
-            totalInvested: position.averageCost * newQuantity
-          };
-        }
+    engine.setState({ ...engine.getState(), settings: marketSettingsFor(difficulty) });
+    setSession(prev => ({ ...prev, difficulty, changedMidGame: prev.changedMidGame || changesMarket }));
+  };
 
-        return {
-          ...prev,
-          cash: prev.cash + tradeValue,
-          positions: newPositions,
-          realizedPnL: prev.realizedPnL + profit
-        };
-      });
+  // Clock controls. Skips simulate the gap like a catch-up; they're off during scenarios,
+  // whose objectives run against the clock, and replays, which only move bar by bar.
+  const togglePause = () => setClock(prev => ({ ...prev, paused: !prev.paused }));
+  const setSpeed = (speed) => setClock(prev => ({ ...prev, speed }));
+  const canSkip = scenario?.status !== "active" && !market.replay;
+  const skipToNextOpen = () => engine.skipTo(nextRegularOpen(market.time));
+  const skipDay = () => engine.skipTo(market.time + DAY_MS);
 
-      setPerformanceMetrics(prev => ({
-        ...prev,
-        totalTrades: prev.totalTrades + 1,
-        totalProfit: prev.totalProfit + profit,
-        bestTrade: Math.max(prev.bestTrade, profit),
-        worstTrade: Math.min(prev.worstTrade, profit),
-        winRate: profit > 0 ? (prev.winRate * prev.totalTrades + 1) / (prev.totalTrades + 1) : prev.winRate
-      }));
+  // Asset universe: edits are stored for new free-play games and applied straight away
+  // to a running free-play market. Scenario and replay markets keep their own assets.
+  const liveUniverse = !market.scenario && !market.replay;
+
+  // Returns whether the universe could be stored
+  const saveUniverse = (next) => {
+    try {
+      storeUniverse(next);
+    } catch (error) {
+      showToast(error.message);
+      return false;
     }
+    setUniverse(next);
+    return true;
+  };
 
-    // Add to trade history
-    setTradeHistory(prev => [
-      {
-        id: Math.random().toString(36).substr(2, 9),
-        symbol: tradingState.selectedSymbol,
-        action,
-        quantity,
-        price: tradePrice,
-        timestamp: now()
-      },
-      ...prev.slice(0, 49) // Keep last 50 trades
-    ]);
+  const saveAssetDefinition = () => {
+    const definition = {
+      symbol: assetForm.symbol.trim().toUpperCase(),
+      name: assetForm.name.trim(),
+      sector: assetForm.sector,
+      assetClass: assetForm.assetClass,
+      volatility: parseFloat(assetForm.volatility) / 100,
+      basePrice: parseFloat(assetForm.basePrice)
+    };
+    // Blank sizes take the asset class and price defaults
+    definition.lotSize = assetForm.lotSize === "" ? defaultLotSize(definition.assetClass) : parseFloat(assetForm.lotSize);
+    definition.tickSize = assetForm.tickSize === "" ? defaultTickSize(definition.basePrice) : parseFloat(assetForm.tickSize);
+    const error = validateAssetDefinition(definition, universe, assetForm.editing);
+    if (error) {
+      showToast(error);
+      return;
+    }
 
-    setTradingState(prev => ({ ...prev, quantity: "" }));
+    const saved = saveUniverse({
+      ...universe,
+      assets: assetForm.editing
+        ? universe.assets.map(asset => asset.symbol === assetForm.editing ? definition : asset)
+        : [...universe.assets, definition]
+    });
+    if (!saved) return;
+    if (liveUniverse) {
+      const state = engine.getState();
+      engine.setState(state.assets[definition.symbol]
+        ? updateMarketAsset(state, definition.symbol, definition)
+        : addMarketAsset(state, definition));
+    }
+    setAssetForm(EMPTY_ASSET_FORM);
   };
 
-  // Chart data preparation with proper historical data
-  const chartData = useMemo(() => {
-    if (!currentAsset) return [];
-    
-    const dataPoints = [...currentAsset.history];
-    const nowTime = now();
-    let filteredData = [];
+  const editAssetDefinition = (asset) => setAssetForm({
+    editing: asset.symbol,
+    symbol: asset.symbol,
+    name: asset.name,
+    sector: asset.sector,
+    assetClass: asset.assetClass,
+    volatility: String(+(asset.volatility * 100).toFixed(2)),
+    basePrice: String(asset.basePrice),
+    lotSize: String(asset.lotSize ?? ""),
+    tickSize: String(asset.tickSize ?? "")
+  });
 
-    switch (tradingState.chartRange) {
-      case "1D":
-        // Last 390 minutes (trading day)
-        filteredData = dataPoints.filter(point => point.timestamp > nowTime - 24 * 60 * 60 * 1000);
-        break;
-      case "1W":
-        // Last 7 days
-        filteredData = dataPoints.filter(point => point.timestamp > nowTime - 7 * 24 * 60 * 60 * 1000);
-        break;
-      case "1M":
-        // Last 30 days
-        filteredData = dataPoints.filter(point => point.timestamp > nowTime - 30 * 24 * 60 * 60 * 1000);
-        break;
-      default:
-        // All data (30 days)
-        filteredData = dataPoints;
-        break;
+  // Assets can only leave a running market once nothing is held or pending in them
+  const removeAssetDefinition = (symbol) => {
+    if (universe.assets.length === 1) {
+      showToast("The universe needs at least one asset!");
+      return;
+    }
+    const live = liveUniverse && marketData[symbol];
+    if (live && (portfolio.positions[symbol] || openOrders.some(order => order.symbol === symbol))) {
+      showToast(`Close your ${symbol} position and cancel its orders before removing it!`);
+      return;
     }
 
-    return filteredData.map(point => ({
-      ...point,
-      time: point.timestamp,
-      value: point.price
-    }));
-  }, [currentAsset, tradingState.chartRange]);
-
-  // Calculate performance metrics
-  const calculatePerformance = useMemo(() => {
-    if (portfolio.equityHistory.length < 2) return performanceMetrics;
-
-    const values = portfolio.equityHistory.map(h => h.value);
-    const returns = [];
-    
-    for (let i = 1; i < values.length; i++) {
-      returns.push((values[i] - values[i-1]) / values[i-1]);
-    }
-
-    const avgReturn = returns.reduce((a, b) => a + b, 0) / returns.length;
-    const variance = returns.reduce((a, b) => a + Math.pow(b - avgReturn, 2), 0) / returns.length;
-    const volatility = Math.sqrt(variance) * Math.sqrt(252);
-    const sharpeRatio = volatility > 0 ? avgReturn / volatility * Math.sqrt(252) : 0;
-
-    let maxDrawdown = 0;
-    let peak = values[0];
-    
-    for (let i = 1; i < values.length; i++) {
-      if (values[i] > peak) {
-        peak = values[i];
-      } else {
-        const drawdown = (peak - values[i]) / peak;
-        maxDrawdown = Math.max(maxDrawdown, drawdown);
+    if (!saveUniverse({ ...universe, assets: universe.assets.filter(asset => asset.symbol !== symbol) })) return;
+    if (live) {
+      engine.setState(removeMarketAsset(engine.getState(), symbol));
+      if (tradingState.selectedSymbol === symbol) {
+        setTradingState(prev => ({ ...prev, selectedSymbol: Object.keys(marketData).find(other => other !== symbol) }));
       }
     }
+    if (assetForm.editing === symbol) setAssetForm(EMPTY_ASSET_FORM);
+  };
 
-    return {
-      ...performanceMetrics,
-      sharpeRatio,
-      maxDrawdown
-    };
-  }, [portfolio.equityHistory]);
+  const addSector = () => {
+    const error = validateSector(sectorForm.name, universe);
+    if (error) {
+      showToast(error);
+      return;
+    }
+    if (!saveUniverse({ ...universe, sectors: { ...universe.sectors, [sectorForm.name.trim()]: sectorForm.color } })) return;
+    setSectorForm(prev => ({ ...prev, name: "" }));
+  };
 
-  // Format timestamp for chart
-  const formatTime = (timestamp) => {
-    const date = new Date(timestamp);
-    switch (tradingState.chartRange) {
-      case "1D":
-        return date.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
-      case "1W":
-      case "1M":
-      case "ALL":
-        return date.toLocaleDateString([], { month: 'short', day: 'numeric' });
-      default:
-        return date.toLocaleDateString();
+  const removeSector = (sector) => {
+    if (universe.assets.some(asset => asset.sector === sector)) {
+      showToast(`Move the assets in ${sector} to another sector first!`);
+      return;
     }
+    const sectors = { ...universe.sectors };
+    delete sectors[sector];
+    saveUniverse({ ...universe, sectors });
   };
 
-  // Render component
-  return (
-    <div className="min-h-screen bg-gray-900 text-white">
-      {/* Header */}
-      <header className="bg-gray-800 border-b border-gray-700 p-4 sticky top-0 z-50">
-        <div className="max-w-7xl mx-auto flex justify-between items-center">
+  // The built-in universe applies from the next free-play game
+  const resetUniverse = () => {
+    if (!saveUniverse(DEFAULT_UNIVERSE)) return;
+    setAssetForm(EMPTY_ASSET_FORM);
+  };
+
+  // Factor model edits apply to the running market straight away
+  const updateFactorCorrelation = (a, b, input) => {
+    const current = market.factors.correlation[market.factors.factors.indexOf(a)][market.factors.factors.indexOf(b)];
+    const value = parseFloat(input.value);
+    if (!(value > -1 && value < 1)) {
+      showToast("Correlations must be between -1 and 1!");
+      input.value = current;
+      return;
+    }
+    const factors = setFactorCorrelation(engine.getState().factors, a, b, value);
+    if (!factors) {
+      showToast(`A ${a} / ${b} correlation of ${value} contradicts the other correlations in the matrix!`);
+      input.value = current;
+      return;
+    }
+    engine.setState({ ...engine.getState(), factors });
+  };
+
+  const updateAssetLoading = (symbol, field, input) => {
+    const value = parseFloat(input.value);
+    const error = validateLoading(value);
+    if (error) {
+      showToast(error);
+      input.value = marketData[symbol][field];
+      return;
+    }
+    const { beta, sectorBeta } = engine.getState().assets[symbol];
+    engine.setState(setAssetLoadings(engine.getState(), symbol, { beta, sectorBeta, [field]: value }));
+  };
+
+  const changeAssetModel = (model) => {
+    engine.setState(setAssetModel(engine.getState(), tradingState.selectedSymbol, model));
+  };
+
+  // Watchlists
+  // Returns whether the lists could be stored
+  const saveWatchlists = (lists, active = watchlistState.active) => {
+    try {
+      storeWatchlists(lists);
+    } catch (error) {
+      showToast(error.message);
+      return false;
+    }
+    setWatchlistState(prev => ({ ...prev, lists, active }));
+    return true;
+  };
+
+  const createWatchlist = () => {
+    const name = watchlistState.newName.trim();
+    if (!name) return;
+    const list = { id: Math.random().toString(36).substr(2, 9), name, symbols: [] };
+    if (!saveWatchlists([...watchlistState.lists, list], list.id)) return;
+    setWatchlistState(prev => ({ ...prev, newName: "" }));
+  };
+
+  const deleteWatchlist = () => {
+    if (!activeWatchlist) return;
+    saveWatchlists(watchlistState.lists.filter(list => list.id !== activeWatchlist.id), "all");
+  };
+
+  const toggleWatchlistSymbol = (symbol) => {
+    if (!activeWatchlist) return;
+    const symbols = activeWatchlist.symbols.includes(symbol)
+      ? activeWatchlist.symbols.filter(existing => existing !== symbol)
+      : [...activeWatchlist.symbols, symbol];
+    saveWatchlists(watchlistState.lists.map(list => list.id === activeWatchlist.id ? { ...list, symbols } : list));
+  };
+
+  // Alerts and the notification centre. Closing the centre marks everything in it read.
+  const toggleNotificationCentre = () => setAlertState(prev => ({
+    ...prev,
+    isOpen: !prev.isOpen,
+    notifications: prev.isOpen ? prev.notifications.map(notification => ({ ...notification, read: true })) : prev.notifications
+  }));
+
+  const updateAlertForm = (changes) => setAlertState(prev => {
+    const form = { ...prev.form, ...changes };
+    const asset = marketData[form.symbol] ?? Object.values(marketData)[0];
+    // A new type or symbol starts from its defaults; a changed select keeps what still fits
+    if (changes.type || changes.symbol) return { ...prev, form: newAlertForm(form.type, asset) };
+    return { ...prev, form };
+  });
+
+  const updateAlertParam = (field, value) => setAlertState(prev => {
+    const params = { ...prev.form.params, [field.key]: value };
+    const asset = marketData[prev.form.symbol] ?? Object.values(marketData)[0];
+    return {
+      ...prev,
+      form: { ...prev.form, params: field.options ? defaultAlertParams(prev.form.type, asset, params) : params }
+    };
+  });
+
+  const createAlert = () => {
+    const { form } = alertState;
+    const isNews = ALERT_TYPES[form.type].news;
+    const alert = {
+      id: Math.random().toString(36).substr(2, 9),
+      type: form.type,
+      symbol: isNews ? null : form.symbol,
+      params: Object.fromEntries(alertFields(form.type, form.params).map(field => [
+        field.key,
+        field.options ? form.params[field.key] : parseFloat(form.params[field.key])
+      ])),
+      repeat: isNews || form.repeat,
+      enabled: true,
+      triggeredAt: null
+    };
+    const error = validateAlert(alert, market);
+    if (error) {
+      showToast(error);
+      return;
+    }
+    setAlertState(prev => ({ ...prev, alerts: [...prev.alerts, alert] }));
+  };
+
+  const toggleAlert = (id) => setAlertState(prev => ({
+    ...prev,
+    alerts: prev.alerts.map(alert => alert.id === id ? { ...alert, enabled: !alert.enabled } : alert)
+  }));
+
+  const deleteAlert = (id) => setAlertState(prev => ({ ...prev, alerts: prev.alerts.filter(alert => alert.id !== id) }));
+
+  const clearNotifications = () => setAlertState(prev => ({ ...prev, notifications: [] }));
+
+  // Browser notifications need the page's permission, asked for when they're switched on
+  const toggleBrowserNotifications = () => {
+    if (alertState.browserNotifications) {
+      setAlertState(prev => ({ ...prev, browserNotifications: false }));
+      return;
+    }
+    if (typeof Notification === "undefined") {
+      showToast("This browser doesn't support notifications!");
+      return;
+    }
+    Notification.requestPermission().then(permission => {
+      if (permission === "granted") {
+        setAlertState(prev => ({ ...prev, browserNotifications: true }));
+      } else {
+        showToast("Notifications are blocked for this page. Allow them in the browser's site settings first!");
+      }
+    });
+  };
+
+  // Replay library: series are parsed on import, so bad files are rejected before they're stored
+  const importSeries = () => {
+    const symbol = replayState.symbol.trim().toUpperCase();
+    if (!symbol) {
+      showToast("Enter a symbol for the series!");
+      return;
+    }
+
+    let bars;
+    try {
+      bars = parseOhlcv(replayState.data);
+    } catch (error) {
+      showToast(error.message);
+      return;
+    }
+
+    const series = {
+      symbol,
+      name: replayState.name.trim() || symbol,
+      sector: replayState.sector.trim() || "Imported",
+      assetClass: replayState.assetClass,
+      bars,
+      importedAt: now()
+    };
+    const library = [...replayState.library.filter(existing => existing.symbol !== symbol), series];
+    try {
+      storeImportedSeries(library);
+    } catch (error) {
+      showToast(error.message);
+      return;
+    }
+    setReplayState(prev => ({
+      ...prev,
+      library,
+      selected: [...prev.selected.filter(selected => selected !== symbol), symbol],
+      symbol: "",
+      name: "",
+      data: ""
+    }));
+  };
+
+  const readImportFile = (file) => {
+    if (!file) return;
+    file.text().then(data => setReplayState(prev => ({
+      ...prev,
+      data,
+      symbol: prev.symbol || file.name.replace(/\.[^.]+$/, "").toUpperCase()
+    })));
+  };
+
+  const deleteSeries = (symbol) => {
+    const library = replayState.library.filter(series => series.symbol !== symbol);
+    try {
+      storeImportedSeries(library);
+    } catch (error) {
+      showToast(error.message);
+      return;
+    }
+    setReplayState(prev => ({
+      ...prev,
+      library,
+      selected: prev.selected.filter(selected => selected !== symbol)
+    }));
+  };
+
+  const toggleReplaySeries = (symbol) => setReplayState(prev => ({
+    ...prev,
+    selected: prev.selected.includes(symbol)
+      ? prev.selected.filter(selected => selected !== symbol)
+      : [...prev.selected, symbol]
+  }));
+
+  const startReplay = (datasets) => {
+    if (datasets.length === 0) {
+      showToast("Select at least one series to replay!");
+      return;
+    }
+
+    let nextMarket;
+    try {
+      nextMarket = createReplayMarket(datasets, { seed: randomSeed(), settings: marketSettingsFor(session.difficulty) });
+    } catch (error) {
+      showToast(error.message);
+      return;
+    }
+    startNewGame(nextMarket, session.difficulty.startingCash);
+    setReplayState(prev => ({ ...prev, isOpen: false }));
+  };
+
+  // The series the running replay was built from, to play it again
+  const replayedSeries = () => Object.values(marketData).map(asset => ({
+    symbol: asset.symbol,
+    name: asset.name,
+    sector: asset.sector,
+    assetClass: asset.assetClass,
+    bars: market.replay.series[asset.symbol]
+  }));
+
+  const updateDifficultySetting = (field, input) => {
+    const entered = parseFloat(input.value);
+    const value = field.percent ? entered / 100 : entered;
+    const error = validateSetting(field, value);
+    if (error) {
+      showToast(error);
+      input.value = field.percent ? +(session.difficulty[field.key] * 100).toFixed(4) : session.difficulty[field.key];
+      return;
+    }
+
+    const difficulty = { ...session.difficulty, [field.key]: value };
+    applyDifficulty({ ...difficulty, preset: matchPreset(difficulty) });
+  };
+
+  // Trading functions
+
+  // Settles an order filling now at `fill`: checks it can be afforded, applies and records
+  // the trade and leaves any bracket legs behind. Problems go to `notify`. Returns whether
+  // it filled.
+  const fillNow = useCallback((order, fill, notify = showToast) => {
+    const current = portfolioRef.current;
+    const costPerUnit = fill.price + fill.commission / fill.quantity;
+    const fundsError = checkOrderFunds(
+      current, marketData, openOrdersRef.current, { symbol: order.symbol, side: order.side, quantity: fill.quantity }, costPerUnit
+    );
+    if (fundsError) {
+      notify(fundsError);
+      return false;
+    }
+
+    const trade = { symbol: order.symbol, action: order.side, ...fill };
+    const result = applyTrade(current, trade);
+    if (result.error) {
+      notify(result.error);
+      return false;
+    }
+
+    updatePortfolio(result.portfolio);
+    recordTrades([{ ...trade, profit: result.profit, orderType: order.type, botId: order.botId ?? null }], market.time);
+    takeFromBooks([trade]);
+    if (order.bracket) updateOpenOrders(prev => addBracketLegs(prev, order, fill.quantity, market.time));
+    return true;
+  }, [market.time, marketData, recordTrades, showToast, takeFromBooks, updatePortfolio, updateOpenOrders]);
+
+  // Sends a validated order: it fills now, rests or queues. Problems go to `notify`.
+  // Returns whether it went through.
+  const submitOrder = useCallback((order, notify = showToast) => {
+    const asset = marketData[order.symbol];
+    if (!asset) return false;
+    // The latest portfolio, so orders sent in quick succession see each other (see portfolioRef)
+    const current = portfolioRef.current;
+
+    // Limits are checked again in case the account moved while the preview was open
+    const riskError = checkRiskLimits(current, marketData, order);
+    if (riskError) {
+      notify(riskError);
+      return false;
+    }
+
+    // IOC and FOK orders trade against the book now and never rest
+    if (isImmediate(order)) {
+      const fill = estimateOrder({ order, asset, orderBook: market.orderBooks[order.symbol], fees: current.account.fees });
+      if (fill.quantity === 0) {
+        notify(order.timeInForce === "fok"
+          ? "Not enough liquidity within the limit to fill in full; FOK order cancelled"
+          : "Nothing to fill within the limit; IOC order cancelled", { tone: "info" });
+        return false;
+      }
+      if (!fillNow(order, fill, notify)) return false;
+      if (fill.quantity < order.quantity) {
+        notify(`IOC order filled ${fmtQuantity(fill.quantity)} of ${fmtQuantity(order.quantity)} ${order.symbol}; the rest was cancelled`, { tone: "info" });
+      }
+      return true;
+    }
+
+    // Limits join the market's order book and stops wait for their trigger; market
+    // orders queue while the asset's regular session is shut and fill at the open
+    const queued = order.type === "market" && assetSession(market, asset) !== "regular";
+    if (order.type !== "market" || queued) {
+      const resting = {
+        ...order,
+        expiresAt: order.timeInForce === "day" ? dayOrderExpiry(market, asset, market.time) : null
+      };
+      const fundsError = checkOrderFunds(current, marketData, openOrdersRef.current, resting, reservePrice(resting));
+      if (fundsError) {
+        notify(fundsError);
+        return false;
+      }
+
+      updateOpenOrders(prev => [...prev, resting]);
+      return true;
+    }
+
+    // Market orders walk the book, so large sizes fill progressively worse
+    const fill = estimateOrder({ order, asset, orderBook: market.orderBooks[order.symbol], fees: current.account.fees });
+    return fillNow(order, fill, notify);
+  }, [market, marketData, fillNow, showToast, updateOpenOrders]);
+
+  // Sends the ticket's order, clearing its quantity once the order has gone through
+  const sendTicketOrder = (order) => {
+    setOrderPreview(null);
+    if (submitOrder(order)) setTradingState(prev => ({ ...prev, quantity: "" }));
+  };
+
+  // Buy and sell go through the order preview, unless it's been switched off
+  const executeTrade = (action) => {
+    if (!currentAsset || !tradingState.quantity) return;
+
+    const order = ticketOrder(action);
+    const error = validateOrder(order, { market, portfolio, notional: tradingState.sizeMode === "notional" });
+    if (error) {
+      showToast(error);
+      return;
+    }
+
+    if (tradingState.confirmOrders) setOrderPreview(order);
+    else sendTicketOrder(order);
+  };
+
+  // Strategy bots
+  const appendBotLog = useCallback((id, entries) => setBotState(prev => ({
+    ...prev,
+    logs: { ...prev.logs, [id]: [...[...entries].reverse(), ...(prev.logs[id] ?? [])].slice(0, MAX_BOT_LOG) }
+  })), []);
+
+  // Stops a bot's worker and cancels its resting orders; with an `error` it's marked as
+  // failed, with the reason in its log
+  const stopBot = useCallback((id, error = null) => {
+    botWorkersRef.current[id]?.worker.terminate();
+    delete botWorkersRef.current[id];
+    setBotRequests(prev => prev.filter(request => request.botId !== id));
+    updateOpenOrders(prev => prev.filter(order => order.botId !== id));
+    setBotState(prev => {
+      const status = { ...prev.status };
+      if (error) status[id] = "error";
+      else delete status[id];
+      return { ...prev, status };
+    });
+    appendBotLog(id, [{
+      time: engine.getState().time,
+      level: error ? "error" : "info",
+      message: error ?? "Stopped; its resting orders were cancelled"
+    }]);
+  }, [appendBotLog, engine, updateOpenOrders]);
+
+  const stopAllBots = () => Object.keys(botWorkersRef.current).forEach(id => stopBot(id));
+
+  // A bot's answer to a tick: log lines go to its log, orders and cancels join the queue
+  const receiveBotResult = useCallback((id, { orders, cancels, logs, error }) => {
+    const entry = botWorkersRef.current[id];
+    if (!entry) return;
+    entry.busy = false;
+    if (logs.length > 0) appendBotLog(id, logs);
+    if (error) {
+      stopBot(id, `Stopped: ${error}`);
+      return;
+    }
+    if (orders.length + cancels.length > 0) {
+      setBotRequests(prev => [
+        ...prev,
+        ...cancels.map(cancel => ({ botId: id, cancel })),
+        ...orders.map(order => ({ botId: id, order }))
+      ]);
+    }
+  }, [appendBotLog, stopBot]);
+
+  // Each bot runs in its own worker, so a stuck one can be stopped without the others
+  const startBot = (bot) => {
+    if (botWorkersRef.current[bot.id]) return;
+    const worker = new Worker(new URL("./trading/botWorker.js", import.meta.url), { type: "module" });
+    const { update, since } = marketUpdate(market);
+    botWorkersRef.current[bot.id] = { worker, busy: true, sentAt: now(), time: market.time, since };
+    worker.onmessage = ({ data }) => receiveBotResult(bot.id, data);
+    worker.onerror = (event) => {
+      event.preventDefault();
+      stopBot(bot.id, `Stopped: ${event.message || "the worker failed to load"}`);
+    };
+    worker.postMessage({
+      type: "start",
+      code: bot.code,
+      update,
+      portfolio: botPortfolio(portfolio, openOrders, bot.id, botLedgers[bot.id])
+    });
+    setBotState(prev => ({ ...prev, status: { ...prev.status, [bot.id]: "running" } }));
+    appendBotLog(bot.id, [{ time: market.time, level: "info", message: "Started" }]);
+  };
+
+  // Sends every running bot the new tick. A bot still busy with an earlier one skips it
+  // (and gets the points it missed next time).
+  useEffect(() => {
+    Object.entries(botWorkersRef.current).forEach(([id, entry]) => {
+      if (entry.time === market.time || entry.busy) return;
+      const { update, since } = marketUpdate(market, entry.since);
+      Object.assign(entry, { busy: true, sentAt: now(), time: market.time, since });
+      entry.worker.postMessage({ type: "tick", update, portfolio: botPortfolio(portfolio, openOrders, id, botLedgers[id]) });
+    });
+  }, [market, portfolio, openOrders, botLedgers]);
+
+  // A bot busy for too long is stopped. This runs on its own timer, so a hung bot is
+  // stopped while the clock is paused too.
+  const hasRunningBots = Object.values(botState.status).includes("running");
+  useEffect(() => {
+    if (!hasRunningBots) return;
+    const interval = setInterval(() => {
+      Object.entries(botWorkersRef.current).forEach(([id, entry]) => {
+        if (entry.busy && now() - entry.sentAt > BOT_TIMEOUT) stopBot(id, `Stopped: took over ${BOT_TIMEOUT / 1000}s to answer a tick`);
+      });
+    }, BOT_TIMEOUT / 4);
+    return () => clearInterval(interval);
+  }, [hasRunningBots, stopBot]);
+
+  useEffect(() => {
+    const workers = botWorkersRef.current;
+    return () => Object.values(workers).forEach(entry => entry.worker.terminate());
+  }, []);
+
+  // Places a bot's order through the same checks as the ticket's, or cancels its own
+  // resting orders (by id, by symbol or all of them). Outcomes go to the bot's log.
+  const placeBotRequest = useCallback(({ botId, order: request, cancel }) => {
+    const report = (message, { tone = "error" } = {}) =>
+      appendBotLog(botId, [{ time: market.time, level: tone === "error" ? "error" : "info", message }]);
+
+    if (cancel) {
+      const matches = (order) => cancel.id ? order.id === cancel.id : cancel.symbol === null || order.symbol === cancel.symbol;
+      updateOpenOrders(prev => prev.filter(order => order.botId !== botId || !matches(order)));
+      return;
+    }
+
+    const requestError = validateBotRequest(request, marketData);
+    if (requestError) {
+      report(`Order rejected: ${requestError}`);
+      return;
+    }
+    const order = botOrder(request, marketData[request.symbol], botId, market.time);
+    const error = validateOrder(order, { market, portfolio });
+    if (error) {
+      report(`Order rejected: ${error}`);
+      return;
+    }
+    if (submitOrder(order, report)) {
+      report(`${ORDER_TYPE_LABELS[order.type]} order to ${order.side} ${fmtQuantity(order.quantity)} ${order.symbol} sent`, { tone: "info" });
+    }
+  }, [appendBotLog, market, marketData, portfolio, submitOrder, updateOpenOrders]);
+
+  // Bots' requests are placed one per render, so each order is checked against the
+  // account as the one before it left it
+  const placedRequestRef = useRef(null);
+  useEffect(() => {
+    const [request] = botRequests;
+    if (!request || placedRequestRef.current === request) return;
+    placedRequestRef.current = request;
+    setBotRequests(prev => prev.slice(1));
+    if (botWorkersRef.current[request.botId]) placeBotRequest(request);
+  }, [botRequests, placeBotRequest]);
+
+  // Bot scripts outlive any single game
+  useEffect(() => {
+    try {
+      storeBots(botState.bots);
+    } catch (error) {
+      showToast(error.message);
+    }
+  }, [botState.bots, showToast]);
+
+  const selectBot = (bot) => setBotState(prev => ({ ...prev, selected: bot.id, draft: { name: bot.name, code: bot.code } }));
+
+  // Opens a new, unsaved bot in the editor with a template's code
+  const newBot = (template) => setBotState(prev => ({
+    ...prev,
+    template,
+    selected: null,
+    draft: { name: BOT_TEMPLATES[template].label, code: BOT_TEMPLATES[template].code }
+  }));
+
+  const saveBotDraft = () => {
+    const error = validateBot(botState.draft);
+    if (error) {
+      showToast(error);
+      return;
+    }
+    const id = botState.selected ?? Math.random().toString(36).substr(2, 9);
+    const bot = { id, name: botState.draft.name.trim(), code: botState.draft.code };
+    setBotState(prev => ({
+      ...prev,
+      selected: id,
+      bots: prev.selected ? prev.bots.map(existing => existing.id === id ? bot : existing) : [...prev.bots, bot]
+    }));
+    if (botWorkersRef.current[id]) showToast("Saved. Restart the bot to run the new code.", { tone: "info" });
+  };
+
+  const deleteBot = (id) => {
+    if (botWorkersRef.current[id]) stopBot(id);
+    setBotState(prev => {
+      const logs = { ...prev.logs };
+      delete logs[id];
+      return { ...prev, bots: prev.bots.filter(bot => bot.id !== id), logs, selected: prev.selected === id ? null : prev.selected };
+    });
+  };
+
+  const clearBotLog = (id) => setBotState(prev => ({ ...prev, logs: { ...prev.logs, [id]: [] } }));
+
+  const botName = (id) => botState.bots.find(bot => bot.id === id)?.name ?? "Deleted bot";
+
+  // Backtests
+  const setBacktestField = (field, value) => setBacktestState(prev => ({ ...prev, form: { ...prev.form, [field]: value } }));
+
+  // Code of the strategy a backtest runs: a template's or a saved bot's
+  const backtestCode = (strategy) => {
+    const [kind, id] = strategy.split(":");
+    return kind === "bot" ? botState.bots.find(bot => bot.id === id)?.code : BOT_TEMPLATES[id]?.code;
+  };
+
+  const stopBacktest = () => {
+    backtestWorkerRef.current?.terminate();
+    backtestWorkerRef.current = null;
+    setBacktestState(prev => ({ ...prev, running: false }));
+  };
+
+  // Runs every combination of the sweep over the seeds from the form's onward, in a worker
+  // so the game carries on meanwhile. Runs use the game's universe, market settings,
+  // account and starting cash.
+  const startBacktest = () => {
+    const { form } = backtestState;
+    const code = backtestCode(form.strategy);
+    if (!code) {
+      showToast("Pick a strategy to backtest!");
+      return;
+    }
+    let grid;
+    try {
+      grid = sweepGrid(parseSweep(form.sweep));
+    } catch (error) {
+      showToast(error.message, { title: "Parameter sweep" });
+      return;
+    }
+    const days = parseFloat(form.days);
+    const seeds = Number(form.seeds);
+    const error = validateBacktest({ days, interval: form.interval, seeds }, grid);
+    if (error) {
+      showToast(error);
+      return;
+    }
+
+    // Numeric seeds are used as they are, anything else is hashed
+    const firstSeed = /^\d+$/.test(form.seed.trim()) ? Number(form.seed) : hashSeed(form.seed);
+    const runs = grid.flatMap(params => Array.from({ length: seeds }, (_, i) => ({ params, seed: firstSeed + i })));
+    const config = {
+      code,
+      days,
+      interval: form.interval,
+      symbols: universe.assets,
+      settings: market.settings,
+      account: portfolio.account,
+      startingCash: session.difficulty.startingCash
+    };
+
+    backtestWorkerRef.current?.terminate();
+    const worker = new Worker(new URL("./trading/backtestWorker.js", import.meta.url), { type: "module" });
+    worker.onmessage = ({ data }) => {
+      if (data.type === "progress") {
+        setBacktestState(prev => ({ ...prev, done: data.done }));
+      } else if (data.type === "run") {
+        setBacktestState(prev => ({ ...prev, runs: [...prev.runs, data.run], done: prev.runs.length + 1 }));
+      } else {
+        worker.terminate();
+        backtestWorkerRef.current = null;
+        setBacktestState(prev => ({ ...prev, running: false }));
+      }
+    };
+    worker.onerror = (event) => {
+      event.preventDefault();
+      stopBacktest();
+      showToast(`Backtest failed: ${event.message}`);
+    };
+    worker.postMessage({ config, runs });
+    backtestWorkerRef.current = worker;
+    setBacktestState(prev => ({ ...prev, running: true, total: runs.length, done: 0, runs: [], selected: null, seed: null }));
+  };
+
+  useEffect(() => () => backtestWorkerRef.current?.terminate(), []);
+
+  // Summary rows in the chosen order, unmeasured values last. Parameter columns sort by
+  // "param:<name>".
+  const backtestRows = useMemo(() => {
+    const { key, descending } = backtestState.sort;
+    const valueOf = (row) => (key.startsWith("param:") ? row.params[key.slice(6)] : row[key]) ?? null;
+    return summarizeRuns(backtestState.runs).sort((a, b) => {
+      const [x, y] = [valueOf(a), valueOf(b)];
+      if (x === null || y === null) return (x === null) - (y === null);
+      return descending ? y - x : x - y;
+    });
+  }, [backtestState.runs, backtestState.sort]);
+
+  // What the results panel shows besides the table: the swept parameters, the chosen
+  // combination's runs with their equity curves side by side (one line per seed), the run
+  // shown in detail, and the return and drawdown distributions across every run
+  const backtestView = useMemo(() => {
+    const runs = backtestState.runs;
+    if (runs.length === 0) return null;
+    const row = backtestRows.find(candidate => candidate.key === backtestState.selected) ?? backtestRows[0];
+    const group = runs.filter(run => paramsKey(run.params) === row.key);
+    const shown = group.slice(0, BACKTEST_CURVES);
+    const bins = (values) => histogram(values).map(bin => ({ label: fmtPercent((bin.from + bin.to) / 2), count: bin.count }));
+    return {
+      paramNames: [...new Set(runs.flatMap(run => Object.keys(run.params)))],
+      row,
+      group,
+      run: group.find(run => run.seed === backtestState.seed) ?? group[0],
+      curves: shown[0].equity.map((point, index) => ({
+        time: point.time,
+        ...Object.fromEntries(shown.map(run => [run.seed, run.equity[index]?.value]))
+      })),
+      curveSeeds: shown.map(run => run.seed),
+      returns: bins(runs.map(run => run.report.totalReturn)),
+      drawdowns: bins(runs.map(run => run.report.maxDrawdown))
+    };
+  }, [backtestState.runs, backtestState.selected, backtestState.seed, backtestRows]);
+
+  // Clicking a column sorts by it, best first; clicking it again flips the order
+  const sortBacktest = (key, lowerIsBetter = false) => setBacktestState(prev => ({
+    ...prev,
+    sort: { key, descending: prev.sort.key === key ? !prev.sort.descending : !lowerIsBetter }
+  }));
+
+  // Currencies
+  const setConversionField = (field, value) => setCurrencyState(prev => ({ ...prev, conversion: { ...prev.conversion, [field]: value } }));
+  const setCrossField = (field, value) => setCurrencyState(prev => ({ ...prev, cross: { ...prev.cross, [field]: value } }));
+
+  // Picks a cross pair, keeping the quote if the new base is quoted in it
+  const selectCrossPair = (base, quote) => setCurrencyState(prev => ({
+    ...prev,
+    cross: { ...prev.cross, base, quote: crossQuotes(marketData, base).includes(quote) ? quote : crossQuotes(marketData, base)[0] }
+  }));
+
+  const planContext = { fx: market.fx, assets: marketData, orderBooks: market.orderBooks, fees: portfolio.account.fees, time: market.time };
+
+  // Settles a conversion or cross pair plan like a market order: its legs are checked
+  // against the risk limits and the account, then fill and take from the books
+  const executePlan = (plan) => {
+    const current = portfolioRef.current;
+    const legs = plan.steps.filter(step => step.trade).map(step => step.trade);
+    const riskError = legs
+      .map(leg => checkRiskLimits(current, marketData, { symbol: leg.symbol, side: leg.action, quantity: leg.quantity }))
+      .find(Boolean);
+    const fundsError = riskError ?? checkPlanFunds(current, marketData, openOrdersRef.current, plan);
+    const result = fundsError ? { error: fundsError } : applyPlan(current, plan);
+    if (result.error) {
+      showToast(result.error);
+      return false;
+    }
+
+    const { trades } = result;
+    updatePortfolio(result.portfolio);
+    if (trades.length > 0) {
+      recordTrades(trades.map(trade => ({ ...trade, orderType: "market" })), market.time);
+      takeFromBooks(trades);
+    }
+    return true;
+  };
+
+  const convertCurrency = () => {
+    const { from, to } = currencyState.conversion;
+    const amount = parseFloat(currencyState.conversion.amount);
+    const error = validateConversion({ from, to, amount }, market.fx, marketData);
+    if (error) {
+      showToast(error);
+      return;
+    }
+    const plan = planConversion({ from, to, amount }, planContext);
+    if (!plan) {
+      showToast(`That's less than one lot of ${CURRENCIES[from].asset ?? CURRENCIES[to].asset}!`);
+      return;
+    }
+    if (executePlan(plan)) {
+      setConversionField("amount", "");
+      showToast(`Converted ${fmtMoney(amount, from)} to ${fmtMoney(plan.total, to)}`, { tone: "info" });
+    }
+  };
+
+  const tradeCrossPair = (side) => {
+    const { base, quote } = currencyState.cross;
+    const order = { base, quote, side, quantity: parseFloat(currencyState.cross.quantity) };
+    const error = validateCrossOrder(order, marketData);
+    if (error) {
+      showToast(error);
+      return;
+    }
+    const plan = planCrossTrade(order, planContext);
+    if (!plan) {
+      showToast(`That's too small to trade ${pairName(base, quote)} in whole lots!`);
+      return;
+    }
+    if (executePlan(plan)) {
+      setCrossField("quantity", "");
+      // A buy can come to a lot less than asked, when whole lots of the quote fall short
+      showToast(
+        `${side === "buy" ? "Bought" : "Sold"} ${fmtQuantity(plan.quantity)} ${pairName(base, quote)} at ${fmtQuantity(plan.price)} ${quote}`,
+        { tone: "info" }
+      );
+    }
+  };
+
+  const cryptoSymbols = Object.values(marketData).filter(asset => asset.assetClass === "crypto").map(asset => asset.symbol);
+  const crossColumns = [...new Set(cryptoSymbols.flatMap(symbol => crossQuotes(marketData, symbol)))];
+
+  // Previews of the forms at the current books and rates, while the panel is open
+  const conversionInput = { ...currencyState.conversion, amount: parseFloat(currencyState.conversion.amount) };
+  const conversionPreview = currencyState.isOpen && !validateConversion(conversionInput, market.fx, marketData)
+    ? planConversion(conversionInput, planContext)
+    : null;
+  const crossInput = { ...currencyState.cross, quantity: parseFloat(currencyState.cross.quantity) };
+  const crossPreview = currencyState.isOpen && !validateCrossOrder(crossInput, marketData)
+    ? { buy: planCrossTrade({ ...crossInput, side: "buy" }, planContext), sell: planCrossTrade({ ...crossInput, side: "sell" }, planContext) }
+    : null;
+
+  const setReportingCurrency = (code) => updatePortfolio(prev => ({ ...prev, account: { ...prev.account, reportingCurrency: code } }));
+
+  const cancelOrder = (orderId) => {
+    updateOpenOrders(prev => prev.filter(order => order.id !== orderId));
+    if (editingOrder?.id === orderId) setEditingOrder(null);
+  };
+
+  // Clicking a book level puts its price in the ticket; market and stop orders become limits
+  const prefillLimitPrice = (price) => setTradingState(prev => ({
+    ...prev,
+    orderType: prev.orderType === 'limit' || prev.orderType === 'stop_limit' ? prev.orderType : 'limit',
+    limitPrice: String(price)
+  }));
+
+  const startEditingOrder = (order) => {
+    setEditingOrder({
+      id: order.id,
+      quantity: String(order.quantity),
+      limitPrice: Number.isFinite(order.limitPrice) ? String(order.limitPrice) : "",
+      stopPrice: Number.isFinite(order.stopPrice) ? String(order.stopPrice) : ""
+    });
+  };
+
+  // Account settings
+  const setAccountType = (type) => {
+    const hasShorts = Object.values(portfolio.positions).some(position => position.quantity < 0);
+    if (type === "cash" && (hasShorts || portfolio.cash < 0)) {
+      showToast("Close short positions and repay margin debt before switching to a cash account!");
+      return;
+    }
+    updatePortfolio(prev => ({ ...prev, account: { ...prev.account, type } }));
+  };
+
+  // Settings are entered as percentages; the maintenance margin must stay below the initial margin
+  const updateAccountSetting = (key, input) => {
+    const value = parseFloat(input.value) / 100;
+    const account = { ...portfolio.account, [key]: value };
+    const valid = Number.isFinite(value) &&
+      (key === "borrowRate" ? value >= 0 && value <= 1 : value > 0 && value <= 1) &&
+      account.maintenanceMargin < account.initialMargin;
+
+    if (!valid) {
+      showToast("Margins must be between 0% and 100%, with maintenance below initial margin!");
+      input.value = +(portfolio.account[key] * 100).toFixed(2);
+      return;
+    }
+    updatePortfolio(prev => ({ ...prev, account: { ...prev.account, [key]: value } }));
+  };
+
+  // Risk limits are entered in dollars or percentages; a blank field switches the limit off
+  const updateRiskLimit = (field, input) => {
+    const entered = input.value.trim();
+    const value = entered === "" ? null : parseFloat(entered) / (field.percent ? 100 : 1);
+    if (value !== null && !(value > 0)) {
+      showToast("Risk limits must be more than zero, or blank to switch them off!");
+      const current = portfolio.account.risk[field.key];
+      input.value = current === null ? "" : field.percent ? +(current * 100).toFixed(2) : current;
+      return;
+    }
+    updatePortfolio(prev => ({
+      ...prev,
+      account: { ...prev.account, risk: { ...prev.account.risk, [field.key]: value } }
+    }));
+  };
+
+  // Position protection. Saving restarts a trailing stop from the current price.
+  const startProtecting = (symbol) => {
+    const protection = portfolio.positions[symbol]?.protection;
+    const text = (value) => value === null || value === undefined ? "" : String(value);
+    setProtectionForm({
+      symbol,
+      stopLoss: text(protection?.stopLoss),
+      takeProfit: text(protection?.takeProfit),
+      trailMode: protection?.trailing?.mode ?? "percent",
+      trailValue: text(protection?.trailing?.value)
+    });
+  };
+
+  const saveProtection = () => {
+    const { symbol } = protectionForm;
+    const position = portfolio.positions[symbol];
+    const asset = marketData[symbol];
+    if (!position || !asset) {
+      setProtectionForm(null);
+      return;
+    }
+
+    const level = (text) => text.trim() === "" ? null : parseFloat(text);
+    const levels = {
+      stopLoss: level(protectionForm.stopLoss),
+      takeProfit: level(protectionForm.takeProfit),
+      trail: protectionForm.trailValue.trim() === ""
+        ? null
+        : { mode: protectionForm.trailMode, value: parseFloat(protectionForm.trailValue) }
+    };
+    const error = validateProtection(levels, position, asset);
+    if (error) {
+      showToast(error);
+      return;
+    }
+
+    updatePortfolio(prev => setPositionProtection(prev, symbol, createProtection(levels, position, asset)));
+    setProtectionForm(null);
+  };
+
+  const removeProtection = (symbol) => {
+    updatePortfolio(prev => setPositionProtection(prev, symbol, null));
+    if (protectionForm?.symbol === symbol) setProtectionForm(null);
+  };
+
+  // Commission schedules are set per asset class
+  const updateFeeSchedule = (assetClass, changes) => {
+    updatePortfolio(prev => ({
+      ...prev,
+      account: {
+        ...prev.account,
+        fees: { ...prev.account.fees, [assetClass]: { ...prev.account.fees[assetClass], ...changes } }
+      }
+    }));
+  };
+
+  const updateFeeSetting = (assetClass, param, input) => {
+    const entered = parseFloat(input.value);
+    const value = param.percent ? entered / 100 : entered;
+    const current = portfolio.account.fees[assetClass][param.key];
+
+    if (!Number.isFinite(value) || value < 0 || (param.percent && value > 1)) {
+      showToast("Fees must be zero or more, and percentages no higher than 100%!");
+      input.value = param.percent ? +(current * 100).toFixed(4) : current;
+      return;
+    }
+    updateFeeSchedule(assetClass, { [param.key]: value });
+  };
+
+  // Re-check reservations as if the original order were already cancelled
+  const saveOrderEdit = () => {
+    const original = openOrders.find(order => order.id === editingOrder.id);
+    if (!original) {
+      setEditingOrder(null);
+      return;
+    }
+
+    // A new revision sends a resting limit to the back of the book's queue at its new price and size
+    const updated = {
+      ...original,
+      quantity: parseFloat(editingOrder.quantity),
+      limitPrice: parseFloat(editingOrder.limitPrice),
+      stopPrice: parseFloat(editingOrder.stopPrice),
+      revision: (original.revision ?? 0) + 1
+    };
+
+    const asset = marketData[updated.symbol];
+    const quote = asset && (updated.side === "buy" ? asset.ask : asset.bid);
+    const error = validateOrderPrices(updated) ||
+      (asset && validateOrderSize(updated, asset)) ||
+      (asset && updated.bracket && validateBracket(updated, bracketEntryPrice(updated, quote))) ||
+      (asset && checkRiskLimits(portfolio, marketData, updated));
+    if (error) {
+      showToast(error);
+      return;
+    }
+
+    const others = openOrders.filter(order => order.id !== original.id);
+    const fundsError = checkOrderFunds(portfolio, marketData, others, updated, reservePrice(updated));
+    if (fundsError) {
+      showToast(fundsError);
+      return;
+    }
+
+    updateOpenOrders(prev => prev.map(order => order.id === updated.id ? updated : order));
+    setEditingOrder(null);
+  };
+
+  // Indicator actions
+  const addIndicator = () => {
+    setIndicatorState(prev => ({
+      ...prev,
+      active: [...prev.active, createIndicator(prev.newType, prev.active.length)]
+    }));
+  };
+
+  const removeIndicator = (id) => {
+    setIndicatorState(prev => ({ ...prev, active: prev.active.filter(instance => instance.id !== id) }));
+  };
+
+  const updateIndicatorParam = (id, key, value) => {
+    setIndicatorState(prev => ({
+      ...prev,
+      active: prev.active.map(instance => instance.id === id
+        ? { ...instance, params: { ...instance.params, [key]: parseFloat(value) } }
+        : instance)
+    }));
+  };
+
+  const symbolPresets = indicatorState.presets[tradingState.selectedSymbol] || [];
+
+  const saveIndicatorPreset = () => {
+    const name = indicatorState.presetName.trim();
+    if (!name || indicatorState.active.length === 0) return;
+
+    const symbol = tradingState.selectedSymbol;
+    const presets = {
+      ...indicatorState.presets,
+      [symbol]: [
+        ...symbolPresets.filter(preset => preset.name !== name),
+        { name, indicators: indicatorState.active }
+      ]
+    };
+    try {
+      storeIndicatorPresets(presets);
+    } catch (error) {
+      showToast(error.message);
+      return;
+    }
+    setIndicatorState(prev => ({ ...prev, presets, presetName: "" }));
+  };
+
+  const applyIndicatorPreset = (preset) => {
+    setIndicatorState(prev => ({ ...prev, active: preset.indicators }));
+  };
+
+  const deleteIndicatorPreset = (name) => {
+    const symbol = tradingState.selectedSymbol;
+    const presets = {
+      ...indicatorState.presets,
+      [symbol]: symbolPresets.filter(preset => preset.name !== name)
+    };
+    try {
+      storeIndicatorPresets(presets);
+    } catch (error) {
+      showToast(error.message);
+      return;
+    }
+    setIndicatorState(prev => ({ ...prev, presets }));
+  };
+
+  // Chart data preparation with proper historical data
+  const rangeHistory = useMemo(() => {
+    if (!currentAsset) return [];
+
+    const dataPoints = [...currentAsset.history];
+    const nowTime = market.time;
+    let filteredData = [];
+
+    switch (tradingState.chartRange) {
+      case "1D":
+        // Last 390 minutes (trading day)
+        filteredData = dataPoints.filter(point => point.timestamp > nowTime - 24 * 60 * 60 * 1000);
+        break;
+      case "1W":
+        // Last 7 days
+        filteredData = dataPoints.filter(point => point.timestamp > nowTime - 7 * 24 * 60 * 60 * 1000);
+        break;
+      case "1M":
+        // Last 30 days
+        filteredData = dataPoints.filter(point => point.timestamp > nowTime - 30 * 24 * 60 * 60 * 1000);
+        break;
+      default:
+        // All data (30 days)
+        filteredData = dataPoints;
+        break;
+    }
+
+    return filteredData;
+  }, [currentAsset, market.time, tradingState.chartRange]);
+
+  const chartData = useMemo(() => rangeHistory.map(point => ({
+    ...point,
+    time: point.timestamp,
+    value: point.price
+  })), [rangeHistory]);
+
+  // OHLC bars for the candlestick view; `range` drives the bar the candle shape is drawn over
+  const candleData = useMemo(() => {
+    if (tradingState.chartType !== "candles") return [];
+    return aggregateCandles(rangeHistory, CANDLE_TIMEFRAMES[tradingState.candleTimeframe])
+      .slice(-MAX_CANDLES)
+      .map(candle => ({ ...candle, range: [candle.low, candle.high] }));
+  }, [rangeHistory, tradingState.chartType, tradingState.candleTimeframe]);
+
+  // Whichever series is on screen, with every active indicator's outputs added to its rows
+  const indicatorData = useMemo(
+    () => applyIndicators(tradingState.chartType === "candles" ? candleData : chartData, indicatorState.active),
+    [tradingState.chartType, candleData, chartData, indicatorState.active]
+  );
+  const overlayIndicators = indicatorState.active.filter(instance => INDICATORS[instance.type].pane === "price");
+  const oscillatorIndicators = indicatorState.active.filter(instance => INDICATORS[instance.type].pane === "oscillator");
+
+  // Overlay lines drawn on the price pane
+  const renderOverlays = () => overlayIndicators.flatMap(instance =>
+    INDICATORS[instance.type].outputs.map(output => (
+      <Line
+        key={indicatorKey(instance, output.key)}
+        type="monotone"
+        dataKey={indicatorKey(instance, output.key)}
+        name={`${INDICATORS[instance.type].label} ${output.label}`}
+        stroke={instance.color}
+        strokeDasharray={output.dashed ? "4 3" : undefined}
+        dot={false}
+        strokeWidth={1.5}
+        connectNulls
+        isAnimationActive={false}
+      />
+    ))
+  );
+
+  // Format timestamp for chart
+  const formatTime = (timestamp) => {
+    const date = new Date(timestamp);
+    switch (tradingState.chartRange) {
+      case "1D":
+        return date.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+      case "1W":
+      case "1M":
+      case "ALL":
+        return date.toLocaleDateString([], { month: 'short', day: 'numeric' });
+      default:
+        return date.toLocaleDateString();
+    }
+  };
+
+  // Render component
+  return (
+    <div className="min-h-screen bg-gray-900 text-white">
+      {/* Header */}
+      <header className="bg-gray-800 border-b border-gray-700 p-4 sticky top-0 z-50">
+        <div className="max-w-7xl mx-auto flex justify-between items-center">
           <div className="flex items-center space-x-4">
             <h1 className="text-2xl font-bold text-blue-400 flex items-center">
               <span className="mr-2">📈</span> Quantum Trader Pro
             </h1>
             <div className={`px-3 py-1 rounded-full text-sm font-medium ${
-              marketStatus.sentiment > 0.2 ? "bg-green-500/20 text-green-400" :
-              marketStatus.sentiment < -0.2 ? "bg-red-500/20 text-red-400" :
+              market.sentiment > 0.2 ? "bg-green-500/20 text-green-400" :
+              market.sentiment < -0.2 ? "bg-red-500/20 text-red-400" :
               "bg-gray-600/20 text-gray-400"
             }`}>
-              {marketStatus.sentiment > 0.2 ? "牛市" : 
-               marketStatus.sentiment < -0.2 ? "熊市" : "震荡"}
+              {market.sentiment > 0.2 ? "牛市" : 
+               market.sentiment < -0.2 ? "熊市" : "震荡"}
+            </div>
+          </div>
+          
+          <div className="flex items-center space-x-4">
+            <button
+              onClick={() => setShowSettings(prev => !prev)}
+              className={`px-3 py-1.5 rounded-lg text-sm font-medium transition-all ${
+                showSettings ? 'bg-blue-600 text-white' : 'bg-gray-700 hover:bg-gray-600 text-gray-300'
+              }`}
+            >
+              ⚙️ {difficultyLabel(session.difficulty)}
+            </button>
+            <button
+              onClick={() => setShowScenarios(prev => !prev)}
+              className={`px-3 py-1.5 rounded-lg text-sm font-medium transition-all ${
+                showScenarios ? 'bg-blue-600 text-white' : 'bg-gray-700 hover:bg-gray-600 text-gray-300'
+              }`}
+            >
+              🎯 Scenarios
+            </button>
+            <button
+              onClick={() => setReplayState(prev => ({ ...prev, isOpen: !prev.isOpen }))}
+              className={`px-3 py-1.5 rounded-lg text-sm font-medium transition-all ${
+                replayState.isOpen ? 'bg-blue-600 text-white' : 'bg-gray-700 hover:bg-gray-600 text-gray-300'
+              }`}
+            >
+              📼 Replay
+            </button>
+            <button
+              onClick={() => setShowUniverse(prev => !prev)}
+              className={`px-3 py-1.5 rounded-lg text-sm font-medium transition-all ${
+                showUniverse ? 'bg-blue-600 text-white' : 'bg-gray-700 hover:bg-gray-600 text-gray-300'
+              }`}
+            >
+              🧩 Assets
+            </button>
+            <button
+              onClick={() => setCorrelationState(prev => ({ ...prev, isOpen: !prev.isOpen }))}
+              className={`px-3 py-1.5 rounded-lg text-sm font-medium transition-all ${
+                correlationState.isOpen ? 'bg-blue-600 text-white' : 'bg-gray-700 hover:bg-gray-600 text-gray-300'
+              }`}
+            >
+              🔗 Correlations
+            </button>
+            <button
+              onClick={() => setShowDiagnostics(prev => !prev)}
+              className={`px-3 py-1.5 rounded-lg text-sm font-medium transition-all ${
+                showDiagnostics ? 'bg-blue-600 text-white' : 'bg-gray-700 hover:bg-gray-600 text-gray-300'
+              }`}
+            >
+              📐 Models
+            </button>
+            <button
+              onClick={() => setNewsState(prev => ({ ...prev, isOpen: !prev.isOpen }))}
+              className={`px-3 py-1.5 rounded-lg text-sm font-medium transition-all ${
+                newsState.isOpen ? 'bg-blue-600 text-white' : 'bg-gray-700 hover:bg-gray-600 text-gray-300'
+              }`}
+            >
+              📰 News
+            </button>
+            <button
+              onClick={() => setBotState(prev => ({ ...prev, isOpen: !prev.isOpen }))}
+              className={`px-3 py-1.5 rounded-lg text-sm font-medium transition-all ${
+                botState.isOpen ? 'bg-blue-600 text-white' : 'bg-gray-700 hover:bg-gray-600 text-gray-300'
+              }`}
+            >
+              🤖 Bots
+            </button>
+            <button
+              onClick={() => setBacktestState(prev => ({ ...prev, isOpen: !prev.isOpen }))}
+              className={`px-3 py-1.5 rounded-lg text-sm font-medium transition-all ${
+                backtestState.isOpen ? 'bg-blue-600 text-white' : 'bg-gray-700 hover:bg-gray-600 text-gray-300'
+              }`}
+            >
+              🧪 Backtest
+            </button>
+            <button
+              onClick={() => setCurrencyState(prev => ({ ...prev, isOpen: !prev.isOpen }))}
+              className={`px-3 py-1.5 rounded-lg text-sm font-medium transition-all ${
+                currencyState.isOpen ? 'bg-blue-600 text-white' : 'bg-gray-700 hover:bg-gray-600 text-gray-300'
+              }`}
+            >
+              💱 Currencies
+            </button>
+            <button
+              onClick={() => setSaveState(prev => ({ ...prev, isOpen: !prev.isOpen, saves: listSaves() }))}
+              className={`px-3 py-1.5 rounded-lg text-sm font-medium transition-all ${
+                saveState.isOpen ? 'bg-blue-600 text-white' : 'bg-gray-700 hover:bg-gray-600 text-gray-300'
+              }`}
+            >
+              💾 Saves
+            </button>
+            <button
+              onClick={toggleNotificationCentre}
+              className={`relative px-3 py-1.5 rounded-lg text-sm font-medium transition-all ${
+                alertState.isOpen ? 'bg-blue-600 text-white' : 'bg-gray-700 hover:bg-gray-600 text-gray-300'
+              }`}
+            >
+              🔔 Alerts
+              {unreadNotifications > 0 && (
+                <span className="absolute -top-1.5 -right-1.5 min-w-[1.25rem] px-1 rounded-full bg-red-500 text-white text-xs leading-5 text-center">
+                  {unreadNotifications}
+                </span>
+              )}
+            </button>
+            <div className="text-right">
+              <div className="text-lg font-semibold flex items-center justify-end">
+                Portfolio: <span className="text-green-400 ml-1">{fmtMoney(reportedValue, reportingCurrency)}</span>
+                {reportedPnl !== null && (
+                  <span className={`ml-2 text-sm ${reportedPnl >= 0 ? 'text-green-400' : 'text-red-400'}`}>
+                    ({reportedPnl >= 0 ? '+' : ''}{fmtMoney(reportedPnl, reportingCurrency)})
+                  </span>
+                )}
+                <select
+                  value={reportingCurrency}
+                  onChange={(e) => setReportingCurrency(e.target.value)}
+                  title="Report value and P/L in"
+                  className="ml-2 p-0.5 bg-gray-700 border border-gray-600 rounded text-xs text-white focus:border-blue-500 focus:outline-none"
+                >
+                  {Object.keys(CURRENCIES).filter(code => usdRate(market.fx, code)).map(code => (
+                    <option key={code} value={code}>{code}</option>
+                  ))}
+                </select>
+              </div>
+              {currencyHoldings.some(holding => holding.code !== BASE_CURRENCY && holding.amount !== 0) && (
+                <div className="text-xs text-gray-500 flex items-center justify-end gap-3">
+                  {currencyHoldings.filter(holding => holding.amount !== 0).map(holding => (
+                    <span key={holding.code} title={CURRENCIES[holding.code].label}>
+                      {holding.code} <span className="font-mono text-gray-300">{fmtMoney(holding.amount, holding.code)}</span>
+                    </span>
+                  ))}
+                </div>
+              )}
+              <div className="text-sm text-gray-400 flex items-center justify-end">
+                <span className="mr-4">Cash: {fmtCurrency(portfolio.cash)}</span>
+                <span className="mr-4">Buying Power: {fmtCurrency(buyingPower)}</span>
+                <span className="flex items-center">
+                  <span className={`h-2 w-2 rounded-full mr-1 ${SESSION_DOT_COLORS[marketSession]}`}></span>
+                  {SESSION_LABELS[marketSession]}
+                  {holiday && <span className="ml-1">({holiday})</span>}
+                  {marketSession !== "regular" && (
+                    <span className="ml-1 text-gray-500">
+                      · Opens {fmtOpen(nextRegularOpen(market.time))} · Crypto 24/7
+                    </span>
+                  )}
+                </span>
+              </div>
+            </div>
+          </div>
+        </div>
+
+        {/* Simulation Clock */}
+        <div className="max-w-7xl mx-auto mt-3 flex items-center space-x-2 text-sm">
+          <span className="font-mono text-gray-300 mr-2">🕒 {fmtMarketTime(market.time)}</span>
+          <button
+            onClick={togglePause}
+            className={`px-3 py-1 rounded-lg font-medium transition-all ${
+              clock.paused ? 'bg-yellow-600 text-white' : 'bg-gray-700 hover:bg-gray-600 text-gray-300'
+            }`}
+          >
+            {clock.paused ? '▶ Resume' : '⏸ Pause'}
+          </button>
+          {Object.entries(SIMULATION_SPEEDS).map(([id, speed]) => (
+            <button
+              key={id}
+              onClick={() => setSpeed(id)}
+              className={`px-2 py-1 rounded-lg text-xs font-medium transition-all ${
+                clock.speed === id ? 'bg-blue-600 text-white' : 'bg-gray-700 hover:bg-gray-600 text-gray-300'
+              }`}
+            >
+              {speed.label}
+            </button>
+          ))}
+          <button
+            onClick={skipToNextOpen}
+            disabled={!canSkip || !market.calendar || marketSession === "regular"}
+            className="px-2 py-1 rounded-lg text-xs font-medium bg-gray-700 hover:bg-gray-600 text-gray-300 disabled:opacity-40 disabled:cursor-not-allowed"
+          >
+            ⏭ Next open
+          </button>
+          <button
+            onClick={skipDay}
+            disabled={!canSkip}
+            className="px-2 py-1 rounded-lg text-xs font-medium bg-gray-700 hover:bg-gray-600 text-gray-300 disabled:opacity-40 disabled:cursor-not-allowed"
+          >
+            +1 day
+          </button>
+          {!market.replay && (
+            <span className={`px-2 py-1 rounded-lg text-xs font-medium ${
+              market.regime.current === 'turbulent' ? 'bg-red-600/30 text-red-300' : 'bg-gray-700 text-gray-400'
+            }`}>
+              {REGIMES[market.regime.current].label} market
+            </span>
+          )}
+        </div>
+      </header>
+
+      {/* Alerts & Notification Centre */}
+      {alertState.isOpen && (
+        <div className="max-w-7xl mx-auto px-4 pt-4">
+          <div className="bg-gray-800 rounded-xl p-4 shadow-lg border border-gray-700">
+            <div className="flex justify-between items-center mb-4">
+              <h2 className="text-lg font-semibold flex items-center">
+                <span className="mr-2">🔔</span> Alerts & Notifications
+              </h2>
+              <label className="flex items-center gap-2 text-sm text-gray-300">
+                <input
+                  type="checkbox"
+                  checked={alertState.browserNotifications}
+                  onChange={toggleBrowserNotifications}
+                />
+                Browser notifications
+              </label>
+            </div>
+
+            <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
+              <div>
+                <div className="flex justify-between items-center mb-2">
+                  <h3 className="font-semibold text-sm text-gray-300">Notifications</h3>
+                  {alertState.notifications.length > 0 && (
+                    <button onClick={clearNotifications} className="text-xs text-gray-400 hover:text-white">Clear</button>
+                  )}
+                </div>
+                {alertState.notifications.length > 0 ? (
+                  <div className="space-y-2 max-h-96 overflow-y-auto">
+                    {alertState.notifications.map(notification => (
+                      <div
+                        key={notification.id}
+                        className={`p-2 rounded-lg border text-sm ${
+                          notification.read ? 'bg-gray-700/30 border-gray-700' : 'bg-blue-500/10 border-blue-500/40'
+                        }`}
+                      >
+                        <div className="flex justify-between text-xs text-gray-400">
+                          <span>{notification.title}</span>
+                          <span>{fmtMarketTime(notification.time)}</span>
+                        </div>
+                        <div>{notification.message}</div>
+                      </div>
+                    ))}
+                  </div>
+                ) : (
+                  <div className="text-center text-gray-500 py-4 bg-gray-700/30 rounded-lg">No notifications yet</div>
+                )}
+              </div>
+
+              <div>
+                <h3 className="font-semibold text-sm text-gray-300 mb-2">New alert</h3>
+                <div className="grid grid-cols-2 md:grid-cols-3 gap-2 mb-2">
+                  <label className="text-xs text-gray-400">
+                    Type
+                    <select
+                      value={alertForm.type}
+                      onChange={(e) => updateAlertForm({ type: e.target.value })}
+                      className="w-full mt-1 p-1.5 bg-gray-700 border border-gray-600 rounded text-sm text-white"
+                    >
+                      {Object.entries(ALERT_TYPES).map(([key, type]) => (
+                        <option key={key} value={key}>{type.label}</option>
+                      ))}
+                    </select>
+                  </label>
+                  {!ALERT_TYPES[alertForm.type].news && (
+                    <label className="text-xs text-gray-400">
+                      Symbol
+                      <select
+                        value={alertForm.symbol}
+                        onChange={(e) => updateAlertForm({ symbol: e.target.value })}
+                        className="w-full mt-1 p-1.5 bg-gray-700 border border-gray-600 rounded text-sm text-white"
+                      >
+                        {Object.keys(marketData).map(symbol => (
+                          <option key={symbol} value={symbol}>{symbol}</option>
+                        ))}
+                      </select>
+                    </label>
+                  )}
+                  {alertFields(alertForm.type, alertForm.params).map(field => (
+                    <label key={field.key} className="text-xs text-gray-400">
+                      {field.label}
+                      {field.options ? (
+                        <select
+                          value={alertForm.params[field.key]}
+                          onChange={(e) => updateAlertParam(field, e.target.value)}
+                          className="w-full mt-1 p-1.5 bg-gray-700 border border-gray-600 rounded text-sm text-white"
+                        >
+                          {field.options(alertForm.params).map(([value, label]) => (
+                            <option key={value} value={value}>{label}</option>
+                          ))}
+                        </select>
+                      ) : (
+                        <input
+                          type="number"
+                          min={field.min}
+                          step={field.step}
+                          value={alertForm.params[field.key]}
+                          onChange={(e) => updateAlertParam(field, e.target.value)}
+                          className="w-full mt-1 p-1.5 bg-gray-700 border border-gray-600 rounded text-sm text-white"
+                        />
+                      )}
+                    </label>
+                  ))}
+                </div>
+                <div className="flex justify-between items-center mb-4">
+                  {ALERT_TYPES[alertForm.type].news ? (
+                    <span className="text-xs text-gray-400">Fires for every matching item</span>
+                  ) : (
+                    <label className="flex items-center gap-2 text-xs text-gray-400">
+                      <input
+                        type="checkbox"
+                        checked={alertForm.repeat}
+                        onChange={(e) => updateAlertForm({ repeat: e.target.checked })}
+                      />
+                      Repeat each time it triggers
+                    </label>
+                  )}
+                  <button
+                    onClick={createAlert}
+                    className="px-3 py-1.5 bg-blue-600 hover:bg-blue-700 rounded-lg text-sm font-medium transition-colors"
+                  >
+                    Add alert
+                  </button>
+                </div>
+
+                {alertState.alerts.length > 0 ? (
+                  <div className="space-y-2 max-h-64 overflow-y-auto">
+                    {alertState.alerts.map(alert => (
+                      <div key={alert.id} className="flex justify-between items-center p-2 bg-gray-700/50 rounded-lg border border-gray-700 text-sm">
+                        <div className={alert.enabled ? '' : 'text-gray-500'}>
+                          <div>{describeAlert(alert)}</div>
+                          <div className="text-xs text-gray-400">
+                            {ALERT_TYPES[alert.type].label}
+                            {alert.repeat ? ' · repeats' : ' · once'}
+                            {alert.triggeredAt && ` · last fired ${fmtMarketTime(alert.triggeredAt)}`}
+                          </div>
+                        </div>
+                        <div className="space-x-2 whitespace-nowrap">
+                          <button
+                            onClick={() => toggleAlert(alert.id)}
+                            className="px-2 py-1 bg-gray-600 hover:bg-gray-500 rounded text-xs"
+                          >
+                            {alert.enabled ? 'Pause' : 'Resume'}
+                          </button>
+                          <button
+                            onClick={() => deleteAlert(alert.id)}
+                            className="px-2 py-1 bg-red-600/80 hover:bg-red-600 rounded text-xs"
+                          >
+                            Delete
+                          </button>
+                        </div>
+                      </div>
+                    ))}
+                  </div>
+                ) : (
+                  <div className="text-center text-gray-500 py-4 bg-gray-700/30 rounded-lg">No alerts set</div>
+                )}
+              </div>
+            </div>
+          </div>
+        </div>
+      )}
+
+      {/* Save Slots */}
+      {saveState.isOpen && (
+        <div className="max-w-7xl mx-auto px-4 pt-4">
+          <div className="bg-gray-800 rounded-xl p-4 shadow-lg border border-gray-700">
+            <div className="flex justify-between items-center mb-4">
+              <h2 className="text-lg font-semibold flex items-center">
+                <span className="mr-2">💾</span> Saved Games
+              </h2>
+              <div className="text-xs text-gray-400">
+                {saveState.lastAutosave
+                  ? `Autosaved ${new Date(saveState.lastAutosave).toLocaleTimeString()}`
+                  : "Not autosaved yet"}
+              </div>
+            </div>
+            {saveState.error && (
+              <div className="flex justify-between items-center mb-4 p-2 bg-red-900/30 border border-red-700 rounded-lg text-sm text-red-300">
+                <span>{saveState.error}</span>
+                <button
+                  onClick={() => setSaveState(prev => ({ ...prev, error: null }))}
+                  className="text-red-300 hover:text-white"
+                >
+                  ✕
+                </button>
+              </div>
+            )}
+            <div className="flex gap-2 mb-4">
+              <input
+                type="text"
+                value={saveState.slotName}
+                onChange={(e) => setSaveState(prev => ({ ...prev, slotName: e.target.value }))}
+                className="flex-1 p-2 bg-gray-700 border border-gray-600 rounded-lg focus:border-blue-500 focus:outline-none focus:ring-1 focus:ring-blue-500"
+                placeholder="Save name"
+              />
+              <button
+                onClick={saveToSlot}
+                className="px-4 py-2 bg-blue-600 hover:bg-blue-700 rounded-lg font-medium transition-colors"
+              >
+                Save
+              </button>
+            </div>
+            {saveState.saves.length > 0 ? (
+              <div className="space-y-2 max-h-64 overflow-y-auto">
+                {saveState.saves.map(entry => (
+                  <div key={entry.slot} className="flex justify-between items-center p-3 bg-gray-700/50 rounded-lg border border-gray-700">
+                    <div>
+                      <div className="font-semibold">{entry.name}</div>
+                      <div className="text-xs text-gray-400">
+                        {new Date(entry.savedAt).toLocaleString()} · {fmtCurrency(entry.totalValue)}
+                        {entry.scenario && <> · {entry.scenario}</>}
+                        {entry.difficulty && <> · {DIFFICULTY_PRESETS[entry.difficulty]?.label ?? "Custom"}</>}
+                      </div>
+                    </div>
+                    <div className="space-x-2">
+                      <button
+                        onClick={() => loadSlot(entry.slot)}
+                        className="px-3 py-1 bg-gray-600 hover:bg-gray-500 rounded text-sm"
+                      >
+                        Load
+                      </button>
+                      <button
+                        onClick={() => deleteSlot(entry.slot)}
+                        className="px-3 py-1 bg-red-600/80 hover:bg-red-600 rounded text-sm"
+                      >
+                        Delete
+                      </button>
+                    </div>
+                  </div>
+                ))}
+              </div>
+            ) : (
+              <div className="text-center text-gray-500 py-4 bg-gray-700/30 rounded-lg">
+                No saved games yet
+              </div>
+            )}
+          </div>
+        </div>
+      )}
+
+      {/* Difficulty Settings */}
+      {showSettings && (
+        <div className="max-w-7xl mx-auto px-4 pt-4">
+          <div className="bg-gray-800 rounded-xl p-4 shadow-lg border border-gray-700">
+            <div className="flex justify-between items-center mb-4">
+              <h2 className="text-lg font-semibold flex items-center">
+                <span className="mr-2">⚙️</span> Difficulty &amp; Simulation
+              </h2>
+              <div className="text-xs text-gray-400">
+                This game: {difficultyLabel(session.difficulty)}
+                {session.changedMidGame && " (changed mid-game)"}
+              </div>
+            </div>
+            <div className="flex rounded-lg overflow-hidden mb-4 w-fit">
+              {[...Object.entries(DIFFICULTY_PRESETS), ['custom', { label: 'Custom' }]].map(([key, preset]) => (
+                <button
+                  key={key}
+                  onClick={() => key === 'custom'
+                    ? setSession(prev => ({ ...prev, difficulty: { ...prev.difficulty, preset: 'custom' } }))
+                    : applyDifficulty(difficultyFromPreset(key))}
+                  className={`px-4 py-1.5 text-sm font-medium transition-all ${
+                    session.difficulty.preset === key
+                      ? 'bg-blue-600 text-white'
+                      : 'bg-gray-700 hover:bg-gray-600 text-gray-300'
+                  }`}
+                >
+                  {preset.label}
+                </button>
+              ))}
+            </div>
+            <div className="grid grid-cols-2 md:grid-cols-5 gap-3">
+              {SETTING_FIELDS.map(field => (
+                <label key={field.key} className="text-xs text-gray-400">
+                  {field.label} ({field.unit})
+                  <input
+                    key={session.difficulty[field.key]}
+                    type="number"
+                    step={field.step}
+                    disabled={session.difficulty.preset !== 'custom'}
+                    defaultValue={field.percent
+                      ? +(session.difficulty[field.key] * 100).toFixed(4)
+                      : session.difficulty[field.key]}
+                    onBlur={(e) => updateDifficultySetting(field, e.target)}
+                    className="w-full mt-1 p-1.5 bg-gray-700 border border-gray-600 rounded text-white focus:border-blue-500 focus:outline-none disabled:opacity-60"
+                  />
+                </label>
+              ))}
+            </div>
+            <div className="text-xs text-gray-500 mt-3">
+              Market settings take effect immediately. Starting cash applies from the next new game.
+            </div>
+          </div>
+        </div>
+      )}
+
+      {/* Scenario Picker */}
+      {showScenarios && (
+        <div className="max-w-7xl mx-auto px-4 pt-4">
+          <div className="bg-gray-800 rounded-xl p-4 shadow-lg border border-gray-700">
+            <div className="flex justify-between items-center mb-4">
+              <h2 className="text-lg font-semibold flex items-center">
+                <span className="mr-2">🎯</span> Scenarios
+              </h2>
+              <div className="text-xs text-gray-400">
+                Starting a game replaces the current one. Save it first to keep it.
+              </div>
+            </div>
+            <div className="grid grid-cols-1 md:grid-cols-3 gap-3">
+              {Object.entries(SCENARIOS).map(([id, preset]) => (
+                <div key={id} className="p-3 bg-gray-700/50 rounded-lg border border-gray-700 flex flex-col">
+                  <div className="font-semibold">{preset.name}</div>
+                  <div className="text-sm text-gray-400 mt-1 flex-1">{preset.description}</div>
+                  <div className="text-xs text-gray-400 mt-2">
+                    <div className="text-blue-300">🏁 {describeObjective(preset.objective)}</div>
+                    <div>{fmtCurrency(preset.startingCash)} · {preset.symbols.join(", ")}</div>
+                  </div>
+                  <button
+                    onClick={() => startScenario(id)}
+                    className="mt-3 px-3 py-1.5 bg-blue-600 hover:bg-blue-700 rounded text-sm font-medium transition-colors"
+                  >
+                    Start
+                  </button>
+                </div>
+              ))}
+              <div className="p-3 bg-gray-700/50 rounded-lg border border-gray-700 flex flex-col">
+                <div className="font-semibold">Free Play</div>
+                <div className="text-sm text-gray-400 mt-1 flex-1">
+                  The full market with random news and no clock.
+                </div>
+                <div className="text-xs text-gray-400 mt-2">{fmtCurrency(session.difficulty.startingCash)} · all assets</div>
+                <button
+                  onClick={startFreePlay}
+                  className="mt-3 px-3 py-1.5 bg-gray-600 hover:bg-gray-500 rounded text-sm font-medium transition-colors"
+                >
+                  New Game
+                </button>
+              </div>
+            </div>
+          </div>
+        </div>
+      )}
+
+      {/* Asset Universe */}
+      {showUniverse && (
+        <div className="max-w-7xl mx-auto px-4 pt-4">
+          <div className="bg-gray-800 rounded-xl p-4 shadow-lg border border-gray-700">
+            <div className="flex justify-between items-center mb-4">
+              <h2 className="text-lg font-semibold flex items-center">
+                <span className="mr-2">🧩</span> Asset Universe
+              </h2>
+              <div className="flex items-center gap-3">
+                <span className="text-xs text-gray-400">
+                  {liveUniverse
+                    ? "Changes apply to this game straight away and to new free-play games."
+                    : "This game's assets are fixed; changes apply from the next free-play game."}
+                </span>
+                <button
+                  onClick={resetUniverse}
+                  className="px-2 py-1 bg-gray-600 hover:bg-gray-500 rounded text-xs"
+                >
+                  Restore defaults
+                </button>
+              </div>
+            </div>
+            <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+              <div className="md:col-span-2 max-h-72 overflow-y-auto">
+                <table className="w-full text-sm">
+                  <thead>
+                    <tr className="text-xs text-gray-400 text-left">
+                      <th className="pb-2">Symbol</th>
+                      <th className="pb-2">Name</th>
+                      <th className="pb-2">Sector</th>
+                      <th className="pb-2">Class</th>
+                      <th className="pb-2 text-right">Volatility</th>
+                      <th className="pb-2 text-right">Base price</th>
+                      <th></th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {universe.assets.map(asset => (
+                      <tr key={asset.symbol} className="border-t border-gray-700">
+                        <td className="py-1.5 font-semibold">{asset.symbol}</td>
+                        <td className="py-1.5 text-gray-300">{asset.name}</td>
+                        <td className="py-1.5">
+                          <span className="inline-block h-2 w-2 rounded-full mr-1" style={{ backgroundColor: sectorColor(universe.sectors, asset.sector) }}></span>
+                          {asset.sector}
+                        </td>
+                        <td className="py-1.5 text-gray-300">{asset.assetClass === "crypto" ? "Crypto" : "Stock"}</td>
+                        <td className="py-1.5 text-right">{fmtPercent(asset.volatility)}</td>
+                        <td className="py-1.5 text-right">{fmtCurrency(asset.basePrice)}</td>
+                        <td className="py-1.5 text-right space-x-1 whitespace-nowrap">
+                          <button
+                            onClick={() => editAssetDefinition(asset)}
+                            className="px-2 py-0.5 bg-gray-600 hover:bg-gray-500 rounded text-xs"
+                          >
+                            Edit
+                          </button>
+                          <button
+                            onClick={() => removeAssetDefinition(asset.symbol)}
+                            className="px-2 py-0.5 bg-red-600/80 hover:bg-red-600 rounded text-xs"
+                          >
+                            Remove
+                          </button>
+                        </td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+
+              <div className="space-y-4">
+                <div className="space-y-2">
+                  <div className="text-sm font-medium">{assetForm.editing ? `Edit ${assetForm.editing}` : "Add asset"}</div>
+                  <div className="grid grid-cols-2 gap-2">
+                    <input
+                      type="text"
+                      value={assetForm.symbol}
+                      disabled={Boolean(assetForm.editing)}
+                      onChange={(e) => setAssetForm(prev => ({ ...prev, symbol: e.target.value.toUpperCase() }))}
+                      className="p-1.5 bg-gray-700 border border-gray-600 rounded text-sm focus:border-blue-500 focus:outline-none disabled:opacity-60"
+                      placeholder="Symbol"
+                    />
+                    <input
+                      type="text"
+                      value={assetForm.name}
+                      onChange={(e) => setAssetForm(prev => ({ ...prev, name: e.target.value }))}
+                      className="p-1.5 bg-gray-700 border border-gray-600 rounded text-sm focus:border-blue-500 focus:outline-none"
+                      placeholder="Name"
+                    />
+                    <select
+                      value={assetForm.sector}
+                      onChange={(e) => setAssetForm(prev => ({ ...prev, sector: e.target.value }))}
+                      className="p-1.5 bg-gray-700 border border-gray-600 rounded text-sm focus:border-blue-500 focus:outline-none"
+                    >
+                      <option value="">Sector…</option>
+                      {Object.keys(universe.sectors).map(sector => (
+                        <option key={sector} value={sector}>{sector}</option>
+                      ))}
+                    </select>
+                    <select
+                      value={assetForm.assetClass}
+                      onChange={(e) => setAssetForm(prev => ({ ...prev, assetClass: e.target.value }))}
+                      className="p-1.5 bg-gray-700 border border-gray-600 rounded text-sm focus:border-blue-500 focus:outline-none"
+                    >
+                      <option value="stock">Stock</option>
+                      <option value="crypto">Crypto</option>
+                    </select>
+                    <label className="text-xs text-gray-400">
+                      Volatility %
+                      <input
+                        type="number"
+                        value={assetForm.volatility}
+                        onChange={(e) => setAssetForm(prev => ({ ...prev, volatility: e.target.value }))}
+                        className="w-full mt-1 p-1.5 bg-gray-700 border border-gray-600 rounded text-sm text-white focus:border-blue-500 focus:outline-none"
+                      />
+                    </label>
+                    <label className="text-xs text-gray-400">
+                      Base price $
+                      <input
+                        type="number"
+                        value={assetForm.basePrice}
+                        onChange={(e) => setAssetForm(prev => ({ ...prev, basePrice: e.target.value }))}
+                        className="w-full mt-1 p-1.5 bg-gray-700 border border-gray-600 rounded text-sm text-white focus:border-blue-500 focus:outline-none"
+                      />
+                    </label>
+                    <label className="text-xs text-gray-400">
+                      Lot size
+                      <input
+                        type="number"
+                        value={assetForm.lotSize}
+                        onChange={(e) => setAssetForm(prev => ({ ...prev, lotSize: e.target.value }))}
+                        className="w-full mt-1 p-1.5 bg-gray-700 border border-gray-600 rounded text-sm text-white focus:border-blue-500 focus:outline-none"
+                        placeholder={String(defaultLotSize(assetForm.assetClass))}
+                      />
+                    </label>
+                    <label className="text-xs text-gray-400">
+                      Tick size $
+                      <input
+                        type="number"
+                        value={assetForm.tickSize}
+                        onChange={(e) => setAssetForm(prev => ({ ...prev, tickSize: e.target.value }))}
+                        className="w-full mt-1 p-1.5 bg-gray-700 border border-gray-600 rounded text-sm text-white focus:border-blue-500 focus:outline-none"
+                        placeholder={String(defaultTickSize(parseFloat(assetForm.basePrice)))}
+                      />
+                    </label>
+                  </div>
+                  <div className="grid grid-cols-2 gap-2">
+                    <button
+                      onClick={saveAssetDefinition}
+                      className="p-1.5 bg-blue-600 hover:bg-blue-700 rounded text-xs font-medium"
+                    >
+                      {assetForm.editing ? "Save" : "Add"}
+                    </button>
+                    <button
+                      onClick={() => setAssetForm(EMPTY_ASSET_FORM)}
+                      className="p-1.5 bg-gray-600 hover:bg-gray-500 rounded text-xs font-medium"
+                    >
+                      Clear
+                    </button>
+                  </div>
+                </div>
+
+                <div className="space-y-2">
+                  <div className="text-sm font-medium">Sectors</div>
+                  <div className="flex flex-wrap gap-1">
+                    {Object.entries(universe.sectors).map(([sector, color]) => (
+                      <span key={sector} className="flex items-center px-2 py-0.5 bg-gray-700 rounded text-xs">
+                        <span className="h-2 w-2 rounded-full mr-1" style={{ backgroundColor: color }}></span>
+                        {sector}
+                        <button onClick={() => removeSector(sector)} className="ml-1 text-gray-400 hover:text-red-400">×</button>
+                      </span>
+                    ))}
+                  </div>
+                  <div className="flex gap-2">
+                    <input
+                      type="text"
+                      value={sectorForm.name}
+                      onChange={(e) => setSectorForm(prev => ({ ...prev, name: e.target.value }))}
+                      className="flex-1 p-1.5 bg-gray-700 border border-gray-600 rounded text-sm focus:border-blue-500 focus:outline-none"
+                      placeholder="New sector"
+                    />
+                    <input
+                      type="color"
+                      value={sectorForm.color}
+                      onChange={(e) => setSectorForm(prev => ({ ...prev, color: e.target.value }))}
+                      className="h-8 w-10 bg-gray-700 border border-gray-600 rounded"
+                    />
+                    <button
+                      onClick={addSector}
+                      className="px-3 bg-blue-600 hover:bg-blue-700 rounded text-xs font-medium"
+                    >
+                      Add
+                    </button>
+                  </div>
+                </div>
+              </div>
+            </div>
+          </div>
+        </div>
+      )}
+
+      {/* News Archive */}
+      {newsState.isOpen && (
+        <div className="max-w-7xl mx-auto px-4 pt-4">
+          <div className="bg-gray-800 rounded-xl p-4 shadow-lg border border-gray-700">
+            <div className="flex justify-between items-center mb-4">
+              <h2 className="text-lg font-semibold flex items-center">
+                <span className="mr-2">📰</span> News Archive
+              </h2>
+              <div className="flex items-center gap-2">
+                {['all', ...Object.keys(NEWS_SEVERITIES)].map(severity => (
+                  <button
+                    key={severity}
+                    onClick={() => setNewsState(prev => ({ ...prev, severity }))}
+                    className={`px-2 py-1 rounded text-xs font-medium transition-all ${
+                      newsState.severity === severity
+                        ? 'bg-blue-600 text-white'
+                        : 'bg-gray-700 hover:bg-gray-600 text-gray-300'
+                    }`}
+                  >
+                    {severity === 'all' ? 'All' : NEWS_SEVERITIES[severity].label}
+                  </button>
+                ))}
+              </div>
+            </div>
+
+            {newsArchive.length > 0 ? (
+              <div className="max-h-96 overflow-y-auto">
+                <table className="w-full text-sm">
+                  <thead className="sticky top-0 bg-gray-800">
+                    <tr className="text-xs text-gray-400 text-left">
+                      <th className="py-2 pr-2 font-medium">Time</th>
+                      <th className="py-2 pr-2 font-medium">Headline</th>
+                      <th className="py-2 pr-2 font-medium">Severity</th>
+                      <th className="py-2 pr-2 font-medium">Curve</th>
+                      {Object.keys(REACTION_HORIZONS).map(horizon => (
+                        <th key={horizon} className="py-2 pl-2 font-medium text-right">{horizon}</th>
+                      ))}
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {newsArchive.map(item => (
+                      <tr key={item.id} className="border-t border-gray-700">
+                        <td className="py-2 pr-2 text-xs text-gray-400 whitespace-nowrap">{fmtMarketTime(item.timestamp)}</td>
+                        <td className="py-2 pr-2">
+                          <span className="mr-1">{item.type === 'positive' ? '📈' : '📉'}</span>
+                          {item.message}
+                          <span className="text-xs text-gray-500 ml-1">
+                            ({item.sector ?? (item.scope === 'market' ? 'Market' : item.symbols.join(', '))})
+                          </span>
+                        </td>
+                        <td className="py-2 pr-2">
+                          <span className={`text-xs px-1.5 py-0.5 rounded ${NEWS_SEVERITY_STYLES[item.severity]}`}>
+                            {NEWS_SEVERITIES[item.severity].label}
+                          </span>
+                        </td>
+                        <td className="py-2 pr-2 text-xs text-gray-400 whitespace-nowrap">{IMPACT_CURVES[item.curve].label}</td>
+                        {Object.keys(REACTION_HORIZONS).map(horizon => {
+                          const reaction = averageReaction(item, horizon);
+                          return (
+                            <td
+                              key={horizon}
+                              title={item.reactions[horizon] && Object.entries(item.reactions[horizon])
+                                .map(([symbol, move]) => `${symbol}: ${fmtPercent(move)}`).join("\n")}
+                              className={`py-2 pl-2 text-right font-mono text-xs ${
+                                reaction === null ? 'text-gray-500' : reaction >= 0 ? 'text-green-400' : 'text-red-400'
+                              }`}
+                            >
+                              {reaction === null ? '…' : fmtPercent(reaction)}
+                            </td>
+                          );
+                        })}
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+                <div className="text-xs text-gray-500 mt-2">
+                  Reactions are the average log return of the affected assets from publication to each horizon; hover for each asset.
+                </div>
+              </div>
+            ) : (
+              <div className="text-sm text-gray-500">No news yet.</div>
+            )}
+          </div>
+        </div>
+      )}
+
+      {/* Strategy Bots */}
+      {botState.isOpen && (
+        <div className="max-w-7xl mx-auto px-4 pt-4">
+          <div className="bg-gray-800 rounded-xl p-4 shadow-lg border border-gray-700">
+            <div className="flex justify-between items-center mb-4">
+              <h2 className="text-lg font-semibold flex items-center">
+                <span className="mr-2">🤖</span> Strategy Bots
+              </h2>
+              <div className="flex items-center gap-2">
+                <select
+                  value={botState.template}
+                  onChange={(e) => newBot(e.target.value)}
+                  className="p-1 bg-gray-700 border border-gray-600 rounded text-xs text-white focus:border-blue-500 focus:outline-none"
+                >
+                  {Object.entries(BOT_TEMPLATES).map(([key, template]) => (
+                    <option key={key} value={key}>{template.label}</option>
+                  ))}
+                </select>
+                <button
+                  onClick={() => newBot(botState.template)}
+                  className="px-2 py-1 bg-blue-600 hover:bg-blue-700 rounded text-xs font-medium"
+                >
+                  New bot
+                </button>
+              </div>
+            </div>
+
+            <div className="grid grid-cols-1 lg:grid-cols-3 gap-4">
+              {/* Bot list */}
+              <div className="space-y-2">
+                {botState.bots.length > 0 ? botState.bots.map(bot => {
+                  const status = botState.status[bot.id];
+                  const pnl = botLedgers[bot.id] ? botPnl(botLedgers[bot.id], marketData) : null;
+                  return (
+                    <div
+                      key={bot.id}
+                      onClick={() => selectBot(bot)}
+                      className={`p-2 rounded-lg border cursor-pointer transition-all ${
+                        botState.selected === bot.id ? 'border-blue-500 bg-gray-700/50' : 'border-gray-700 bg-gray-700/30 hover:bg-gray-700/50'
+                      }`}
+                    >
+                      <div className="flex justify-between items-center">
+                        <span className="flex items-center text-sm font-medium">
+                          <span className={`h-2 w-2 rounded-full mr-2 ${
+                            status === 'running' ? 'bg-green-500 animate-pulse' : status === 'error' ? 'bg-red-500' : 'bg-gray-500'
+                          }`}></span>
+                          {bot.name}
+                        </span>
+                        <div className="flex gap-1">
+                          <button
+                            onClick={(e) => {
+                              e.stopPropagation();
+                              if (status === 'running') stopBot(bot.id);
+                              else startBot(bot);
+                            }}
+                            className={`px-2 py-0.5 rounded text-xs font-medium ${
+                              status === 'running' ? 'bg-red-600 hover:bg-red-700' : 'bg-green-600 hover:bg-green-700'
+                            }`}
+                          >
+                            {status === 'running' ? 'Stop' : 'Start'}
+                          </button>
+                          <button
+                            onClick={(e) => {
+                              e.stopPropagation();
+                              deleteBot(bot.id);
+                            }}
+                            className="px-2 py-0.5 bg-gray-600 hover:bg-gray-500 rounded text-xs"
+                          >
+                            Delete
+                          </button>
+                        </div>
+                      </div>
+                      <div className="flex justify-between text-xs text-gray-400 mt-1">
+                        <span>{status === 'running' ? 'Running' : status === 'error' ? 'Stopped on an error' : 'Stopped'}</span>
+                        {pnl && (
+                          <span className={pnl.net >= 0 ? 'text-green-400' : 'text-red-400'}>
+                            {pnl.net >= 0 ? '+' : ''}{fmtCurrency(pnl.net)} · {pnl.trades} fills
+                          </span>
+                        )}
+                      </div>
+                    </div>
+                  );
+                }) : (
+                  <div className="text-sm text-gray-500">No bots yet. Pick a template, then save it to add a bot.</div>
+                )}
+              </div>
+
+              {/* Editor */}
+              <div className="lg:col-span-2 space-y-2">
+                <div className="flex gap-2">
+                  <input
+                    type="text"
+                    value={botState.draft.name}
+                    onChange={(e) => setBotState(prev => ({ ...prev, draft: { ...prev.draft, name: e.target.value } }))}
+                    className="flex-1 p-1.5 bg-gray-700 border border-gray-600 rounded text-sm text-white focus:border-blue-500 focus:outline-none"
+                    placeholder="Bot name"
+                  />
+                  <button
+                    onClick={saveBotDraft}
+                    className="px-3 bg-blue-600 hover:bg-blue-700 rounded text-xs font-medium"
+                  >
+                    {botState.selected ? 'Save' : 'Add bot'}
+                  </button>
+                </div>
+                <textarea
+                  value={botState.draft.code}
+                  onChange={(e) => setBotState(prev => ({ ...prev, draft: { ...prev.draft, code: e.target.value } }))}
+                  spellCheck={false}
+                  rows={16}
+                  className="w-full p-2 bg-gray-900 border border-gray-600 rounded font-mono text-xs text-gray-200 focus:border-blue-500 focus:outline-none"
+                />
+                <div className="text-xs text-gray-500 space-y-0.5">
+                  <div>
+                    <span className="font-mono text-gray-400">onTick(market, portfolio)</span> runs every tick,{' '}
+                    <span className="font-mono text-gray-400">onStart</span> once at start.{' '}
+                    <span className="font-mono text-gray-400">market.assets[symbol]</span> has the quote and session;{' '}
+                    <span className="font-mono text-gray-400">portfolio</span> has cash, equity, positions, the bot's orders and{' '}
+                    <span className="font-mono text-gray-400">bot</span> (its own positions and P/L).
+                  </div>
+                  <div>
+                    <span className="font-mono text-gray-400">buy/sell(symbol, qty, {'{'} type, limitPrice, stopPrice, timeInForce, takeProfit, stopLoss {'}'})</span>,{' '}
+                    <span className="font-mono text-gray-400">cancel(id)</span>, <span className="font-mono text-gray-400">cancelAll(symbol)</span>,{' '}
+                    <span className="font-mono text-gray-400">indicator(symbol, type, params, timeframe)</span>,{' '}
+                    <span className="font-mono text-gray-400">candles(symbol, timeframe, count)</span>,{' '}
+                    <span className="font-mono text-gray-400">state</span>, <span className="font-mono text-gray-400">params</span>{' '}
+                    (set by backtest sweeps), <span className="font-mono text-gray-400">log(...)</span>.
+                    Orders go through the same checks as the order ticket's.
+                  </div>
+                </div>
+
+                {/* Log */}
+                {botState.selected && (
+                  <div>
+                    <div className="flex justify-between items-center text-xs mb-1">
+                      <span className="text-gray-400">Log</span>
+                      <button onClick={() => clearBotLog(botState.selected)} className="text-gray-400 hover:text-white">
+                        Clear
+                      </button>
+                    </div>
+                    <div className="max-h-48 overflow-y-auto bg-gray-900 border border-gray-700 rounded p-2 font-mono text-xs space-y-0.5">
+                      {(botState.logs[botState.selected] ?? []).length > 0 ? botState.logs[botState.selected].map((entry, index) => (
+                        <div key={index} className={BOT_LOG_STYLES[entry.level]}>
+                          <span className="text-gray-500 mr-2">{fmtMarketTime(entry.time)}</span>
+                          {entry.message}
+                        </div>
+                      )) : (
+                        <div className="text-gray-500">Nothing logged yet.</div>
+                      )}
+                    </div>
+                  </div>
+                )}
+              </div>
+            </div>
+          </div>
+        </div>
+      )}
+
+      {/* Backtest */}
+      {backtestState.isOpen && (
+        <div className="max-w-7xl mx-auto px-4 pt-4">
+          <div className="bg-gray-800 rounded-xl p-4 shadow-lg border border-gray-700">
+            <div className="flex justify-between items-center mb-4">
+              <h2 className="text-lg font-semibold flex items-center">
+                <span className="mr-2">🧪</span> Backtest
+              </h2>
+              <div className="text-xs text-gray-400">
+                Runs a strategy over simulated years in seconds, with this game's assets, market settings and account
+              </div>
+            </div>
+
+            <div className="grid grid-cols-1 lg:grid-cols-3 gap-4 mb-4">
+              {/* Form */}
+              <div className="space-y-2">
+                <div>
+                  <label className="block text-xs text-gray-400 mb-1">Strategy</label>
+                  <select
+                    value={backtestState.form.strategy}
+                    onChange={(e) => setBacktestField('strategy', e.target.value)}
+                    className="w-full p-1.5 bg-gray-700 border border-gray-600 rounded text-sm text-white focus:border-blue-500 focus:outline-none"
+                  >
+                    <optgroup label="Templates">
+                      {Object.entries(BOT_TEMPLATES).map(([key, template]) => (
+                        <option key={key} value={`template:${key}`}>{template.label}</option>
+                      ))}
+                    </optgroup>
+                    {botState.bots.length > 0 && (
+                      <optgroup label="Your bots">
+                        {botState.bots.map(bot => (
+                          <option key={bot.id} value={`bot:${bot.id}`}>{bot.name}</option>
+                        ))}
+                      </optgroup>
+                    )}
+                  </select>
+                </div>
+                <div className="grid grid-cols-2 gap-2">
+                  <div>
+                    <label className="block text-xs text-gray-400 mb-1">Days</label>
+                    <input
+                      type="number"
+                      min="1"
+                      value={backtestState.form.days}
+                      onChange={(e) => setBacktestField('days', e.target.value)}
+                      className="w-full p-1.5 bg-gray-700 border border-gray-600 rounded text-sm text-white focus:border-blue-500 focus:outline-none"
+                    />
+                  </div>
+                  <div>
+                    <label className="block text-xs text-gray-400 mb-1">Step</label>
+                    <select
+                      value={backtestState.form.interval}
+                      onChange={(e) => setBacktestField('interval', e.target.value)}
+                      className="w-full p-1.5 bg-gray-700 border border-gray-600 rounded text-sm text-white focus:border-blue-500 focus:outline-none"
+                    >
+                      {Object.keys(BACKTEST_INTERVALS).map(interval => (
+                        <option key={interval} value={interval}>{interval}</option>
+                      ))}
+                    </select>
+                  </div>
+                  <div>
+                    <label className="block text-xs text-gray-400 mb-1">Seed</label>
+                    <input
+                      type="text"
+                      value={backtestState.form.seed}
+                      onChange={(e) => setBacktestField('seed', e.target.value)}
+                      className="w-full p-1.5 bg-gray-700 border border-gray-600 rounded text-sm text-white focus:border-blue-500 focus:outline-none"
+                    />
+                  </div>
+                  <div>
+                    <label className="block text-xs text-gray-400 mb-1">Seeds per combination</label>
+                    <input
+                      type="number"
+                      min="1"
+                      value={backtestState.form.seeds}
+                      onChange={(e) => setBacktestField('seeds', e.target.value)}
+                      className="w-full p-1.5 bg-gray-700 border border-gray-600 rounded text-sm text-white focus:border-blue-500 focus:outline-none"
+                    />
+                  </div>
+                </div>
+              </div>
+
+              {/* Sweep */}
+              <div>
+                <label className="block text-xs text-gray-400 mb-1">Parameter sweep</label>
+                <textarea
+                  value={backtestState.form.sweep}
+                  onChange={(e) => setBacktestField('sweep', e.target.value)}
+                  spellCheck={false}
+                  rows={5}
+                  placeholder={'fast = 5, 10, 20\nslow = 20:60:10'}
+                  className="w-full p-2 bg-gray-900 border border-gray-600 rounded font-mono text-xs text-gray-200 focus:border-blue-500 focus:outline-none"
+                />
+                <div className="text-xs text-gray-500">
+                  One parameter per line, as a list or from:to:step. The strategy reads them from{' '}
+                  <span className="font-mono text-gray-400">params</span>; every combination runs on each seed.
+                </div>
+              </div>
+
+              {/* Run */}
+              <div className="space-y-2">
+                <button
+                  onClick={backtestState.running ? stopBacktest : startBacktest}
+                  className={`w-full py-2 rounded font-medium text-sm ${
+                    backtestState.running ? 'bg-red-600 hover:bg-red-700' : 'bg-green-600 hover:bg-green-700'
+                  }`}
+                >
+                  {backtestState.running ? 'Stop' : 'Run backtest'}
+                </button>
+                {backtestState.total > 0 && (
+                  <div>
+                    <div className="flex justify-between text-xs text-gray-400 mb-1">
+                      <span>{backtestState.running ? 'Running' : backtestState.runs.length < backtestState.total ? 'Stopped' : 'Finished'}</span>
+                      <span>{backtestState.runs.length} of {backtestState.total} runs</span>
+                    </div>
+                    <div className="h-2 bg-gray-700 rounded overflow-hidden">
+                      <div
+                        className="h-full bg-blue-500 transition-all"
+                        style={{ width: `${backtestState.done / backtestState.total * 100}%` }}
+                      ></div>
+                    </div>
+                  </div>
+                )}
+                <div className="text-xs text-gray-500">
+                  Prices step without order books: market orders and stops fill at the bid or ask, limits at their price once the quote touches it.
+                  The same strategy, parameters and seed always give the same result.
+                </div>
+              </div>
+            </div>
+
+            {backtestView ? (
+              <div className="space-y-4">
+                {/* Summary */}
+                <div className="overflow-x-auto">
+                  <table className="w-full text-xs">
+                    <thead>
+                      <tr className="text-gray-400 border-b border-gray-700">
+                        {backtestView.paramNames.map(name => (
+                          <th
+                            key={name}
+                            onClick={() => sortBacktest(`param:${name}`)}
+                            className="text-left py-1.5 pr-2 font-mono cursor-pointer hover:text-white"
+                          >
+                            {name}{backtestState.sort.key === `param:${name}` && (backtestState.sort.descending ? ' ▼' : ' ▲')}
+                          </th>
+                        ))}
+                        <th className="text-right py-1.5 px-2">Runs</th>
+                        {BACKTEST_COLUMNS.map(column => (
+                          <th
+                            key={column.key}
+                            onClick={() => sortBacktest(column.key, column.lowerIsBetter)}
+                            className="text-right py-1.5 px-2 cursor-pointer hover:text-white"
+                          >
+                            {column.label}{backtestState.sort.key === column.key && (backtestState.sort.descending ? ' ▼' : ' ▲')}
+                          </th>
+                        ))}
+                      </tr>
+                    </thead>
+                    <tbody>
+                      {backtestRows.map(row => (
+                        <tr
+                          key={row.key}
+                          onClick={() => setBacktestState(prev => ({ ...prev, selected: row.key, seed: null }))}
+                          className={`border-b border-gray-700/50 cursor-pointer ${
+                            row.key === backtestView.row.key ? 'bg-blue-600/20' : 'hover:bg-gray-700/50'
+                          }`}
+                        >
+                          {backtestView.paramNames.map(name => (
+                            <td key={name} className="py-1.5 pr-2 font-mono">{row.params[name] ?? '—'}</td>
+                          ))}
+                          <td className="py-1.5 px-2 text-right">{row.runs}</td>
+                          {BACKTEST_COLUMNS.map(column => (
+                            <td
+                              key={column.key}
+                              className={`py-1.5 px-2 text-right font-mono ${
+                                column.key === 'errors' && row.errors > 0 ? 'text-red-400'
+                                  : column.key.endsWith('Return') ? (row[column.key] >= 0 ? 'text-green-400' : 'text-red-400') : ''
+                              }`}
+                            >
+                              {row[column.key] === null ? '—' : column.format(row[column.key])}
+                            </td>
+                          ))}
+                        </tr>
+                      ))}
+                    </tbody>
+                  </table>
+                </div>
+
+                <div className="grid grid-cols-1 lg:grid-cols-2 gap-4">
+                  {/* Equity curves */}
+                  <div>
+                    <div className="text-xs text-gray-400 mb-1">
+                      Equity{backtestView.paramNames.length > 0 && ` · ${backtestView.paramNames.map(name => `${name} ${backtestView.row.params[name] ?? '—'}`).join(', ')}`}
+                      {backtestView.group.length > BACKTEST_CURVES && ` · first ${BACKTEST_CURVES} of ${backtestView.group.length} seeds`}
+                    </div>
+                    <div className="h-56">
+                      <ResponsiveContainer width="100%" height="100%">
+                        <LineChart data={backtestView.curves}>
+                          <CartesianGrid strokeDasharray="3 3" stroke="#374151" />
+                          <XAxis
+                            dataKey="time"
+                            tickFormatter={(time) => new Date(time).toLocaleDateString(undefined, { month: 'short', year: '2-digit' })}
+                            stroke="#9CA3AF"
+                            tick={{ fontSize: 10 }}
+                          />
+                          <YAxis tickFormatter={(value) => fmtNumber(Math.round(value))} stroke="#9CA3AF" tick={{ fontSize: 10 }} width={60} domain={['auto', 'auto']} />
+                          <Tooltip
+                            contentStyle={{ backgroundColor: '#1F2937', border: '1px solid #4B5563' }}
+                            labelFormatter={(time) => new Date(time).toLocaleString()}
+                            formatter={(value, seed) => [fmtCurrency(value), `Seed ${seed}`]}
+                          />
+                          <ReferenceLine y={session.difficulty.startingCash} stroke="#6B7280" strokeDasharray="3 3" />
+                          {backtestView.curveSeeds.map(seed => (
+                            <Line
+                              key={seed}
+                              dataKey={String(seed)}
+                              stroke={seed === backtestView.run.seed ? '#3B82F6' : '#6B7280'}
+                              strokeWidth={seed === backtestView.run.seed ? 2 : 1}
+                              dot={false}
+                              isAnimationActive={false}
+                            />
+                          ))}
+                        </LineChart>
+                      </ResponsiveContainer>
+                    </div>
+                  </div>
+
+                  {/* Distributions */}
+                  <div className="grid grid-cols-2 gap-2">
+                    {[
+                      { label: 'Return', data: backtestView.returns, color: '#10B981' },
+                      { label: 'Max drawdown', data: backtestView.drawdowns, color: '#EF4444' }
+                    ].map(({ label, data, color }) => (
+                      <div key={label}>
+                        <div className="text-xs text-gray-400 mb-1">{label} across all {backtestState.runs.length} runs</div>
+                        <div className="h-56">
+                          <ResponsiveContainer width="100%" height="100%">
+                            <BarChart data={data}>
+                              <XAxis dataKey="label" stroke="#9CA3AF" tick={{ fontSize: 9 }} interval="preserveStartEnd" />
+                              <YAxis allowDecimals={false} stroke="#9CA3AF" tick={{ fontSize: 10 }} width={30} />
+                              <Tooltip
+                                contentStyle={{ backgroundColor: '#1F2937', border: '1px solid #4B5563' }}
+                                formatter={(value) => [value, 'Runs']}
+                              />
+                              <Bar dataKey="count" fill={color} isAnimationActive={false} />
+                            </BarChart>
+                          </ResponsiveContainer>
+                        </div>
+                      </div>
+                    ))}
+                  </div>
+                </div>
+
+                {/* Run detail */}
+                <div>
+                  <div className="flex items-center gap-2 text-xs text-gray-400 mb-2">
+                    <span>Run</span>
+                    <select
+                      value={backtestView.run.seed}
+                      onChange={(e) => setBacktestState(prev => ({ ...prev, seed: Number(e.target.value) }))}
+                      className="p-1 bg-gray-700 border border-gray-600 rounded text-xs text-white focus:border-blue-500 focus:outline-none"
+                    >
+                      {backtestView.group.map(run => (
+                        <option key={run.seed} value={run.seed}>Seed {run.seed}</option>
+                      ))}
+                    </select>
+                    <span>
+                      ended at <span className="font-mono text-white">{fmtCurrency(backtestView.run.finalEquity)}</span> after{' '}
+                      {fmtNumber(backtestView.run.tradeCount)} fills
+                    </span>
+                  </div>
+                  <div className="grid grid-cols-2 md:grid-cols-6 gap-2 mb-3">
+                    {[
+                      ['Return', fmtPercent(backtestView.run.report.totalReturn)],
+                      ['Annualised', backtestView.run.report.annualizedReturn === null ? '—' : fmtPercent(backtestView.run.report.annualizedReturn)],
+                      ['Sharpe', fmtRatio(backtestView.run.report.sharpeRatio)],
+                      ['Max drawdown', fmtPercent(backtestView.run.report.maxDrawdown)],
+                      ['Win rate', fmtPercent(backtestView.run.report.winRate)],
+                      ['Profit factor', fmtRatio(backtestView.run.report.profitFactor)]
+                    ].map(([label, value]) => (
+                      <div key={label} className="bg-gray-700/50 rounded-lg p-2">
+                        <div className="text-xs text-gray-400">{label}</div>
+                        <div className="text-sm font-bold font-mono">{value}</div>
+                      </div>
+                    ))}
+                  </div>
+                  {backtestView.run.error && (
+                    <div className="text-xs text-red-400 mb-2">Stopped on an error: {backtestView.run.error}</div>
+                  )}
+                  <div className="grid grid-cols-1 lg:grid-cols-2 gap-4">
+                    <div>
+                      <div className="text-xs text-gray-400 mb-1">
+                        Fills{backtestView.run.tradeCount > backtestView.run.trades.length && ` (latest ${backtestView.run.trades.length})`}
+                      </div>
+                      <div className="max-h-48 overflow-y-auto">
+                        <table className="w-full text-xs">
+                          <tbody>
+                            {[...backtestView.run.trades].reverse().map((trade, index) => (
+                              <tr key={index} className="border-b border-gray-700/50">
+                                <td className="py-1 text-gray-400">{fmtMarketTime(trade.time)}</td>
+                                <td className={`py-1 font-medium ${trade.action === 'buy' ? 'text-green-400' : 'text-red-400'}`}>{trade.action.toUpperCase()}</td>
+                                <td className="py-1">{trade.symbol}</td>
+                                <td className="py-1 text-right font-mono">{fmtQuantity(trade.quantity)} @ {fmtPrice(trade.price)}</td>
+                                <td className={`py-1 text-right font-mono ${trade.profit > 0 ? 'text-green-400' : trade.profit < 0 ? 'text-red-400' : 'text-gray-500'}`}>
+                                  {trade.profit ? fmtCurrency(trade.profit) : '—'}
+                                </td>
+                              </tr>
+                            ))}
+                          </tbody>
+                        </table>
+                        {backtestView.run.trades.length === 0 && <div className="text-xs text-gray-500">No fills.</div>}
+                      </div>
+                    </div>
+                    <div>
+                      <div className="text-xs text-gray-400 mb-1">Log</div>
+                      <div className="max-h-48 overflow-y-auto bg-gray-900 border border-gray-700 rounded p-2 font-mono text-xs space-y-0.5">
+                        {backtestView.run.logs.length > 0 ? [...backtestView.run.logs].reverse().map((entry, index) => (
+                          <div key={index} className={BOT_LOG_STYLES[entry.level]}>
+                            <span className="text-gray-500 mr-2">{fmtMarketTime(entry.time)}</span>
+                            {entry.message}
+                          </div>
+                        )) : (
+                          <div className="text-gray-500">Nothing logged.</div>
+                        )}
+                      </div>
+                    </div>
+                  </div>
+                </div>
+              </div>
+            ) : (
+              <div className="text-sm text-gray-500">
+                {backtestState.running ? 'The first run is on its way…' : 'Pick a strategy and run a backtest to see how it would have done.'}
+              </div>
+            )}
+          </div>
+        </div>
+      )}
+
+      {/* Currencies */}
+      {currencyState.isOpen && (
+        <div className="max-w-7xl mx-auto px-4 pt-4">
+          <div className="bg-gray-800 rounded-xl p-4 shadow-lg border border-gray-700">
+            <div className="flex justify-between items-center mb-4">
+              <h2 className="text-lg font-semibold flex items-center">
+                <span className="mr-2">💱</span> Currencies
+              </h2>
+              <div className="text-xs text-gray-400">
+                Prices and cash are in USD; other currencies are balances valued at the rates below
+              </div>
+            </div>
+
+            <div className="grid grid-cols-1 lg:grid-cols-3 gap-4">
+              <div className="lg:col-span-2 space-y-4">
+                {/* Rates */}
+                <div>
+                  <div className="text-sm font-medium text-gray-400 mb-2">Rates</div>
+                  <table className="w-full text-xs">
+                    <thead>
+                      <tr className="text-gray-400 border-b border-gray-700">
+                        <th className="text-left py-1.5">Currency</th>
+                        <th className="text-right py-1.5">In USD</th>
+                        <th className="text-right py-1.5">Bid / Ask</th>
+                        <th className="text-right py-1.5">Since start</th>
+                        <th className="text-right py-1.5">Held</th>
+                      </tr>
+                    </thead>
+                    <tbody>
+                      {Object.entries(CURRENCIES).filter(([code]) => code !== BASE_CURRENCY).map(([code, currency]) => {
+                        const rate = usdRate(market.fx, code);
+                        const quote = currencyQuote(market.fx, marketData, code);
+                        const opening = market.fx.opening[code];
+                        const change = rate && opening ? rate / opening - 1 : null;
+                        return (
+                          <tr key={code} className="border-b border-gray-700/50">
+                            <td className="py-1.5">
+                              <span className="font-medium">{code}</span> <span className="text-gray-500">{currency.label}</span>
+                              {currency.asset && <span className="text-gray-500"> · the {currency.asset} asset</span>}
+                            </td>
+                            <td className="py-1.5 text-right font-mono">{rate ? fmtCrossPrice(rate) : '—'}</td>
+                            <td className="py-1.5 text-right font-mono text-gray-400">
+                              {quote ? `${fmtCrossPrice(quote.bid)} / ${fmtCrossPrice(quote.ask)}` : 'Not in this market'}
+                            </td>
+                            <td className={`py-1.5 text-right font-mono ${change === null ? 'text-gray-500' : change >= 0 ? 'text-green-400' : 'text-red-400'}`}>
+                              {change === null ? '—' : `${change >= 0 ? '+' : ''}${fmtPercent(change)}`}
+                            </td>
+                            <td className="py-1.5 text-right font-mono">{fmtMoney(currencyHolding(portfolio, code), code)}</td>
+                          </tr>
+                        );
+                      })}
+                    </tbody>
+                  </table>
+                </div>
+
+                {/* Cross pairs */}
+                <div>
+                  <div className="text-sm font-medium text-gray-400 mb-2">Cross pairs</div>
+                  <div className="overflow-x-auto">
+                    <table className="w-full text-xs">
+                      <thead>
+                        <tr className="text-gray-400 border-b border-gray-700">
+                          <th className="text-left py-1.5">Base / Quote</th>
+                          {crossColumns.map(quote => (
+                            <th key={quote} className="text-right py-1.5">{quote}</th>
+                          ))}
+                        </tr>
+                      </thead>
+                      <tbody>
+                        {cryptoSymbols.map(base => (
+                          <tr key={base} className="border-b border-gray-700/50">
+                            <td className="py-1.5 font-medium">{base}</td>
+                            {crossColumns.map(quote => {
+                              const pair = crossQuotes(marketData, base).includes(quote) ? crossQuote(market.fx, marketData, base, quote) : null;
+                              const selected = currencyState.cross.base === base && currencyState.cross.quote === quote;
+                              return (
+                                <td
+                                  key={quote}
+                                  onClick={() => pair && selectCrossPair(base, quote)}
+                                  className={`py-1.5 text-right font-mono ${
+                                    pair ? 'cursor-pointer hover:text-white' : 'text-gray-600'
+                                  } ${selected ? 'text-blue-400' : ''}`}
+                                >
+                                  {pair ? fmtCrossPrice(pair.price) : '—'}
+                                </td>
+                              );
+                            })}
+                          </tr>
+                        ))}
+                      </tbody>
+                    </table>
+                  </div>
+                  <div className="text-xs text-gray-500 mt-1">
+                    Derived from the USD books and rates. A cross trade fills as its USD legs, so each leg walks its own book; the commission is charged once, on the base.
+                  </div>
+                </div>
+              </div>
+
+              <div className="space-y-4">
+                {/* Cross pair order */}
+                <div className="bg-gray-700/30 p-3 rounded-lg border border-gray-700 space-y-2">
+                  <div className="text-sm font-medium text-gray-400">Trade a cross pair</div>
+                  <div className="grid grid-cols-2 gap-2">
+                    <select
+                      value={currencyState.cross.base}
+                      onChange={(e) => selectCrossPair(e.target.value, currencyState.cross.quote)}
+                      className="p-1.5 bg-gray-700 border border-gray-600 rounded text-sm text-white focus:border-blue-500 focus:outline-none"
+                    >
+                      {cryptoSymbols.map(symbol => <option key={symbol} value={symbol}>{symbol}</option>)}
+                    </select>
+                    <select
+                      value={currencyState.cross.quote}
+                      onChange={(e) => setCrossField('quote', e.target.value)}
+                      className="p-1.5 bg-gray-700 border border-gray-600 rounded text-sm text-white focus:border-blue-500 focus:outline-none"
+                    >
+                      {crossQuotes(marketData, currencyState.cross.base).map(quote => <option key={quote} value={quote}>in {quote}</option>)}
+                    </select>
+                  </div>
+                  <input
+                    type="number"
+                    min="0"
+                    value={currencyState.cross.quantity}
+                    onChange={(e) => setCrossField('quantity', e.target.value)}
+                    placeholder={`Quantity of ${currencyState.cross.base}`}
+                    className="w-full p-1.5 bg-gray-700 border border-gray-600 rounded text-sm text-white focus:border-blue-500 focus:outline-none"
+                  />
+                  <div className="grid grid-cols-2 gap-2">
+                    {['buy', 'sell'].map(side => (
+                      <button
+                        key={side}
+                        onClick={() => tradeCrossPair(side)}
+                        className={`py-1.5 rounded text-sm font-medium ${side === 'buy' ? 'bg-green-600 hover:bg-green-700' : 'bg-red-600 hover:bg-red-700'}`}
+                      >
+                        {side === 'buy' ? 'Buy' : 'Sell'}
+                        {crossPreview?.[side] && (
+                          <div className="text-xs font-normal opacity-80">
+                            {side === 'buy' ? 'pay' : 'get'} {fmtCrossPrice(crossPreview[side].total)} {currencyState.cross.quote}
+                            {crossPreview[side].quantity !== crossInput.quantity && ` for ${fmtQuantity(crossPreview[side].quantity)} ${currencyState.cross.base}`}
+                          </div>
+                        )}
+                      </button>
+                    ))}
+                  </div>
+                </div>
+
+                {/* Conversion */}
+                <div className="bg-gray-700/30 p-3 rounded-lg border border-gray-700 space-y-2">
+                  <div className="text-sm font-medium text-gray-400">Convert</div>
+                  <div className="grid grid-cols-2 gap-2">
+                    {['from', 'to'].map(field => (
+                      <select
+                        key={field}
+                        value={currencyState.conversion[field]}
+                        onChange={(e) => setConversionField(field, e.target.value)}
+                        className="p-1.5 bg-gray-700 border border-gray-600 rounded text-sm text-white focus:border-blue-500 focus:outline-none"
+                      >
+                        {Object.keys(CURRENCIES).map(code => (
+                          <option key={code} value={code}>{field === 'from' ? code : `to ${code}`}</option>
+                        ))}
+                      </select>
+                    ))}
+                  </div>
+                  <div className="flex gap-2">
+                    <input
+                      type="number"
+                      min="0"
+                      value={currencyState.conversion.amount}
+                      onChange={(e) => setConversionField('amount', e.target.value)}
+                      placeholder={`Amount of ${currencyState.conversion.from}`}
+                      className="flex-1 p-1.5 bg-gray-700 border border-gray-600 rounded text-sm text-white focus:border-blue-500 focus:outline-none"
+                    />
+                    <button
+                      onClick={() => setConversionField('amount', String(Math.max(0, currencyHolding(portfolio, currencyState.conversion.from))))}
+                      className="px-2 bg-gray-600 hover:bg-gray-500 rounded text-xs"
+                    >
+                      Max
+                    </button>
+                  </div>
+                  <div className="text-xs text-gray-400 min-h-[1rem]">
+                    {conversionPreview && (
+                      <>≈ {fmtMoney(conversionPreview.total, currencyState.conversion.to)} at {fmtCrossPrice(conversionPreview.price)} {currencyState.conversion.to} per {currencyState.conversion.from}</>
+                    )}
+                  </div>
+                  <button
+                    onClick={convertCurrency}
+                    className="w-full py-1.5 bg-blue-600 hover:bg-blue-700 rounded text-sm font-medium"
+                  >
+                    Convert
+                  </button>
+                  <div className="text-xs text-gray-500">
+                    EUR and USDT convert at the FX rate plus a small spread. BTC is the BTC asset, so converting to or from it trades BTC in whole lots.
+                  </div>
+                </div>
+
+                {/* Recent conversions */}
+                {portfolio.conversions.length > 0 && (
+                  <div>
+                    <div className="text-xs text-gray-400 mb-1">Recent conversions</div>
+                    <div className="max-h-32 overflow-y-auto space-y-0.5 text-xs">
+                      {portfolio.conversions.map((conversion, index) => (
+                        <div key={index} className="flex justify-between">
+                          <span className="text-gray-500">{fmtMarketTime(conversion.time)}</span>
+                          <span className="font-mono">
+                            {fmtMoney(conversion.amount, conversion.from)} → {fmtMoney(conversion.received, conversion.to)}
+                          </span>
+                        </div>
+                      ))}
+                    </div>
+                  </div>
+                )}
+              </div>
+            </div>
+          </div>
+        </div>
+      )}
+
+      {/* Price Model Diagnostics */}
+      {showDiagnostics && currentAsset && (
+        <div className="max-w-7xl mx-auto px-4 pt-4">
+          <div className="bg-gray-800 rounded-xl p-4 shadow-lg border border-gray-700">
+            <div className="flex justify-between items-center mb-4">
+              <h2 className="text-lg font-semibold flex items-center">
+                <span className="mr-2">📐</span> Price Model: {currentAsset.symbol}
+              </h2>
+              {!market.replay && (
+                <div className="text-xs text-gray-400">
+                  {REGIMES[market.regime.current].label} regime since {fmtMarketTime(market.regime.since)}
+                  {market.regime.current === 'turbulent' && ` (volatility ×${REGIMES.turbulent.volatility}, jumps ×${REGIMES.turbulent.jumps})`}
+                </div>
+              )}
+            </div>
+
+            {market.replay ? (
+              <div className="text-xs text-gray-400 mb-4">Replays play back recorded prices, so no price model applies. The diagnostics below describe the replayed data.</div>
+            ) : (
+              <div className="grid grid-cols-2 md:grid-cols-4 gap-2 mb-4">
+                {Object.entries(PRICE_MODELS).map(([key, model]) => (
+                  <button
+                    key={key}
+                    onClick={() => changeAssetModel(key)}
+                    className={`p-2 rounded-lg text-left border transition-all ${
+                      currentAsset.model === key
+                        ? 'bg-blue-600/20 border-blue-500'
+                        : 'bg-gray-700/50 border-gray-700 hover:bg-gray-700 hover:border-gray-600'
+                    }`}
+                  >
+                    <div className="text-sm font-medium">{model.label}</div>
+                    <div className="text-xs text-gray-400">{model.description}</div>
+                  </button>
+                ))}
+              </div>
+            )}
+
+            {diagnostics ? (
+              <>
+                <div className="grid grid-cols-2 md:grid-cols-6 gap-3 mb-4">
+                  <div className="bg-gray-700/50 p-2 rounded-lg text-center border border-gray-700">
+                    <div className="text-lg font-bold">{fmtPercent(diagnostics.volatility)}</div>
+                    <div className="text-xs text-gray-400">Realised volatility</div>
+                  </div>
+                  <div className="bg-gray-700/50 p-2 rounded-lg text-center border border-gray-700">
+                    <div className="text-lg font-bold">
+                      {market.replay
+                        ? '—'
+                        : fmtPercent(currentAsset.volatility * market.settings.volatilityDamping *
+                          REGIMES[market.regime.current].volatility * Math.sqrt(currentAsset.modelState?.variance ?? 1))}
+                    </div>
+                    <div className="text-xs text-gray-400">Model volatility now</div>
+                  </div>
+                  <div className="bg-gray-700/50 p-2 rounded-lg text-center border border-gray-700">
+                    <div className="text-lg font-bold">{diagnostics.skewness.toFixed(2)}</div>
+                    <div className="text-xs text-gray-400">Skewness</div>
+                  </div>
+                  <div className="bg-gray-700/50 p-2 rounded-lg text-center border border-gray-700">
+                    <div className="text-lg font-bold">{diagnostics.excessKurtosis.toFixed(2)}</div>
+                    <div className="text-xs text-gray-400">Excess kurtosis</div>
+                  </div>
+                  <div className="bg-gray-700/50 p-2 rounded-lg text-center border border-gray-700">
+                    <div className="text-lg font-bold">
+                      {diagnostics.tailMoves} <span className="text-sm text-gray-400">vs {diagnostics.normalTailMoves.toFixed(1)}</span>
+                    </div>
+                    <div className="text-xs text-gray-400">Moves beyond 3σ (normal)</div>
+                  </div>
+                  <div className="bg-gray-700/50 p-2 rounded-lg text-center border border-gray-700">
+                    <div className="text-lg font-bold">{diagnostics.largestMove.toFixed(1)}σ</div>
+                    <div className="text-xs text-gray-400">Largest move</div>
+                  </div>
+                </div>
+
+                <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+                  <div>
+                    <div className="text-sm font-medium mb-2">Return distribution</div>
+                    <div className="h-48">
+                      <ResponsiveContainer width="100%" height="100%">
+                        <ComposedChart data={diagnostics.histogram}>
+                          <CartesianGrid strokeDasharray="3 3" stroke="#374151" />
+                          <XAxis
+                            dataKey="sigma"
+                            tickFormatter={(value) => `${value.toFixed(0)}σ`}
+                            stroke="#9CA3AF"
+                            tick={{ fontSize: 10 }}
+                          />
+                          <YAxis scale="sqrt" stroke="#9CA3AF" tick={{ fontSize: 10 }} width={45} />
+                          <Tooltip
+                            contentStyle={{ backgroundColor: '#1F2937', border: '1px solid #4B5563' }}
+                            labelFormatter={(value) => `${value.toFixed(2)}σ`}
+                            formatter={(value, name) => [Math.round(value), name === 'count' ? 'Returns' : 'Normal']}
+                          />
+                          <Bar dataKey="count" fill="#3B82F6" isAnimationActive={false} />
+                          <Line dataKey="normal" stroke="#F59E0B" dot={false} strokeWidth={2} isAnimationActive={false} />
+                        </ComposedChart>
+                      </ResponsiveContainer>
+                    </div>
+                    <div className="text-xs text-gray-500">
+                      {fmtNumber(diagnostics.count)} returns in standard deviations from the mean (square-root scale), against a normal distribution.
+                    </div>
+                  </div>
+                  <div>
+                    <div className="text-sm font-medium mb-2">Realised volatility</div>
+                    <div className="h-48">
+                      <ResponsiveContainer width="100%" height="100%">
+                        <AreaChart data={diagnostics.rolling}>
+                          <CartesianGrid strokeDasharray="3 3" stroke="#374151" />
+                          <XAxis
+                            dataKey="time"
+                            tickFormatter={(time) => new Date(time).toLocaleDateString(undefined, { month: 'short', day: 'numeric' })}
+                            stroke="#9CA3AF"
+                            tick={{ fontSize: 10 }}
+                          />
+                          <YAxis tickFormatter={(value) => `${(value * 100).toFixed(0)}%`} stroke="#9CA3AF" tick={{ fontSize: 10 }} width={45} />
+                          <Tooltip
+                            contentStyle={{ backgroundColor: '#1F2937', border: '1px solid #4B5563' }}
+                            labelFormatter={(time) => new Date(time).toLocaleString()}
+                            formatter={(value) => [fmtPercent(value), 'Volatility']}
+                          />
+                          <Area dataKey="volatility" stroke="#8B5CF6" fill="#8B5CF633" isAnimationActive={false} />
+                        </AreaChart>
+                      </ResponsiveContainer>
+                    </div>
+                    <div className="text-xs text-gray-500">
+                      Annualised, over rolling windows of 60 returns. Gaps longer than five minutes (closed sessions) are left out.
+                    </div>
+                  </div>
+                </div>
+              </>
+            ) : (
+              <div className="text-sm text-gray-500">Not enough price history for diagnostics yet.</div>
+            )}
+          </div>
+        </div>
+      )}
+
+      {/* Correlations */}
+      {correlations && (
+        <div className="max-w-7xl mx-auto px-4 pt-4">
+          <div className="bg-gray-800 rounded-xl p-4 shadow-lg border border-gray-700">
+            <div className="flex justify-between items-center mb-4">
+              <h2 className="text-lg font-semibold flex items-center">
+                <span className="mr-2">🔗</span> Correlations
+              </h2>
+              <div className="flex items-center gap-2">
+                <span className="text-xs text-gray-400">Realised over</span>
+                {Object.keys(CORRELATION_WINDOWS).map(window => (
+                  <button
+                    key={window}
+                    onClick={() => setCorrelationState(prev => ({ ...prev, window }))}
+                    className={`px-2 py-1 rounded text-xs font-medium transition-all ${
+                      correlationState.window === window
+                        ? 'bg-blue-600 text-white'
+                        : 'bg-gray-700 hover:bg-gray-600 text-gray-300'
+                    }`}
+                  >
+                    {window}
+                  </button>
+                ))}
+              </div>
+            </div>
+
+            <div className="overflow-x-auto mb-4">
+              <table className="text-[10px] mx-auto">
+                <thead>
+                  <tr>
+                    <th></th>
+                    {correlations.symbols.map(symbol => (
+                      <th key={symbol} className="px-1 pb-1 font-medium text-gray-400">{symbol}</th>
+                    ))}
+                  </tr>
+                </thead>
+                <tbody>
+                  {correlations.symbols.map((rowSymbol, i) => (
+                    <tr key={rowSymbol}>
+                      <td className="pr-2 text-right font-medium text-gray-400">{rowSymbol}</td>
+                      {correlations.matrix[i].map((value, j) => (
+                        <td
+                          key={correlations.symbols[j]}
+                          className="w-10 h-7 text-center border border-gray-800"
+                          style={{ backgroundColor: correlationColor(value) }}
+                          title={`${rowSymbol} / ${correlations.symbols[j]}`}
+                        >
+                          {value === null ? '—' : value.toFixed(2)}
+                        </td>
+                      ))}
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+              <div className="text-xs text-gray-500 text-center mt-2">
+                Log-return correlations over each pair's shared history points. — means too little shared history.
+              </div>
+            </div>
+
+            {market.replay ? (
+              <div className="text-xs text-gray-400">Replays play back recorded prices, so the factor model doesn't apply.</div>
+            ) : (
+              <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+                <div>
+                  <div className="text-sm font-medium mb-2">Factor correlations</div>
+                  <div className="overflow-x-auto">
+                    <table className="text-xs">
+                      <thead>
+                        <tr>
+                          <th></th>
+                          {market.factors.factors.map(factor => (
+                            <th key={factor} className="px-1 pb-1 font-medium text-gray-400">{factor}</th>
+                          ))}
+                        </tr>
+                      </thead>
+                      <tbody>
+                        {market.factors.factors.map((rowFactor, i) => (
+                          <tr key={rowFactor}>
+                            <td className="pr-2 text-right text-gray-400">
+                              {rowFactor}
+                              <span className="ml-1 text-gray-500">σ {fmtPercent(market.factors.volatilities[i])}</span>
+                            </td>
+                            {market.factors.factors.map((columnFactor, j) => (
+                              <td key={columnFactor} className="p-0.5">
+                                {j > i ? (
+                                  <input
+                                    key={market.factors.correlation[i][j]}
+                                    type="number"
+                                    step="0.05"
+                                    defaultValue={market.factors.correlation[i][j]}
+                                    onBlur={(e) => updateFactorCorrelation(rowFactor, columnFactor, e.target)}
+                                    className="w-16 p-1 bg-gray-700 border border-gray-600 rounded text-center focus:border-blue-500 focus:outline-none"
+                                  />
+                                ) : (
+                                  <div className="w-16 p-1 text-center text-gray-500">
+                                    {market.factors.correlation[i][j].toFixed(2)}
+                                  </div>
+                                )}
+                              </td>
+                            ))}
+                          </tr>
+                        ))}
+                      </tbody>
+                    </table>
+                  </div>
+                  <div className="text-xs text-gray-500 mt-2">
+                    Every asset loads on the {MARKET_FACTOR} factor and its own sector's. Edit a correlation to link two factors.
+                  </div>
+                </div>
+
+                <div className="max-h-80 overflow-y-auto">
+                  <div className="text-sm font-medium mb-2">Factor loadings</div>
+                  <table className="w-full text-xs">
+                    <thead>
+                      <tr className="text-gray-400 text-left">
+                        <th className="pb-1">Symbol</th>
+                        <th className="pb-1">Beta</th>
+                        <th className="pb-1">Sector loading</th>
+                        <th className="pb-1 text-right">Idio. vol</th>
+                        <th className="pb-1 text-right">R²</th>
+                      </tr>
+                    </thead>
+                    <tbody>
+                      {correlations.symbols.map(symbol => {
+                        const asset = marketData[symbol];
+                        return (
+                          <tr key={symbol} className="border-t border-gray-700">
+                            <td className="py-1 font-semibold">{symbol}</td>
+                            {['beta', 'sectorBeta'].map(field => (
+                              <td key={field} className="py-1">
+                                <input
+                                  key={asset[field]}
+                                  type="number"
+                                  step="0.05"
+                                  defaultValue={asset[field]}
+                                  onBlur={(e) => updateAssetLoading(symbol, field, e.target)}
+                                  className="w-16 p-1 bg-gray-700 border border-gray-600 rounded focus:border-blue-500 focus:outline-none"
+                                />
+                              </td>
+                            ))}
+                            <td className="py-1 text-right">{fmtPercent(idiosyncraticVolatility(market.factors, asset))}</td>
+                            <td className="py-1 text-right">{fmtPercent(systematicShare(market.factors, asset))}</td>
+                          </tr>
+                        );
+                      })}
+                    </tbody>
+                  </table>
+                  <div className="text-xs text-gray-500 mt-2">
+                    The idiosyncratic part tops each asset up to its volatility; if the factors alone exceed it, the asset moves more than its setting.
+                  </div>
+                </div>
+              </div>
+            )}
+          </div>
+        </div>
+      )}
+
+      {/* Historical Replay */}
+      {replayState.isOpen && (
+        <div className="max-w-7xl mx-auto px-4 pt-4">
+          <div className="bg-gray-800 rounded-xl p-4 shadow-lg border border-gray-700">
+            <div className="flex justify-between items-center mb-4">
+              <h2 className="text-lg font-semibold flex items-center">
+                <span className="mr-2">📼</span> Historical Replay
+              </h2>
+              <div className="text-xs text-gray-400">
+                Starting a replay replaces the current game. Save it first to keep it.
+              </div>
+            </div>
+            <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+              <div className="space-y-2">
+                <div className="text-sm font-medium">Import OHLCV data</div>
+                <div className="grid grid-cols-2 gap-2">
+                  <input
+                    type="text"
+                    value={replayState.symbol}
+                    onChange={(e) => setReplayState(prev => ({ ...prev, symbol: e.target.value }))}
+                    className="p-2 bg-gray-700 border border-gray-600 rounded-lg text-sm focus:border-blue-500 focus:outline-none"
+                    placeholder="Symbol"
+                  />
+                  <input
+                    type="text"
+                    value={replayState.name}
+                    onChange={(e) => setReplayState(prev => ({ ...prev, name: e.target.value }))}
+                    className="p-2 bg-gray-700 border border-gray-600 rounded-lg text-sm focus:border-blue-500 focus:outline-none"
+                    placeholder="Name"
+                  />
+                  <input
+                    type="text"
+                    value={replayState.sector}
+                    onChange={(e) => setReplayState(prev => ({ ...prev, sector: e.target.value }))}
+                    className="p-2 bg-gray-700 border border-gray-600 rounded-lg text-sm focus:border-blue-500 focus:outline-none"
+                    placeholder="Sector"
+                  />
+                  <select
+                    value={replayState.assetClass}
+                    onChange={(e) => setReplayState(prev => ({ ...prev, assetClass: e.target.value }))}
+                    className="p-2 bg-gray-700 border border-gray-600 rounded-lg text-sm focus:border-blue-500 focus:outline-none"
+                  >
+                    <option value="stock">Stock</option>
+                    <option value="crypto">Crypto</option>
+                  </select>
+                </div>
+                <input
+                  type="file"
+                  accept=".csv,.json,text/csv,application/json"
+                  onChange={(e) => readImportFile(e.target.files[0])}
+                  className="w-full text-sm text-gray-400"
+                />
+                <textarea
+                  value={replayState.data}
+                  onChange={(e) => setReplayState(prev => ({ ...prev, data: e.target.value }))}
+                  rows={5}
+                  className="w-full p-2 bg-gray-700 border border-gray-600 rounded-lg font-mono text-xs focus:border-blue-500 focus:outline-none"
+                  placeholder={"date,open,high,low,close,volume\n2024-01-02,187.15,188.44,183.89,185.64,82488700"}
+                />
+                <div className="flex justify-between items-center">
+                  <span className="text-xs text-gray-400">CSV with a header row, or a JSON array of bars</span>
+                  <button
+                    onClick={importSeries}
+                    className="px-3 py-1.5 bg-blue-600 hover:bg-blue-700 rounded text-sm font-medium transition-colors"
+                  >
+                    Import
+                  </button>
+                </div>
+              </div>
+
+              <div className="space-y-2">
+                <div className="text-sm font-medium">Imported series</div>
+                {replayState.library.length > 0 ? (
+                  <div className="space-y-2 max-h-64 overflow-y-auto">
+                    {replayState.library.map(series => (
+                      <div key={series.symbol} className="flex justify-between items-center p-2 bg-gray-700/50 rounded-lg text-sm">
+                        <label className="flex items-center cursor-pointer">
+                          <input
+                            type="checkbox"
+                            checked={replayState.selected.includes(series.symbol)}
+                            onChange={() => toggleReplaySeries(series.symbol)}
+                            className="mr-2"
+                          />
+                          <span>
+                            <span className="font-semibold">{series.symbol}</span>
+                            <span className="text-gray-400 ml-2">{series.name}</span>
+                            <span className="block text-xs text-gray-400">
+                              {fmtNumber(series.bars.length)} bars · {new Date(series.bars[0].time).toLocaleDateString()}
+                              {' – '}{new Date(series.bars[series.bars.length - 1].time).toLocaleDateString()}
+                            </span>
+                          </span>
+                        </label>
+                        <button
+                          onClick={() => deleteSeries(series.symbol)}
+                          className="px-2 py-1 bg-red-600/80 hover:bg-red-600 rounded text-xs"
+                        >
+                          Delete
+                        </button>
+                      </div>
+                    ))}
+                  </div>
+                ) : (
+                  <div className="text-center text-gray-500 py-4 bg-gray-700/30 rounded-lg text-sm">
+                    No series imported yet
+                  </div>
+                )}
+                <button
+                  onClick={() => startReplay(replayState.library.filter(series => replayState.selected.includes(series.symbol)))}
+                  disabled={replayState.selected.length === 0}
+                  className="w-full px-3 py-1.5 bg-blue-600 hover:bg-blue-700 rounded text-sm font-medium transition-colors disabled:opacity-40 disabled:cursor-not-allowed"
+                >
+                  Start Replay ({replayState.selected.length} selected)
+                </button>
+              </div>
+            </div>
+          </div>
+        </div>
+      )}
+
+      <div className="max-w-7xl mx-auto p-4">
+        {/* Replay Progress */}
+        {replayScore && (
+          <div className={`rounded-lg p-3 mb-6 border-l-4 ${
+            market.replay.finished ? 'bg-gray-800 border-green-500' : 'bg-gray-800 border-purple-500'
+          }`}>
+            <div className="flex flex-wrap justify-between items-center gap-2">
+              <div>
+                <h3 className="font-semibold flex items-center">
+                  <span className="mr-2">📼</span>
+                  Replay: {Object.keys(market.replay.series).join(", ")}
+                  {market.replay.finished && <span className="ml-2 text-sm">Finished</span>}
+                </h3>
+                <div className="text-sm text-gray-400">
+                  {new Date(market.time).toLocaleDateString()} · {fmtPercent(replayScore.progress)} played
+                </div>
+              </div>
+              <div className="flex items-center gap-4 text-sm">
+                <span>
+                  You: <span className={replayScore.playerReturn >= 0 ? 'text-green-400' : 'text-red-400'}>
+                    {fmtPercent(replayScore.playerReturn)}
+                  </span>
+                </span>
+                <span>
+                  Buy &amp; hold: <span className={replayScore.benchmark >= 0 ? 'text-green-400' : 'text-red-400'}>
+                    {fmtPercent(replayScore.benchmark)}
+                  </span>
+                </span>
+                {market.replay.finished && (
+                  <button
+                    onClick={() => startReplay(replayedSeries())}
+                    className="px-3 py-1 bg-blue-600 hover:bg-blue-700 rounded text-sm"
+                  >
+                    Replay Again
+                  </button>
+                )}
+              </div>
+            </div>
+            <div className="w-full bg-gray-700 rounded-full h-1.5 mt-2">
+              <div className="bg-purple-500 h-1.5 rounded-full" style={{ width: `${replayScore.progress * 100}%` }}></div>
+            </div>
+            {market.replay.finished && (
+              <div className="grid grid-cols-2 md:grid-cols-4 gap-3 mt-3 text-sm">
+                <div className="bg-gray-700/50 p-2 rounded">
+                  <div className="text-xs text-gray-400">Your equity</div>
+                  <div className="font-semibold">{fmtCurrency(portfolio.totalValue)}</div>
+                </div>
+                <div className="bg-gray-700/50 p-2 rounded">
+                  <div className="text-xs text-gray-400">Buy &amp; hold equity</div>
+                  <div className="font-semibold">{fmtCurrency(replayScore.benchmarkValue)}</div>
+                </div>
+                <div className="bg-gray-700/50 p-2 rounded">
+                  <div className="text-xs text-gray-400">Difference</div>
+                  <div className={`font-semibold ${portfolio.totalValue >= replayScore.benchmarkValue ? 'text-green-400' : 'text-red-400'}`}>
+                    {fmtCurrency(portfolio.totalValue - replayScore.benchmarkValue)}
+                  </div>
+                </div>
+                <div className="bg-gray-700/50 p-2 rounded">
+                  <div className="text-xs text-gray-400">Each series</div>
+                  {replayScore.symbolReturns.map(({ symbol, change }) => (
+                    <div key={symbol} className="flex justify-between text-xs">
+                      <span>{symbol}</span>
+                      <span className={change >= 0 ? 'text-green-400' : 'text-red-400'}>{fmtPercent(change)}</span>
+                    </div>
+                  ))}
+                </div>
+              </div>
+            )}
+          </div>
+        )}
+
+        {/* Scenario Objective */}
+        {scenario && scenarioProgress && (
+          <div className={`rounded-lg p-3 mb-6 border-l-4 ${
+            scenario.status === 'won' ? 'bg-green-900/30 border-green-500' :
+            scenario.status === 'lost' ? 'bg-red-900/30 border-red-500' :
+            'bg-gray-800 border-blue-500'
+          }`}>
+            <div className="flex flex-wrap justify-between items-center gap-2">
+              <div>
+                <h3 className="font-semibold flex items-center">
+                  <span className="mr-2">
+                    {scenario.status === 'won' ? '🏆' : scenario.status === 'lost' ? '💀' : '🎯'}
+                  </span>
+                  {scenario.name}
+                  {scenario.status !== 'active' && (
+                    <span className="ml-2 text-sm">
+                      {scenario.status === 'won' ? 'Objective complete!' : 'Objective failed'}
+                    </span>
+                  )}
+                </h3>
+                <div className="text-sm text-gray-400">{describeObjective(scenario.objective)}</div>
+              </div>
+              <div className="flex items-center gap-4 text-sm">
+                <span>
+                  You: <span className={scenarioScore.playerReturn >= 0 ? 'text-green-400' : 'text-red-400'}>
+                    {fmtPercent(scenarioScore.playerReturn)}
+                  </span>
+                </span>
+                <span>
+                  Buy &amp; hold: <span className={scenarioScore.benchmark >= 0 ? 'text-green-400' : 'text-red-400'}>
+                    {fmtPercent(scenarioScore.benchmark)}
+                  </span>
+                </span>
+                {scenario.status === 'active' ? (
+                  <span className="font-mono text-lg">{fmtClock(scenarioProgress.remaining)}</span>
+                ) : (
+                  <>
+                    <button
+                      onClick={() => startScenario(scenario.id)}
+                      className="px-3 py-1 bg-blue-600 hover:bg-blue-700 rounded text-sm"
+                    >
+                      Play Again
+                    </button>
+                    <button
+                      onClick={() => setShowScenarios(true)}
+                      className="px-3 py-1 bg-gray-600 hover:bg-gray-500 rounded text-sm"
+                    >
+                      Scenarios
+                    </button>
+                  </>
+                )}
+              </div>
             </div>
           </div>
-          
-          <div className="text-right">
-            <div className="text-lg font-semibold">Portfolio: <span className="text-green-400">{fmtCurrency(portfolio.totalValue)}</span></div>
-            <div className="text-sm text-gray-400 flex items-center justify-end">
-              <span className="mr-4">Cash: {fmtCurrency(portfolio.cash)}</span>
-              <span className="flex items-center">
-                <span className="h-2 w-2 bg-green-500 rounded-full mr-1 animate-pulse"></span>
-                Live
-              </span>
-            </div>
+        )}
+
+        {/* Margin Call */}
+        {latestMarginCall && market.time - latestMarginCall.timestamp < 60000 && (
+          <div className="bg-red-900/40 rounded-lg p-3 mb-6 border-l-4 border-red-500">
+            <h3 className="font-semibold flex items-center text-red-300">
+              <span className="mr-2">🚨</span> Margin Call
+            </h3>
+            <p className="text-sm text-gray-300 mt-1">
+              Equity of {fmtCurrency(latestMarginCall.equity)} fell below the maintenance requirement
+              of {fmtCurrency(latestMarginCall.requirement)}.
+              {latestMarginCall.liquidated.length > 0 && (
+                <> Force-liquidated: <span className="font-semibold">{latestMarginCall.liquidated.join(", ")}</span>.</>
+              )}
+            </p>
           </div>
-        </div>
-      </header>
+        )}
 
-      <div className="max-w-7xl mx-auto p-4">
         {/* Market Events Ticker */}
-        {marketStatus.events.length > 0 && (
+        {market.events.length > 0 && (
           <div className="bg-gray-800 rounded-lg p-3 mb-6 border-l-4 border-yellow-500">
             <div className="flex items-center mb-2">
               <h3 className="font-semibold flex items-center">
@@ -641,16 +4409,20 @@ export default function ProfessionalTradingSimulator() {
               </h3>
             </div>
             <div className="space-y-2 max-h-32 overflow-y-auto">
-              {marketStatus.events.map(event => (
+              {market.events.slice(0, 5).map(event => (
                 <div key={event.id} className={`text-sm p-2 rounded flex items-start ${
                   event.type === 'positive' ? 'bg-green-500/10 border border-green-500/20' : 'bg-red-500/10 border border-red-500/20'
                 }`}>
                   <span className="mr-2">
                     {event.type === 'positive' ? '📈' : '📉'}
                   </span>
-                  <span>
+                  <span className="flex-1">
                     {event.message} {event.sector && <span className="text-yellow-400">({event.sector})</span>}
                   </span>
+                  <span className={`ml-2 text-xs px-1.5 py-0.5 rounded whitespace-nowrap ${NEWS_SEVERITY_STYLES[event.severity]}`}>
+                    {NEWS_SEVERITIES[event.severity].label}
+                  </span>
+                  <span className="ml-2 text-xs text-gray-400 whitespace-nowrap">{IMPACT_CURVES[event.curve].label}</span>
                 </div>
               ))}
             </div>
@@ -667,12 +4439,110 @@ export default function ProfessionalTradingSimulator() {
                   <span className="mr-2">📊</span> Market Watch
                 </h2>
                 <div className="text-xs bg-gray-700 px-2 py-1 rounded">
-                  {Object.keys(marketData).length} Assets
+                  {watchedAssets.length} Assets
+                </div>
+              </div>
+              <div className="space-y-2 mb-3">
+                <div className="flex gap-2">
+                  <select
+                    value={watchlistState.active}
+                    onChange={(e) => setWatchlistState(prev => ({ ...prev, active: e.target.value }))}
+                    className="flex-1 p-1.5 bg-gray-700 border border-gray-600 rounded text-sm focus:border-blue-500 focus:outline-none"
+                  >
+                    <option value="all">All assets</option>
+                    {watchlistState.lists.map(list => (
+                      <option key={list.id} value={list.id}>{list.name} ({list.symbols.length})</option>
+                    ))}
+                  </select>
+                  {activeWatchlist && (
+                    <button
+                      onClick={deleteWatchlist}
+                      className="px-2 bg-red-600/80 hover:bg-red-600 rounded text-xs"
+                    >
+                      Delete
+                    </button>
+                  )}
+                </div>
+                <div className="flex gap-2">
+                  <input
+                    type="text"
+                    value={watchlistState.newName}
+                    onChange={(e) => setWatchlistState(prev => ({ ...prev, newName: e.target.value }))}
+                    className="flex-1 p-1.5 bg-gray-700 border border-gray-600 rounded text-sm focus:border-blue-500 focus:outline-none"
+                    placeholder="New watchlist"
+                  />
+                  <button
+                    onClick={createWatchlist}
+                    disabled={!watchlistState.newName.trim()}
+                    className="px-3 bg-blue-600 hover:bg-blue-700 disabled:bg-gray-600 rounded text-xs font-medium"
+                  >
+                    Create
+                  </button>
+                </div>
+                <input
+                  type="text"
+                  value={watchlistState.search}
+                  onChange={(e) => setWatchlistState(prev => ({ ...prev, search: e.target.value }))}
+                  className="w-full p-1.5 bg-gray-700 border border-gray-600 rounded text-sm focus:border-blue-500 focus:outline-none"
+                  placeholder="Search symbol or name"
+                />
+                <div className="grid grid-cols-3 gap-2">
+                  <select
+                    value={watchlistState.assetClass}
+                    onChange={(e) => setWatchlistState(prev => ({ ...prev, assetClass: e.target.value }))}
+                    className="p-1.5 bg-gray-700 border border-gray-600 rounded text-xs focus:border-blue-500 focus:outline-none"
+                  >
+                    <option value="all">All classes</option>
+                    <option value="stock">Stocks</option>
+                    <option value="crypto">Crypto</option>
+                  </select>
+                  <select
+                    value={watchlistState.sector}
+                    onChange={(e) => setWatchlistState(prev => ({ ...prev, sector: e.target.value }))}
+                    className="p-1.5 bg-gray-700 border border-gray-600 rounded text-xs focus:border-blue-500 focus:outline-none"
+                  >
+                    <option value="all">All sectors</option>
+                    {marketSectors.map(sector => (
+                      <option key={sector} value={sector}>{sector}</option>
+                    ))}
+                  </select>
+                  <select
+                    value={watchlistState.sortBy}
+                    onChange={(e) => setWatchlistState(prev => ({ ...prev, sortBy: e.target.value }))}
+                    className="p-1.5 bg-gray-700 border border-gray-600 rounded text-xs focus:border-blue-500 focus:outline-none"
+                  >
+                    {Object.entries(WATCH_SORTS).map(([key, sort]) => (
+                      <option key={key} value={key}>Sort: {sort.label}</option>
+                    ))}
+                  </select>
                 </div>
+                {activeWatchlist && (
+                  <select
+                    value=""
+                    onChange={(e) => e.target.value && toggleWatchlistSymbol(e.target.value)}
+                    className="w-full p-1.5 bg-gray-700 border border-gray-600 rounded text-xs focus:border-blue-500 focus:outline-none"
+                  >
+                    <option value="">+ Add to {activeWatchlist.name}…</option>
+                    {Object.keys(marketData)
+                      .filter(symbol => !activeWatchlist.symbols.includes(symbol))
+                      .sort()
+                      .map(symbol => (
+                        <option key={symbol} value={symbol}>{symbol}</option>
+                      ))}
+                  </select>
+                )}
               </div>
               <div className="space-y-2 max-h-96 overflow-y-auto">
-                {Object.values(marketData).map(asset => {
+                {watchedAssets.length === 0 && (
+                  <div className="text-center text-gray-500 text-sm py-4">
+                    {activeWatchlist && activeWatchlist.symbols.length === 0
+                      ? "This watchlist is empty"
+                      : "No assets match"}
+                  </div>
+                )}
+                {watchedAssets.map(asset => {
                   const position = portfolio.positions[asset.symbol];
+                  const assetSessionNow = assetSession(market, asset);
                   return (
                     <div
                       key={asset.symbol}
@@ -685,7 +4555,21 @@ export default function ProfessionalTradingSimulator() {
                     >
                       <div className="flex justify-between items-center">
                         <div>
-                          <div className="font-semibold">{asset.symbol}</div>
+                          <div className="font-semibold flex items-center">
+                            <span
+                              className="inline-block h-2 w-2 rounded-full mr-1.5"
+                              style={{ backgroundColor: sectorColor(universe.sectors, asset.sector) }}
+                              title={asset.sector}
+                            ></span>
+                            {asset.symbol}
+                            {assetSessionNow !== "regular" && (
+                              <span className={`ml-2 text-[10px] font-normal ${
+                                assetSessionNow === "closed" ? 'text-red-400' : 'text-yellow-400'
+                              }`}>
+                                {assetSessionNow.toUpperCase()}
+                              </span>
+                            )}
+                          </div>
                           <div className="text-xs text-gray-400 truncate max-w-[120px]">{asset.name}</div>
                         </div>
                         <div className="text-right">
@@ -694,6 +4578,18 @@ export default function ProfessionalTradingSimulator() {
                             asset.changePercent >= 0 ? 'text-green-400' : 'text-red-400'
                           }`}>
                             {asset.changePercent >= 0 ? '▲' : '▼'} {Math.abs(asset.changePercent).toFixed(2)}%
+                            {activeWatchlist && (
+                              <button
+                                onClick={(e) => {
+                                  e.stopPropagation();
+                                  toggleWatchlistSymbol(asset.symbol);
+                                }}
+                                className="ml-2 text-gray-400 hover:text-red-400"
+                                title={`Remove from ${activeWatchlist.name}`}
+                              >
+                                ×
+                              </button>
+                            )}
                           </div>
                           {position && (
                             <div className={`text-xs flex items-center justify-end ${
@@ -737,13 +4633,21 @@ export default function ProfessionalTradingSimulator() {
                     {currentAsset?.changePercent >= 0 ? '▲' : '▼'} {Math.abs(currentAsset?.changePercent || 0).toFixed(2)}%
                     <span className="ml-2 text-gray-400">Spread: {fmtCurrency(currentAsset?.spread || 0)}</span>
                   </div>
+                  {selectedSession !== "regular" && (
+                    <div className="mt-2 text-xs text-yellow-400">
+                      {SESSION_LABELS[selectedSession]}: {selectedSession === "closed"
+                        ? "orders queue until the open"
+                        : "only limit orders trade; market orders queue until the open"}
+                      {" "}({fmtOpen(nextRegularOpen(market.time))})
+                    </div>
+                  )}
                 </div>
 
                 <div className="space-y-3">
                   <div>
                     <label className="block text-sm font-medium mb-1">Order Type</label>
-                    <div className="grid grid-cols-3 gap-2">
-                      {['market', 'limit', 'stop'].map(type => (
+                    <div className="grid grid-cols-4 gap-2">
+                      {Object.keys(ORDER_TYPE_LABELS).map(type => (
                         <button
                           key={type}
                           onClick={() => setTradingState(prev => ({ ...prev, orderType: type }))}
@@ -753,13 +4657,13 @@ export default function ProfessionalTradingSimulator() {
                               : 'bg-gray-700 hover:bg-gray-600 text-gray-300'
                           }`}
                         >
-                          {type.charAt(0).toUpperCase() + type.slice(1)}
+                          {ORDER_TYPE_LABELS[type]}
                         </button>
                       ))}
                     </div>
                   </div>
 
-                  {tradingState.orderType === 'limit' && (
+                  {(tradingState.orderType === 'limit' || tradingState.orderType === 'stop_limit') && (
                     <div>
                       <label className="block text-sm font-medium mb-1">Limit Price</label>
                       <input
@@ -769,13 +4673,14 @@ export default function ProfessionalTradingSimulator() {
                           ...prev, 
                           limitPrice: e.target.value 
                         }))}
+                        step={currentAsset?.tickSize}
                         className="w-full p-2 bg-gray-700 border border-gray-600 rounded-lg focus:border-blue-500 focus:outline-none focus:ring-1 focus:ring-blue-500"
                         placeholder="Enter limit price"
                       />
                     </div>
                   )}
 
-                  {tradingState.orderType === 'stop' && (
+                  {(tradingState.orderType === 'stop' || tradingState.orderType === 'stop_limit') && (
                     <div>
                       <label className="block text-sm font-medium mb-1">Stop Price</label>
                       <input
@@ -785,50 +4690,357 @@ export default function ProfessionalTradingSimulator() {
                           ...prev, 
                           stopPrice: e.target.value 
                         }))}
+                        step={currentAsset?.tickSize}
                         className="w-full p-2 bg-gray-700 border border-gray-600 rounded-lg focus:border-blue-500 focus:outline-none focus:ring-1 focus:ring-blue-500"
                         placeholder="Enter stop price"
                       />
                     </div>
                   )}
 
+                  {timeInForceChoices.length > 0 && (
+                    <div>
+                      <label className="block text-sm font-medium mb-1">Time in Force</label>
+                      <div className="grid grid-cols-4 gap-2">
+                        {timeInForceChoices.map(option => (
+                          <button
+                            key={option}
+                            onClick={() => setTradingState(prev => ({ ...prev, timeInForce: option }))}
+                            title={TIME_IN_FORCE[option].description}
+                            className={`p-1.5 rounded-lg text-xs font-medium transition-all ${
+                              ticketTimeInForce === option
+                                ? 'bg-blue-600 text-white'
+                                : 'bg-gray-700 hover:bg-gray-600 text-gray-300'
+                            }`}
+                          >
+                            {TIME_IN_FORCE[option].label}
+                          </button>
+                        ))}
+                      </div>
+                    </div>
+                  )}
+
                   <div>
-                    <label className="block text-sm font-medium mb-1">Quantity</label>
+                    <div className="flex justify-between items-center mb-1">
+                      <label className="text-sm font-medium">{tradingState.sizeMode === 'notional' ? 'Amount' : 'Quantity'}</label>
+                      <div className="flex bg-gray-700 rounded text-xs">
+                        {[['units', 'Units'], ['notional', '$ Amount']].map(([mode, label]) => (
+                          <button
+                            key={mode}
+                            onClick={() => setTradingState(prev => ({ ...prev, sizeMode: mode, quantity: "" }))}
+                            className={`px-2 py-0.5 rounded ${tradingState.sizeMode === mode ? 'bg-blue-600 text-white' : 'text-gray-300'}`}
+                          >
+                            {label}
+                          </button>
+                        ))}
+                      </div>
+                    </div>
                     <input
                       type="number"
+                      min="0"
+                      step={tradingState.sizeMode === 'notional' ? 0.01 : currentAsset?.lotSize}
                       value={tradingState.quantity}
-                      onChange={(e) => setTradingState(prev => ({ 
-                        ...prev, 
-                        quantity: e.target.value.replace(/[^0-9]/g, '') 
-                      }))}
+                      onChange={(e) => setTradingState(prev => ({ ...prev, quantity: e.target.value }))}
                       className="w-full p-2 bg-gray-700 border border-gray-600 rounded-lg focus:border-blue-500 focus:outline-none focus:ring-1 focus:ring-blue-500"
-                      placeholder="Enter shares"
+                      placeholder={tradingState.sizeMode === 'notional'
+                        ? 'Enter dollar amount'
+                        : `Enter units (lots of ${currentAsset?.lotSize ?? 1})`}
                     />
                   </div>
 
-                  <div className="grid grid-cols-2 gap-3">
-                    <button
-                      onClick={() => executeTrade('buy')}
-                      className="p-3 bg-green-600 hover:bg-green-700 rounded-lg font-semibold transition-colors flex items-center justify-center"
-                    >
-                      <span className="mr-2">🛒</span> BUY
-                    </button>
-                    <button
-                      onClick={() => executeTrade('sell')}
-                      className="p-3 bg-red-600 hover:bg-red-700 rounded-lg font-semibold transition-colors flex items-center justify-center"
-                    >
-                      <span className="mr-2">📤</span> SELL
-                    </button>
+                  <div>
+                    <label className="flex items-center gap-2 text-sm text-gray-300">
+                      <input
+                        type="checkbox"
+                        checked={tradingState.bracket}
+                        onChange={(e) => setTradingState(prev => ({ ...prev, bracket: e.target.checked }))}
+                      />
+                      Bracket: attach take-profit / stop-loss
+                    </label>
+                    {tradingState.bracket && (
+                      <div className="grid grid-cols-2 gap-2 mt-2">
+                        <input
+                          type="number"
+                          step={currentAsset?.tickSize}
+                          value={tradingState.takeProfit}
+                          onChange={(e) => setTradingState(prev => ({ ...prev, takeProfit: e.target.value }))}
+                          className="p-1.5 bg-gray-700 border border-gray-600 rounded text-sm focus:border-blue-500 focus:outline-none"
+                          placeholder="Take-profit"
+                        />
+                        <input
+                          type="number"
+                          step={currentAsset?.tickSize}
+                          value={tradingState.stopLoss}
+                          onChange={(e) => setTradingState(prev => ({ ...prev, stopLoss: e.target.value }))}
+                          className="p-1.5 bg-gray-700 border border-gray-600 rounded text-sm focus:border-blue-500 focus:outline-none"
+                          placeholder="Stop-loss"
+                        />
+                      </div>
+                    )}
                   </div>
 
-                  {tradingState.quantity && (
-                    <div className="text-center text-sm text-gray-400 bg-gray-700/50 p-2 rounded-lg">
-                      Est. Cost: {fmtCurrency((currentAsset?.price || 0) * parseInt(tradingState.quantity) || 0)}
+                  {orderPreview ? (
+                    <div className="bg-gray-700/50 border border-gray-600 p-3 rounded-lg text-sm space-y-1">
+                      <div className="font-semibold mb-1">
+                        <span className={orderPreview.side === 'buy' ? 'text-green-400' : 'text-red-400'}>
+                          {orderPreview.side.toUpperCase()}
+                        </span>
+                        {' '}{fmtQuantity(orderPreview.quantity)} {orderPreview.symbol}
+                        <span className="text-xs text-gray-400 ml-2">
+                          {ORDER_TYPE_LABELS[orderPreview.type]}
+                          {orderPreview.timeInForce && ` · ${TIME_IN_FORCE[orderPreview.timeInForce].label}`}
+                        </span>
+                      </div>
+                      {Number.isFinite(orderPreview.stopPrice) && orderPreview.type !== 'market' && orderPreview.type !== 'limit' && (
+                        <div className="flex justify-between text-gray-400"><span>Stop</span><span>{fmtPrice(orderPreview.stopPrice)}</span></div>
+                      )}
+                      {Number.isFinite(orderPreview.limitPrice) && (orderPreview.type === 'limit' || orderPreview.type === 'stop_limit') && (
+                        <div className="flex justify-between text-gray-400"><span>Limit</span><span>{fmtPrice(orderPreview.limitPrice)}</span></div>
+                      )}
+                      {previewEstimate && (
+                        <>
+                          {previewEstimate.quantity < orderPreview.quantity && (
+                            <div className="flex justify-between text-yellow-400">
+                              <span>Fillable now</span>
+                              <span>{fmtQuantity(previewEstimate.quantity)} {orderPreview.symbol}</span>
+                            </div>
+                          )}
+                          <div className="flex justify-between text-gray-400">
+                            <span>{orderPreview.type === 'market' || isImmediate(orderPreview) ? 'Est. fill price' : 'Fill price if reached'}</span>
+                            <span>{fmtPrice(previewEstimate.price)}</span>
+                          </div>
+                          <div className="flex justify-between text-gray-400">
+                            <span>Est. slippage</span><span>{fmtCurrency(previewEstimate.slippage)}</span>
+                          </div>
+                          <div className="flex justify-between text-gray-400">
+                            <span>Fees ({previewEstimate.liquidity})</span><span>{fmtCurrency(previewEstimate.commission)}</span>
+                          </div>
+                          <div className="flex justify-between font-medium">
+                            <span>{orderPreview.side === 'buy' ? 'Est. total cost' : 'Est. net proceeds'}</span>
+                            <span>
+                              {fmtCurrency(previewEstimate.price * previewEstimate.quantity +
+                                (orderPreview.side === 'buy' ? 1 : -1) * previewEstimate.commission)}
+                            </span>
+                          </div>
+                        </>
+                      )}
+                      {orderPreview.bracket && (
+                        <div className="text-xs text-gray-400 pt-1 border-t border-gray-600">
+                          {Number.isFinite(orderPreview.bracket.takeProfit) && (
+                            <div>Take-profit: {orderPreview.side === 'buy' ? 'sell' : 'buy'} limit at {fmtPrice(orderPreview.bracket.takeProfit)}</div>
+                          )}
+                          {Number.isFinite(orderPreview.bracket.stopLoss) && (
+                            <div>Stop-loss: {orderPreview.side === 'buy' ? 'sell' : 'buy'} stop at {fmtPrice(orderPreview.bracket.stopLoss)}</div>
+                          )}
+                          {Number.isFinite(orderPreview.bracket.takeProfit) && Number.isFinite(orderPreview.bracket.stopLoss) && (
+                            <div>Placed once the entry fills; one cancels the other</div>
+                          )}
+                        </div>
+                      )}
+                      {orderPreview.timeInForce === 'day' && marketData[orderPreview.symbol] && (
+                        <div className="text-xs text-gray-400">
+                          Expires {fmtMarketTime(dayOrderExpiry(market, marketData[orderPreview.symbol], market.time))}
+                        </div>
+                      )}
+                      <div className="grid grid-cols-2 gap-2 pt-2">
+                        <button
+                          onClick={() => sendTicketOrder(orderPreview)}
+                          className={`p-2 rounded-lg font-semibold transition-colors ${
+                            orderPreview.side === 'buy' ? 'bg-green-600 hover:bg-green-700' : 'bg-red-600 hover:bg-red-700'
+                          }`}
+                        >
+                          Confirm
+                        </button>
+                        <button
+                          onClick={() => setOrderPreview(null)}
+                          className="p-2 bg-gray-600 hover:bg-gray-500 rounded-lg font-semibold transition-colors"
+                        >
+                          Back
+                        </button>
+                      </div>
+                    </div>
+                  ) : (
+                    <div className="grid grid-cols-2 gap-3">
+                      <button
+                        onClick={() => executeTrade('buy')}
+                        className="p-3 bg-green-600 hover:bg-green-700 rounded-lg font-semibold transition-colors flex items-center justify-center"
+                      >
+                        <span className="mr-2">🛒</span> BUY
+                      </button>
+                      <button
+                        onClick={() => executeTrade('sell')}
+                        className="p-3 bg-red-600 hover:bg-red-700 rounded-lg font-semibold transition-colors flex items-center justify-center"
+                      >
+                        <span className="mr-2">📤</span> SELL
+                      </button>
+                    </div>
+                  )}
+
+                  {ticketEstimates && (ticketEstimates.buy || ticketEstimates.sell) && (
+                    <div className="text-sm text-gray-400 bg-gray-700/50 p-2 rounded-lg space-y-1">
+                      {ticketEstimates.buy && (
+                        <div className="flex justify-between">
+                          <span>Buy {fmtQuantity(ticketEstimates.buy.quantity)} at {fmtPrice(ticketEstimates.buy.price)}</span>
+                          <span>Cost {fmtCurrency(ticketEstimates.buy.price * ticketEstimates.buy.quantity + ticketEstimates.buy.commission)}</span>
+                        </div>
+                      )}
+                      {ticketEstimates.sell && (
+                        <div className="flex justify-between">
+                          <span>Sell {fmtQuantity(ticketEstimates.sell.quantity)} at {fmtPrice(ticketEstimates.sell.price)}</span>
+                          <span>Proceeds {fmtCurrency(ticketEstimates.sell.price * ticketEstimates.sell.quantity - ticketEstimates.sell.commission)}</span>
+                        </div>
+                      )}
+                      <div className="text-xs text-center">Incl. estimated slippage and fees</div>
                     </div>
                   )}
+
+                  <label className="flex items-center gap-2 text-xs text-gray-400">
+                    <input
+                      type="checkbox"
+                      checked={tradingState.confirmOrders}
+                      onChange={(e) => setTradingState(prev => ({ ...prev, confirmOrders: e.target.checked }))}
+                    />
+                    Preview orders before sending
+                  </label>
+
+                  <div className="flex justify-between text-xs text-gray-400">
+                    {isMarginAccount(portfolio) ? (
+                      <>
+                        <span>Buying power: {fmtCurrency(buyingPower)}</span>
+                        <span>Position: {fmtQuantity(portfolio.positions[tradingState.selectedSymbol]?.quantity || 0)}</span>
+                      </>
+                    ) : (
+                      <>
+                        <span>Available cash: {fmtCurrency(availableCash)}</span>
+                        <span>Available: {fmtQuantity(availableShares(tradingState.selectedSymbol))} units</span>
+                      </>
+                    )}
+                  </div>
                 </div>
               </div>
             </div>
 
+            {/* Open Orders */}
+            <div className="bg-gray-800 rounded-xl p-4 shadow-lg">
+              <div className="flex justify-between items-center mb-4">
+                <h2 className="text-lg font-semibold flex items-center">
+                  <span className="mr-2">⏳</span> Open Orders
+                </h2>
+                {reservations.cash > 0 && (
+                  <div className="text-xs bg-gray-700 px-2 py-1 rounded">
+                    Reserved: {fmtCurrency(reservations.cash)}
+                  </div>
+                )}
+              </div>
+              {openOrders.length > 0 ? (
+                <div className="space-y-2 max-h-80 overflow-y-auto">
+                  {openOrders.map(order => (
+                    <div key={order.id} className="bg-gray-700/50 p-3 rounded-lg border border-gray-700 text-sm">
+                      <div className="flex justify-between items-center mb-1">
+                        <span>
+                          <span className={`font-medium mr-2 ${order.side === 'buy' ? 'text-green-400' : 'text-red-400'}`}>
+                            {order.side.toUpperCase()}
+                          </span>
+                          <span className="font-semibold">{fmtQuantity(order.quantity)} {order.symbol}</span>
+                        </span>
+                        <span className="text-xs text-gray-400">
+                          {ORDER_TYPE_LABELS[order.type]}
+                          {order.timeInForce && ` · ${TIME_IN_FORCE[order.timeInForce].label}`}
+                          {order.parentId && <span className="ml-1 text-blue-300">({order.ocoGroup ? 'OCO ' : ''}{order.type === 'limit' ? 'take-profit' : 'stop-loss'})</span>}
+                          {order.triggered && <span className="ml-1 text-yellow-400">(Triggered)</span>}
+                          {order.botId && <span className="ml-1 text-purple-300">🤖 {botName(order.botId)}</span>}
+                          {marketData[order.symbol] && !canExecute(order, assetSession(market, marketData[order.symbol])) && (
+                            <span className="ml-1 text-yellow-400">(Queued until open)</span>
+                          )}
+                        </span>
+                      </div>
+
+                      {editingOrder?.id === order.id ? (
+                        <div className="space-y-2 mt-2">
+                          <input
+                            type="number"
+                            value={editingOrder.quantity}
+                            onChange={(e) => setEditingOrder(prev => ({
+                              ...prev,
+                              quantity: e.target.value
+                            }))}
+                            step={marketData[order.symbol]?.lotSize}
+                            className="w-full p-1.5 bg-gray-700 border border-gray-600 rounded focus:border-blue-500 focus:outline-none"
+                            placeholder="Quantity"
+                          />
+                          {(order.type === 'limit' || order.type === 'stop_limit') && (
+                            <input
+                              type="number"
+                              value={editingOrder.limitPrice}
+                              onChange={(e) => setEditingOrder(prev => ({ ...prev, limitPrice: e.target.value }))}
+                              className="w-full p-1.5 bg-gray-700 border border-gray-600 rounded focus:border-blue-500 focus:outline-none"
+                              placeholder="Limit price"
+                            />
+                          )}
+                          {(order.type === 'stop' || order.type === 'stop_limit') && !order.triggered && (
+                            <input
+                              type="number"
+                              value={editingOrder.stopPrice}
+                              onChange={(e) => setEditingOrder(prev => ({ ...prev, stopPrice: e.target.value }))}
+                              className="w-full p-1.5 bg-gray-700 border border-gray-600 rounded focus:border-blue-500 focus:outline-none"
+                              placeholder="Stop price"
+                            />
+                          )}
+                          <div className="grid grid-cols-2 gap-2">
+                            <button
+                              onClick={saveOrderEdit}
+                              className="p-1.5 bg-blue-600 hover:bg-blue-700 rounded text-xs font-medium"
+                            >
+                              Save
+                            </button>
+                            <button
+                              onClick={() => setEditingOrder(null)}
+                              className="p-1.5 bg-gray-600 hover:bg-gray-500 rounded text-xs font-medium"
+                            >
+                              Discard
+                            </button>
+                          </div>
+                        </div>
+                      ) : (
+                        <div className="flex justify-between items-center">
+                          <div className="text-xs text-gray-400 space-x-3">
+                            {order.type === 'market' && <span>Quoted {fmtPrice(order.quotedPrice)}</span>}
+                            {order.type !== 'market' && Number.isFinite(order.stopPrice) && <span>Stop {fmtPrice(order.stopPrice)}</span>}
+                            {order.type !== 'market' && Number.isFinite(order.limitPrice) && <span>Limit {fmtPrice(order.limitPrice)}</span>}
+                            {order.bracket && (
+                              <span>
+                                Bracket
+                                {Number.isFinite(order.bracket.takeProfit) && ` TP ${fmtPrice(order.bracket.takeProfit)}`}
+                                {Number.isFinite(order.bracket.stopLoss) && ` SL ${fmtPrice(order.bracket.stopLoss)}`}
+                              </span>
+                            )}
+                            {order.expiresAt && <span>Expires {fmtOpen(order.expiresAt)}</span>}
+                          </div>
+                          <div className="space-x-2">
+                            <button
+                              onClick={() => startEditingOrder(order)}
+                              className="px-2 py-1 bg-gray-600 hover:bg-gray-500 rounded text-xs"
+                            >
+                              Modify
+                            </button>
+                            <button
+                              onClick={() => cancelOrder(order.id)}
+                              className="px-2 py-1 bg-red-600/80 hover:bg-red-600 rounded text-xs"
+                            >
+                              Cancel
+                            </button>
+                          </div>
+                        </div>
+                      )}
+                    </div>
+                  ))}
+                </div>
+              ) : (
+                <div className="text-center text-gray-500 py-4 bg-gray-700/30 rounded-lg">
+                  No open orders
+                </div>
+              )}
+            </div>
+
             {/* Portfolio Summary */}
             <div className="bg-gray-800 rounded-xl p-4 shadow-lg">
               <h2 className="text-lg font-semibold mb-4 flex items-center">
@@ -841,10 +5053,171 @@ export default function ProfessionalTradingSimulator() {
                     <div className="text-xs text-gray-400">Cash</div>
                   </div>
                   <div className="bg-gray-700/50 p-3 rounded-lg text-center border border-gray-700">
-                    <div className="font-bold text-lg">{performanceMetrics.totalTrades}</div>
+                    <div className="font-bold text-lg">{report.roundTrips}</div>
                     <div className="text-xs text-gray-400">Trades</div>
                   </div>
                 </div>
+
+                {/* Currencies */}
+                <div className="bg-gray-700/30 p-3 rounded-lg border border-gray-700">
+                  <div className="flex justify-between items-center mb-2">
+                    <span className="text-sm font-medium text-gray-400">By currency</span>
+                    <span className="text-xs text-gray-500">in {reportingCurrency}</span>
+                  </div>
+                  <table className="w-full text-xs">
+                    <tbody>
+                      {currencyHoldings.map(holding => (
+                        <tr key={holding.code} className="border-b border-gray-700/50">
+                          <td className="py-1 font-medium" title={CURRENCIES[holding.code].label}>
+                            {holding.code}
+                            {holding.code === BASE_CURRENCY && <span className="text-gray-500 font-normal"> cash</span>}
+                          </td>
+                          <td className="py-1 text-right font-mono">{fmtMoney(holding.amount, holding.code)}</td>
+                          <td className="py-1 text-right font-mono text-gray-400">
+                            {holding.value === null ? '—' : fmtMoney(holding.value, reportingCurrency)}
+                          </td>
+                          <td className="py-1 text-right text-gray-500 w-14">
+                            {holding.value === null || reportedValue === 0 ? '' : fmtPercent(holding.value / reportedValue)}
+                          </td>
+                        </tr>
+                      ))}
+                      <tr>
+                        <td className="py-1 text-gray-400">Other positions</td>
+                        <td></td>
+                        <td className="py-1 text-right font-mono text-gray-400">{fmtMoney(otherPositionsValue, reportingCurrency)}</td>
+                        <td className="py-1 text-right text-gray-500 w-14">
+                          {reportedValue === 0 ? '' : fmtPercent(otherPositionsValue / reportedValue)}
+                        </td>
+                      </tr>
+                    </tbody>
+                  </table>
+                </div>
+
+                {/* Account */}
+                <div className="bg-gray-700/30 p-3 rounded-lg border border-gray-700 space-y-3">
+                  <div className="flex justify-between items-center">
+                    <span className="text-sm font-medium text-gray-400">Account</span>
+                    <div className="flex rounded-lg overflow-hidden">
+                      {Object.entries(ACCOUNT_TYPES).map(([type, label]) => (
+                        <button
+                          key={type}
+                          onClick={() => setAccountType(type)}
+                          className={`px-3 py-1 text-xs font-medium transition-all ${
+                            portfolio.account.type === type
+                              ? 'bg-blue-600 text-white'
+                              : 'bg-gray-700 hover:bg-gray-600 text-gray-300'
+                          }`}
+                        >
+                          {label}
+                        </button>
+                      ))}
+                    </div>
+                  </div>
+
+                  {isMarginAccount(portfolio) && (
+                    <>
+                      <div className="grid grid-cols-3 gap-2">
+                        {[
+                          ['initialMargin', 'Initial %'],
+                          ['maintenanceMargin', 'Maint. %'],
+                          ['borrowRate', 'Borrow %/yr']
+                        ].map(([key, label]) => (
+                          <label key={key} className="text-xs text-gray-400">
+                            {label}
+                            <input
+                              key={portfolio.account[key]}
+                              type="number"
+                              defaultValue={+(portfolio.account[key] * 100).toFixed(2)}
+                              onBlur={(e) => updateAccountSetting(key, e.target)}
+                              className="w-full mt-1 p-1.5 bg-gray-700 border border-gray-600 rounded text-white focus:border-blue-500 focus:outline-none"
+                            />
+                          </label>
+                        ))}
+                      </div>
+                      <div className="grid grid-cols-2 gap-x-3 gap-y-1 text-xs">
+                        <span className="text-gray-400">Equity</span>
+                        <span className="text-right">{fmtCurrency(margin.equity)}</span>
+                        <span className="text-gray-400">Long / Short</span>
+                        <span className="text-right">{fmtCurrency(exposure.long)} / {fmtCurrency(exposure.short)}</span>
+                        <span className="text-gray-400">Maintenance req.</span>
+                        <span className={`text-right ${
+                          margin.equity < margin.maintenanceRequirement * 1.2 ? 'text-red-400' : ''
+                        }`}>
+                          {fmtCurrency(margin.maintenanceRequirement)}
+                        </span>
+                        <span className="text-gray-400">Borrow fees paid</span>
+                        <span className="text-right">{fmtCurrency(portfolio.borrowFees)}</span>
+                      </div>
+                    </>
+                  )}
+
+                  {/* Risk limits */}
+                  <div className="space-y-1">
+                    <div className="flex justify-between items-center text-xs">
+                      <span className="text-gray-400">Risk limits</span>
+                      {portfolio.account.risk.dailyLossLimit !== null && (
+                        <span className={dailyLoss(portfolio) >= portfolio.account.risk.dailyLossLimit ? 'text-red-400' : 'text-gray-400'}>
+                          Today's loss {fmtCurrency(dailyLoss(portfolio))} / {fmtCurrency(portfolio.account.risk.dailyLossLimit)}
+                        </span>
+                      )}
+                    </div>
+                    <div className="grid grid-cols-3 gap-2">
+                      {RISK_LIMIT_FIELDS.map(field => {
+                        const value = portfolio.account.risk[field.key];
+                        return (
+                          <label key={field.key} className="text-xs text-gray-400">
+                            {field.label}
+                            <input
+                              key={value}
+                              type="number"
+                              min="0"
+                              defaultValue={value === null ? "" : field.percent ? +(value * 100).toFixed(2) : value}
+                              onBlur={(e) => updateRiskLimit(field, e.target)}
+                              className="w-full mt-1 p-1.5 bg-gray-700 border border-gray-600 rounded text-white focus:border-blue-500 focus:outline-none"
+                              placeholder="Off"
+                            />
+                          </label>
+                        );
+                      })}
+                    </div>
+                  </div>
+
+                  {/* Commission schedules */}
+                  {[['stock', 'Stock fees'], ['crypto', 'Crypto fees']].map(([assetClass, title]) => {
+                    const schedule = portfolio.account.fees[assetClass];
+                    return (
+                      <div key={assetClass} className="space-y-1">
+                        <div className="flex justify-between items-center text-xs">
+                          <span className="text-gray-400">{title}</span>
+                          <select
+                            value={schedule.type}
+                            onChange={(e) => updateFeeSchedule(assetClass, { type: e.target.value })}
+                            className="p-1 bg-gray-700 border border-gray-600 rounded text-white focus:border-blue-500 focus:outline-none"
+                          >
+                            {Object.entries(COMMISSION_TYPES).map(([type, label]) => (
+                              <option key={type} value={type}>{label}</option>
+                            ))}
+                          </select>
+                        </div>
+                        <div className="grid grid-cols-2 gap-2">
+                          {COMMISSION_PARAMS[schedule.type].map(param => (
+                            <label key={param.key} className="text-xs text-gray-400">
+                              {param.label}
+                              <input
+                                key={schedule[param.key]}
+                                type="number"
+                                min="0"
+                                defaultValue={param.percent ? +(schedule[param.key] * 100).toFixed(4) : schedule[param.key]}
+                                onBlur={(e) => updateFeeSetting(assetClass, param, e.target)}
+                                className="w-full mt-1 p-1.5 bg-gray-700 border border-gray-600 rounded text-white focus:border-blue-500 focus:outline-none"
+                              />
+                            </label>
+                          ))}
+                        </div>
+                      </div>
+                    );
+                  })}
+                </div>
                 
                 {Object.keys(portfolio.positions).length > 0 ? (
                   <div className="space-y-3">
@@ -853,22 +5226,108 @@ export default function ProfessionalTradingSimulator() {
                       const asset = marketData[symbol];
                       if (!asset) return null;
                       
-                      const marketValue = asset.price * position.quantity;
-                      const profit = marketValue - position.totalInvested;
+                      const profit = (asset.price - position.averageCost) * position.quantity;
                       const profitPercent = (profit / position.totalInvested) * 100;
+                      const isShort = position.quantity < 0;
+                      const { protection } = position;
 
                       return (
                         <div key={symbol} className="bg-gray-700/50 p-3 rounded-lg border border-gray-700">
                           <div className="flex justify-between items-center mb-1">
-                            <span className="font-semibold">{symbol}</span>
+                            <span className="font-semibold">
+                              {symbol}
+                              {isShort && <span className="ml-2 text-xs text-red-400">SHORT</span>}
+                            </span>
                             <span className={`font-medium ${profit >= 0 ? 'text-green-400' : 'text-red-400'}`}>
                               {fmtCurrency(profit)} ({profitPercent.toFixed(1)}%)
                             </span>
                           </div>
                           <div className="text-xs text-gray-400 flex justify-between">
-                            <span>{position.quantity} shares</span>
+                            <span>{fmtQuantity(Math.abs(position.quantity))} units{isShort ? ' short' : ''}</span>
                             <span>@ {fmtCurrency(position.averageCost)}</span>
                           </div>
+                          {protection && (
+                            <div className="text-xs text-yellow-300 flex flex-wrap gap-x-3 mt-1">
+                              {protection.stopLoss !== null && <span>SL {fmtPrice(protection.stopLoss)}</span>}
+                              {protection.takeProfit !== null && <span>TP {fmtPrice(protection.takeProfit)}</span>}
+                              {protection.trailing && (
+                                <span>
+                                  Trail {protection.trailing.mode === 'percent'
+                                    ? `${protection.trailing.value}%`
+                                    : fmtPrice(protection.trailing.value)} · stop {fmtPrice(trailingStopPrice(position))}
+                                </span>
+                              )}
+                            </div>
+                          )}
+                          {protectionForm?.symbol === symbol ? (
+                            <div className="space-y-2 mt-2">
+                              <div className="grid grid-cols-2 gap-2">
+                                <input
+                                  type="number"
+                                  value={protectionForm.stopLoss}
+                                  onChange={(e) => setProtectionForm(prev => ({ ...prev, stopLoss: e.target.value }))}
+                                  className="p-1.5 bg-gray-700 border border-gray-600 rounded text-xs focus:border-blue-500 focus:outline-none"
+                                  placeholder="Stop-loss"
+                                />
+                                <input
+                                  type="number"
+                                  value={protectionForm.takeProfit}
+                                  onChange={(e) => setProtectionForm(prev => ({ ...prev, takeProfit: e.target.value }))}
+                                  className="p-1.5 bg-gray-700 border border-gray-600 rounded text-xs focus:border-blue-500 focus:outline-none"
+                                  placeholder="Take-profit"
+                                />
+                              </div>
+                              <div className="flex gap-2">
+                                <input
+                                  type="number"
+                                  value={protectionForm.trailValue}
+                                  onChange={(e) => setProtectionForm(prev => ({ ...prev, trailValue: e.target.value }))}
+                                  className="flex-1 p-1.5 bg-gray-700 border border-gray-600 rounded text-xs focus:border-blue-500 focus:outline-none"
+                                  placeholder="Trailing stop distance"
+                                />
+                                <select
+                                  value={protectionForm.trailMode}
+                                  onChange={(e) => setProtectionForm(prev => ({ ...prev, trailMode: e.target.value }))}
+                                  className="p-1.5 bg-gray-700 border border-gray-600 rounded text-xs focus:border-blue-500 focus:outline-none"
+                                >
+                                  {Object.entries(TRAIL_MODES).map(([mode, label]) => (
+                                    <option key={mode} value={mode}>{label}</option>
+                                  ))}
+                                </select>
+                              </div>
+                              <div className="grid grid-cols-2 gap-2">
+                                <button
+                                  onClick={saveProtection}
+                                  className="p-1.5 bg-blue-600 hover:bg-blue-700 rounded text-xs font-medium"
+                                >
+                                  Save
+                                </button>
+                                <button
+                                  onClick={() => setProtectionForm(null)}
+                                  className="p-1.5 bg-gray-600 hover:bg-gray-500 rounded text-xs font-medium"
+                                >
+                                  Discard
+                                </button>
+                              </div>
+                            </div>
+                          ) : (
+                            <div className="flex justify-end gap-2 mt-2">
+                              <button
+                                onClick={() => startProtecting(symbol)}
+                                className="px-2 py-1 bg-gray-600 hover:bg-gray-500 rounded text-xs"
+                              >
+                                {protection ? 'Edit protection' : 'Protect'}
+                              </button>
+                              {protection && (
+                                <button
+                                  onClick={() => removeProtection(symbol)}
+                                  className="px-2 py-1 bg-red-600/80 hover:bg-red-600 rounded text-xs"
+                                >
+                                  Remove
+                                </button>
+                              )}
+                            </div>
+                          )}
                         </div>
                       );
                     })}
@@ -878,6 +5337,43 @@ export default function ProfessionalTradingSimulator() {
                     No positions yet
                   </div>
                 )}
+
+                {/* Bot P/L attribution */}
+                {Object.keys(botLedgers).length > 0 && (
+                  <div className="space-y-1">
+                    <div className="text-sm font-medium text-gray-400">Bot P/L</div>
+                    <table className="w-full text-xs">
+                      <thead>
+                        <tr className="text-gray-400 text-left">
+                          <th className="py-1 pr-2 font-medium">Bot</th>
+                          <th className="py-1 pl-2 font-medium text-right">Fills</th>
+                          <th className="py-1 pl-2 font-medium text-right">Realized</th>
+                          <th className="py-1 pl-2 font-medium text-right">Unrealized</th>
+                          <th className="py-1 pl-2 font-medium text-right">Fees</th>
+                          <th className="py-1 pl-2 font-medium text-right">Net</th>
+                        </tr>
+                      </thead>
+                      <tbody>
+                        {Object.entries(botLedgers).map(([id, ledger]) => {
+                          const pnl = botPnl(ledger, marketData);
+                          return (
+                            <tr key={id} className="border-t border-gray-700">
+                              <td className="py-1 pr-2">🤖 {botName(id)}</td>
+                              <td className="py-1 pl-2 text-right">{pnl.trades}</td>
+                              <td className={`py-1 pl-2 text-right ${pnl.realized >= 0 ? 'text-green-400' : 'text-red-400'}`}>{fmtCurrency(pnl.realized)}</td>
+                              <td className={`py-1 pl-2 text-right ${pnl.unrealized >= 0 ? 'text-green-400' : 'text-red-400'}`}>{fmtCurrency(pnl.unrealized)}</td>
+                              <td className="py-1 pl-2 text-right text-gray-400">{fmtCurrency(pnl.fees)}</td>
+                              <td className={`py-1 pl-2 text-right font-medium ${pnl.net >= 0 ? 'text-green-400' : 'text-red-400'}`}>{fmtCurrency(pnl.net)}</td>
+                            </tr>
+                          );
+                        })}
+                      </tbody>
+                    </table>
+                    <div className="text-xs text-gray-500">
+                      From each bot's own fills. Liquidations and stop-loss or take-profit exits aren't attributed to a bot.
+                    </div>
+                  </div>
+                )}
               </div>
             </div>
           </div>
@@ -892,11 +5388,26 @@ export default function ProfessionalTradingSimulator() {
                     {tradingState.selectedSymbol} - {currentAsset?.name}
                   </h2>
                   <div className="flex items-center text-sm text-gray-400">
-                    <span className="mr-3">Sector: <span className="text-blue-400">{currentAsset?.sector}</span></span>
+                    <span className="mr-3">Sector: <span style={{ color: sectorColor(universe.sectors, currentAsset?.sector) }}>{currentAsset?.sector}</span></span>
                     <span>Volatility: <span className="text-yellow-400">{(currentAsset?.volatility * 100).toFixed(1)}%</span></span>
                   </div>
                 </div>
                 <div className="flex flex-wrap gap-2">
+                  <div className="flex rounded-lg overflow-hidden mr-2">
+                    {[['line', 'Line'], ['candles', 'Candles']].map(([type, label]) => (
+                      <button
+                        key={type}
+                        onClick={() => setTradingState(prev => ({ ...prev, chartType: type }))}
+                        className={`px-3 py-1.5 text-sm font-medium transition-all ${
+                          tradingState.chartType === type
+                            ? 'bg-blue-600 text-white'
+                            : 'bg-gray-700 hover:bg-gray-600 text-gray-300'
+                        }`}
+                      >
+                        {label}
+                      </button>
+                    ))}
+                  </div>
                   {['1D', '1W', '1M', 'ALL'].map(range => (
                     <button
                       key={range}
@@ -913,59 +5424,274 @@ export default function ProfessionalTradingSimulator() {
                 </div>
               </div>
 
-              <div className="h-96">
-                <ResponsiveContainer width="100%" height="100%">
-                  <ComposedChart data={chartData}>
-                    <CartesianGrid strokeDasharray="3 3" stroke="#374151" />
-                    <XAxis 
-                      dataKey="time"
-                      tickFormatter={formatTime}
-                      stroke="#9CA3AF"
-                      tick={{ fontSize: 12 }}
-                    />
-                    <YAxis
-                      stroke="#9CA3AF"
-                      tickFormatter={(value) => fmtCurrency(value)}
-                      domain={['dataMin - dataMin * 0.005', 'dataMax + dataMax * 0.005']}
-                      tick={{ fontSize: 12 }}
-                    />
-                    <Tooltip content={<MarketTooltip />} />
-                    <ReferenceLine 
-                      y={currentAsset?.bid} 
-                      stroke="#10B981" 
-                      strokeDasharray="3 3" 
-                      strokeWidth={1}
-                    />
-                    <ReferenceLine 
-                      y={currentAsset?.ask} 
-                      stroke="#EF4444" 
-                      strokeDasharray="3 3" 
-                      strokeWidth={1}
-                    />
-                    <Area
-                      type="monotone"
-                      dataKey="value"
-                      stroke="#3B82F6"
-                      fill="url(#colorGradient)"
-                      strokeWidth={2}
-                      isAnimationActive={false}
-                    />
-                    <Line
-                      type="monotone"
-                      dataKey="value"
-                      stroke="#3B82F6"
-                      dot={false}
-                      strokeWidth={2}
-                      isAnimationActive={false}
-                    />
-                    <defs>
-                      <linearGradient id="colorGradient" x1="0" y1="0" x2="0" y2="1">
-                        <stop offset="5%" stopColor="#3B82F6" stopOpacity={0.3}/>
-                        <stop offset="95%" stopColor="#3B82F6" stopOpacity={0.05}/>
-                      </linearGradient>
-                    </defs>
-                  </ComposedChart>
-                </ResponsiveContainer>
+              {tradingState.chartType === 'candles' && (
+                <div className="flex flex-wrap gap-2 mb-3">
+                  {Object.keys(CANDLE_TIMEFRAMES).map(timeframe => (
+                    <button
+                      key={timeframe}
+                      onClick={() => setTradingState(prev => ({ ...prev, candleTimeframe: timeframe }))}
+                      className={`px-2 py-1 rounded text-xs font-medium transition-all ${
+                        tradingState.candleTimeframe === timeframe
+                          ? 'bg-blue-600 text-white'
+                          : 'bg-gray-700 hover:bg-gray-600 text-gray-300'
+                      }`}
+                    >
+                      {timeframe}
+                    </button>
+                  ))}
+                </div>
+              )}
+
+              {tradingState.chartType === 'candles' ? (
+                <div className="h-96 flex flex-col">
+                  <div className="flex-1 min-h-0">
+                    <ResponsiveContainer width="100%" height="100%">
+                      <ComposedChart data={indicatorData} syncId="price-chart">
+                        <CartesianGrid strokeDasharray="3 3" stroke="#374151" />
+                        <XAxis dataKey="time" tickFormatter={formatTime} hide />
+                        <YAxis
+                          stroke="#9CA3AF"
+                          tickFormatter={(value) => fmtCurrency(value)}
+                          domain={['auto', 'auto']}
+                          tick={{ fontSize: 12 }}
+                        />
+                        <Tooltip content={<CandleTooltip />} />
+                        <ReferenceLine y={currentAsset?.bid} stroke="#10B981" strokeDasharray="3 3" strokeWidth={1} />
+                        <ReferenceLine y={currentAsset?.ask} stroke="#EF4444" strokeDasharray="3 3" strokeWidth={1} />
+                        <Bar dataKey="range" shape={<CandlestickShape />} isAnimationActive={false} />
+                        {renderOverlays()}
+                      </ComposedChart>
+                    </ResponsiveContainer>
+                  </div>
+                  {/* Volume sub-pane */}
+                  <div className="h-24">
+                    <ResponsiveContainer width="100%" height="100%">
+                      <BarChart data={indicatorData} syncId="price-chart">
+                        <XAxis
+                          dataKey="time"
+                          tickFormatter={formatTime}
+                          stroke="#9CA3AF"
+                          tick={{ fontSize: 12 }}
+                        />
+                        <YAxis
+                          stroke="#9CA3AF"
+                          tickFormatter={(value) => fmtNumber(value)}
+                          tick={{ fontSize: 10 }}
+                          width={60}
+                        />
+                        <Bar dataKey="volume" isAnimationActive={false}>
+                          {candleData.map(candle => (
+                            <Cell
+                              key={candle.time}
+                              fill={candle.close >= candle.open ? "#10B98166" : "#EF444466"}
+                            />
+                          ))}
+                        </Bar>
+                      </BarChart>
+                    </ResponsiveContainer>
+                  </div>
+                </div>
+              ) : (
+                <div className="h-96">
+                  <ResponsiveContainer width="100%" height="100%">
+                    <ComposedChart data={indicatorData} syncId="price-chart">
+                      <CartesianGrid strokeDasharray="3 3" stroke="#374151" />
+                      <XAxis 
+                        dataKey="time"
+                        tickFormatter={formatTime}
+                        stroke="#9CA3AF"
+                        tick={{ fontSize: 12 }}
+                      />
+                      <YAxis
+                        stroke="#9CA3AF"
+                        tickFormatter={(value) => fmtCurrency(value)}
+                        domain={['dataMin - dataMin * 0.005', 'dataMax + dataMax * 0.005']}
+                        tick={{ fontSize: 12 }}
+                      />
+                      <Tooltip content={<MarketTooltip />} />
+                      <ReferenceLine 
+                        y={currentAsset?.bid} 
+                        stroke="#10B981" 
+                        strokeDasharray="3 3" 
+                        strokeWidth={1}
+                      />
+                      <ReferenceLine 
+                        y={currentAsset?.ask} 
+                        stroke="#EF4444" 
+                        strokeDasharray="3 3" 
+                        strokeWidth={1}
+                      />
+                      <Area
+                        type="monotone"
+                        dataKey="value"
+                        stroke="#3B82F6"
+                        fill="url(#colorGradient)"
+                        strokeWidth={2}
+                        isAnimationActive={false}
+                      />
+                      <Line
+                        type="monotone"
+                        dataKey="value"
+                        stroke="#3B82F6"
+                        dot={false}
+                        strokeWidth={2}
+                        isAnimationActive={false}
+                      />
+                      {renderOverlays()}
+                      <defs>
+                        <linearGradient id="colorGradient" x1="0" y1="0" x2="0" y2="1">
+                          <stop offset="5%" stopColor="#3B82F6" stopOpacity={0.3}/>
+                          <stop offset="95%" stopColor="#3B82F6" stopOpacity={0.05}/>
+                        </linearGradient>
+                      </defs>
+                    </ComposedChart>
+                  </ResponsiveContainer>
+                </div>
+              )}
+
+              {/* Oscillator sub-panes */}
+              {oscillatorIndicators.map(instance => {
+                const definition = INDICATORS[instance.type];
+                return (
+                  <div key={instance.id} className="mt-3">
+                    <div className="text-xs mb-1" style={{ color: instance.color }}>
+                      {definition.label} ({Object.values(instance.params).join(", ")})
+                    </div>
+                    <div className="h-28">
+                      <ResponsiveContainer width="100%" height="100%">
+                        <ComposedChart data={indicatorData} syncId="price-chart">
+                          <CartesianGrid strokeDasharray="3 3" stroke="#374151" />
+                          <XAxis dataKey="time" hide />
+                          <YAxis
+                            stroke="#9CA3AF"
+                            domain={definition.domain || ['auto', 'auto']}
+                            tickFormatter={(value) => value.toFixed(1)}
+                            tick={{ fontSize: 10 }}
+                            width={60}
+                          />
+                          <Tooltip
+                            contentStyle={{ backgroundColor: "#1F2937", border: "1px solid #4B5563" }}
+                            labelFormatter={(label) => new Date(label).toLocaleString()}
+                            formatter={(value) => value?.toFixed(2)}
+                          />
+                          {(definition.levels || []).map(level => (
+                            <ReferenceLine key={level} y={level} stroke="#6B7280" strokeDasharray="3 3" />
+                          ))}
+                          {definition.outputs.map(output => output.bar ? (
+                            <Bar
+                              key={output.key}
+                              dataKey={indicatorKey(instance, output.key)}
+                              name={output.label}
+                              fill="#6B7280"
+                              isAnimationActive={false}
+                            />
+                          ) : (
+                            <Line
+                              key={output.key}
+                              type="monotone"
+                              dataKey={indicatorKey(instance, output.key)}
+                              name={output.label}
+                              stroke={instance.color}
+                              strokeDasharray={output.dashed ? "4 3" : undefined}
+                              dot={false}
+                              strokeWidth={1.5}
+                              connectNulls
+                              isAnimationActive={false}
+                            />
+                          ))}
+                        </ComposedChart>
+                      </ResponsiveContainer>
+                    </div>
+                  </div>
+                );
+              })}
+
+              {/* Indicators */}
+              <div className="mt-4 p-3 bg-gray-700/30 rounded-lg border border-gray-700 space-y-3">
+                <div className="flex flex-wrap items-center gap-2">
+                  <span className="text-sm font-medium mr-1">Indicators</span>
+                  <select
+                    value={indicatorState.newType}
+                    onChange={(e) => setIndicatorState(prev => ({ ...prev, newType: e.target.value }))}
+                    className="p-1.5 bg-gray-700 border border-gray-600 rounded text-sm focus:border-blue-500 focus:outline-none"
+                  >
+                    {Object.entries(INDICATORS).map(([type, definition]) => (
+                      <option key={type} value={type}>{definition.label}</option>
+                    ))}
+                  </select>
+                  <button
+                    onClick={addIndicator}
+                    className="px-3 py-1.5 bg-blue-600 hover:bg-blue-700 rounded text-sm font-medium"
+                  >
+                    Add
+                  </button>
+                </div>
+
+                {indicatorState.active.length > 0 && (
+                  <div className="flex flex-wrap gap-2">
+                    {indicatorState.active.map(instance => (
+                      <div
+                        key={instance.id}
+                        className="flex items-center gap-2 px-2 py-1 bg-gray-700 rounded text-xs border-l-4"
+                        style={{ borderColor: instance.color }}
+                      >
+                        <span className="font-medium">{INDICATORS[instance.type].label}</span>
+                        {INDICATORS[instance.type].params.map(param => (
+                          <label key={param.key} className="flex items-center gap-1 text-gray-400">
+                            {param.label}
+                            <input
+                              type="number"
+                              min={param.min}
+                              step={param.step || 1}
+                              value={Number.isFinite(instance.params[param.key]) ? instance.params[param.key] : ""}
+                              onChange={(e) => updateIndicatorParam(instance.id, param.key, e.target.value)}
+                              className="w-14 p-0.5 bg-gray-800 border border-gray-600 rounded text-white"
+                            />
+                          </label>
+                        ))}
+                        <button
+                          onClick={() => removeIndicator(instance.id)}
+                          className="text-gray-400 hover:text-red-400"
+                        >
+                          ✕
+                        </button>
+                      </div>
+                    ))}
+                  </div>
+                )}
+
+                <div className="flex flex-wrap items-center gap-2">
+                  <input
+                    type="text"
+                    value={indicatorState.presetName}
+                    onChange={(e) => setIndicatorState(prev => ({ ...prev, presetName: e.target.value }))}
+                    className="p-1.5 bg-gray-700 border border-gray-600 rounded text-sm focus:border-blue-500 focus:outline-none"
+                    placeholder={`Preset name for ${tradingState.selectedSymbol}`}
+                  />
+                  <button
+                    onClick={saveIndicatorPreset}
+                    disabled={!indicatorState.presetName.trim() || indicatorState.active.length === 0}
+                    className="px-3 py-1.5 bg-gray-600 hover:bg-gray-500 disabled:opacity-50 rounded text-sm"
+                  >
+                    Save Preset
+                  </button>
+                  {symbolPresets.map(preset => (
+                    <span key={preset.name} className="flex items-center bg-gray-700 rounded text-xs">
+                      <button
+                        onClick={() => applyIndicatorPreset(preset)}
+                        className="px-2 py-1 hover:text-blue-400"
+                      >
+                        {preset.name}
+                      </button>
+                      <button
+                        onClick={() => deleteIndicatorPreset(preset.name)}
+                        className="pr-2 text-gray-400 hover:text-red-400"
+                      >
+                        ✕
+                      </button>
+                    </span>
+                  ))}
+                </div>
               </div>
 
               {/* Market Statistics */}
@@ -1000,47 +5726,173 @@ export default function ProfessionalTradingSimulator() {
               </h2>
               <div className="grid grid-cols-2 md:grid-cols-4 gap-4">
                 <div className="bg-gray-700/50 p-4 rounded-lg text-center border border-gray-700">
-                  <div className="text-2xl font-bold text-green-400">
-                    {fmtCurrency(performanceMetrics.totalProfit)}
+                  <div className={`text-2xl font-bold ${report.netProfit >= 0 ? 'text-green-400' : 'text-red-400'}`}>
+                    {fmtCurrency(report.netProfit)}
                   </div>
-                  <div className="text-sm text-gray-400">Total Profit</div>
+                  <div className="text-sm text-gray-400">Realized P/L (net)</div>
                 </div>
                 <div className="bg-gray-700/50 p-4 rounded-lg text-center border border-gray-700">
                   <div className="text-2xl font-bold">
-                    {performanceMetrics.totalTrades}
+                    {report.roundTrips}
                   </div>
-                  <div className="text-sm text-gray-400">Total Trades</div>
+                  <div className="text-sm text-gray-400">Round Trips</div>
                 </div>
                 <div className="bg-gray-700/50 p-4 rounded-lg text-center border border-gray-700">
                   <div className="text-2xl font-bold">
-                    {fmtPercent(performanceMetrics.winRate)}
+                    {fmtPercent(report.winRate)}
                   </div>
                   <div className="text-sm text-gray-400">Win Rate</div>
                 </div>
                 <div className="bg-gray-700/50 p-4 rounded-lg text-center border border-gray-700">
                   <div className="text-2xl font-bold">
-                    {performanceMetrics.sharpeRatio.toFixed(2)}
+                    {fmtRatio(report.sharpeRatio)}
                   </div>
                   <div className="text-sm text-gray-400">Sharpe Ratio</div>
                 </div>
               </div>
+
+              {/* Drawdown and execution costs: slippage is already in fill prices, commissions come out of cash */}
+              <div className="grid grid-cols-2 md:grid-cols-4 gap-4 mt-4">
+                <div className="bg-gray-700/50 p-4 rounded-lg text-center border border-gray-700">
+                  <div className="text-2xl font-bold text-red-400">
+                    {fmtPercent(report.maxDrawdown)}
+                  </div>
+                  <div className="text-sm text-gray-400">Max Drawdown</div>
+                </div>
+                <div className="bg-gray-700/50 p-4 rounded-lg text-center border border-gray-700">
+                  <div className="text-2xl font-bold text-red-400">
+                    {fmtCurrency(portfolio.costs.commissions)}
+                  </div>
+                  <div className="text-sm text-gray-400">Commissions</div>
+                </div>
+                <div className="bg-gray-700/50 p-4 rounded-lg text-center border border-gray-700">
+                  <div className="text-2xl font-bold text-red-400">
+                    {fmtCurrency(portfolio.costs.slippage)}
+                  </div>
+                  <div className="text-sm text-gray-400">Slippage</div>
+                </div>
+                <div className="bg-gray-700/50 p-4 rounded-lg text-center border border-gray-700">
+                  <div className="text-2xl font-bold">
+                    {costDragBps.toFixed(1)} bps
+                  </div>
+                  <div className="text-sm text-gray-400">Cost Drag</div>
+                </div>
+              </div>
+
+              <button
+                onClick={() => setShowFullReport(prev => !prev)}
+                className="mt-4 text-sm text-blue-400 hover:text-blue-300"
+              >
+                {showFullReport ? 'Hide full report ▴' : 'Show full report ▾'}
+              </button>
+
+              {/* Full report: round-trip statistics, risk-adjusted returns and recent round trips */}
+              {showFullReport && (
+                <div className="mt-4 space-y-4">
+                  {[
+                    ['Round Trips (FIFO, net of commissions)', [
+                      ['Profit Factor', fmtRatio(report.profitFactor)],
+                      ['Expectancy', fmtCurrency(report.expectancy)],
+                      ['Average Win', fmtCurrency(report.averageWin)],
+                      ['Average Loss', fmtCurrency(-report.averageLoss)],
+                      ['Best Trade', fmtCurrency(report.bestTrade)],
+                      ['Worst Trade', fmtCurrency(report.worstTrade)],
+                      ['Avg Holding Time', fmtDuration(report.averageHoldingTime)],
+                      ['Win / Loss', `${performance.trades.wins} / ${performance.trades.losses}`]
+                    ]],
+                    ['Risk & Return (per-minute samples, annualised)', [
+                      ['Total Return', fmtPercent(report.totalReturn)],
+                      ['Annualised Return', report.annualizedReturn === null ? '—' : fmtPercent(report.annualizedReturn)],
+                      ['Volatility', report.volatility === null ? '—' : fmtPercent(report.volatility)],
+                      ['Sortino Ratio', fmtRatio(report.sortinoRatio)],
+                      ['Calmar Ratio', fmtRatio(report.calmarRatio)],
+                      ['Max Drawdown Duration', fmtDuration(report.maxDrawdownDuration)],
+                      ['Current Drawdown', fmtPercent(report.currentDrawdown)],
+                      ['Exposure Time', `${fmtPercent(report.exposureTime)} of ${fmtDuration(report.elapsed)}`]
+                    ]]
+                  ].map(([title, stats]) => (
+                    <div key={title}>
+                      <div className="text-sm font-medium text-gray-400 mb-2">{title}</div>
+                      <div className="grid grid-cols-2 md:grid-cols-4 gap-2">
+                        {stats.map(([label, value]) => (
+                          <div key={label} className="bg-gray-700/30 p-3 rounded-lg border border-gray-700">
+                            <div className="text-xs text-gray-400">{label}</div>
+                            <div className="font-semibold">{value}</div>
+                          </div>
+                        ))}
+                      </div>
+                    </div>
+                  ))}
+
+                  <div>
+                    <div className="text-sm font-medium text-gray-400 mb-2">Recent Round Trips</div>
+                    {performance.recentRoundTrips.length > 0 ? (
+                      <div className="max-h-64 overflow-y-auto">
+                        <table className="w-full text-sm">
+                          <thead>
+                            <tr className="text-xs text-gray-400 text-left">
+                              <th className="py-1 px-2">Symbol</th>
+                              <th className="py-1 px-2">Side</th>
+                              <th className="py-1 px-2 text-right">Qty</th>
+                              <th className="py-1 px-2 text-right">Entry</th>
+                              <th className="py-1 px-2 text-right">Exit</th>
+                              <th className="py-1 px-2 text-right">Held</th>
+                              <th className="py-1 px-2 text-right">P/L</th>
+                            </tr>
+                          </thead>
+                          <tbody>
+                            {performance.recentRoundTrips.map((trip, index) => (
+                              <tr key={index} className="border-t border-gray-700/50">
+                                <td className="py-1 px-2 font-medium">{trip.symbol}</td>
+                                <td className={`py-1 px-2 ${trip.side === 'long' ? 'text-green-400' : 'text-red-400'}`}>
+                                  {trip.side.toUpperCase()}
+                                </td>
+                                <td className="py-1 px-2 text-right">{fmtQuantity(trip.quantity)}</td>
+                                <td className="py-1 px-2 text-right font-mono">{fmtCurrency(trip.entryPrice)}</td>
+                                <td className="py-1 px-2 text-right font-mono">{fmtCurrency(trip.exitPrice)}</td>
+                                <td className="py-1 px-2 text-right">{fmtDuration(trip.exitTime - trip.entryTime)}</td>
+                                <td className={`py-1 px-2 text-right ${trip.pnl >= 0 ? 'text-green-400' : 'text-red-400'}`}>
+                                  {fmtCurrency(trip.pnl)}
+                                </td>
+                              </tr>
+                            ))}
+                          </tbody>
+                        </table>
+                      </div>
+                    ) : (
+                      <div className="text-center text-gray-500 py-4 bg-gray-700/30 rounded-lg">
+                        No closed round trips yet
+                      </div>
+                    )}
+                  </div>
+                </div>
+              )}
             </div>
 
-            {/* Order Book & Trade History */}
+            {/* Order Book, Depth, Time & Sales and Trade History */}
             <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
-              {/* Order Book Simulation */}
+              {/* Order Book: market makers', traders' and the player's resting orders */}
               <div className="bg-gray-800 rounded-xl p-4 shadow-lg">
                 <h3 className="font-semibold mb-3 flex items-center">
                   <span className="mr-2">📋</span> Order Book
+                  <span className="ml-auto text-xs text-gray-500 font-normal">Click a level to set your limit · yours in blue</span>
                 </h3>
                 <div className="space-y-1 text-sm">
                   {/* Bid side */}
                   <div className="text-green-400 text-xs text-center font-semibold mb-1">BIDS</div>
                   <div className="max-h-60 overflow-y-auto">
                     {orderBook.bids.slice(0, 12).map((bid, index) => (
-                      <div key={index} className="flex justify-between py-1.5 px-2 hover:bg-gray-700/50 rounded">
-                        <span className="text-green-400 font-mono">{fmtCurrency(bid.price)}</span>
-                        <span className="text-gray-300 font-mono">{fmtNumber(bid.size)}</span>
+                      <div
+                        key={index}
+                        onClick={() => prefillLimitPrice(bid.price)}
+                        title="Set as limit price"
+                        className={`flex justify-between py-1.5 px-2 rounded cursor-pointer ${bid.own > 0 ? 'bg-blue-900/40 hover:bg-blue-900/60' : 'hover:bg-gray-700/50'}`}
+                      >
+                        <span className="text-green-400 font-mono">{fmtPrice(bid.price)}</span>
+                        <span className="text-gray-300 font-mono">
+                          {bid.own > 0 && <span className="text-blue-400 text-xs mr-2">YOU {fmtQuantity(bid.own)}</span>}
+                          {fmtQuantity(bid.size)}
+                        </span>
                       </div>
                     ))}
                   </div>
@@ -1048,26 +5900,144 @@ export default function ProfessionalTradingSimulator() {
                   {/* Current Price */}
                   <div className="text-center text-white font-bold my-2 py-1 bg-gray-700/50 rounded">
                     {fmtCurrency(currentAsset?.price || 0)}
-                    <div className="text-xs text-gray-400 mt-1">Spread: {fmtCurrency(currentAsset?.spread || 0)}</div>
+                    <div className="text-xs text-gray-400 mt-1">
+                      Spread: {fmtCurrency(currentAsset?.spread || 0)}
+                      {bookStats && ` (${bookStats.spreadBps.toFixed(1)} bps)`}
+                    </div>
                   </div>
                   
                   {/* Ask side */}
                   <div className="text-red-400 text-xs text-center font-semibold mb-1">ASKS</div>
                   <div className="max-h-60 overflow-y-auto">
                     {orderBook.asks.slice(0, 12).map((ask, index) => (
-                      <div key={index} className="flex justify-between py-1.5 px-2 hover:bg-gray-700/50 rounded">
-                        <span className="text-red-400 font-mono">{fmtCurrency(ask.price)}</span>
-                        <span className="text-gray-300 font-mono">{fmtNumber(ask.size)}</span>
+                      <div
+                        key={index}
+                        onClick={() => prefillLimitPrice(ask.price)}
+                        title="Set as limit price"
+                        className={`flex justify-between py-1.5 px-2 rounded cursor-pointer ${ask.own > 0 ? 'bg-blue-900/40 hover:bg-blue-900/60' : 'hover:bg-gray-700/50'}`}
+                      >
+                        <span className="text-red-400 font-mono">{fmtPrice(ask.price)}</span>
+                        <span className="text-gray-300 font-mono">
+                          {ask.own > 0 && <span className="text-blue-400 text-xs mr-2">YOU {fmtQuantity(ask.own)}</span>}
+                          {fmtQuantity(ask.size)}
+                        </span>
                       </div>
                     ))}
                   </div>
                 </div>
               </div>
 
-              {/* Recent Trades */}
+              {/* Market Depth: cumulative size either side of the spread, and how lopsided it is */}
+              <div className="bg-gray-800 rounded-xl p-4 shadow-lg">
+                <h3 className="font-semibold mb-3 flex items-center">
+                  <span className="mr-2">🌊</span> Market Depth
+                  <span className="ml-auto text-xs text-gray-500 font-normal">Top {DEPTH_LEVELS} levels a side</span>
+                </h3>
+                {bookStats ? (
+                  <div className="space-y-3 text-sm">
+                    <div className="h-48">
+                      <ResponsiveContainer width="100%" height="100%">
+                        <AreaChart data={depth}>
+                          <CartesianGrid strokeDasharray="3 3" stroke="#374151" />
+                          <XAxis
+                            dataKey="price"
+                            type="number"
+                            domain={['dataMin', 'dataMax']}
+                            tickFormatter={fmtPrice}
+                            stroke="#9CA3AF"
+                            tick={{ fontSize: 10 }}
+                          />
+                          <YAxis tickFormatter={fmtQuantity} stroke="#9CA3AF" tick={{ fontSize: 10 }} width={50} />
+                          <Tooltip
+                            contentStyle={{ backgroundColor: '#1F2937', border: '1px solid #4B5563' }}
+                            labelFormatter={fmtPrice}
+                            formatter={(value, name) => [fmtQuantity(value), name === 'bids' ? 'Bids at or above' : 'Asks at or below']}
+                          />
+                          <ReferenceLine x={bookStats.mid} stroke="#9CA3AF" strokeDasharray="3 3" />
+                          <Area type="stepBefore" dataKey="bids" stroke="#10B981" fill="#10B98133" isAnimationActive={false} />
+                          <Area type="stepAfter" dataKey="asks" stroke="#EF4444" fill="#EF444433" isAnimationActive={false} />
+                        </AreaChart>
+                      </ResponsiveContainer>
+                    </div>
+                    <div className="grid grid-cols-2 gap-3">
+                      <ImbalanceBar label="Imbalance at the touch" value={bookStats.topImbalance} />
+                      <ImbalanceBar label={`Imbalance, top ${DEPTH_LEVELS}`} value={bookStats.depthImbalance} />
+                    </div>
+                    <div className="grid grid-cols-2 gap-x-4 gap-y-1 text-xs">
+                      <div className="flex justify-between"><span className="text-gray-400">Spread</span><span className="font-mono">{fmtPrice(bookStats.spread)} · {bookStats.spreadBps.toFixed(1)} bps</span></div>
+                      <div className="flex justify-between"><span className="text-gray-400">Weighted spread</span><span className="font-mono">{fmtPrice(bookStats.weightedSpread)} · {bookStats.weightedSpreadBps.toFixed(1)} bps</span></div>
+                      <div className="flex justify-between"><span className="text-gray-400">Mid</span><span className="font-mono">{fmtPrice(bookStats.mid)}</span></div>
+                      <div className="flex justify-between"><span className="text-gray-400">Microprice</span><span className="font-mono">{fmtPrice(bookStats.microprice)}</span></div>
+                      <div className="flex justify-between"><span className="text-gray-400">Bid depth</span><span className="font-mono text-green-400">{fmtQuantity(bookStats.bidDepth)}</span></div>
+                      <div className="flex justify-between"><span className="text-gray-400">Ask depth</span><span className="font-mono text-red-400">{fmtQuantity(bookStats.askDepth)}</span></div>
+                    </div>
+                    <div className="text-xs text-gray-500">
+                      Imbalance is (bid − ask) / (bid + ask) size. The weighted spread is between the size-weighted prices of each side's top {DEPTH_LEVELS} levels; the microprice leans toward the thinner side of the touch.
+                    </div>
+                  </div>
+                ) : (
+                  <div className="text-center text-gray-500 py-8">
+                    The book is empty on one side
+                  </div>
+                )}
+              </div>
+
+              {/* Time & Sales: every trade in the selected market, coloured by the side that took liquidity */}
+              <div className="bg-gray-800 rounded-xl p-4 shadow-lg">
+                <h3 className="font-semibold mb-3 flex items-center">
+                  <span className="mr-2">🧾</span> Time & Sales
+                  {tapeStats && (
+                    <span className="ml-auto text-xs text-gray-500 font-normal">
+                      Buyers {(tapeStats.buyShare * 100).toFixed(0)}% · VWAP {fmtPrice(tapeStats.vwap)}
+                    </span>
+                  )}
+                </h3>
+                {tapeStats && (
+                  <div className="h-1.5 bg-red-500/60 rounded overflow-hidden mb-3">
+                    <div className="h-full bg-green-500" style={{ width: `${tapeStats.buyShare * 100}%` }} />
+                  </div>
+                )}
+                <div className="text-sm max-h-80 overflow-y-auto">
+                  {tape.length > 0 ? (
+                    <table className="w-full text-xs">
+                      <thead>
+                        <tr className="text-gray-400 text-left">
+                          <th className="py-1 px-2">Time</th>
+                          <th className="py-1 px-2 text-right">Price</th>
+                          <th className="py-1 px-2 text-right">Size</th>
+                          <th className="py-1 px-2">Aggressor</th>
+                        </tr>
+                      </thead>
+                      <tbody>
+                        {tape.map((print, index) => (
+                          <tr key={index} className={`border-t border-gray-700/50 ${print.own ? 'bg-blue-900/40' : ''}`}>
+                            <td className="py-1 px-2 text-gray-400">
+                              {new Date(print.time).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit', second: '2-digit' })}
+                            </td>
+                            <td className={`py-1 px-2 text-right font-mono ${print.side === 'buy' ? 'text-green-400' : 'text-red-400'}`}>
+                              {fmtPrice(print.price)}
+                            </td>
+                            <td className="py-1 px-2 text-right font-mono">{fmtQuantity(print.size)}</td>
+                            <td className={`py-1 px-2 ${print.side === 'buy' ? 'text-green-400' : 'text-red-400'}`}>
+                              {print.side === 'buy' ? 'BUYER' : 'SELLER'}
+                              {print.own && <span className="ml-2 text-blue-400">YOU</span>}
+                            </td>
+                          </tr>
+                        ))}
+                      </tbody>
+                    </table>
+                  ) : (
+                    <div className="text-center text-gray-500 py-8">
+                      No trades yet
+                    </div>
+                  )}
+                </div>
+              </div>
+
+              {/* Your Trades */}
               <div className="bg-gray-800 rounded-xl p-4 shadow-lg">
                 <h3 className="font-semibold mb-3 flex items-center">
-                  <span className="mr-2">🔄</span> Recent Trades
+                  <span className="mr-2">🔄</span> Your Trades
                 </h3>
                 <div className="space-y-1 text-sm max-h-80 overflow-y-auto">
                   {tradeHistory.length > 0 ? (
@@ -1080,10 +6050,29 @@ export default function ProfessionalTradingSimulator() {
                           <span className={`font-medium ${trade.action === 'buy' ? 'text-green-400' : 'text-red-400'}`}>
                             {trade.action.toUpperCase()}
                           </span>
+                          {trade.orderType === 'liquidation' && (
+                            <span className="ml-2 text-xs text-red-400">LIQUIDATED</span>
+                          )}
+                          {PROTECTION_REASONS[trade.orderType] && (
+                            <span className="ml-2 text-xs text-yellow-400">{PROTECTION_REASONS[trade.orderType].toUpperCase()}</span>
+                          )}
+                          {trade.botId && (
+                            <span className="ml-2 text-xs text-purple-300">🤖 {botName(trade.botId)}</span>
+                          )}
+                          {trade.pair && (
+                            <span className="ml-2 text-xs text-blue-300">{trade.pair}</span>
+                          )}
                         </div>
-                        <div className="flex items-center">
-                          <span className="text-gray-300 mr-2">{trade.quantity}</span>
-                          <span className="font-mono">@ {fmtCurrency(trade.price)}</span>
+                        <div className="text-right">
+                          <div className="flex items-center justify-end">
+                            <span className="text-gray-300 mr-2">{fmtQuantity(trade.quantity)}</span>
+                            <span className="font-mono">@ {fmtCurrency(trade.price)}</span>
+                          </div>
+                          {(trade.commission > 0 || trade.slippage > 0) && (
+                            <div className="text-xs text-gray-500">
+                              fee {fmtCurrency(trade.commission)} · slip {fmtCurrency(trade.slippage)}
+                            </div>
+                          )}
                         </div>
                       </div>
                     ))
@@ -1098,6 +6087,24 @@ export default function ProfessionalTradingSimulator() {
           </div>
         </div>
       </div>
+
+      {/* Toasts */}
+      <div className="fixed bottom-4 right-4 z-50 space-y-2 w-80">
+        {toasts.map(toast => (
+          <div
+            key={toast.id}
+            className={`p-3 rounded-lg shadow-xl border text-sm flex items-start ${
+              toast.tone === 'error' ? 'bg-red-900/90 border-red-500/50' : 'bg-gray-800/95 border-blue-500/50'
+            }`}
+          >
+            <div className="flex-1">
+              {toast.title && <div className="font-semibold text-xs text-gray-300 mb-0.5">{toast.title}</div>}
+              {toast.message}
+            </div>
+            <button onClick={() => dismissToast(toast.id)} className="ml-2 text-gray-400 hover:text-white">×</button>
+          </div>
+        ))}
+      </div>
     </div>
   );
 }
\ No newline at end of file
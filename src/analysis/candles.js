@@ -0,0 +1,43 @@
+// ==================== OHLC AGGREGATION ====================
+
+export const CANDLE_TIMEFRAMES = {
+  "1m": 60 * 1000,
+  "5m": 5 * 60 * 1000,
+  "15m": 15 * 60 * 1000,
+  "1h": 60 * 60 * 1000,
+  "1D": 24 * 60 * 60 * 1000
+};
+
+// Start of the bucket a timestamp falls in. Buckets align to local time so daily
+// candles open at local midnight rather than UTC midnight.
+export function bucketStart(timestamp, interval) {
+  const offset = new Date(timestamp).getTimezoneOffset() * 60000;
+  return timestamp - ((timestamp - offset) % interval);
+}
+
+// Aggregates tick history ({ price, volume, timestamp }) into OHLC+volume bars
+export function aggregateCandles(history, interval) {
+  const candles = [];
+  let current = null;
+
+  history.forEach(point => {
+    const start = bucketStart(point.timestamp, interval);
+    if (!current || current.time !== start) {
+      current = {
+        time: start,
+        open: point.price,
+        high: point.price,
+        low: point.price,
+        close: point.price,
+        volume: 0
+      };
+      candles.push(current);
+    }
+    current.high = Math.max(current.high, point.price);
+    current.low = Math.min(current.low, point.price);
+    current.close = point.price;
+    current.volume += point.volume;
+  });
+
+  return candles;
+}
@@ -0,0 +1,65 @@
+// ==================== REALISED CORRELATIONS ====================
+//
+// Pairwise correlations of log returns from price history. Each pair is compared on
+// the timestamps both assets have points at, with returns taken between consecutive
+// shared points, so a stock that sat out a closed session is matched against the
+// crypto move over the same stretch rather than a single minute of it.
+
+// ms of market time each window looks back
+export const CORRELATION_WINDOWS = {
+  "1D": 24 * 60 * 60 * 1000,
+  "1W": 7 * 24 * 60 * 60 * 1000,
+  ALL: Infinity
+};
+const MIN_RETURNS = 10; // Fewer shared returns than this give no correlation
+
+function pearson(xs, ys) {
+  const n = xs.length;
+  const meanX = xs.reduce((sum, x) => sum + x, 0) / n;
+  const meanY = ys.reduce((sum, y) => sum + y, 0) / n;
+  let covariance = 0;
+  let varianceX = 0;
+  let varianceY = 0;
+  for (let i = 0; i < n; i++) {
+    covariance += (xs[i] - meanX) * (ys[i] - meanY);
+    varianceX += (xs[i] - meanX) ** 2;
+    varianceY += (ys[i] - meanY) ** 2;
+  }
+  return varianceX > 0 && varianceY > 0 ? covariance / Math.sqrt(varianceX * varianceY) : null;
+}
+
+// Correlation of two histories (sorted points since the window start), walked together
+// over their shared timestamps
+function pairCorrelation(a, b) {
+  const xs = [];
+  const ys = [];
+  let previous = null;
+  for (let i = 0, j = 0; i < a.length && j < b.length;) {
+    if (a[i].timestamp < b[j].timestamp) i++;
+    else if (a[i].timestamp > b[j].timestamp) j++;
+    else {
+      if (previous) {
+        xs.push(Math.log(a[i].price / previous[0]));
+        ys.push(Math.log(b[j].price / previous[1]));
+      }
+      previous = [a[i].price, b[j].price];
+      i++;
+      j++;
+    }
+  }
+  return xs.length >= MIN_RETURNS ? pearson(xs, ys) : null;
+}
+
+// Correlation matrix of the assets' returns since `since`, in the order given. Cells are
+// null where a pair shares too little history.
+export function realisedCorrelations(assets, since) {
+  const series = assets.map(asset => asset.history.filter(point => point.timestamp >= since));
+
+  const matrix = assets.map(() => new Array(assets.length).fill(1));
+  for (let i = 0; i < assets.length; i++) {
+    for (let j = 0; j < i; j++) {
+      matrix[i][j] = matrix[j][i] = pairCorrelation(series[i], series[j]);
+    }
+  }
+  return { symbols: assets.map(asset => asset.symbol), matrix };
+}
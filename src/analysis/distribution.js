@@ -0,0 +1,86 @@
+// ==================== RETURN DIAGNOSTICS ====================
+//
+// Distribution and volatility of an asset's returns, from its price history. Returns
+// are only taken between points a few minutes apart, so overnight and weekend gaps
+// don't count as one outsized move, and each is scaled by the square root of its
+// interval so minute-level history and live ticks share one annualised scale.
+
+const MS_PER_TRADING_YEAR = 252 * 390 * 60000; // Same year the price model uses
+const MAX_GAP = 5 * 60000; // Longest interval between points that counts as a return
+const HISTOGRAM_RANGE = 5; // Standard deviations either side of the mean
+const HISTOGRAM_BINS = 40;
+const ROLLING_WINDOW = 60; // Returns per realised volatility point
+const MAX_ROLLING_POINTS = 300;
+
+// Standard normal CDF (Abramowitz and Stegun 7.1.26)
+function normalCdf(x) {
+  const t = 1 / (1 + 0.3275911 * Math.abs(x) / Math.SQRT2);
+  const erf = 1 - (((((1.061405429 * t - 1.453152027) * t) + 1.421413741) * t - 0.284496736) * t + 0.254829592) *
+    t * Math.exp(-(x * x) / 2);
+  return x >= 0 ? (1 + erf) / 2 : (1 - erf) / 2;
+}
+
+// Annualised returns between consecutive history points, with the time each ends at
+function scaledReturns(history) {
+  const returns = [];
+  for (let i = 1; i < history.length; i++) {
+    const interval = history[i].timestamp - history[i - 1].timestamp;
+    if (interval <= 0 || interval > MAX_GAP) continue;
+    returns.push({
+      value: Math.log(history[i].price / history[i - 1].price) / Math.sqrt(interval / MS_PER_TRADING_YEAR),
+      time: history[i].timestamp
+    });
+  }
+  return returns;
+}
+
+const standardDeviation = (values, mean) =>
+  Math.sqrt(values.reduce((sum, value) => sum + (value - mean) ** 2, 0) / Math.max(1, values.length - 1));
+
+// Everything the diagnostics view shows, or null if there are too few returns. The
+// histogram bins returns in standard deviations from the mean, next to the counts a
+// normal distribution would give; returns beyond the range land in the end bins.
+export function returnDiagnostics(history) {
+  const returns = scaledReturns(history);
+  if (returns.length < ROLLING_WINDOW) return null;
+
+  const values = returns.map(r => r.value);
+  const mean = values.reduce((sum, value) => sum + value, 0) / values.length;
+  const volatility = standardDeviation(values, mean);
+  const standardised = values.map(value => (value - mean) / volatility);
+  const moment = (power) => standardised.reduce((sum, z) => sum + z ** power, 0) / standardised.length;
+
+  const binWidth = (2 * HISTOGRAM_RANGE) / HISTOGRAM_BINS;
+  const histogram = Array.from({ length: HISTOGRAM_BINS }, (_, i) => {
+    const from = -HISTOGRAM_RANGE + i * binWidth;
+    return {
+      sigma: from + binWidth / 2,
+      count: 0,
+      normal: standardised.length * (normalCdf(from + binWidth) - normalCdf(from))
+    };
+  });
+  standardised.forEach(z => {
+    const bin = Math.min(HISTOGRAM_BINS - 1, Math.max(0, Math.floor((z + HISTOGRAM_RANGE) / binWidth)));
+    histogram[bin].count += 1;
+  });
+
+  const rolling = [];
+  const stride = Math.max(1, Math.floor((returns.length - ROLLING_WINDOW) / MAX_ROLLING_POINTS));
+  for (let end = ROLLING_WINDOW; end <= returns.length; end += stride) {
+    const window = values.slice(end - ROLLING_WINDOW, end);
+    const windowMean = window.reduce((sum, value) => sum + value, 0) / window.length;
+    rolling.push({ time: returns[end - 1].time, volatility: standardDeviation(window, windowMean) });
+  }
+
+  return {
+    count: returns.length,
+    volatility,
+    skewness: moment(3),
+    excessKurtosis: moment(4) - 3,
+    tailMoves: standardised.filter(z => Math.abs(z) > 3).length,
+    normalTailMoves: standardised.length * 2 * (1 - normalCdf(3)),
+    largestMove: Math.max(...standardised.map(Math.abs)),
+    histogram,
+    rolling
+  };
+}
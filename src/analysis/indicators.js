@@ -0,0 +1,262 @@
+// ==================== TECHNICAL INDICATORS ====================
+//
+// Each indicator is a registry entry: its parameters, which pane it draws in
+// ("price" overlays share the price axis, "oscillator" indicators get their own
+// sub-pane), an optional validate check across parameters and a compute function.
+// compute receives the chart bars ({ open, high, low, close, volume, time }) and
+// returns one array per output, aligned with the bars and null where the indicator
+// isn't defined yet.
+
+import { CANDLE_TIMEFRAMES, bucketStart } from "./candles.js";
+
+// Simple moving average over a rolling window
+function sma(values, period) {
+  let sum = 0;
+  return values.map((value, i) => {
+    sum += value;
+    if (i >= period) sum -= values[i - period];
+    return i >= period - 1 ? sum / period : null;
+  });
+}
+
+// Exponential moving average seeded with the SMA of the first `period` defined values.
+// Leading nulls (e.g. from another indicator's warm-up) are skipped.
+function ema(values, period) {
+  const k = 2 / (period + 1);
+  let seen = 0;
+  let seedSum = 0;
+  let prev = null;
+
+  return values.map(value => {
+    if (value === null || value === undefined) return null;
+    if (prev === null) {
+      seen += 1;
+      seedSum += value;
+      if (seen < period) return null;
+      prev = seedSum / period;
+      return prev;
+    }
+    prev = value * k + prev * (1 - k);
+    return prev;
+  });
+}
+
+function rollingStdDev(values, means, period) {
+  return values.map((_, i) => {
+    if (means[i] === null) return null;
+    const window = values.slice(i - period + 1, i + 1);
+    const variance = window.reduce((acc, value) => acc + (value - means[i]) ** 2, 0) / period;
+    return Math.sqrt(variance);
+  });
+}
+
+// Wilder-smoothed relative strength index
+function rsi(closes, period) {
+  let avgGain = 0;
+  let avgLoss = 0;
+
+  return closes.map((close, i) => {
+    if (i === 0) return null;
+    const change = close - closes[i - 1];
+    const gain = Math.max(change, 0);
+    const loss = Math.max(-change, 0);
+
+    if (i <= period) {
+      avgGain += gain / period;
+      avgLoss += loss / period;
+      if (i < period) return null;
+    } else {
+      avgGain = (avgGain * (period - 1) + gain) / period;
+      avgLoss = (avgLoss * (period - 1) + loss) / period;
+    }
+    if (avgLoss === 0) return 100;
+    return 100 - 100 / (1 + avgGain / avgLoss);
+  });
+}
+
+// Volume-weighted average price, reset at the start of each day
+function vwap(bars) {
+  let day = null;
+  let priceVolume = 0;
+  let volume = 0;
+
+  return bars.map(bar => {
+    const barDay = bucketStart(bar.time, CANDLE_TIMEFRAMES["1D"]);
+    if (barDay !== day) {
+      day = barDay;
+      priceVolume = 0;
+      volume = 0;
+    }
+    const typicalPrice = (bar.high + bar.low + bar.close) / 3;
+    priceVolume += typicalPrice * bar.volume;
+    volume += bar.volume;
+    return volume > 0 ? priceVolume / volume : null;
+  });
+}
+
+function stochastic(bars, kPeriod, dPeriod) {
+  const k = bars.map((bar, i) => {
+    if (i < kPeriod - 1) return null;
+    const window = bars.slice(i - kPeriod + 1, i + 1);
+    const highest = Math.max(...window.map(b => b.high));
+    const lowest = Math.min(...window.map(b => b.low));
+    return highest > lowest ? ((bar.close - lowest) / (highest - lowest)) * 100 : 50;
+  });
+  const defined = k.filter(value => value !== null);
+  const d = [...Array(k.length - defined.length).fill(null), ...sma(defined, dPeriod)];
+  return { k, d };
+}
+
+const closes = (bars) => bars.map(bar => bar.close);
+
+export const INDICATORS = {
+  sma: {
+    label: "SMA",
+    pane: "price",
+    params: [{ key: "period", label: "Period", value: 20, min: 2 }],
+    outputs: [{ key: "value", label: "SMA" }],
+    compute: (bars, { period }) => ({ value: sma(closes(bars), period) })
+  },
+  ema: {
+    label: "EMA",
+    pane: "price",
+    params: [{ key: "period", label: "Period", value: 20, min: 2 }],
+    outputs: [{ key: "value", label: "EMA" }],
+    compute: (bars, { period }) => ({ value: ema(closes(bars), period) })
+  },
+  vwap: {
+    label: "VWAP",
+    pane: "price",
+    params: [],
+    outputs: [{ key: "value", label: "VWAP" }],
+    compute: (bars) => ({ value: vwap(bars) })
+  },
+  bollinger: {
+    label: "Bollinger Bands",
+    pane: "price",
+    params: [
+      { key: "period", label: "Period", value: 20, min: 2 },
+      { key: "stdDev", label: "Std Dev", value: 2, min: 0.5, step: 0.5 }
+    ],
+    outputs: [
+      { key: "upper", label: "Upper", dashed: true },
+      { key: "middle", label: "Middle" },
+      { key: "lower", label: "Lower", dashed: true }
+    ],
+    compute: (bars, { period, stdDev }) => {
+      const values = closes(bars);
+      const middle = sma(values, period);
+      const deviation = rollingStdDev(values, middle, period);
+      return {
+        middle,
+        upper: middle.map((m, i) => m === null ? null : m + stdDev * deviation[i]),
+        lower: middle.map((m, i) => m === null ? null : m - stdDev * deviation[i])
+      };
+    }
+  },
+  rsi: {
+    label: "RSI",
+    pane: "oscillator",
+    domain: [0, 100],
+    levels: [30, 70],
+    params: [{ key: "period", label: "Period", value: 14, min: 2 }],
+    outputs: [{ key: "value", label: "RSI" }],
+    compute: (bars, { period }) => ({ value: rsi(closes(bars), period) })
+  },
+  macd: {
+    label: "MACD",
+    pane: "oscillator",
+    levels: [0],
+    params: [
+      { key: "fast", label: "Fast", value: 12, min: 2 },
+      { key: "slow", label: "Slow", value: 26, min: 3 },
+      { key: "signal", label: "Signal", value: 9, min: 2 }
+    ],
+    validate: ({ fast, slow }) => fast < slow, // The fast average must be the shorter one
+    outputs: [
+      { key: "histogram", label: "Histogram", bar: true },
+      { key: "macd", label: "MACD" },
+      { key: "signal", label: "Signal", dashed: true }
+    ],
+    compute: (bars, { fast, slow, signal }) => {
+      const values = closes(bars);
+      const fastEma = ema(values, fast);
+      const slowEma = ema(values, slow);
+      const macd = values.map((_, i) =>
+        fastEma[i] === null || slowEma[i] === null ? null : fastEma[i] - slowEma[i]);
+      const signalLine = ema(macd, signal);
+      return {
+        macd,
+        signal: signalLine,
+        histogram: macd.map((m, i) => m === null || signalLine[i] === null ? null : m - signalLine[i])
+      };
+    }
+  },
+  stochastic: {
+    label: "Stochastic",
+    pane: "oscillator",
+    domain: [0, 100],
+    levels: [20, 80],
+    params: [
+      { key: "kPeriod", label: "%K", value: 14, min: 2 },
+      { key: "dPeriod", label: "%D", value: 3, min: 1 }
+    ],
+    outputs: [
+      { key: "k", label: "%K" },
+      { key: "d", label: "%D", dashed: true }
+    ],
+    compute: (bars, { kPeriod, dPeriod }) => stochastic(bars, kPeriod, dPeriod)
+  }
+};
+
+const INDICATOR_COLORS = ["#F59E0B", "#A855F7", "#EC4899", "#14B8A6", "#F97316", "#22D3EE", "#84CC16"];
+
+// New indicator instance with the registry's default parameters
+export function createIndicator(type, index = 0) {
+  return {
+    id: `${type}-${Math.random().toString(36).substr(2, 6)}`,
+    type,
+    color: INDICATOR_COLORS[index % INDICATOR_COLORS.length],
+    params: Object.fromEntries(INDICATORS[type].params.map(param => [param.key, param.value]))
+  };
+}
+
+// Row key an instance's output is stored under on the chart data
+export const indicatorKey = (instance, output) => `${instance.id}_${output}`;
+
+// Parameters being edited can be briefly empty or out of range; such instances are skipped.
+// Periods (params without a `step`) count whole bars.
+export const hasValidParams = (instance) => {
+  const { params, validate } = INDICATORS[instance.type];
+  return params.every(param => {
+    const value = instance.params[param.key];
+    return Number.isFinite(value) && value >= param.min && (param.step !== undefined || Number.isInteger(value));
+  }) && (!validate || validate(instance.params));
+};
+
+// Adds every indicator output to the chart rows. Line-chart rows only carry a
+// price, so it stands in for open/high/low/close.
+export function applyIndicators(rows, instances) {
+  if (instances.length === 0) return rows;
+
+  const bars = rows.map(row => ({
+    time: row.time,
+    open: row.open ?? row.value,
+    high: row.high ?? row.value,
+    low: row.low ?? row.value,
+    close: row.close ?? row.value,
+    volume: row.volume ?? 0
+  }));
+
+  const withValues = rows.map(row => ({ ...row }));
+  instances.filter(hasValidParams).forEach(instance => {
+    const outputs = INDICATORS[instance.type].compute(bars, instance.params);
+    Object.entries(outputs).forEach(([output, values]) => {
+      const key = indicatorKey(instance, output);
+      values.forEach((value, i) => {
+        withValues[i][key] = value;
+      });
+    });
+  });
+  return withValues;
+}
@@ -0,0 +1,30 @@
+import { describe, expect, it } from "vitest";
+import { createIndicator, hasValidParams } from "./indicators.js";
+
+const withParams = (type, params) => {
+  const instance = createIndicator(type);
+  return { ...instance, params: { ...instance.params, ...params } };
+};
+
+describe("hasValidParams", () => {
+  it("accepts the registry defaults", () => {
+    ["sma", "ema", "bollinger", "rsi", "macd", "stochastic"].forEach(type => {
+      expect(hasValidParams(createIndicator(type))).toBe(true);
+    });
+  });
+
+  it("rejects empty and out-of-range values", () => {
+    expect(hasValidParams(withParams("sma", { period: NaN }))).toBe(false);
+    expect(hasValidParams(withParams("sma", { period: 1 }))).toBe(false);
+  });
+
+  it("requires whole periods", () => {
+    expect(hasValidParams(withParams("sma", { period: 2.5 }))).toBe(false);
+    expect(hasValidParams(withParams("bollinger", { stdDev: 2.5 }))).toBe(true);
+  });
+
+  it("requires MACD's fast period to be shorter than its slow one", () => {
+    expect(hasValidParams(withParams("macd", { fast: 26, slow: 26 }))).toBe(false);
+    expect(hasValidParams(withParams("macd", { fast: 30, slow: 26 }))).toBe(false);
+  });
+});
@@ -0,0 +1,72 @@
+// ==================== ORDER FLOW ====================
+//
+// What the order book and the time-and-sales tape say about supply and demand: the
+// cumulative depth either side of the price, how lopsided the resting size is, what it
+// costs to cross the spread, and which side has been taking liquidity.
+
+export const DEPTH_LEVELS = 10; // Levels a side the depth chart and depth imbalance cover
+
+const sizeOf = (levels) => levels.reduce((sum, level) => sum + level.size, 0);
+
+// Average price of the levels, weighted by their size
+const weightedPrice = (levels) => levels.reduce((sum, level) => sum + level.price * level.size, 0) / sizeOf(levels);
+
+// (bid − ask) / (bid + ask): +1 when only bids rest, −1 when only asks do
+const imbalance = (bidSize, askSize) => bidSize + askSize > 0 ? (bidSize - askSize) / (bidSize + askSize) : 0;
+
+// Points for a depth chart, lowest price first: each bid level with `bids`, the size
+// resting at its price or better, and each ask level with the same as `asks`. Drawn as
+// steps, the bids fall away from the spread to the left and the asks rise to the right.
+export function depthCurve(book, levels = DEPTH_LEVELS) {
+  const cumulative = (side, key) => {
+    let total = 0;
+    return side.slice(0, levels).map(level => {
+      total += level.size;
+      return { price: level.price, [key]: total };
+    });
+  };
+  return [...cumulative(book.bids, "bids").reverse(), ...cumulative(book.asks, "asks")];
+}
+
+// Spread and imbalance of a book, or null while either side is empty. `microprice` is the
+// mid weighted toward the side with less size at the touch, where the next trade is likelier
+// to land; the weighted spread is between the size-weighted prices of the top `levels`.
+export function bookMetrics(book, levels = DEPTH_LEVELS) {
+  const bids = book.bids.slice(0, levels);
+  const asks = book.asks.slice(0, levels);
+  if (bids.length === 0 || asks.length === 0) return null;
+
+  const [bid, ask] = [bids[0], asks[0]];
+  const mid = (bid.price + ask.price) / 2;
+  const spread = ask.price - bid.price;
+  const weightedSpread = weightedPrice(asks) - weightedPrice(bids);
+  return {
+    bid: bid.price,
+    ask: ask.price,
+    mid,
+    spread,
+    spreadBps: spread / mid * 10000,
+    weightedSpread,
+    weightedSpreadBps: weightedSpread / mid * 10000,
+    microprice: (bid.price * ask.size + ask.price * bid.size) / (bid.size + ask.size),
+    bidDepth: sizeOf(bids),
+    askDepth: sizeOf(asks),
+    topImbalance: imbalance(bid.size, ask.size),
+    depthImbalance: imbalance(sizeOf(bids), sizeOf(asks))
+  };
+}
+
+// Volume bought and sold by aggressors across tape prints ({ price, size, side }), the
+// buyers' share of it and the volume-weighted price, or null for an empty tape
+export function tapeSummary(prints) {
+  if (prints.length === 0) return null;
+  const volumeOf = (side) => prints.filter(print => print.side === side).reduce((sum, print) => sum + print.size, 0);
+  const buyVolume = volumeOf("buy");
+  const sellVolume = volumeOf("sell");
+  return {
+    buyVolume,
+    sellVolume,
+    buyShare: buyVolume / (buyVolume + sellVolume),
+    vwap: prints.reduce((sum, print) => sum + print.price * print.size, 0) / (buyVolume + sellVolume)
+  };
+}
@@ -0,0 +1,201 @@
+// ==================== PERFORMANCE ANALYTICS ====================
+//
+// Trade statistics come from FIFO round trips: each closing fill is matched against
+// the oldest open lots of its symbol, net of the commissions on both sides. Risk
+// statistics come from the equity curve, sampled once per minute of market time and
+// annualised with the price model's trading year. Both are folded in incrementally,
+// so the state stays the same size however long the game runs.
+
+const MS_PER_TRADING_YEAR = 252 * 390 * 60000; // Same year the price model uses
+export const EQUITY_SAMPLE_INTERVAL = 60000; // ms of market time between return samples
+const PERIODS_PER_YEAR = MS_PER_TRADING_YEAR / EQUITY_SAMPLE_INTERVAL;
+const RECENT_ROUND_TRIPS = 50;
+const EPSILON = 1e-9; // Quantities this close to zero count as flat
+
+// Fresh analytics for a game starting at `time` with `equity`. Positions already held
+// become the first open lots, entered at their average cost.
+export function createPerformanceState(time, equity, positions = {}) {
+  return {
+    lots: Object.fromEntries(Object.entries(positions).map(([symbol, position]) => [
+      symbol,
+      [{ quantity: position.quantity, price: position.averageCost, time, feePerUnit: 0 }]
+    ])),
+    trades: {
+      count: 0,
+      wins: 0,
+      losses: 0,
+      grossProfit: 0,
+      grossLoss: 0,
+      best: 0,
+      worst: 0,
+      holdingTime: 0
+    },
+    recentRoundTrips: [],
+    equity: {
+      startTime: time,
+      startValue: equity,
+      lastTime: time,
+      lastValue: equity,
+      lastSampleTime: time,
+      lastSampleValue: equity,
+      samples: 0,
+      sumReturns: 0,
+      sumSquares: 0,
+      sumDownsideSquares: 0,
+      peak: equity,
+      peakTime: time,
+      maxDrawdown: 0,
+      maxDrawdownDuration: 0,
+      exposedTime: 0
+    }
+  };
+}
+
+// Matches one fill against the symbol's open lots. Returns the remaining lots and the
+// round trips it closed.
+function matchFill(lots, fill) {
+  const feePerUnit = (fill.commission || 0) / fill.quantity;
+  const remainingLots = [...lots];
+  const roundTrips = [];
+  let remaining = fill.action === "buy" ? fill.quantity : -fill.quantity;
+
+  while (Math.abs(remaining) > EPSILON && remainingLots.length > 0 &&
+    Math.sign(remainingLots[0].quantity) !== Math.sign(remaining)) {
+    const lot = remainingLots[0];
+    const direction = Math.sign(lot.quantity);
+    const matched = Math.min(Math.abs(remaining), Math.abs(lot.quantity));
+
+    roundTrips.push({
+      symbol: fill.symbol,
+      side: direction > 0 ? "long" : "short",
+      quantity: matched,
+      entryPrice: lot.price,
+      exitPrice: fill.price,
+      entryTime: lot.time,
+      exitTime: fill.time,
+      pnl: ((fill.price - lot.price) * direction - lot.feePerUnit - feePerUnit) * matched
+    });
+
+    const left = lot.quantity - direction * matched;
+    if (Math.abs(left) <= EPSILON) remainingLots.shift();
+    else remainingLots[0] = { ...lot, quantity: left };
+    remaining += direction * matched;
+  }
+
+  if (Math.abs(remaining) > EPSILON) {
+    remainingLots.push({ quantity: remaining, price: fill.price, time: fill.time, feePerUnit });
+  }
+  return { lots: remainingLots, roundTrips };
+}
+
+// Folds executed fills ({ symbol, action, quantity, price, commission, time }) into the
+// open lots and round-trip statistics
+export function recordFills(state, fills) {
+  return fills.reduce((current, fill) => {
+    const { lots, roundTrips } = matchFill(current.lots[fill.symbol] || [], fill);
+
+    const trades = roundTrips.reduce((acc, trip) => ({
+      count: acc.count + 1,
+      wins: acc.wins + (trip.pnl > 0 ? 1 : 0),
+      losses: acc.losses + (trip.pnl < 0 ? 1 : 0),
+      grossProfit: acc.grossProfit + Math.max(0, trip.pnl),
+      grossLoss: acc.grossLoss + Math.max(0, -trip.pnl),
+      best: acc.count === 0 ? trip.pnl : Math.max(acc.best, trip.pnl),
+      worst: acc.count === 0 ? trip.pnl : Math.min(acc.worst, trip.pnl),
+      holdingTime: acc.holdingTime + (trip.exitTime - trip.entryTime)
+    }), current.trades);
+
+    const nextLots = { ...current.lots, [fill.symbol]: lots };
+    if (lots.length === 0) delete nextLots[fill.symbol];
+
+    return {
+      ...current,
+      lots: nextLots,
+      trades,
+      recentRoundTrips: [...roundTrips.reverse(), ...current.recentRoundTrips].slice(0, RECENT_ROUND_TRIPS)
+    };
+  }, state);
+}
+
+// Folds a mark-to-market equity point into drawdown, exposure and return statistics.
+// A gap spanning several sample intervals counts as that many periods, so the
+// per-period variance stays unbiased across catch-ups and time skips.
+export function recordEquity(state, { time, value, exposed }) {
+  const equity = state.equity;
+  if (time <= equity.lastTime) return state;
+
+  const next = {
+    ...equity,
+    lastTime: time,
+    lastValue: value,
+    exposedTime: equity.exposedTime + (exposed ? time - equity.lastTime : 0)
+  };
+
+  if (value >= equity.peak) {
+    next.peak = value;
+    next.peakTime = time;
+  } else {
+    next.maxDrawdown = Math.max(equity.maxDrawdown, (equity.peak - value) / equity.peak);
+    next.maxDrawdownDuration = Math.max(equity.maxDrawdownDuration, time - equity.peakTime);
+  }
+
+  const periods = Math.floor((time - equity.lastSampleTime) / EQUITY_SAMPLE_INTERVAL);
+  if (periods > 0 && equity.lastSampleValue > 0 && value > 0) {
+    const logReturn = Math.log(value / equity.lastSampleValue);
+    next.samples = equity.samples + periods;
+    next.sumReturns = equity.sumReturns + logReturn;
+    next.sumSquares = equity.sumSquares + logReturn ** 2;
+    next.sumDownsideSquares = equity.sumDownsideSquares + (logReturn < 0 ? logReturn ** 2 : 0);
+    next.lastSampleTime = equity.lastSampleTime + periods * EQUITY_SAMPLE_INTERVAL;
+    next.lastSampleValue = value;
+  }
+
+  return { ...state, equity: next };
+}
+
+// Everything the analytics view shows. Ratios that need more data than has been
+// collected are null.
+export function buildReport(state) {
+  const { trades, equity } = state;
+
+  const mean = equity.samples > 0 ? equity.sumReturns / equity.samples : 0;
+  const variance = equity.samples > 1
+    ? Math.max(0, (equity.sumSquares - equity.samples * mean ** 2) / (equity.samples - 1))
+    : 0;
+  const volatility = Math.sqrt(variance * PERIODS_PER_YEAR);
+  const downsideDeviation = equity.samples > 0
+    ? Math.sqrt((equity.sumDownsideSquares / equity.samples) * PERIODS_PER_YEAR)
+    : 0;
+  const annualizedReturn = mean * PERIODS_PER_YEAR;
+  const enoughSamples = equity.samples >= 2;
+  const elapsed = equity.lastTime - equity.startTime;
+
+  return {
+    // Round trips
+    roundTrips: trades.count,
+    winRate: trades.count > 0 ? trades.wins / trades.count : 0,
+    profitFactor: trades.grossLoss > 0
+      ? trades.grossProfit / trades.grossLoss
+      : (trades.grossProfit > 0 ? Infinity : null),
+    expectancy: trades.count > 0 ? (trades.grossProfit - trades.grossLoss) / trades.count : 0,
+    averageWin: trades.wins > 0 ? trades.grossProfit / trades.wins : 0,
+    averageLoss: trades.losses > 0 ? trades.grossLoss / trades.losses : 0,
+    bestTrade: trades.best,
+    worstTrade: trades.worst,
+    averageHoldingTime: trades.count > 0 ? trades.holdingTime / trades.count : 0,
+    netProfit: trades.grossProfit - trades.grossLoss,
+
+    // Equity curve
+    totalReturn: equity.startValue > 0 ? equity.lastValue / equity.startValue - 1 : 0,
+    annualizedReturn: enoughSamples ? annualizedReturn : null,
+    volatility: enoughSamples ? volatility : null,
+    sharpeRatio: enoughSamples && volatility > 0 ? annualizedReturn / volatility : null,
+    sortinoRatio: enoughSamples && downsideDeviation > 0 ? annualizedReturn / downsideDeviation : null,
+    calmarRatio: enoughSamples && equity.maxDrawdown > 0 ? annualizedReturn / equity.maxDrawdown : null,
+    maxDrawdown: equity.maxDrawdown,
+    maxDrawdownDuration: equity.maxDrawdownDuration,
+    currentDrawdown: equity.peak > 0 ? (equity.peak - equity.lastValue) / equity.peak : 0,
+    exposureTime: elapsed > 0 ? equity.exposedTime / elapsed : 0,
+    elapsed
+  };
+}
@@ -0,0 +1,180 @@
+// ==================== MARKET PARTICIPANTS ====================
+//
+// Simulated traders that feed each symbol's order book (orderbook.js). Each participant
+// type is a registry entry whose `act` runs once per engine step, in registry order:
+// market makers requote first, then the order flow arrives and trades against them.
+// `fairValue` is where the asset's price model (models.js), news and sentiment say it
+// should trade; the traded price is wherever this flow leaves the book.
+
+import { cancelWhere, cloneBook, midPrice, submit, toTick, uncross } from "./orderbook.js";
+
+const MS_PER_TRADING_YEAR = 252 * 390 * 60000; // Same year the price model uses
+const MAX_ARRIVALS = 8; // Orders per participant type per step; longer steps send bigger orders
+const MAKER_LEVELS = 10; // Quotes a market maker keeps on each side
+const MAKER_NOTIONAL = 40000; // $ quoted at the touch; deeper levels quote more
+const MAKER_ANCHOR = 0.5; // Share of the gap to fair value makers close each requote
+const LEVEL_SPACING = 0.0002; // Gap between a maker's levels, as a share of price
+const MOMENTUM_LOOKBACK = 60000; // ms of price history momentum traders react to
+
+// Average $ size of each taker's orders
+const NOTIONAL = { momentum: 30000, mean_reversion: 25000, noise: 12000 };
+
+const normalSize = (rng) => Math.exp(0.6 * rng.normal());
+
+// Whole lots worth about `notional` at `price`, at least one lot
+function lots(notional, price, lotSize) {
+  const count = Math.max(1, Math.floor(notional / price / lotSize));
+  return Math.round(count * lotSize * 1e8) / 1e8;
+}
+
+// How many orders a participant sends this step at `rate` per second of market time,
+// and how much to scale each one when the step's flow is more than MAX_ARRIVALS orders
+function arrivals(rate, { dt }, rng) {
+  const expected = rate * dt / 1000;
+  return {
+    count: Math.min(MAX_ARRIVALS, Math.floor(expected + rng.next())),
+    scale: Math.max(1, expected / MAX_ARRIVALS)
+  };
+}
+
+// Sends `count` market orders on `side`, each about `notional` × `scale`
+function sendMarketOrders(book, context, { count, scale }, side, notional, owner, rng, trades) {
+  for (let i = 0; i < count; i++) {
+    const size = lots(notional * scale * normalSize(rng), context.price, context.asset.lotSize);
+    submit(book, { side, size, owner }, trades);
+  }
+}
+
+// Traded price `lookback` ms ago, from the history
+function priceAgo({ asset, time }, lookback) {
+  const { history } = asset;
+  let index = history.length - 1;
+  while (index > 0 && history[index - 1].timestamp >= time - lookback) index -= 1;
+  return history[index]?.price ?? asset.price;
+}
+
+// `act(book, context, rng, trades)` works on a copy of the book. `rate` is orders per
+// second in the regular session; `flow` (see market.js) thins it in extended hours.
+export const PARTICIPANTS = {
+  market_maker: {
+    label: "Market makers",
+    description: "Quote both sides around fair value, leaning their quotes against their inventory",
+    act(book, context, rng, trades) {
+      const { asset, fairValue, halfSpread, depth } = context;
+      cancelWhere(book, order => order.owner === "market_maker");
+
+      // Inventory as a share of what a full ladder holds pushes quotes the other way,
+      // so makers sell down what they've bought
+      const capacity = MAKER_NOTIONAL * depth * MAKER_LEVELS / fairValue;
+      const lean = Math.max(-1, Math.min(1, book.inventory / capacity));
+      const mid = midPrice(book) ?? fairValue;
+      const center = mid + (fairValue - mid) * MAKER_ANCHOR - lean * halfSpread;
+      const spacing = Math.max(asset.tickSize, center * LEVEL_SPACING * context.spreadMultiplier);
+
+      for (let level = 0; level < MAKER_LEVELS; level++) {
+        const offset = halfSpread + level * spacing;
+        const notional = MAKER_NOTIONAL * depth * (1 + level * 0.25);
+        submit(book, {
+          side: "buy",
+          price: toTick(center - offset, asset.tickSize, -1),
+          size: lots(notional * (0.5 + rng.next()), center, asset.lotSize),
+          owner: "market_maker"
+        }, trades);
+        submit(book, {
+          side: "sell",
+          price: toTick(center + offset, asset.tickSize, 1),
+          size: lots(notional * (0.5 + rng.next()), center, asset.lotSize),
+          owner: "market_maker"
+        }, trades);
+      }
+    }
+  },
+  noise: {
+    label: "Noise traders",
+    description: "Post limit orders near the price that they cancel after a while, and cross the spread at random",
+    rate: 2,
+    act(book, context, rng, trades) {
+      const { asset, time, halfSpread } = context;
+      cancelWhere(book, order => order.owner === "noise" && order.expiresAt <= time);
+
+      const { count, scale } = arrivals(PARTICIPANTS.noise.rate * context.flow, context, rng);
+      for (let i = 0; i < count; i++) {
+        const side = rng.next() < 0.5 ? "buy" : "sell";
+        const size = lots(NOTIONAL.noise * scale * normalSize(rng), context.price, asset.lotSize);
+        if (rng.next() < 0.35) {
+          submit(book, { side, size, owner: "noise" }, trades);
+          continue;
+        }
+        // Limits land a few half-spreads from the price, most of them close in
+        const offset = halfSpread * (0.5 - 3 * Math.log(1 - rng.next()));
+        const mid = midPrice(book) ?? context.price;
+        submit(book, {
+          side,
+          price: toTick(side === "buy" ? mid - offset : mid + offset, asset.tickSize, side === "buy" ? -1 : 1),
+          size,
+          owner: "noise",
+          expiresAt: time + rng.int(5000, 120000)
+        }, trades);
+      }
+    }
+  },
+  momentum: {
+    label: "Momentum traders",
+    description: "Buy into rallies and sell into dips with market orders, harder the bigger the move",
+    rate: 0.4,
+    act(book, context, rng, trades) {
+      const { volatility } = context;
+      const move = Math.log(context.price / priceAgo(context, MOMENTUM_LOOKBACK)) /
+        (volatility * Math.sqrt(MOMENTUM_LOOKBACK / MS_PER_TRADING_YEAR));
+      if (!(Math.abs(move) > 0.5)) return;
+
+      const flow = arrivals(PARTICIPANTS.momentum.rate * Math.min(3, Math.abs(move)) * context.flow, context, rng);
+      sendMarketOrders(book, context, flow, move > 0 ? "buy" : "sell", NOTIONAL.momentum, "momentum", rng, trades);
+    }
+  },
+  mean_reversion: {
+    label: "Mean-reversion traders",
+    description: "Buy below fair value and sell above it, harder the further the price has strayed",
+    rate: 0.4,
+    act(book, context, rng, trades) {
+      const mid = midPrice(book) ?? context.price;
+      const gap = (context.fairValue - mid) / context.halfSpread; // In half-spreads
+      if (Math.abs(gap) < 1) return;
+
+      const flow = arrivals(PARTICIPANTS.mean_reversion.rate * Math.min(5, Math.abs(gap)) * context.flow, context, rng);
+      sendMarketOrders(book, context, flow, gap > 0 ? "buy" : "sell", NOTIONAL.mean_reversion, "mean_reversion", rng, trades);
+    }
+  }
+};
+
+// Market makers' inventory after their side of `trades`
+export function makerInventory(inventory, trades) {
+  return trades.reduce((held, trade) => {
+    const direction = trade.side === "buy" ? 1 : -1;
+    if (trade.maker === "market_maker") held -= direction * trade.size;
+    if (trade.taker === "market_maker") held += direction * trade.size;
+    return Math.round(held * 1e8) / 1e8;
+  }, inventory);
+}
+
+// Runs every participant over a copy of `book` for one step, after any of the player's
+// orders left crossing the book have traded. `context` holds the asset (with its history
+// so far), the step's `time` and length `dt`, its `fairValue`, the asset's last `price`,
+// annualised `volatility`, the makers' `halfSpread` in $ and the session's
+// `spreadMultiplier`, `depth` and `flow`. Returns the new book and its trades, in order.
+export function runParticipants(book, context, rng) {
+  const next = cloneBook(book);
+  const trades = [];
+  uncross(next, trades);
+  Object.values(PARTICIPANTS).forEach(participant => participant.act(next, context, rng, trades));
+  return { book: { ...next, inventory: makerInventory(next.inventory, trades) }, trades };
+}
+
+// Only the market makers' quotes, for a book that needs liquidity without any order flow:
+// a new market, or one that jumped over a gap or to the next replayed bar
+export function quoteBook(book, context, rng) {
+  const next = cloneBook(book);
+  const trades = [];
+  PARTICIPANTS.market_maker.act(next, context, rng, trades);
+  return { book: { ...next, inventory: makerInventory(next.inventory, trades) }, trades };
+}
@@ -0,0 +1,218 @@
+// ==================== TRADING CALENDAR ====================
+//
+// Stocks follow the New York exchange calendar: a regular session from 9:30 to 16:00
+// exchange time with pre-market and after-hours sessions around it, closed on weekends
+// and exchange holidays. Crypto trades around the clock. Sessions and holidays are
+// worked out in exchange time, whatever the browser's time zone.
+
+export const SESSION_LABELS = {
+  pre: "Pre-Market",
+  regular: "Market Open",
+  post: "After Hours",
+  closed: "Market Closed"
+};
+
+export const EXCHANGE_TIME_ZONE = "America/New_York";
+
+// Session boundaries in minutes after midnight, exchange time
+const PRE_MARKET_OPEN = 4 * 60;
+const REGULAR_OPEN = 9 * 60 + 30;
+const REGULAR_CLOSE = 16 * 60;
+const AFTER_HOURS_CLOSE = 20 * 60;
+
+// ==================== EXCHANGE TIME ====================
+
+const HOUR = 3600000;
+const exchangeFormat = new Intl.DateTimeFormat("en-US", {
+  timeZone: EXCHANGE_TIME_ZONE,
+  hourCycle: "h23",
+  year: "numeric",
+  month: "numeric",
+  day: "numeric",
+  hour: "numeric",
+  minute: "numeric"
+});
+const offsetCache = new Map();
+
+// Exchange time's offset from UTC in ms at `time`. Offsets only change on the hour,
+// so they're cached per UTC hour.
+function exchangeOffset(time) {
+  const hour = Math.floor(time / HOUR);
+  if (offsetCache.has(hour)) return offsetCache.get(hour);
+  const parts = Object.fromEntries(exchangeFormat.formatToParts(hour * HOUR).map(part => [part.type, part.value]));
+  const offset = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute) - hour * HOUR;
+  if (offsetCache.size > 10000) offsetCache.clear();
+  offsetCache.set(hour, offset);
+  return offset;
+}
+
+// Exchange wall-clock date and time at `time`; month is 0-based, weekday 0 is Sunday
+function exchangeClock(time) {
+  const wall = new Date(time + exchangeOffset(time));
+  return {
+    year: wall.getUTCFullYear(),
+    month: wall.getUTCMonth(),
+    day: wall.getUTCDate(),
+    weekday: wall.getUTCDay(),
+    minute: wall.getUTCHours() * 60 + wall.getUTCMinutes()
+  };
+}
+
+// Instant of an exchange wall-clock time. Out-of-range days and minutes roll over the
+// way Date.UTC does.
+function exchangeInstant(year, month, day, minute = 0) {
+  const wall = Date.UTC(year, month, day, 0, minute);
+  const guess = wall - exchangeOffset(wall);
+  return wall - exchangeOffset(guess);
+}
+
+// Calendar date helpers, free of any time zone
+const dateOf = (year, month, day) => new Date(Date.UTC(year, month, day));
+const weekdayOf = (year, month, day) => dateOf(year, month, day).getUTCDay();
+
+// nth (1-based) weekday of a month; n = -1 is the last one
+function nthWeekday(year, month, weekday, n) {
+  if (n > 0) {
+    const first = weekdayOf(year, month, 1);
+    return 1 + ((weekday - first + 7) % 7) + (n - 1) * 7;
+  }
+  const lastDate = dateOf(year, month + 1, 0);
+  return lastDate.getUTCDate() - ((lastDate.getUTCDay() - weekday + 7) % 7);
+}
+
+// Easter Sunday (anonymous Gregorian algorithm), as [month, day]
+function easter(year) {
+  const a = year % 19;
+  const b = Math.floor(year / 100);
+  const c = year % 100;
+  const d = Math.floor(b / 4);
+  const e = b % 4;
+  const f = Math.floor((b + 8) / 25);
+  const g = Math.floor((b - f + 1) / 3);
+  const h = (19 * a + b - d - g + 15) % 30;
+  const i = Math.floor(c / 4);
+  const k = c % 4;
+  const l = (32 + 2 * e + 2 * i - h - k) % 7;
+  const m = Math.floor((a + 11 * h + 22 * l) / 451);
+  const month = Math.floor((h + l - 7 * m + 114) / 31) - 1;
+  const day = ((h + l - 7 * m + 114) % 31) + 1;
+  return [month, day];
+}
+
+const holidayCache = new Map();
+
+// Exchange holidays of a year, keyed "month-day". Fixed-date holidays falling on a
+// weekend are observed on the Friday before or Monday after, except New Year's Day,
+// which isn't moved back into the previous year.
+function holidaysFor(year) {
+  if (holidayCache.has(year)) return holidayCache.get(year);
+
+  const holidays = new Map();
+  const add = (month, day, name) => holidays.set(`${month}-${day}`, name);
+  const addObserved = (month, day, name, moveBack = true) => {
+    const weekday = weekdayOf(year, month, day);
+    if (weekday === 6 && moveBack) {
+      const observed = dateOf(year, month, day - 1);
+      add(observed.getUTCMonth(), observed.getUTCDate(), name);
+    } else if (weekday === 0) {
+      const observed = dateOf(year, month, day + 1);
+      add(observed.getUTCMonth(), observed.getUTCDate(), name);
+    } else {
+      add(month, day, name);
+    }
+  };
+
+  addObserved(0, 1, "New Year's Day", false);
+  add(0, nthWeekday(year, 0, 1, 3), "Martin Luther King Jr. Day");
+  add(1, nthWeekday(year, 1, 1, 3), "Presidents' Day");
+  const [easterMonth, easterDay] = easter(year);
+  const goodFriday = dateOf(year, easterMonth, easterDay - 2);
+  add(goodFriday.getUTCMonth(), goodFriday.getUTCDate(), "Good Friday");
+  add(4, nthWeekday(year, 4, 1, -1), "Memorial Day");
+  addObserved(5, 19, "Juneteenth");
+  addObserved(6, 4, "Independence Day");
+  add(8, nthWeekday(year, 8, 1, 1), "Labor Day");
+  add(10, nthWeekday(year, 10, 4, 4), "Thanksgiving");
+  addObserved(11, 25, "Christmas Day");
+
+  holidayCache.set(year, holidays);
+  return holidays;
+}
+
+// Name of the exchange holiday on an exchange date, or null
+function holidayOnDate(year, month, day) {
+  return holidaysFor(year).get(`${month}-${day}`) ?? null;
+}
+
+function isTradingDate(year, month, day) {
+  const weekday = weekdayOf(year, month, day);
+  return weekday !== 0 && weekday !== 6 && !holidayOnDate(year, month, day);
+}
+
+// Name of the exchange holiday on the exchange date of `time`, or null
+export function holidayOn(time) {
+  const { year, month, day } = exchangeClock(time);
+  return holidayOnDate(year, month, day);
+}
+
+export function isTradingDay(time) {
+  const { year, month, day } = exchangeClock(time);
+  return isTradingDate(year, month, day);
+}
+
+// Stock session at a point in time: "pre", "regular", "post" or "closed"
+export function stockSession(time) {
+  const { year, month, day, minute } = exchangeClock(time);
+  if (!isTradingDate(year, month, day)) return "closed";
+  if (minute < PRE_MARKET_OPEN || minute >= AFTER_HOURS_CLOSE) return "closed";
+  if (minute < REGULAR_OPEN) return "pre";
+  if (minute < REGULAR_CLOSE) return "regular";
+  return "post";
+}
+
+// Session an asset trades in. Crypto, and markets created without a calendar
+// (scenarios), are always in their regular session.
+export function assetSession(market, asset) {
+  if (!market.calendar || asset.assetClass === "crypto") return "regular";
+  return market.session;
+}
+
+// Instant of `minute` (exchange time) on the first trading day from the exchange date
+// of `time`, starting the day after if `time` is already at or past that minute
+function nextTradingDayAt(time, minute) {
+  const clock = exchangeClock(time);
+  let date = dateOf(clock.year, clock.month, clock.minute >= minute ? clock.day + 1 : clock.day);
+  while (!isTradingDate(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate())) {
+    date = dateOf(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate() + 1);
+  }
+  return exchangeInstant(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate(), minute);
+}
+
+// Start of the next regular session after `time`
+export function nextRegularOpen(time) {
+  return nextTradingDayAt(time, REGULAR_OPEN);
+}
+
+// End of the regular session that `time` falls in or before: today's close on a
+// trading day before 16:00, otherwise the next trading day's
+export function nextRegularClose(time) {
+  return nextTradingDayAt(time, REGULAR_CLOSE);
+}
+
+// Timestamps of the last `count` regular-session minutes before `time`, oldest first
+export function regularMinutesBefore(time, count) {
+  const minutes = [];
+  let cursor = Math.floor(time / 60000) * 60000 - 60000;
+  while (minutes.length < count) {
+    if (stockSession(cursor) === "regular") {
+      minutes.push(cursor);
+      cursor -= 60000;
+    } else {
+      // Jump straight to the previous day's close rather than walking the closed minutes
+      const { year, month, day, minute } = exchangeClock(cursor);
+      const closeDay = minute >= REGULAR_CLOSE && isTradingDate(year, month, day) ? day : day - 1;
+      cursor = exchangeInstant(year, month, closeDay, REGULAR_CLOSE - 1);
+    }
+  }
+  return minutes.reverse();
+}
@@ -0,0 +1,54 @@
+/* global process */
+import { describe, expect, it } from "vitest";
+import { holidayOn, isTradingDay, nextRegularClose, nextRegularOpen, regularMinutesBefore, stockSession } from "./calendar.js";
+
+// Run in a zone far from New York, where the local date is often a day ahead of the
+// exchange's, so anything still computed in local time shows up
+process.env.TZ = "Asia/Tokyo";
+
+describe("calendar", () => {
+  it("runs in the pinned time zone", () => {
+    expect(new Date(Date.UTC(2026, 9, 14, 15, 0)).getHours()).toBe(0);
+  });
+
+  it("puts sessions in New York time in summer and winter", () => {
+    // Wednesday 14 October 2026 (EDT, UTC-4)
+    expect(stockSession(Date.UTC(2026, 9, 14, 7, 59))).toBe("closed");
+    expect(stockSession(Date.UTC(2026, 9, 14, 8, 0))).toBe("pre");
+    expect(stockSession(Date.UTC(2026, 9, 14, 13, 29))).toBe("pre");
+    expect(stockSession(Date.UTC(2026, 9, 14, 13, 30))).toBe("regular");
+    expect(stockSession(Date.UTC(2026, 9, 14, 19, 59))).toBe("regular");
+    expect(stockSession(Date.UTC(2026, 9, 14, 20, 0))).toBe("post");
+    expect(stockSession(Date.UTC(2026, 9, 15, 0, 0))).toBe("closed");
+    // Tuesday 1 December 2026 (EST, UTC-5)
+    expect(stockSession(Date.UTC(2026, 11, 1, 14, 29))).toBe("pre");
+    expect(stockSession(Date.UTC(2026, 11, 1, 14, 30))).toBe("regular");
+    expect(stockSession(Date.UTC(2026, 11, 1, 21, 0))).toBe("post");
+  });
+
+  it("uses the exchange date for weekends and holidays", () => {
+    // Friday evening in New York is already Saturday in Tokyo and UTC
+    expect(isTradingDay(Date.UTC(2026, 9, 17, 1, 0))).toBe(true);
+    expect(stockSession(Date.UTC(2026, 9, 17, 1, 0))).toBe("closed");
+    expect(stockSession(Date.UTC(2026, 9, 16, 23, 0))).toBe("post");
+    // Thanksgiving evening in New York is the Friday after in Tokyo and UTC
+    expect(holidayOn(Date.UTC(2026, 10, 27, 2, 0))).toBe("Thanksgiving");
+    expect(holidayOn(Date.UTC(2026, 10, 27, 15, 0))).toBeNull();
+    expect(stockSession(Date.UTC(2026, 10, 26, 15, 0))).toBe("closed");
+  });
+
+  it("finds the next open and close in exchange time", () => {
+    expect(nextRegularOpen(Date.UTC(2026, 9, 14, 12, 0))).toBe(Date.UTC(2026, 9, 14, 13, 30));
+    expect(nextRegularOpen(Date.UTC(2026, 9, 14, 21, 0))).toBe(Date.UTC(2026, 9, 15, 13, 30));
+    // Friday after the close, over a weekend where clocks go back
+    expect(nextRegularOpen(Date.UTC(2026, 9, 30, 21, 0))).toBe(Date.UTC(2026, 10, 2, 14, 30));
+    expect(nextRegularClose(Date.UTC(2026, 9, 14, 15, 0))).toBe(Date.UTC(2026, 9, 14, 20, 0));
+    // Wednesday before Thanksgiving, after the close
+    expect(nextRegularClose(Date.UTC(2026, 10, 25, 22, 0))).toBe(Date.UTC(2026, 10, 27, 21, 0));
+  });
+
+  it("lists regular minutes across the overnight gap", () => {
+    expect(regularMinutesBefore(Date.UTC(2026, 9, 15, 13, 32), 3))
+      .toEqual([Date.UTC(2026, 9, 14, 19, 59), Date.UTC(2026, 9, 15, 13, 30), Date.UTC(2026, 9, 15, 13, 31)]);
+  });
+});
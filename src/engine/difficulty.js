@@ -0,0 +1,50 @@
+// ==================== DIFFICULTY ====================
+//
+// Difficulty is a set of simulation settings: the market parameters the engine
+// reads from its state, the engine's tick length and the cash new games start with.
+
+export const DIFFICULTY_PRESETS = {
+  easy: { label: "Easy", volatilityDamping: 0.5, eventProbability: 0.1, spread: 0.0002, tickInterval: 500, startingCash: 250000 },
+  normal: { label: "Normal", volatilityDamping: 0.7, eventProbability: 0.2, spread: 0.0003, tickInterval: 500, startingCash: 100000 },
+  hard: { label: "Hard", volatilityDamping: 1, eventProbability: 0.35, spread: 0.0008, tickInterval: 500, startingCash: 50000 }
+};
+
+// Editable settings with their allowed ranges; `percent` fields are entered as percentages
+export const SETTING_FIELDS = [
+  { key: "volatilityDamping", label: "Volatility", unit: "×", min: 0.1, max: 3, step: 0.1 },
+  { key: "eventProbability", label: "News chance", unit: "%", min: 0, max: 1, step: 1, percent: true },
+  { key: "spread", label: "Half-spread", unit: "%", min: 0, max: 0.01, step: 0.01, percent: true },
+  { key: "tickInterval", label: "Tick length", unit: "ms", min: 100, max: 5000, step: 100 },
+  { key: "startingCash", label: "Starting cash", unit: "$", min: 1000, max: 10000000, step: 1000 }
+];
+
+const settingsOf = (preset) => Object.fromEntries(SETTING_FIELDS.map(field => [field.key, preset[field.key]]));
+
+export const DEFAULT_DIFFICULTY = { preset: "normal", ...settingsOf(DIFFICULTY_PRESETS.normal) };
+
+// The preset matching a set of settings exactly, or "custom"
+export function matchPreset(settings) {
+  const match = Object.entries(DIFFICULTY_PRESETS).find(([, preset]) =>
+    SETTING_FIELDS.every(field => preset[field.key] === settings[field.key]));
+  return match ? match[0] : "custom";
+}
+
+export const difficultyFromPreset = (preset) => ({ preset, ...settingsOf(DIFFICULTY_PRESETS[preset]) });
+
+export const difficultyLabel = (difficulty) => DIFFICULTY_PRESETS[difficulty.preset]?.label ?? "Custom";
+
+// The part of a difficulty the market engine reads from its state
+export const marketSettingsFor = ({ volatilityDamping, eventProbability, spread }) =>
+  ({ volatilityDamping, eventProbability, spread });
+
+// Returns an error message if a setting is outside its range, or null
+export function validateSetting(field, value) {
+  if (!Number.isFinite(value) || value < field.min || value > field.max) {
+    const format = (limit) => {
+      if (field.percent) return `${limit * 100}%`;
+      return field.unit === "$" ? `$${limit.toLocaleString()}` : `${limit.toLocaleString()} ${field.unit}`;
+    };
+    return `${field.label} must be between ${format(field.min)} and ${format(field.max)}!`;
+  }
+  return null;
+}
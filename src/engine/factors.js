@@ -0,0 +1,136 @@
+// ==================== FACTOR MODEL ====================
+//
+// Correlated price shocks. Each asset's shock combines a market factor scaled by its
+// beta, its sector's factor scaled by its sector loading, and an idiosyncratic part
+// sized so the total still matches the asset's volatility. Factor draws are correlated
+// through an editable matrix, so sectors the matrix links move together too.
+
+export const MARKET_FACTOR = "Market";
+const MARKET_FACTOR_VOLATILITY = 0.12;
+const SECTOR_FACTOR_VOLATILITY = 0.1;
+const SECTOR_FACTOR_VOLATILITIES = { Cryptocurrency: 0.4 }; // Sectors that swing harder than the default
+
+// Starting correlations between sector factors, keyed by the sorted pair
+const DEFAULT_FACTOR_CORRELATIONS = {
+  "E-Commerce|Technology": 0.4,
+  "Automotive|Technology": 0.2,
+  "Cryptocurrency|Technology": 0.15
+};
+const DEFAULT_BETAS = { stock: 1, crypto: 0.5 };
+const LOADING_RANGE = { min: -2, max: 3 };
+
+const pairKey = (a, b) => [a, b].sort().join("|");
+const sectorVolatility = (sector) => SECTOR_FACTOR_VOLATILITIES[sector] ?? SECTOR_FACTOR_VOLATILITY;
+
+// A model with the market factor and one factor per sector
+export function createFactorModel(sectors) {
+  const factors = [MARKET_FACTOR, ...[...new Set(sectors)].sort()];
+  return {
+    factors,
+    volatilities: factors.map(factor => factor === MARKET_FACTOR ? MARKET_FACTOR_VOLATILITY : sectorVolatility(factor)),
+    correlation: factors.map((a, i) => factors.map((b, j) =>
+      i === j ? 1 : DEFAULT_FACTOR_CORRELATIONS[pairKey(a, b)] ?? 0))
+  };
+}
+
+// Adds factors for sectors the model doesn't have yet, uncorrelated with the rest
+export function withSectorFactors(model, sectors) {
+  const missing = [...new Set(sectors)].filter(sector => !model.factors.includes(sector));
+  if (missing.length === 0) return model;
+
+  const factors = [...model.factors, ...missing];
+  return {
+    factors,
+    volatilities: [...model.volatilities, ...missing.map(sectorVolatility)],
+    correlation: factors.map((_, i) => factors.map((_, j) => i === j ? 1 : model.correlation[i]?.[j] ?? 0))
+  };
+}
+
+// Lower-triangular Cholesky factor of a correlation matrix, or null if the matrix
+// isn't positive definite (its correlations contradict each other)
+export function cholesky(matrix) {
+  const size = matrix.length;
+  const lower = matrix.map(() => new Array(size).fill(0));
+  for (let i = 0; i < size; i++) {
+    for (let j = 0; j <= i; j++) {
+      let sum = matrix[i][j];
+      for (let k = 0; k < j; k++) sum -= lower[i][k] * lower[j][k];
+      if (i === j) {
+        if (sum <= 1e-9) return null;
+        lower[i][i] = Math.sqrt(sum);
+      } else {
+        lower[i][j] = sum / lower[j][j];
+      }
+    }
+  }
+  return lower;
+}
+
+// Sets the correlation between two factors. Returns the new model, or null if the
+// matrix would no longer be a valid correlation matrix.
+export function setFactorCorrelation(model, a, b, value) {
+  const i = model.factors.indexOf(a);
+  const j = model.factors.indexOf(b);
+  const correlation = model.correlation.map((row, r) => row.map((cell, c) =>
+    (r === i && c === j) || (r === j && c === i) ? value : cell));
+  return cholesky(correlation) ? { ...model, correlation } : null;
+}
+
+// Draw function for one step's factors: standard normals correlated per the model,
+// one per factor. The decomposition is done once per sampler.
+export function factorSampler(model) {
+  const lower = cholesky(model.correlation);
+  return (rng) => {
+    const independent = model.factors.map(() => rng.normal());
+    return lower.map(row => row.reduce((sum, weight, k) => sum + weight * independent[k], 0));
+  };
+}
+
+export const defaultBeta = (assetClass) => DEFAULT_BETAS[assetClass] ?? 1;
+
+// Variance of an asset's returns explained by the market and its sector
+function systematicVariance(model, asset) {
+  const sectorIndex = model.factors.indexOf(asset.sector);
+  const market = asset.beta * model.volatilities[0];
+  if (sectorIndex <= 0) return market ** 2;
+
+  const sector = asset.sectorBeta * model.volatilities[sectorIndex];
+  return market ** 2 + sector ** 2 + 2 * market * sector * model.correlation[0][sectorIndex];
+}
+
+// Volatility left for the asset's own moves. When the factors already explain more
+// than the asset's volatility there's none, and the asset runs hotter than its setting.
+export const idiosyncraticVolatility = (model, asset) =>
+  Math.sqrt(Math.max(0, asset.volatility ** 2 - systematicVariance(model, asset)));
+
+// Share of an asset's variance explained by the factors (R²)
+export function systematicShare(model, asset) {
+  const systematic = systematicVariance(model, asset);
+  return systematic / (systematic + idiosyncraticVolatility(model, asset) ** 2);
+}
+
+// One asset's shock for a step given the step's factor draws: a standard normal, as a
+// multiple of the asset's volatility, for its price model to shape (see models.js)
+export function assetShock(model, asset, draws, rng) {
+  const sectorIndex = model.factors.indexOf(asset.sector);
+  const systematic = asset.beta * model.volatilities[0] * draws[0] +
+    (sectorIndex > 0 ? asset.sectorBeta * model.volatilities[sectorIndex] * draws[sectorIndex] : 0);
+  const shock = systematic + idiosyncraticVolatility(model, asset) * rng.normal();
+  return shock / asset.volatility;
+}
+
+// Returns an error message if a beta or sector loading is out of range, or null
+export function validateLoading(value) {
+  if (!(value >= LOADING_RANGE.min && value <= LOADING_RANGE.max)) {
+    return `Loadings must be between ${LOADING_RANGE.min} and ${LOADING_RANGE.max}!`;
+  }
+  return null;
+}
+
+// Changes one asset's loadings in a running market
+export function setAssetLoadings(state, symbol, { beta, sectorBeta }) {
+  return {
+    ...state,
+    assets: { ...state.assets, [symbol]: { ...state.assets[symbol], beta, sectorBeta } }
+  };
+}
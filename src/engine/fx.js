@@ -0,0 +1,108 @@
+// ==================== CURRENCIES & FX ====================
+//
+// Account currencies and the rates between them. Prices, cash and P/L are in USD, and
+// every other currency has a rate: what one unit is worth in USD. EUR and USDT rates are
+// simulated as Ornstein-Uhlenbeck processes in log space: EUR wanders at FX-like
+// volatility with a weak pull back to where it started, while USDT holds its dollar peg
+// to within a few basis points. BTC is the BTC asset itself, so its rate is the asset's
+// price, and it isn't available in markets without one. FX trades around the clock.
+
+export const BASE_CURRENCY = "USD"; // What cash, prices and positions are in
+
+// `model` currencies are simulated: `start` is the opening rate, `volatility` is annual,
+// `reversion` the yearly pull back to `start` (per unit of log distance). `spread` is the
+// half-spread conversions against USD pay. `asset` currencies are held as that asset's
+// position and convert at its bid and ask.
+export const CURRENCIES = {
+  USD: { label: "US dollar", sign: "$", decimals: 2 },
+  EUR: { label: "Euro", sign: "€", decimals: 2, model: { start: 1.08, volatility: 0.07, reversion: 0.5 }, spread: 0.0002 },
+  USDT: { label: "Tether", sign: "₮", decimals: 2, model: { start: 1, volatility: 0.01, reversion: 2000 }, spread: 0.0005 },
+  BTC: { label: "Bitcoin", sign: "₿", decimals: 8, asset: "BTC" }
+};
+
+// Currencies held as balances beside USD cash, rather than as positions
+export const BALANCE_CURRENCIES = Object.keys(CURRENCIES).filter(code => CURRENCIES[code].model);
+
+// Crypto assets other crypto can be quoted in, besides USD and the balance currencies
+export const CROSS_QUOTE_ASSETS = ["BTC", "ETH"];
+
+const MS_PER_YEAR = 365.25 * 24 * 60 * 60 * 1000;
+
+const assetRate = (assets, code) => assets[CURRENCIES[code].asset]?.price ?? null;
+
+// Opening rates: simulated ones at their start, asset ones at the asset's price
+export function createFxState(assets) {
+  const rates = Object.fromEntries(Object.entries(CURRENCIES)
+    .filter(([code]) => code !== BASE_CURRENCY)
+    .map(([code, currency]) => [code, currency.model ? currency.model.start : assetRate(assets, code)]));
+  return { rates, opening: rates };
+}
+
+// Moves the simulated rates over dt milliseconds, exactly for any dt, so one call can
+// cover a long gap. `volatilityScale` is the market's volatility damping. Asset rates
+// follow their asset and keep their last rate if it leaves the market.
+export function stepFx(fx, assets, dt, volatilityScale, rng) {
+  const years = dt / MS_PER_YEAR;
+  const rates = Object.fromEntries(Object.entries(fx.rates).map(([code, rate]) => {
+    const { model } = CURRENCIES[code];
+    if (!model) return [code, assetRate(assets, code) ?? rate];
+    const target = Math.log(model.start);
+    const decay = Math.exp(-model.reversion * years);
+    const volatility = model.volatility * volatilityScale;
+    const deviation = volatility * Math.sqrt((1 - decay * decay) / (2 * model.reversion));
+    return [code, Math.exp(target + (Math.log(rate) - target) * decay + deviation * rng.normal())];
+  }));
+  return { ...fx, rates };
+}
+
+// USD value of one unit of a currency, or null when it can't be valued
+export const usdRate = (fx, code) => code === BASE_CURRENCY ? 1 : fx.rates[code] ?? null;
+
+// What a unit of `code` sells for (bid) and costs (ask) in USD, or null when it can't be
+// traded here
+export function currencyQuote(fx, assets, code) {
+  if (code === BASE_CURRENCY) return { bid: 1, ask: 1 };
+  const { asset, spread } = CURRENCIES[code];
+  if (asset) {
+    const quote = assets[asset];
+    return quote ? { bid: quote.bid ?? quote.price, ask: quote.ask ?? quote.price } : null;
+  }
+  const rate = fx.rates[code];
+  return { bid: rate * (1 - spread), ask: rate * (1 + spread) };
+}
+
+// Converts `amount` of one currency into another through USD: sold at the first's bid,
+// bought at the second's ask
+export function convertAmount(fx, assets, from, to, amount) {
+  const sell = currencyQuote(fx, assets, from);
+  const buy = currencyQuote(fx, assets, to);
+  if (!sell || !buy) return null;
+  return { amount: amount * sell.bid / buy.ask, rate: sell.bid / buy.ask };
+}
+
+// Currencies and crypto assets a crypto asset can be quoted in
+export const crossQuotes = (assets, symbol) => [
+  ...CROSS_QUOTE_ASSETS.filter(quote => quote !== symbol && assets[quote]),
+  ...BALANCE_CURRENCIES
+];
+
+// USD bid and ask of what a cross pair is quoted in: a crypto asset or a currency
+function quoteSide(fx, assets, quote) {
+  const asset = assets[quote];
+  if (asset?.assetClass === "crypto") return { bid: asset.bid ?? asset.price, ask: asset.ask ?? asset.price };
+  return CURRENCIES[quote] ? currencyQuote(fx, assets, quote) : null;
+}
+
+// Quote of `base` in `quote` (e.g. ETH/BTC), derived from the two USD quotes: buying the
+// pair pays the base's ask with the quote sold at its bid, and selling it the reverse.
+// Null when either side is missing.
+export function crossQuote(fx, assets, base, quote) {
+  const asset = assets[base];
+  const side = quoteSide(fx, assets, quote);
+  if (!asset || !side) return null;
+  return {
+    bid: (asset.bid ?? asset.price) / side.ask,
+    ask: (asset.ask ?? asset.price) / side.bid,
+    price: asset.price / ((side.bid + side.ask) / 2)
+  };
+}
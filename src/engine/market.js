@@ -0,0 +1,885 @@
+// ==================== MARKET SIMULATION ENGINE ====================
+//
+// Framework-free market model. All randomness comes from a seeded PRNG whose
+// state lives in the market state, so `step` is a pure function: the same
+// seed and the same sequence of steps always produce the same prices, events
+// and order books. The UI subscribes through `createMarketEngine`; the same
+// functions run headless in Node.
+//
+// Each asset's price model moves its fair value; simulated participants (agents.js)
+// trade around it in a limit order book (orderbook.js), and the price is the mid of
+// whatever their orders leave in the book. Currency rates (fx.js) move alongside.
+
+import { createRng } from "./random.js";
+import { assetSession, regularMinutesBefore, stockSession } from "./calendar.js";
+import { assetShock, createFactorModel, defaultBeta, factorSampler } from "./factors.js";
+import { REGIMES, createModelState, defaultModel, modelReturn, stepRegime } from "./models.js";
+import { addNews, generateNews, newsImpact, recordReactions, scriptedNews } from "./news.js";
+import { makerInventory, quoteBook, runParticipants } from "./agents.js";
+import { createFxState, stepFx } from "./fx.js";
+import {
+  USER, bestAsk, bestBid, cancelWhere, cloneBook, createBook, midPrice, ownOrders, queue, submit, toTick, uncross
+} from "./orderbook.js";
+
+// Market data structures. `beta` is the asset's loading on the market factor (see factors.js);
+// `lotSize` and `tickSize` are the smallest quantity and price increment orders can use.
+export const MARKET_SYMBOLS = {
+  STOCKS: [
+    { symbol: "AAPL", name: "Apple Inc.", sector: "Technology", assetClass: "stock", volatility: 0.22, basePrice: 182.63, beta: 1.1, lotSize: 1, tickSize: 0.01 },
+    { symbol: "MSFT", name: "Microsoft", sector: "Technology", assetClass: "stock", volatility: 0.20, basePrice: 407.54, beta: 1.0, lotSize: 1, tickSize: 0.01 },
+    { symbol: "TSLA", name: "Tesla Inc.", sector: "Automotive", assetClass: "stock", volatility: 0.45, basePrice: 238.59, beta: 1.6, lotSize: 1, tickSize: 0.01 },
+    { symbol: "NVDA", name: "NVIDIA Corp.", sector: "Technology", assetClass: "stock", volatility: 0.38, basePrice: 118.11, beta: 1.5, lotSize: 1, tickSize: 0.01 },
+    { symbol: "JPM", name: "JPMorgan Chase", sector: "Financial", assetClass: "stock", volatility: 0.25, basePrice: 178.23, beta: 1.1, lotSize: 1, tickSize: 0.01 },
+    { symbol: "AMZN", name: "Amazon.com", sector: "E-Commerce", assetClass: "stock", volatility: 0.28, basePrice: 145.18, beta: 1.2, lotSize: 1, tickSize: 0.01 },
+    { symbol: "GOOGL", name: "Alphabet", sector: "Technology", assetClass: "stock", volatility: 0.24, basePrice: 142.56, beta: 1.05, lotSize: 1, tickSize: 0.01 },
+    { symbol: "META", name: "Meta Platforms", sector: "Technology", assetClass: "stock", volatility: 0.32, basePrice: 332.42, beta: 1.25, lotSize: 1, tickSize: 0.01 }
+  ],
+  CRYPTO: [
+    { symbol: "BTC", name: "Bitcoin", sector: "Cryptocurrency", assetClass: "crypto", volatility: 0.55, basePrice: 65120.48, beta: 0.5, lotSize: 0.00001, tickSize: 0.01 },
+    { symbol: "ETH", name: "Ethereum", sector: "Cryptocurrency", assetClass: "crypto", volatility: 0.48, basePrice: 3420.65, beta: 0.6, lotSize: 0.0001, tickSize: 0.01 },
+    { symbol: "ADA", name: "Cardano", sector: "Cryptocurrency", assetClass: "crypto", volatility: 0.62, basePrice: 0.482, beta: 0.7, lotSize: 1, tickSize: 0.0001 },
+    { symbol: "SOL", name: "Solana", sector: "Cryptocurrency", assetClass: "crypto", volatility: 0.58, basePrice: 102.34, beta: 0.7, lotSize: 0.001, tickSize: 0.01 },
+    { symbol: "BNB", name: "Binance Coin", sector: "Cryptocurrency", assetClass: "crypto", volatility: 0.42, basePrice: 352.18, beta: 0.5, lotSize: 0.001, tickSize: 0.01 },
+    { symbol: "XRP", name: "Ripple", sector: "Cryptocurrency", assetClass: "crypto", volatility: 0.52, basePrice: 0.623, beta: 0.6, lotSize: 1, tickSize: 0.0001 }
+  ]
+};
+
+// Sizes for assets defined without them: stocks trade in whole shares, crypto in fractions,
+// and sub-dollar prices quote to the hundredth of a cent
+const DEFAULT_LOT_SIZES = { stock: 1, crypto: 0.0001 };
+export const defaultLotSize = (assetClass) => DEFAULT_LOT_SIZES[assetClass] ?? 1;
+export const defaultTickSize = (price) => price < 1 ? 0.0001 : 0.01;
+
+// Default sector colours; the editable universe (universe.js) can add more
+export const SECTOR_COLORS = {
+  Technology: "#3B82F6",
+  Automotive: "#EF4444",
+  Financial: "#10B981",
+  Cryptocurrency: "#F59E0B",
+  "E-Commerce": "#8B5CF6"
+};
+
+export const TICK_INTERVAL = 500; // ms between live price updates
+
+// Simulation clock speeds: ms of market time per ms of real time. Max runs a minute of
+// market time (the history resolution) per step.
+export const SIMULATION_SPEEDS = {
+  "1x": { label: "1x", multiplier: 1 },
+  "10x": { label: "10x", multiplier: 10 },
+  "100x": { label: "100x", multiplier: 100 },
+  max: { label: "Max", multiplier: null }
+};
+const MAX_STEPS_PER_TICK = 20; // Caps the work a fast tick does
+const MAX_SPEED_STEP = 60000; // ms of market time per step at max speed
+
+// Tunable market parameters, carried on the state so they can change while it runs
+export const DEFAULT_MARKET_SETTINGS = {
+  volatilityDamping: 0.7, // Multiplier on each asset's volatility
+  eventProbability: 0.2, // Chance of a random news event per event check
+  spread: 0.0003 // Half the market makers' bid/ask spread, as a share of price
+};
+const HISTORY_DAYS = 30;
+const POINTS_PER_DAY = 390; // Trading minutes
+const MAX_CATCHUP_STEPS = 7 * POINTS_PER_DAY; // Cap on simulated points when catching up a long gap
+const HISTORY_MEAN_REVERSION = 20; // Yearly pull of generated history toward the base price, per unit of log distance
+const OVERNIGHT_MS = 17.5 * 60 * 60 * 1000; // Close to next open
+const EXTENDED_HOURS = { spread: 3, depth: 0.25, volume: 0.2 }; // Pre-market and after-hours, relative to regular
+const HISTORY_NOTIONAL = [1000000, 3000000]; // Range of $ traded per minute of generated history
+const MAX_USER_FILLS = 500; // Fills kept for the UI to pick up
+const MAX_PRINTS = 50; // Prints kept on each symbol's time-and-sales tape
+
+// Converts a step length in ms to the model's time unit (fraction of a trading year)
+const toTimeStep = (dt) => dt / 60000 / 252 / POINTS_PER_DAY;
+
+const clamp = (value, min, max) => Math.max(min, Math.min(max, value));
+
+// Next price of an asset under its stochastic model (see models.js). `shock` is the
+// step's standard normal draw from the factor model and `regime` the market's current
+// volatility regime; sentiment and the step's news move (a log return, see news.js)
+// push the price on top.
+export function generateRealisticPrice(previousPrice, asset, { volatility, marketSentiment, newsMove, timeStep, shock, regime }, rng) {
+  const { volatility: regimeVolatility, jumps } = REGIMES[regime];
+  const { logReturn, modelState } = modelReturn(
+    asset,
+    { volatility: volatility * regimeVolatility, timeStep, shock, jumpScale: jumps },
+    rng
+  );
+
+  const newPrice = previousPrice * Math.exp(logReturn + (marketSentiment * 0.0003) + newsMove);
+
+  // Ensure price doesn't go to zero and has some minimum value
+  return { price: Math.max(0.01, newPrice), modelState };
+}
+
+// How a session trades: extended hours quote wider and thinner and see less order flow
+const liquidityIn = (session) => session === "regular"
+  ? { spreadMultiplier: 1, depth: 1, flow: 1 }
+  : { spreadMultiplier: EXTENDED_HOURS.spread, depth: EXTENDED_HOURS.depth, flow: EXTENDED_HOURS.volume };
+
+// What an asset shows from its book: the mid as its price, and the best bid and ask.
+// An empty side falls back to `halfSpread` around `fallback`.
+function bookQuote(book, fallback, halfSpread) {
+  const bid = bestBid(book) ?? fallback - halfSpread;
+  const ask = bestAsk(book) ?? fallback + halfSpread;
+  return { price: midPrice(book) ?? fallback, bid, ask, spread: ask - bid };
+}
+
+const tradedVolume = (trades) => Math.round(trades.reduce((sum, trade) => sum + trade.size, 0) * 1e8) / 1e8;
+
+// Generated volume for a minute of history, in whole lots
+const historyVolume = (price, lotSize, rng) =>
+  Math.round(Math.floor(rng.int(...HISTORY_NOTIONAL) / price / lotSize) * lotSize * 1e8) / 1e8;
+
+// The player's fills among a book's trades: resting orders other traders hit, and
+// orders of theirs that crossed the book when they arrived
+function playerFills(trades, symbol, time) {
+  return trades.flatMap(trade => {
+    const fill = { symbol, price: trade.price, quantity: trade.size, time };
+    if (trade.maker === USER) {
+      return [{ ...fill, orderId: trade.makerId, side: trade.side === "buy" ? "sell" : "buy", liquidity: "maker" }];
+    }
+    if (trade.taker === USER && trade.takerId) {
+      return [{ ...fill, orderId: trade.takerId, side: trade.side, liquidity: "taker" }];
+    }
+    return [];
+  });
+}
+
+// Numbers new player fills and adds them to those waiting for the UI
+function withUserFills(state, fills) {
+  if (fills.length === 0) return {};
+  const numbered = fills.map((fill, i) => ({ ...fill, id: state.nextFillId + i }));
+  return {
+    userFills: [...state.userFills, ...numbered].slice(-MAX_USER_FILLS),
+    nextFillId: state.nextFillId + fills.length
+  };
+}
+
+// Adds trades ({ symbol → trades, in order }) to each symbol's time-and-sales tape, newest
+// first. Each print is one resting order filled: its price and size, the side of the order
+// that took it (the aggressor) and whether the player was on either side.
+function recordPrints(tape, tradesBySymbol, time) {
+  const traded = Object.entries(tradesBySymbol).filter(([, trades]) => trades.length > 0);
+  if (traded.length === 0) return tape;
+
+  const next = { ...tape };
+  traded.forEach(([symbol, trades]) => {
+    const prints = trades.map(trade => ({
+      time,
+      price: trade.price,
+      size: trade.size,
+      side: trade.side,
+      own: trade.maker === USER || trade.taker === USER
+    })).reverse();
+    next[symbol] = [...prints, ...(tape[symbol] ?? [])].slice(0, MAX_PRINTS);
+  });
+  return next;
+}
+
+// Fresh books for `assets` with only the market makers' quotes around each price, plus
+// any of the player's orders resting in the `previous` books. Player orders the new
+// quotes cross trade at once where the market is open. Returns the books, the assets
+// with their quotes from them, the trades by symbol and the player's fills.
+export function quoteBooks(assets, previous, { settings, time, sessionOf = () => "regular" }, rng) {
+  const orderBooks = {};
+  const quoted = {};
+  const traded = {};
+  const fills = [];
+
+  Object.values(assets).forEach(asset => {
+    const session = sessionOf(asset);
+    const liquidity = liquidityIn(session);
+    const halfSpread = asset.price * settings.spread * liquidity.spreadMultiplier;
+    const { book, trades } = quoteBook(createBook(), { asset, fairValue: asset.price, halfSpread, ...liquidity }, rng);
+    ownOrders(previous[asset.symbol] ?? createBook()).forEach(order => queue(book, order));
+    if (session !== "closed") uncross(book, trades);
+
+    orderBooks[asset.symbol] = book;
+    quoted[asset.symbol] = { ...asset, ...bookQuote(book, asset.price, halfSpread), price: asset.price };
+    traded[asset.symbol] = trades;
+    fills.push(...playerFills(trades, asset.symbol, time));
+  });
+  return { orderBooks, assets: quoted, trades: traded, fills };
+}
+
+// Overnight move applied at the first regular-session price after the market was shut,
+// so the open gaps away from the previous close
+function openingGap(price, volatility, sentiment, rng) {
+  const shock = (rng.next() - 0.5) * 2 * volatility * Math.sqrt(toTimeStep(OVERNIGHT_MS)) * 0.5;
+  return Math.max(0.01, price * Math.exp(shock + sentiment * 0.002));
+}
+
+// Scenario sentiment target at `elapsed` ms: linear between keyframes ({ at, value }),
+// holding the first and last values outside them
+function sentimentTarget(path, elapsed) {
+  const nextIndex = path.findIndex(point => point.at > elapsed);
+  if (nextIndex === -1) return path[path.length - 1].value;
+  if (nextIndex === 0) return path[0].value;
+
+  const from = path[nextIndex - 1];
+  const to = path[nextIndex];
+  return from.value + (to.value - from.value) * (elapsed - from.at) / (to.at - from.at);
+}
+
+// Next time the event check should run: the usual random interval, or sooner if a
+// scripted scenario event is due first
+function scheduleEventCheck(time, scenario, rng) {
+  const next = time + rng.int(20000, 40000);
+  const upcoming = scenario?.script[scenario.scriptIndex];
+  return upcoming ? Math.min(next, scenario.startedAt + upcoming.at) : next;
+}
+
+// Builds the initial market: every asset with 30 days of minute-level history
+// so charts have shape from the start, drawn from the factor model, each asset's price
+// model and a regime path, so it already shows their correlations, tails and clusters. A scenario ({ id, sentimentPath, script,
+// randomEvents }) steers sentiment and fires its scripted events from startTime.
+// With `calendar`, stocks only trade in their sessions (see calendar.js) and their
+// history covers past regular sessions; without it everything trades around the clock.
+export function createMarketState({
+  seed,
+  startTime = Date.now(),
+  symbols = [...MARKET_SYMBOLS.STOCKS, ...MARKET_SYMBOLS.CRYPTO],
+  scenario = null,
+  settings = DEFAULT_MARKET_SETTINGS,
+  calendar = true
+}) {
+  const rng = createRng(seed);
+  const totalPoints = HISTORY_DAYS * POINTS_PER_DAY;
+  const sessionMinutes = calendar ? regularMinutesBefore(startTime, totalPoints) : null;
+  const continuousMinutes = Array.from({ length: totalPoints }, (_, i) =>
+    Math.floor(startTime / 60000) * 60000 - (totalPoints - i) * 60000);
+  const timestampsOf = (asset) => sessionMinutes && asset.assetClass !== "crypto" ? sessionMinutes : continuousMinutes;
+
+  // One set of factor draws and one regime per history minute, shared by every asset
+  // trading in it
+  const factors = createFactorModel(symbols.map(asset => asset.sector));
+  const sampleFactors = factorSampler(factors);
+  const historyMinutes = [...new Set([...new Set(symbols.map(timestampsOf))].flat())].sort((a, b) => a - b);
+  let regime = { current: "calm", since: historyMinutes[0] ?? startTime };
+  const historyDraws = new Map(historyMinutes.map((minute, i) => {
+    if (i > 0) regime = stepRegime(regime, minute, minute - historyMinutes[i - 1], rng);
+    return [minute, { draws: sampleFactors(rng), regime: regime.current }];
+  }));
+  if (historyMinutes.length > 0) regime = stepRegime(regime, startTime, startTime - historyMinutes[historyMinutes.length - 1], rng);
+
+  const assets = symbols.reduce((acc, definition) => {
+    const model = definition.model ?? defaultModel(definition.assetClass);
+    let asset = {
+      ...definition,
+      beta: definition.beta ?? defaultBeta(definition.assetClass),
+      sectorBeta: definition.sectorBeta ?? 1,
+      lotSize: definition.lotSize ?? defaultLotSize(definition.assetClass),
+      tickSize: definition.tickSize ?? defaultTickSize(definition.basePrice),
+      model,
+      modelState: createModelState(model)
+    };
+    const initialHistory = [];
+    const timeStep = toTimeStep(60000);
+    const timestamps = timestampsOf(asset);
+    const volatility = asset.volatility * settings.volatilityDamping;
+
+    let currentPrice = asset.basePrice * (0.9 + rng.next() * 0.2); // Start with some variation
+    for (let i = 0; i < totalPoints; i++) {
+      const randomBaseMultiplier = 0.95 + (rng.next() * 0.1);
+      const fairValue = asset.basePrice * randomBaseMultiplier;
+      const reversionForce = Math.log(fairValue / currentPrice) * HISTORY_MEAN_REVERSION * timeStep;
+      const { draws, regime: minuteRegime } = historyDraws.get(timestamps[i]);
+      const { logReturn, modelState } = modelReturn(asset, {
+        volatility: volatility * REGIMES[minuteRegime].volatility,
+        timeStep,
+        shock: assetShock(factors, asset, draws, rng),
+        jumpScale: REGIMES[minuteRegime].jumps
+      }, rng);
+
+      asset = { ...asset, modelState };
+      currentPrice = currentPrice * Math.exp(logReturn + reversionForce);
+
+      initialHistory.push({
+        price: currentPrice,
+        volume: historyVolume(currentPrice, asset.lotSize, rng),
+        timestamp: timestamps[i]
+      });
+    }
+
+    const lastDay = initialHistory.slice(-POINTS_PER_DAY);
+    acc[asset.symbol] = {
+      ...asset,
+      price: currentPrice,
+      fairValue: currentPrice, // Where the price model says it should trade
+      history: initialHistory,
+      dailyHigh: Math.max(...lastDay.map(h => h.price)),
+      dailyLow: Math.min(...lastDay.map(h => h.price)),
+      change: 0,
+      changePercent: 0,
+      volume: lastDay.reduce((sum, h) => sum + h.volume, 0)
+    };
+    return acc;
+  }, {});
+
+  const scenarioState = scenario && { ...scenario, startedAt: startTime, scriptIndex: 0 };
+  const session = calendar ? stockSession(startTime) : "regular";
+  const books = quoteBooks(assets, {}, {
+    settings,
+    time: startTime,
+    sessionOf: asset => assetSession({ calendar, session }, asset)
+  }, rng);
+
+  return {
+    seed,
+    startTime,
+    time: startTime,
+    tick: 0,
+    sentiment: scenario ? sentimentTarget(scenario.sentimentPath, 0) : 0, // -1 to 1
+    events: [], // News items still moving prices, see news.js
+    newsArchive: [], // Published news with measured price reactions, most recent first
+    nextEventCheck: scheduleEventCheck(startTime, scenarioState, rng),
+    calendar,
+    session, // Stock session; crypto is always open
+    factors, // Factor model behind correlated moves
+    regime, // Market-wide volatility regime ({ current, since })
+    assets: books.assets,
+    orderBooks: books.orderBooks, // Limit order books, see orderbook.js
+    tape: {}, // Time and sales: symbol → recent prints, newest first
+    fx: createFxState(books.assets), // Currency rates against USD, see fx.js
+    userOrders: {}, // Player orders synced into the books: id → { symbol, revision }
+    userFills: [], // Fills on player orders waiting for the UI, oldest first
+    nextFillId: 1,
+    scenario: scenarioState,
+    replay: null, // Imported bars being played back, see replay.js
+    settings,
+    rngState: rng.state
+  };
+}
+
+// Replay markets (see replay.js) move to the next bar time on their timeline instead of
+// simulating: assets with a bar there trade at its close, the rest keep their price.
+// Market makers requote around those prices, filling any player orders the move
+// crossed. No news is generated, and a finished replay stands still.
+function stepReplay(state) {
+  const { replay } = state;
+  if (replay.index >= replay.timeline.length - 1) {
+    return replay.finished ? state : { ...state, replay: { ...replay, finished: true } };
+  }
+
+  const rng = createRng(state.rngState);
+  const index = replay.index + 1;
+  const time = replay.timeline[index];
+  const cursors = { ...replay.cursors };
+
+  const assets = Object.fromEntries(Object.values(state.assets).map(asset => {
+    const bars = replay.series[asset.symbol];
+    const from = cursors[asset.symbol];
+    let cursor = from;
+    while (bars[cursor + 1]?.time <= time) cursor += 1;
+    if (cursor === from) return [asset.symbol, asset];
+    cursors[asset.symbol] = cursor;
+
+    const revealed = bars.slice(from + 1, cursor + 1);
+    const bar = bars[cursor];
+    const previousClose = bars[cursor - 1]?.close ?? bar.close;
+    return [asset.symbol, {
+      ...asset,
+      price: bar.close,
+      history: [
+        ...asset.history,
+        ...revealed.map(point => ({ price: point.close, volume: point.volume, timestamp: point.time }))
+      ],
+      dailyHigh: bar.high,
+      dailyLow: bar.low,
+      change: bar.close - previousClose,
+      changePercent: ((bar.close - previousClose) / previousClose) * 100,
+      volume: bar.volume
+    }];
+  }));
+  const books = quoteBooks(assets, state.orderBooks, { settings: state.settings, time }, rng);
+
+  return {
+    ...state,
+    time,
+    tick: state.tick + 1,
+    events: state.events.filter(event => event.expiresAt > time),
+    assets: books.assets,
+    orderBooks: books.orderBooks,
+    tape: recordPrints(state.tape, books.trades, time),
+    fx: stepFx(state.fx, books.assets, time - state.time, state.settings.volatilityDamping, rng),
+    ...withUserFills(state, books.fills),
+    replay: { ...replay, index, cursors, finished: index === replay.timeline.length - 1 },
+    rngState: rng.state
+  };
+}
+
+// Price a day before `time`: the oldest history point within the last day. The daily
+// change is measured from it, by market time, however many points the day holds.
+function dayAgoPrice(history, time) {
+  let index = history.length;
+  while (index > 0 && history[index - 1].timestamp > time - 24 * 60 * 60 * 1000) index -= 1;
+  return history[index]?.price;
+}
+
+// Advances the market by dt milliseconds. Pure: returns a new state and never touches the input.
+// Stocks stand still while their market is closed, trade wider and thinner in extended
+// hours and gap at the open; their books wait, player orders and all, until they reopen.
+// Replay markets advance by one bar instead.
+export function step(state, dt = TICK_INTERVAL) {
+  if (state.replay) return stepReplay(state);
+
+  const rng = createRng(state.rngState);
+  const time = state.time + dt;
+  const timeStep = toTimeStep(dt);
+  const session = state.calendar ? stockSession(time) : "regular";
+  const sessionOf = (asset) => assetSession({ ...state, session }, asset);
+  const draws = factorSampler(state.factors)(rng);
+  const regime = stepRegime(state.regime, time, dt, rng);
+
+  const assets = {};
+  const orderBooks = { ...state.orderBooks };
+  const traded = {};
+  const fills = [];
+  Object.values(state.assets).forEach(asset => {
+    const assetSessionNow = sessionOf(asset);
+    if (assetSessionNow === "closed") {
+      assets[asset.symbol] = asset;
+      return;
+    }
+
+    // The price model moves fair value; the participants then trade the book toward it
+    const volatility = asset.volatility * state.settings.volatilityDamping;
+    const opening = assetSessionNow === "regular" && assetSession(state, asset) !== "regular";
+    const previousValue = opening ? openingGap(asset.fairValue, volatility, state.sentiment, rng) : asset.fairValue;
+    const { price: fairValue, modelState } = generateRealisticPrice(previousValue, asset, {
+      volatility,
+      marketSentiment: state.sentiment * 0.5, // Reduced sentiment impact
+      newsMove: newsImpact(state.events, asset, state.time, time),
+      timeStep,
+      shock: assetShock(state.factors, asset, draws, rng),
+      regime: regime.current
+    }, rng);
+
+    const liquidity = liquidityIn(assetSessionNow);
+    const halfSpread = fairValue * state.settings.spread * liquidity.spreadMultiplier;
+    const { book, trades } = runParticipants(orderBooks[asset.symbol] ?? createBook(), {
+      asset,
+      time,
+      dt,
+      fairValue,
+      price: asset.price,
+      volatility: volatility * REGIMES[regime.current].volatility,
+      halfSpread,
+      ...liquidity
+    }, rng);
+    orderBooks[asset.symbol] = book;
+    traded[asset.symbol] = trades;
+    fills.push(...playerFills(trades, asset.symbol, time));
+
+    const { price: newPrice, bid, ask, spread } = bookQuote(book, fairValue, halfSpread);
+    const volume = tradedVolume(trades);
+    const reference = dayAgoPrice(asset.history, time);
+
+    assets[asset.symbol] = {
+      ...asset,
+      price: newPrice,
+      fairValue,
+      modelState,
+      history: [
+        ...asset.history.slice(1),
+        { price: newPrice, volume, timestamp: time }
+      ],
+      dailyHigh: Math.max(asset.dailyHigh, newPrice),
+      dailyLow: Math.min(asset.dailyLow, newPrice),
+      change: reference ? newPrice - reference : 0,
+      changePercent: reference ? ((newPrice - reference) / reference) * 100 : 0,
+      volume: asset.volume + volume,
+      bid,
+      ask,
+      spread
+    };
+  });
+
+  // Scripted scenario news takes the event check when it's due; random news only
+  // rolls when nothing scripted fired (and the scenario allows it)
+  const published = [];
+  let { nextEventCheck, scenario } = state;
+  if (time >= nextEventCheck) {
+    const elapsed = scenario ? time - scenario.startedAt : 0;
+    let scriptIndex = scenario?.scriptIndex ?? 0;
+    while (scenario && scenario.script[scriptIndex]?.at <= elapsed) {
+      const item = scriptedNews({ ...state, assets, time }, scenario.script[scriptIndex], rng);
+      if (item) published.push(item);
+      scriptIndex += 1;
+    }
+
+    if (scenario && scriptIndex > scenario.scriptIndex) {
+      scenario = { ...scenario, scriptIndex };
+    } else if (!scenario || scenario.randomEvents) {
+      const item = generateNews({ ...state, assets, time }, rng);
+      if (item) published.push(item);
+    }
+    nextEventCheck = scheduleEventCheck(time, scenario, rng);
+  }
+  const { events, newsArchive } = addNews({
+    ...state,
+    assets,
+    events: state.events.filter(event => event.expiresAt > time)
+  }, published);
+
+  // Sentiment random-walks; in a scenario it's also pulled along the scripted trajectory
+  const drift = (rng.next() - 0.5) * 0.01;
+  const sentiment = scenario
+    ? state.sentiment + (sentimentTarget(scenario.sentimentPath, time - scenario.startedAt) - state.sentiment) * 0.05 + drift
+    : state.sentiment + drift;
+
+  return {
+    ...state,
+    time,
+    tick: state.tick + 1,
+    session,
+    regime,
+    sentiment: clamp(sentiment, -1, 1),
+    events,
+    newsArchive: recordReactions(newsArchive, assets, time),
+    nextEventCheck,
+    scenario,
+    orderBooks,
+    tape: recordPrints(state.tape, traded, time),
+    fx: stepFx(state.fx, assets, dt, state.settings.volatilityDamping, rng),
+    ...withUserFills(state, fills),
+    assets,
+    rngState: rng.state
+  };
+}
+
+// Simulates the market across a gap (e.g. while the game was closed), one point per
+// minute or coarser for long gaps, so prices continue instead of jumping. Only the price
+// models run, so prices follow fair value; the books are requoted fresh at the end,
+// keeping the player's orders. Stocks only move during their sessions and gap at each
+// open they pass. Replays only move bar by bar, so they're left where they were.
+export function catchUp(state, toTime) {
+  const elapsed = toTime - state.time;
+  if (elapsed < 60000 || state.replay) return state;
+
+  const rng = createRng(state.rngState);
+  const steps = Math.min(MAX_CATCHUP_STEPS, Math.floor(elapsed / 60000));
+  const stepMs = elapsed / steps;
+  const timeStep = toTimeStep(stepMs);
+  const sessionAt = (time) => state.calendar ? stockSession(time) : "regular";
+  const sessionOf = (asset, time) => assetSession({ ...state, session: sessionAt(time) }, asset);
+  const sampleFactors = factorSampler(state.factors);
+  const draws = Array.from({ length: steps }, () => sampleFactors(rng));
+  const regimes = [];
+  let regime = state.regime;
+  for (let i = 1; i <= steps; i++) {
+    regime = stepRegime(regime, Math.round(state.time + i * stepMs), stepMs, rng);
+    regimes.push(regime.current);
+  }
+
+  const assets = Object.fromEntries(Object.values(state.assets).map(initial => {
+    const volatility = initial.volatility * state.settings.volatilityDamping;
+    const points = [];
+    let asset = initial;
+    let price = asset.fairValue;
+    let previousSession = assetSession(state, asset);
+    for (let i = 1; i <= steps; i++) {
+      const timestamp = Math.round(state.time + i * stepMs);
+      const pointSession = sessionOf(asset, timestamp);
+      if (pointSession === "closed") {
+        previousSession = pointSession;
+        continue;
+      }
+      if (pointSession === "regular" && previousSession !== "regular") {
+        price = openingGap(price, volatility, state.sentiment, rng);
+      }
+      previousSession = pointSession;
+
+      const next = generateRealisticPrice(price, asset, {
+        volatility,
+        marketSentiment: state.sentiment * 0.5,
+        newsMove: newsImpact(state.events, asset, Math.round(state.time + (i - 1) * stepMs), timestamp),
+        timeStep,
+        shock: assetShock(state.factors, asset, draws[i - 1], rng),
+        regime: regimes[i - 1]
+      }, rng);
+      price = next.price;
+      asset = { ...asset, modelState: next.modelState };
+      points.push({ price, volume: historyVolume(price, asset.lotSize, rng), timestamp });
+    }
+
+    const history = [...asset.history, ...points].slice(-asset.history.length);
+    const lastDay = history.filter(point => point.timestamp > toTime - 24 * 60 * 60 * 1000);
+    const dayOpen = lastDay[0]?.price ?? price;
+    // A market closed for the whole last day (a weekend) keeps its last range
+    const dayPrices = lastDay.length > 0
+      ? lastDay.map(point => point.price)
+      : [initial.dailyHigh, initial.dailyLow, price].filter(Number.isFinite);
+
+    return [asset.symbol, {
+      ...asset,
+      price,
+      fairValue: price,
+      history,
+      dailyHigh: Math.max(...dayPrices),
+      dailyLow: Math.min(...dayPrices),
+      change: price - dayOpen,
+      changePercent: ((price - dayOpen) / dayOpen) * 100
+    }];
+  }));
+  const books = quoteBooks(assets, state.orderBooks, {
+    settings: state.settings,
+    time: toTime,
+    sessionOf: asset => sessionOf(asset, toTime)
+  }, rng);
+
+  return {
+    ...state,
+    time: toTime,
+    session: sessionAt(toTime),
+    regime,
+    events: state.events.filter(event => event.expiresAt > toTime),
+    newsArchive: recordReactions(state.newsArchive, assets, toTime),
+    nextEventCheck: scheduleEventCheck(toTime, state.scenario, rng),
+    orderBooks: books.orderBooks,
+    tape: recordPrints(state.tape, books.trades, toTime),
+    fx: stepFx(state.fx, books.assets, elapsed, state.settings.volatilityDamping, rng),
+    ...withUserFills(state, books.fills),
+    assets: books.assets,
+    rngState: rng.state
+  };
+}
+
+// ==================== FAST STEPS ====================
+//
+// Backtests (see trading/backtest.js) cover years of market time, far more than the order
+// books can trade through. `stepPrices` runs the price models and news alone: each asset
+// trades at its fair value, quoted the spread setting either side on its tick grid, with
+// volume generated as for history.
+
+// One step of `dt` ms without the books. Every news check falling in the step is rolled,
+// so news comes as often as it does live however long the steps are; scenarios don't
+// apply. History keeps its length, as in `step`, so long runs start from a short one.
+export function stepPrices(state, dt) {
+  const rng = createRng(state.rngState);
+  const time = state.time + dt;
+  const timeStep = toTimeStep(dt);
+  const session = state.calendar ? stockSession(time) : "regular";
+  const draws = factorSampler(state.factors)(rng);
+  const regime = stepRegime(state.regime, time, dt, rng);
+
+  const assets = {};
+  Object.values(state.assets).forEach(asset => {
+    const assetSessionNow = assetSession({ ...state, session }, asset);
+    if (assetSessionNow === "closed") {
+      assets[asset.symbol] = asset;
+      return;
+    }
+
+    const volatility = asset.volatility * state.settings.volatilityDamping;
+    const opening = assetSessionNow === "regular" && assetSession(state, asset) !== "regular";
+    const previousValue = opening ? openingGap(asset.fairValue, volatility, state.sentiment, rng) : asset.fairValue;
+    const { price, modelState } = generateRealisticPrice(previousValue, asset, {
+      volatility,
+      marketSentiment: state.sentiment * 0.5,
+      newsMove: newsImpact(state.events, asset, state.time, time),
+      timeStep,
+      shock: assetShock(state.factors, asset, draws, rng),
+      regime: regime.current
+    }, rng);
+
+    const halfSpread = price * state.settings.spread * liquidityIn(assetSessionNow).spreadMultiplier;
+    const bid = toTick(price - halfSpread, asset.tickSize, -1);
+    const ask = toTick(price + halfSpread, asset.tickSize, 1);
+    const volume = Math.round(historyVolume(price, asset.lotSize, rng) * (dt / 60000) * 1e8) / 1e8;
+    const reference = dayAgoPrice(asset.history, time);
+
+    assets[asset.symbol] = {
+      ...asset,
+      price,
+      fairValue: price,
+      modelState,
+      history: [...asset.history.slice(1), { price, volume, timestamp: time }],
+      dailyHigh: Math.max(asset.dailyHigh, price),
+      dailyLow: Math.min(asset.dailyLow, price),
+      change: reference ? price - reference : 0,
+      changePercent: reference ? ((price - reference) / reference) * 100 : 0,
+      volume: asset.volume + volume,
+      bid,
+      ask,
+      spread: ask - bid
+    };
+  });
+
+  const published = [];
+  const checked = { ...state, assets }; // The market each news check sees, at the check's time
+  let { nextEventCheck } = state;
+  while (time >= nextEventCheck) {
+    checked.time = nextEventCheck;
+    const item = generateNews(checked, rng);
+    if (item) published.push(item);
+    nextEventCheck = scheduleEventCheck(nextEventCheck, null, rng);
+  }
+  const { events, newsArchive } = addNews({
+    ...state,
+    assets,
+    events: state.events.filter(event => event.expiresAt > time)
+  }, published);
+
+  return {
+    ...state,
+    time,
+    tick: state.tick + 1,
+    session,
+    regime,
+    sentiment: clamp(state.sentiment + (rng.next() - 0.5) * 0.01, -1, 1),
+    events,
+    newsArchive,
+    nextEventCheck,
+    fx: stepFx(state.fx, assets, dt, state.settings.volatilityDamping, rng),
+    assets,
+    rngState: rng.state
+  };
+}
+
+// ==================== PLAYER ORDERS ====================
+//
+// The player's resting limit orders sit in the books next to the participants'. The UI
+// owns the orders and mirrors them here with `syncUserOrders`; fills the books make on
+// them wait in `userFills` until the UI has applied them and calls `acknowledgeFills`.
+
+// Brings the books in line with the player's resting orders ({ id, symbol, side, price,
+// quantity, revision }). New orders join the queue at their price, trading at once if
+// they cross the book and their market is open; cancelled ones leave it. An edited order
+// (a new revision) goes to the back of the queue at its new price and size. Orders the
+// books filled completely stay out until the UI drops them.
+export function syncUserOrders(state, orders) {
+  const wanted = new Map(orders.filter(order => state.assets[order.symbol]).map(order => [order.id, order]));
+  const revisionOf = (order) => order.revision ?? 0;
+  const removed = new Set(Object.keys(state.userOrders).filter(id =>
+    !wanted.has(id) || revisionOf(wanted.get(id)) !== state.userOrders[id].revision));
+  const added = [...wanted.values()].filter(order =>
+    !state.userOrders[order.id] || removed.has(order.id));
+  if (removed.size === 0 && added.length === 0) return state;
+
+  const orderBooks = { ...state.orderBooks };
+  const traded = {};
+  const fills = [];
+  const symbols = new Set([...[...removed].map(id => state.userOrders[id].symbol), ...added.map(order => order.symbol)]);
+  symbols.forEach(symbol => {
+    const asset = state.assets[symbol];
+    if (!asset) return;
+    const book = cloneBook(orderBooks[symbol] ?? createBook());
+    cancelWhere(book, order => order.owner === USER && removed.has(order.id));
+
+    const open = assetSession(state, asset) !== "closed";
+    const trades = [];
+    added.filter(order => order.symbol === symbol).forEach(({ id, side, price, quantity }) => {
+      const order = { id, side, price: toTick(price, asset.tickSize), size: quantity, owner: USER };
+      if (open) submit(book, order, trades);
+      else queue(book, order);
+    });
+    orderBooks[symbol] = { ...book, inventory: makerInventory(book.inventory, trades) };
+    traded[symbol] = trades;
+    fills.push(...playerFills(trades, symbol, state.time));
+  });
+
+  return {
+    ...state,
+    orderBooks,
+    tape: recordPrints(state.tape, traded, state.time),
+    userOrders: Object.fromEntries([...wanted.values()].map(order =>
+      [order.id, { symbol: order.symbol, revision: revisionOf(order) }])),
+    ...withUserFills(state, fills)
+  };
+}
+
+// Takes `quantity` from the book for a player order that filled at market (market, stop,
+// IOC and FOK orders, liquidations), so its impact shows in the price. It never trades
+// with the player's own resting orders.
+export function takeLiquidity(state, symbol, side, quantity) {
+  const asset = state.assets[symbol];
+  if (!asset || !state.orderBooks[symbol]) return state;
+
+  const book = cloneBook(state.orderBooks[symbol]);
+  const trades = [];
+  submit(book, { side, size: quantity, owner: USER }, trades);
+  return {
+    ...state,
+    orderBooks: { ...state.orderBooks, [symbol]: { ...book, inventory: makerInventory(book.inventory, trades) } },
+    tape: recordPrints(state.tape, { [symbol]: trades }, state.time),
+    assets: {
+      ...state.assets,
+      [symbol]: {
+        ...asset,
+        ...bookQuote(book, asset.price, asset.spread / 2),
+        volume: asset.volume + tradedVolume(trades)
+      }
+    }
+  };
+}
+
+// Drops fills the UI has applied, by id
+export function acknowledgeFills(state, ids) {
+  const applied = new Set(ids);
+  return { ...state, userFills: state.userFills.filter(fill => !applied.has(fill.id)) };
+}
+
+// Steps one timer tick runs at a speed: fast speeds split the tick's market time into
+// several steps, each at least a tick long so history keeps a sensible resolution
+function tickSteps(tickInterval, speed) {
+  const { multiplier } = SIMULATION_SPEEDS[speed];
+  if (multiplier === null) return { count: MAX_STEPS_PER_TICK, dt: MAX_SPEED_STEP };
+
+  const count = clamp(Math.round(multiplier), 1, MAX_STEPS_PER_TICK);
+  return { count, dt: (tickInterval * multiplier) / count };
+}
+
+// Runs `step` on a timer and pushes each new state to subscribers. Market time runs
+// `speed` times faster than real time; the engine never reads the wall clock.
+export function createMarketEngine(initialState, { interval = TICK_INTERVAL, speed: initialSpeed = "1x" } = {}) {
+  let state = initialState;
+  let tickInterval = interval;
+  let speed = initialSpeed;
+  let timer = null;
+  const listeners = new Set();
+
+  const emit = () => listeners.forEach(listener => listener(state));
+
+  const engine = {
+    getState: () => state,
+    setState(next) {
+      state = next;
+      emit();
+    },
+    subscribe(listener) {
+      listeners.add(listener);
+      return () => listeners.delete(listener);
+    },
+    start() {
+      if (timer) return;
+      timer = setInterval(() => {
+        const { count, dt } = tickSteps(tickInterval, speed);
+        for (let i = 0; i < count; i++) state = step(state, dt);
+        emit();
+      }, tickInterval);
+    },
+    stop() {
+      clearInterval(timer);
+      timer = null;
+    },
+    setSpeed(next) {
+      speed = next;
+    },
+    // Jumps market time forward, simulating the gap the way a catch-up does
+    skipTo(time) {
+      state = catchUp(state, time);
+      emit();
+    },
+    // Changes the tick length, restarting the timer if it's running
+    setTickInterval(next) {
+      if (next === tickInterval) return;
+      tickInterval = next;
+      if (timer) {
+        engine.stop();
+        engine.start();
+      }
+    }
+  };
+  return engine;
+}
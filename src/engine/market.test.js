@@ -0,0 +1,103 @@
+import { describe, expect, it } from "vitest";
+import { MARKET_SYMBOLS, catchUp, createMarketState, step } from "./market.js";
+import { createRng, hashSeed } from "./random.js";
+
+const SYMBOLS = [MARKET_SYMBOLS.STOCKS[0], MARKET_SYMBOLS.CRYPTO[0]];
+const START = Date.UTC(2026, 9, 14, 15, 0); // A Wednesday, during the stock session
+
+const createState = (seed) => createMarketState({ seed, startTime: START, symbols: SYMBOLS });
+const prices = (state) => Object.fromEntries(Object.values(state.assets).map(asset => [asset.symbol, asset.price]));
+const run = (state, steps, dt = 500) => Array.from({ length: steps }).reduce(current => step(current, dt), state);
+
+describe("random", () => {
+  it("repeats a sequence from the same state", () => {
+    const a = createRng(42);
+    const b = createRng(42);
+    expect(Array.from({ length: 5 }, a.next)).toEqual(Array.from({ length: 5 }, b.next));
+  });
+
+  it("carries its state, so a sequence can continue from it", () => {
+    const rng = createRng(7);
+    rng.next();
+    const resumed = createRng(rng.state);
+    expect(resumed.next()).toBe(rng.next());
+  });
+
+  it("hashes strings and numbers to the same seed", () => {
+    expect(hashSeed("42")).toBe(hashSeed(42));
+    expect(hashSeed("a")).not.toBe(hashSeed("b"));
+  });
+});
+
+describe("createMarketState", () => {
+  it("builds the same market from the same seed", () => {
+    expect(createState(42)).toEqual(createState(42));
+  });
+
+  it("builds different markets from different seeds", () => {
+    expect(prices(createState(1))).not.toEqual(prices(createState(2)));
+  });
+});
+
+describe("step", () => {
+  it("is deterministic for a seed and sequence of steps", () => {
+    const state = createState(42);
+    expect(run(state, 20)).toEqual(run(state, 20));
+  });
+
+  it("doesn't change the state it's given", () => {
+    const state = createState(42);
+    const before = structuredClone(state);
+    run(state, 5);
+    expect(state).toEqual(before);
+  });
+
+  it("advances the clock by dt", () => {
+    const state = createState(42);
+    expect(step(state, 500).time).toBe(START + 500);
+  });
+
+  it("measures the daily change from the price a day of market time ago", () => {
+    const state = createState(42);
+    const next = step(state, 60000);
+    const { BTC } = next.assets;
+    const dayAgo = state.assets.BTC.history.find(point => point.timestamp > next.time - 24 * 60 * 60 * 1000);
+    expect(BTC.change).toBeCloseTo(BTC.price - dayAgo.price, 8);
+  });
+
+  it("keeps prices positive and the book uncrossed", () => {
+    const state = run(createState(42), 50);
+    Object.values(state.assets).forEach(asset => {
+      expect(asset.price).toBeGreaterThan(0);
+      expect(asset.bid).toBeLessThan(asset.ask);
+    });
+  });
+});
+
+describe("catchUp", () => {
+  it("is deterministic", () => {
+    const state = createState(42);
+    expect(catchUp(state, START + 3 * 60 * 60 * 1000)).toEqual(catchUp(state, START + 3 * 60 * 60 * 1000));
+  });
+
+  it("leaves the state alone for gaps under a minute", () => {
+    const state = createState(42);
+    expect(catchUp(state, START + 30000)).toBe(state);
+  });
+
+  it("keeps a finite daily range for markets closed across the whole gap", () => {
+    const saturday = createMarketState({ seed: 42, startTime: Date.UTC(2026, 9, 17, 12, 0), symbols: SYMBOLS });
+    const { AAPL } = catchUp(saturday, saturday.time + 26 * 60 * 60 * 1000).assets;
+    expect(Number.isFinite(AAPL.dailyHigh)).toBe(true);
+    expect(Number.isFinite(AAPL.dailyLow)).toBe(true);
+    expect(AAPL.dailyLow).toBeLessThanOrEqual(AAPL.price);
+    expect(AAPL.dailyHigh).toBeGreaterThanOrEqual(AAPL.price);
+  });
+
+  it("moves the clock and prices across the gap", () => {
+    const state = createState(42);
+    const later = catchUp(state, START + 3 * 60 * 60 * 1000);
+    expect(later.time).toBe(START + 3 * 60 * 60 * 1000);
+    expect(later.assets.BTC.price).not.toBe(state.assets.BTC.price);
+  });
+});
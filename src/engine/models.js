@@ -0,0 +1,118 @@
+// ==================== PRICE MODELS ====================
+//
+// Stochastic models an asset's returns can follow, plus the market-wide volatility
+// regime. Every model takes the step's standard normal shock from the factor model
+// (factors.js) and turns it into a log return; volatilities are annualised over the
+// trading year the engine's time steps are measured in.
+
+const TRADING_DAYS_PER_YEAR = 252;
+const MINUTES_PER_YEAR = TRADING_DAYS_PER_YEAR * 390; // Trading year, in the engine's time-step units
+const DRIFT = 0.07; // Expected yearly return
+const MAX_GARCH_VARIANCE = 50; // Cap on conditional variance, as a multiple of the long-run level
+
+export const PRICE_MODELS = {
+  gbm: {
+    label: "GBM",
+    description: "Geometric Brownian motion: Gaussian shocks at a constant volatility"
+  },
+  student_t: {
+    label: "Student-t",
+    description: "Fat-tailed shocks: large moves are far more common than under a normal",
+    degreesOfFreedom: 4
+  },
+  merton: {
+    label: "Jump diffusion",
+    description: "Merton: Gaussian shocks plus sudden Poisson jumps",
+    jumpsPerYear: 25,
+    jumpMean: -0.5, // Mean log jump size, in daily volatilities
+    jumpVolatility: 2 // Spread of log jump sizes, in daily volatilities
+  },
+  garch: {
+    label: "GARCH(1,1)",
+    description: "Volatility clustering: big moves make more big moves likely for a while",
+    alpha: 0.08, // Weight of the last shock, per minute
+    beta: 0.9 // Persistence of the last variance, per minute
+  }
+};
+
+export const DEFAULT_MODELS = { stock: "garch", crypto: "merton" };
+
+// Market-wide volatility regimes. Turbulent markets swing harder and jump more often;
+// each regime lasts `meanDuration` ms of market time on average.
+export const REGIMES = {
+  calm: { label: "Calm", volatility: 1, jumps: 1, meanDuration: 3 * 24 * 60 * 60 * 1000, next: "turbulent" },
+  turbulent: { label: "Turbulent", volatility: 2, jumps: 3, meanDuration: 8 * 60 * 60 * 1000, next: "calm" }
+};
+
+export const defaultModel = (assetClass) => DEFAULT_MODELS[assetClass] ?? "gbm";
+
+// Per-asset state a model carries between steps: GARCH's conditional variance, relative
+// to the long-run level
+export const createModelState = (model) => model === "garch" ? { variance: 1 } : null;
+
+// Moves the regime on by dt ms: the chance of switching grows with the step length
+export function stepRegime(regime, time, dt, rng) {
+  const { meanDuration, next } = REGIMES[regime.current];
+  return rng.next() < 1 - Math.exp(-dt / meanDuration) ? { current: next, since: time } : regime;
+}
+
+// Unit-variance Student-t draw built on the factor model's normal shock
+function studentT(shock, degreesOfFreedom, rng) {
+  let chiSquared = 0;
+  for (let i = 0; i < degreesOfFreedom; i++) chiSquared += rng.normal() ** 2;
+  return shock * Math.sqrt((degreesOfFreedom - 2) / chiSquared);
+}
+
+// GARCH(1,1) variance after a step of `minutes`. The per-minute update is blended with
+// the long-run level by how far the step's decay reaches, so long steps stay positive.
+function garchVariance(variance, shock, minutes) {
+  const { alpha, beta } = PRICE_MODELS.garch;
+  const persistence = alpha + beta;
+  const decay = persistence ** minutes;
+  const updated = (alpha * shock ** 2 * variance + beta * variance) / persistence;
+  return Math.min(MAX_GARCH_VARIANCE, 1 - decay + decay * updated);
+}
+
+// One step's log return for an asset under its model. `volatility` is the step's
+// annualised volatility (after damping and the regime), `shock` a standard normal and
+// `jumpScale` multiplies the jump rate. Returns the log return and the model state to
+// carry forward.
+export function modelReturn(asset, { volatility, timeStep, shock, jumpScale = 1 }, rng) {
+  const diffusion = (DRIFT - volatility ** 2 / 2) * timeStep;
+  const scale = volatility * Math.sqrt(timeStep);
+
+  switch (asset.model) {
+    case "student_t":
+      return {
+        logReturn: diffusion + scale * studentT(shock, PRICE_MODELS.student_t.degreesOfFreedom, rng),
+        modelState: null
+      };
+    case "merton": {
+      const { jumpsPerYear } = PRICE_MODELS.merton;
+      const dailyVolatility = volatility / Math.sqrt(TRADING_DAYS_PER_YEAR);
+      const jumpMean = PRICE_MODELS.merton.jumpMean * dailyVolatility;
+      const jumpVolatility = PRICE_MODELS.merton.jumpVolatility * dailyVolatility;
+      const intensity = jumpsPerYear * jumpScale * timeStep;
+      const compensation = intensity * (Math.exp(jumpMean + jumpVolatility ** 2 / 2) - 1);
+      const jump = rng.next() < 1 - Math.exp(-intensity) ? jumpMean + jumpVolatility * rng.normal() : 0;
+      return { logReturn: diffusion - compensation + scale * shock + jump, modelState: null };
+    }
+    case "garch": {
+      const variance = asset.modelState?.variance ?? 1;
+      return {
+        logReturn: (DRIFT - variance * volatility ** 2 / 2) * timeStep + scale * Math.sqrt(variance) * shock,
+        modelState: { variance: garchVariance(variance, shock, timeStep * MINUTES_PER_YEAR) }
+      };
+    }
+    default:
+      return { logReturn: diffusion + scale * shock, modelState: null };
+  }
+}
+
+// Switches an asset in a running market to another model, starting its state afresh
+export function setAssetModel(state, symbol, model) {
+  return {
+    ...state,
+    assets: { ...state.assets, [symbol]: { ...state.assets[symbol], model, modelState: createModelState(model) } }
+  };
+}
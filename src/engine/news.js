@@ -0,0 +1,301 @@
+// ==================== NEWS ENGINE ====================
+//
+// Headlines are built from templates that name the company, sector and figures. Each
+// item has a severity tier, which sets the size of the move, and an impact curve, which
+// sets how that move plays out over time: the engine adds each step's share of the curve
+// to the affected assets' returns, so a story has the same effect at any clock speed.
+// Published items are archived with the price reaction measured at fixed horizons.
+
+const MINUTE = 60000;
+
+export const NEWS_SEVERITIES = {
+  minor: { label: "Minor", move: [0.003, 0.01], weight: 0.6, figures: 1 },
+  major: { label: "Major", move: [0.015, 0.035], weight: 0.3, figures: 2 },
+  critical: { label: "Critical", move: [0.05, 0.1], weight: 0.1, figures: 4 }
+};
+
+// Cumulative share of a story's move `progress` of the way through its duration
+const approach = (progress, speed) => 1 - Math.exp(-progress / speed);
+
+export const IMPACT_CURVES = {
+  spike: {
+    label: "Spike and fade",
+    duration: 3 * MINUTE,
+    // Overshoots within the first few percent of the window, then gives back half
+    share: (progress) => approach(progress, 0.03) - 0.5 * approach(progress, 0.35) / approach(1, 0.35)
+  },
+  drift: {
+    label: "Slow drift",
+    duration: 10 * MINUTE,
+    share: (progress) => progress
+  },
+  aftershock: {
+    label: "After-shock",
+    duration: 6 * MINUTE,
+    // Most of the move at once, the rest in a second jolt halfway through
+    share: (progress) => 0.6 * approach(progress, 0.03) + (progress >= 0.5 ? 0.4 * approach(progress - 0.5, 0.03) : 0)
+  }
+};
+
+// Sizes of news moves by scope, relative to a single company's
+const SCOPE_SCALE = { company: 1, sector: 0.8, market: 0.6 };
+const SCOPE_WEIGHTS = { company: 0.6, sector: 0.3, market: 0.1 };
+const POSITIVE_SHARE = 0.55;
+
+export const REACTION_HORIZONS = { "1m": MINUTE, "5m": 5 * MINUTE, "30m": 30 * MINUTE };
+const ARCHIVE_SIZE = 100;
+
+// Headline templates by scope and tone; company news also by asset class. Placeholders:
+// {name}, {symbol}, {sector}, {target} (a price target off the current price) and
+// figures drawn from `figures` ranges, which grow with severity.
+const NEWS_TEMPLATES = {
+  company: {
+    stock: {
+      positive: [
+        { headline: "{name} beats earnings estimates by {percent}%", curves: ["spike"], figures: { percent: [2, 6] } },
+        { headline: "{name} raises full-year revenue guidance to ${amount}B", curves: ["drift", "spike"], figures: { amount: [5, 20] } },
+        { headline: "{name} announces a ${amount}B share buyback", curves: ["drift"], figures: { amount: [1, 5] } },
+        { headline: "{name} wins {count} new enterprise contracts", curves: ["drift"], figures: { count: [3, 8] } },
+        { headline: "Analysts upgrade {symbol} to strong buy with a {target} target", curves: ["spike"], figures: {} },
+        { headline: "{name} unveils a product line expected to add {percent}% to sales", curves: ["spike", "drift"], figures: { percent: [3, 8] } }
+      ],
+      negative: [
+        { headline: "{name} misses earnings estimates by {percent}%", curves: ["spike"], figures: { percent: [2, 6] } },
+        { headline: "Regulators open an investigation into {name}", curves: ["aftershock"], figures: {} },
+        { headline: "{name} CEO resigns unexpectedly", curves: ["aftershock", "spike"], figures: {} },
+        { headline: "Data breach at {name} exposes {count} million accounts", curves: ["aftershock"], figures: { count: [2, 15] } },
+        { headline: "{name} cuts guidance by {percent}%, citing supply chain disruptions", curves: ["drift", "spike"], figures: { percent: [3, 8] } },
+        { headline: "Analysts downgrade {symbol} to sell with a {target} target", curves: ["spike"], figures: {} }
+      ]
+    },
+    crypto: {
+      positive: [
+        { headline: "{name} network upgrade goes live, cutting fees by {percent}%", curves: ["spike", "drift"], figures: { percent: [10, 25] } },
+        { headline: "{symbol} listed on {count} new exchanges", curves: ["spike"], figures: { count: [2, 5] } },
+        { headline: "Fund inflows into {symbol} hit ${amount}M this week", curves: ["drift"], figures: { amount: [100, 400] } },
+        { headline: "Analysts see {symbol} reaching {target}", curves: ["spike"], figures: {} }
+      ],
+      negative: [
+        { headline: "Exchange hack drains ${amount}M in {symbol}", curves: ["aftershock"], figures: { amount: [20, 80] } },
+        { headline: "{name} network halts for {count} hours after a consensus bug", curves: ["aftershock", "spike"], figures: { count: [2, 6] } },
+        { headline: "Regulators open an investigation into {name}", curves: ["aftershock"], figures: {} },
+        { headline: "Whale moves ${amount}M of {symbol} to exchanges", curves: ["spike", "drift"], figures: { amount: [50, 200] } }
+      ]
+    }
+  },
+  sector: {
+    positive: [
+      { headline: "{sector} rallies as orders jump {percent}%", curves: ["drift"], figures: { percent: [4, 10] } },
+      { headline: "Investors pour ${amount}B into {sector}", curves: ["drift", "spike"], figures: { amount: [2, 10] } },
+      { headline: "New subsidies for {sector} worth ${amount}B", curves: ["spike"], figures: { amount: [5, 25] } }
+    ],
+    negative: [
+      { headline: "{sector} slides on regulatory fears", curves: ["aftershock", "drift"], figures: {} },
+      { headline: "{sector} hit by a {percent}% drop in orders", curves: ["drift"], figures: { percent: [4, 10] } },
+      { headline: "Short sellers target {sector} with ${amount}B in new bets", curves: ["spike"], figures: { amount: [1, 5] } }
+    ]
+  },
+  market: {
+    positive: [
+      { headline: "Central bank signals a {bps} basis point rate cut", curves: ["spike", "drift"], figures: { bps: [25, 25] } },
+      { headline: "Markets rally as inflation cools to {percent}%", curves: ["drift"], figures: { percent: [2, 3] } }
+    ],
+    negative: [
+      { headline: "Market-wide selloff on recession fears", curves: ["aftershock", "drift"], figures: {} },
+      { headline: "Inflation surprises at {percent}%, stoking rate fears", curves: ["spike"], figures: { percent: [4, 6] } }
+    ]
+  }
+};
+
+// Formatters are built once: backtests render many headlines
+const PRICE_FORMATS = [new Intl.NumberFormat(undefined, { maximumFractionDigits: 3 }), new Intl.NumberFormat(undefined, { maximumFractionDigits: 0 })];
+const fmtPrice = (price) => `$${PRICE_FORMATS[price < 10 ? 0 : 1].format(price)}`;
+
+function templatesFor(scope, asset, positive) {
+  const tone = positive ? "positive" : "negative";
+  return scope === "company"
+    ? (NEWS_TEMPLATES.company[asset.assetClass] ?? NEWS_TEMPLATES.company.stock)[tone]
+    : NEWS_TEMPLATES[scope][tone];
+}
+
+// Picks a key of `weights` ({ key: weight }) at random, in proportion to its weight
+function pickWeighted(weights, rng) {
+  const entries = Object.entries(weights);
+  let roll = rng.next() * entries.reduce((sum, [, weight]) => sum + weight, 0);
+  for (const [key, weight] of entries) {
+    roll -= weight;
+    if (roll < 0) return key;
+  }
+  return entries[entries.length - 1][0];
+}
+
+// Fills a template's placeholders. Figures are drawn from their ranges and scaled by
+// severity.
+function renderHeadline(template, { asset, sector, severity, positive }, rng) {
+  const scale = NEWS_SEVERITIES[severity].figures;
+  const figures = Object.fromEntries(Object.entries(template.figures).map(([key, [min, max]]) =>
+    [key, Math.round((min + rng.next() * (max - min)) * scale)]));
+  const target = asset && fmtPrice(asset.price * (positive ? 1.1 + 0.05 * scale : 0.9 - 0.05 * scale));
+
+  return template.headline.replace(/\{(\w+)\}/g, (match, key) => {
+    if (key === "name") return asset.name;
+    if (key === "symbol") return asset.symbol;
+    if (key === "sector") return sector;
+    if (key === "target") return target;
+    return figures[key] ?? match;
+  });
+}
+
+// Rolls for a news item (settings.eventProbability per check): a company, a sector or
+// the whole market
+export function generateNews(state, rng) {
+  if (rng.next() >= state.settings.eventProbability) return null;
+
+  const assets = Object.values(state.assets);
+  const positive = rng.next() < POSITIVE_SHARE;
+  const scope = pickWeighted(SCOPE_WEIGHTS, rng);
+  const severity = pickWeighted(Object.fromEntries(Object.entries(NEWS_SEVERITIES).map(([key, tier]) => [key, tier.weight])), rng);
+
+  let asset = null;
+  let sector = null;
+  let symbols;
+  if (scope === "company") {
+    asset = rng.pick(assets);
+    symbols = [asset.symbol];
+  } else if (scope === "sector") {
+    sector = rng.pick([...new Set(assets.map(a => a.sector))]);
+    symbols = assets.filter(a => a.sector === sector).map(a => a.symbol);
+  } else {
+    symbols = assets.map(a => a.symbol);
+  }
+
+  const template = rng.pick(templatesFor(scope, asset, positive));
+  const [min, max] = NEWS_SEVERITIES[severity].move;
+  const move = (min + rng.next() * (max - min)) * SCOPE_SCALE[scope];
+  return publish(state, {
+    message: renderHeadline(template, { asset, sector, severity, positive }, rng),
+    impact: positive ? move : -move,
+    severity,
+    curve: rng.pick(template.curves),
+    scope,
+    symbols,
+    sector
+  }, rng);
+}
+
+// Turns a scenario script entry ({ impact, severity, curve, message?, sector?,
+// symbols?, duration? }) into a news item. `impact` is the whole log move. Without a
+// sector or symbols it moves the whole market; without a message the headline comes
+// from the templates for its scope and direction. Returns null if none of the entry's
+// assets are in the market.
+export function scriptedNews(state, entry, rng) {
+  const scope = entry.symbols ? "company" : entry.sector ? "sector" : "market";
+  const symbols = (entry.symbols ?? Object.values(state.assets)
+    .filter(asset => !entry.sector || asset.sector === entry.sector)
+    .map(asset => asset.symbol)).filter(symbol => state.assets[symbol]);
+  if (symbols.length === 0) return null;
+  const positive = entry.impact >= 0;
+  const asset = state.assets[symbols[0]];
+  const message = entry.message ?? renderHeadline(
+    rng.pick(templatesFor(scope, asset, positive)),
+    { asset, sector: entry.sector, severity: entry.severity, positive },
+    rng
+  );
+
+  return publish(state, {
+    message,
+    impact: entry.impact,
+    severity: entry.severity,
+    curve: entry.curve,
+    scope,
+    symbols,
+    sector: entry.sector ?? null,
+    duration: entry.duration,
+    scripted: true
+  }, rng);
+}
+
+function publish(state, item, rng) {
+  const duration = item.duration ?? IMPACT_CURVES[item.curve].duration;
+  return {
+    ...item,
+    id: rng.id(),
+    type: item.impact >= 0 ? "positive" : "negative",
+    timestamp: state.time,
+    duration,
+    expiresAt: state.time + duration
+  };
+}
+
+// Log move a news item adds to one of its assets between two times: the change in its
+// curve's cumulative share over that stretch
+function curveMove(item, from, to) {
+  const progress = (time) => Math.min(1, Math.max(0, (time - item.timestamp) / item.duration));
+  const { share } = IMPACT_CURVES[item.curve];
+  return item.impact * (share(progress(to)) - share(progress(from)));
+}
+
+// Total news move on an asset over a step from `from` to `to`
+export const newsImpact = (items, asset, from, to) => items.reduce((move, item) =>
+  item.symbols.includes(asset.symbol) ? move + curveMove(item, from, to) : move, 0);
+
+// Adds items published in a step, in publication order, to the front of the active list
+// and the archive. Items stay active until their curve has played out.
+export function addNews(state, items) {
+  if (items.length === 0) return state;
+  const latest = [...items].reverse();
+  return {
+    ...state,
+    events: [...latest, ...state.events],
+    newsArchive: [
+      ...latest.map(item => ({
+        ...item,
+        prices: Object.fromEntries(item.symbols.map(symbol => [symbol, state.assets[symbol].price])),
+        reactions: {}
+      })),
+      ...state.newsArchive
+    ].slice(0, ARCHIVE_SIZE)
+  };
+}
+
+// Price of an asset at the first history point at or after `time`, or its current price
+function priceAt(asset, time) {
+  const { history } = asset;
+  let low = 0;
+  let high = history.length;
+  while (low < high) {
+    const middle = (low + high) >> 1;
+    if (history[middle].timestamp < time) low = middle + 1;
+    else high = middle;
+  }
+  return low < history.length ? history[low].price : asset.price;
+}
+
+// Fills in archived reactions whose horizon has passed by `time`: each symbol's log
+// return from publication to the horizon. Assets that have since left the market are
+// skipped.
+export function recordReactions(archive, assets, time) {
+  let changed = false;
+
+  const updated = archive.map(item => {
+    const due = Object.entries(REACTION_HORIZONS)
+      .filter(([key, horizon]) => !item.reactions[key] && item.timestamp + horizon <= time);
+    if (due.length === 0) return item;
+
+    changed = true;
+    const reactions = { ...item.reactions };
+    due.forEach(([key, horizon]) => {
+      reactions[key] = Object.fromEntries(Object.entries(item.prices)
+        .filter(([symbol]) => assets[symbol])
+        .map(([symbol, price]) => [symbol, Math.log(priceAt(assets[symbol], item.timestamp + horizon) / price)]));
+    });
+    return { ...item, reactions };
+  });
+  return changed ? updated : archive;
+}
+
+// Mean reaction of an archived item's assets at a horizon, or null until it's measured
+export function averageReaction(item, horizon) {
+  const moves = Object.values(item.reactions[horizon] ?? {});
+  return moves.length > 0 ? moves.reduce((sum, move) => sum + move, 0) / moves.length : null;
+}
@@ -0,0 +1,138 @@
+// ==================== LIMIT ORDER BOOK ====================
+//
+// One limit order book per symbol with price-time priority: orders rest at tick-sized
+// price levels, best level first, and fill oldest first within a level. A book is
+// { bids, asks, inventory }, each level { price, size, own, orders } where `size` totals
+// the level, `own` is the player's share of it and each order is { owner, size } plus
+// an `id` (player orders) or `expiresAt` (noise traders). `inventory` is what the
+// market makers hold (agents.js).
+//
+// The mutating helpers below work on a copy made with `cloneBook`, so the engine's step
+// stays pure while it runs many orders through a book.
+
+export const USER = "user"; // Owner of the player's orders
+
+const EPSILON = 1e-9;
+const round8 = (n) => Math.round(n * 1e8) / 1e8;
+
+const decimalsOf = (step) => (step.toFixed(10).replace(/0+$/, "").split(".")[1] ?? "").length;
+
+// Prices on the asset's tick grid: `direction` rounds down (-1), up (1) or to the nearest (0)
+export function toTick(price, tickSize, direction = 0) {
+  const ticks = price / tickSize;
+  const rounded = direction < 0 ? Math.floor(ticks + EPSILON) : direction > 0 ? Math.ceil(ticks - EPSILON) : Math.round(ticks);
+  return +(Math.max(1, rounded) * tickSize).toFixed(decimalsOf(tickSize));
+}
+
+export const createBook = () => ({ bids: [], asks: [], inventory: 0 });
+
+export const cloneBook = (book) => ({
+  ...book,
+  bids: book.bids.map(level => ({ ...level, orders: level.orders.map(order => ({ ...order })) })),
+  asks: book.asks.map(level => ({ ...level, orders: level.orders.map(order => ({ ...order })) }))
+});
+
+export const bestBid = (book) => book.bids[0]?.price ?? null;
+export const bestAsk = (book) => book.asks[0]?.price ?? null;
+
+export function midPrice(book) {
+  const bid = bestBid(book);
+  const ask = bestAsk(book);
+  if (bid === null || ask === null) return bid ?? ask;
+  return (bid + ask) / 2;
+}
+
+const sideOf = (book, side) => side === "buy" ? book.bids : book.asks;
+const oppositeOf = (book, side) => side === "buy" ? book.asks : book.bids;
+
+// Takes up to `size` from the other side of the book at `limit` or better (null for
+// any price). Fills go oldest first at each resting order's price; the player never
+// trades with their own orders. Returns the quantity left unfilled.
+function take(book, side, size, limit, taker, trades) {
+  const levels = oppositeOf(book, side);
+  let remaining = size;
+
+  for (const level of levels) {
+    if (remaining <= EPSILON) break;
+    if (limit !== null && (side === "buy" ? level.price > limit + EPSILON : level.price < limit - EPSILON)) break;
+
+    for (const order of level.orders) {
+      if (remaining <= EPSILON) break;
+      if (taker.owner === USER && order.owner === USER) continue;
+      const filled = round8(Math.min(remaining, order.size));
+      order.size = round8(order.size - filled);
+      level.size = round8(level.size - filled);
+      if (order.owner === USER) level.own = round8(level.own - filled);
+      remaining = round8(remaining - filled);
+      trades.push({ side, price: level.price, size: filled, maker: order.owner, makerId: order.id, taker: taker.owner, takerId: taker.id });
+    }
+    level.orders = level.orders.filter(order => order.size > EPSILON);
+  }
+
+  const left = levels.filter(level => level.orders.length > 0);
+  levels.splice(0, levels.length, ...left);
+  return remaining;
+}
+
+// Queues an order at the back of its price level without matching it
+function rest(book, side, price, order) {
+  const levels = sideOf(book, side);
+  const ahead = (levelPrice) => side === "buy" ? levelPrice > price : levelPrice < price;
+  let index = 0;
+  while (index < levels.length && ahead(levels[index].price)) index += 1;
+
+  if (levels[index]?.price !== price) levels.splice(index, 0, { price, size: 0, own: 0, orders: [] });
+  const level = levels[index];
+  level.orders.push(order);
+  level.size = round8(level.size + order.size);
+  if (order.owner === USER) level.own = round8(level.own + order.size);
+}
+
+// Sends an order ({ side, price, size, owner, id?, expiresAt? }) to the book: it trades
+// against whatever it crosses and the rest joins the queue at its price. Orders without a
+// price are market orders and never rest. Trades are appended to `trades`.
+export function submit(book, { side, price = null, ...order }, trades) {
+  const remaining = take(book, side, order.size, price, order, trades);
+  if (price !== null && remaining > EPSILON) rest(book, side, price, { ...order, size: remaining });
+}
+
+// Queues an order without trading it, for a market that can't trade yet. `uncross`
+// matches it once the market opens.
+export const queue = (book, { side, price, ...order }) => rest(book, side, price, order);
+
+// Removes resting orders matching `predicate(order)`
+export function cancelWhere(book, predicate) {
+  [book.bids, book.asks].forEach(levels => {
+    const kept = levels.map(level => {
+      const orders = level.orders.filter(order => !predicate(order));
+      if (orders.length === level.orders.length) return level;
+      return {
+        ...level,
+        orders,
+        size: round8(orders.reduce((sum, order) => sum + order.size, 0)),
+        own: round8(orders.filter(order => order.owner === USER).reduce((sum, order) => sum + order.size, 0))
+      };
+    }).filter(level => level.orders.length > 0);
+    levels.splice(0, levels.length, ...kept);
+  });
+}
+
+// The player's resting orders as { id, side, price, size }, best price first
+export function ownOrders(book) {
+  return ["buy", "sell"].flatMap(side => sideOf(book, side).flatMap(level =>
+    level.orders.filter(order => order.owner === USER).map(order => ({ ...order, side, price: level.price }))
+  ));
+}
+
+// Player orders left crossing the other side (placed while the market couldn't trade)
+// go back through matching as if they'd just arrived
+export function uncross(book, trades) {
+  const bid = bestBid(book);
+  const ask = bestAsk(book);
+  if (bid === null || ask === null || bid < ask) return;
+
+  const crossing = ownOrders(book).filter(order => order.side === "buy" ? order.price >= ask : order.price <= bid);
+  const ids = new Set(crossing.map(order => order.id));
+  cancelWhere(book, order => order.owner === USER && ids.has(order.id));
+  crossing.forEach(order => submit(book, order, trades));
+}
@@ -0,0 +1,68 @@
+import { describe, expect, it } from "vitest";
+import { USER, bestAsk, bestBid, cancelWhere, createBook, midPrice, ownOrders, submit, toTick } from "./orderbook.js";
+
+// A book with asks resting at 101 (a then b) and 102 (c)
+const askBook = () => {
+  const book = createBook();
+  const trades = [];
+  submit(book, { side: "sell", price: 101, size: 2, owner: "a" }, trades);
+  submit(book, { side: "sell", price: 101, size: 3, owner: "b" }, trades);
+  submit(book, { side: "sell", price: 102, size: 5, owner: "c" }, trades);
+  return book;
+};
+
+describe("toTick", () => {
+  it("rounds to the tick grid in the given direction", () => {
+    expect(toTick(100.126, 0.01)).toBe(100.13);
+    expect(toTick(100.126, 0.01, -1)).toBe(100.12);
+    expect(toTick(100.121, 0.01, 1)).toBe(100.13);
+  });
+});
+
+describe("submit", () => {
+  it("rests orders best price first", () => {
+    const book = askBook();
+    submit(book, { side: "buy", price: 99, size: 1, owner: "d" }, []);
+    submit(book, { side: "buy", price: 100, size: 1, owner: "e" }, []);
+    expect(bestAsk(book)).toBe(101);
+    expect(bestBid(book)).toBe(100);
+    expect(midPrice(book)).toBe(100.5);
+  });
+
+  it("fills by price, then time", () => {
+    const book = askBook();
+    const trades = [];
+    submit(book, { side: "buy", price: null, size: 4, owner: "t" }, trades);
+    expect(trades.map(trade => [trade.maker, trade.price, trade.size])).toEqual([["a", 101, 2], ["b", 101, 2]]);
+    expect(book.asks[0]).toMatchObject({ price: 101, size: 1 });
+  });
+
+  it("stops at the limit and rests what's left", () => {
+    const book = askBook();
+    const trades = [];
+    submit(book, { side: "buy", price: 101, size: 7, owner: "t" }, trades);
+    expect(trades.reduce((sum, trade) => sum + trade.size, 0)).toBe(5);
+    expect(bestBid(book)).toBe(101);
+    expect(book.bids[0].size).toBe(2);
+    expect(bestAsk(book)).toBe(102);
+  });
+
+  it("never trades the player with their own orders", () => {
+    const book = createBook();
+    const trades = [];
+    submit(book, { side: "sell", price: 101, size: 1, owner: USER, id: "own" }, trades);
+    submit(book, { side: "sell", price: 102, size: 1, owner: "c" }, trades);
+    submit(book, { side: "buy", price: null, size: 1, owner: USER, id: "taker" }, trades);
+    expect(trades).toEqual([expect.objectContaining({ maker: "c", price: 102 })]);
+    expect(ownOrders(book)).toEqual([expect.objectContaining({ id: "own", side: "sell", price: 101 })]);
+  });
+});
+
+describe("cancelWhere", () => {
+  it("removes matching orders and empty levels", () => {
+    const book = askBook();
+    cancelWhere(book, order => order.owner !== "c");
+    expect(book.asks).toHaveLength(1);
+    expect(bestAsk(book)).toBe(102);
+  });
+});
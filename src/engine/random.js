@@ -0,0 +1,39 @@
+// ==================== SEEDED RANDOM NUMBERS ====================
+
+// Mulberry32: a small, fast 32-bit PRNG. Its whole state is a single integer,
+// so engine state can carry it and a session replays exactly from its seed.
+export function createRng(state) {
+  let a = state >>> 0;
+
+  const next = () => {
+    a = (a + 0x6D2B79F5) >>> 0;
+    let t = a;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+
+  return {
+    next,
+    int: (min, max) => Math.floor(next() * (max - min + 1)) + min,
+    pick: (items) => items[Math.floor(next() * items.length)],
+    id: () => Math.floor(next() * 4294967296).toString(36).padStart(7, "0"),
+    normal: () => Math.sqrt(-2 * Math.log(1 - next())) * Math.cos(2 * Math.PI * next()), // Standard normal (Box-Muller)
+    get state() {
+      return a;
+    }
+  };
+}
+
+// FNV-1a: turns any string or number into a 32-bit seed
+export function hashSeed(value) {
+  const text = String(value);
+  let hash = 0x811C9DC5;
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+}
+
+export const randomSeed = () => Math.floor(Math.random() * 4294967296);
@@ -0,0 +1,202 @@
+// ==================== HISTORICAL REPLAY ====================
+//
+// Replays imported OHLCV bars instead of simulating prices. Imported series register as
+// assets alongside MARKET_SYMBOLS; a replay market reveals their bars one at a time on a
+// shared timeline (see stepReplay in market.js), so nothing past the current bar is
+// visible while trading.
+
+import { createMarketState, defaultLotSize, defaultTickSize, quoteBooks } from "./market.js";
+import { createFxState } from "./fx.js";
+import { createRng } from "./random.js";
+
+const MIN_BARS = 10;
+export const MAX_BARS = 20000; // Keeps imports and saves within browser storage
+const WARMUP_BARS = 50; // Bars shown as history before playback starts, at most a fifth of the series
+const DAY_MS = 24 * 60 * 60 * 1000;
+const TRADING_DAYS_PER_YEAR = 252;
+
+// Header names accepted for each column, lowercase
+const COLUMN_ALIASES = {
+  time: ["time", "timestamp", "date", "datetime"],
+  open: ["open", "o"],
+  high: ["high", "h"],
+  low: ["low", "l"],
+  close: ["close", "c"],
+  volume: ["volume", "vol", "v"]
+};
+const JSON_ROW_COLUMNS = ["time", "open", "high", "low", "close", "volume"];
+
+// Epoch seconds or milliseconds, or any date string Date.parse understands
+function parseTime(value) {
+  const number = typeof value === "number" ? value : Number(value);
+  if (value !== "" && Number.isFinite(number)) return number < 1e11 ? number * 1000 : number;
+  return Date.parse(value);
+}
+
+function readBar(fields, row) {
+  const bar = {
+    time: parseTime(fields.time),
+    open: Number(fields.open),
+    high: Number(fields.high),
+    low: Number(fields.low),
+    close: Number(fields.close),
+    volume: fields.volume === undefined || fields.volume === "" ? 0 : Number(fields.volume)
+  };
+
+  if (!Number.isFinite(bar.time)) throw new Error(`Row ${row}: can't read the date "${fields.time}"`);
+  if (!["open", "high", "low", "close"].every(key => bar[key] > 0)) {
+    throw new Error(`Row ${row}: open, high, low and close must be positive numbers`);
+  }
+  if (bar.high < Math.max(bar.open, bar.close, bar.low) || bar.low > Math.min(bar.open, bar.close)) {
+    throw new Error(`Row ${row}: high and low don't contain the open and close`);
+  }
+  if (!(bar.volume >= 0)) throw new Error(`Row ${row}: volume must be zero or more`);
+  return bar;
+}
+
+function parseCsv(text) {
+  const lines = text.split(/\r?\n/).map(line => line.trim()).filter(Boolean);
+  const split = (line) => line.split(",").map(cell => cell.trim().replace(/^"(.*)"$/, "$1"));
+
+  const header = split(lines[0] ?? "").map(name => name.toLowerCase());
+  const columns = Object.fromEntries(Object.entries(COLUMN_ALIASES).map(([key, aliases]) =>
+    [key, header.findIndex(name => aliases.includes(name))]));
+  const missing = Object.keys(columns).filter(key => key !== "volume" && columns[key] === -1);
+  if (missing.length > 0) throw new Error(`Missing column${missing.length > 1 ? "s" : ""}: ${missing.join(", ")}`);
+
+  return lines.slice(1).map((line, i) => {
+    const cells = split(line);
+    const fields = Object.fromEntries(Object.entries(columns)
+      .filter(([, index]) => index !== -1)
+      .map(([key, index]) => [key, cells[index]]));
+    return readBar(fields, i + 2);
+  });
+}
+
+function parseJson(text) {
+  const rows = JSON.parse(text);
+  if (!Array.isArray(rows)) throw new Error("JSON data must be an array of bars");
+
+  return rows.map((row, i) => {
+    if (Array.isArray(row)) {
+      return readBar(Object.fromEntries(JSON_ROW_COLUMNS.map((key, index) => [key, row[index]])), i + 1);
+    }
+    const lowered = Object.fromEntries(Object.entries(row).map(([key, value]) => [key.toLowerCase(), value]));
+    const fields = Object.fromEntries(Object.entries(COLUMN_ALIASES).map(([key, aliases]) =>
+      [key, lowered[aliases.find(alias => alias in lowered)]]));
+    return readBar(fields, i + 1);
+  });
+}
+
+// Parses OHLCV bars from CSV with a header row, or JSON: an array of bar objects or of
+// [time, open, high, low, close, volume] rows. Columns are matched by name, ignoring
+// case; volume is optional. Returns the bars sorted by time, or throws an Error
+// describing the first problem found.
+export function parseOhlcv(text) {
+  const trimmed = text.trim();
+  if (!trimmed) throw new Error("The file is empty");
+
+  let bars;
+  try {
+    bars = trimmed.startsWith("[") ? parseJson(trimmed) : parseCsv(trimmed);
+  } catch (error) {
+    if (error instanceof SyntaxError) throw new Error("The JSON couldn't be parsed");
+    throw error;
+  }
+
+  bars.sort((a, b) => a.time - b.time);
+  if (bars.length < MIN_BARS) throw new Error(`At least ${MIN_BARS} bars are needed for a replay`);
+  if (bars.length > MAX_BARS) throw new Error(`Series are limited to ${MAX_BARS.toLocaleString()} bars`);
+  const duplicate = bars.find((bar, i) => i > 0 && bar.time === bars[i - 1].time);
+  if (duplicate) throw new Error(`Two bars share the time ${new Date(duplicate.time).toLocaleString()}`);
+  return bars;
+}
+
+// Annualised volatility of the close-to-close log returns, using the median bar length
+// to count bars per trading year
+function estimateVolatility(bars) {
+  const returns = bars.slice(1).map((bar, i) => Math.log(bar.close / bars[i].close));
+  const mean = returns.reduce((sum, r) => sum + r, 0) / returns.length;
+  const variance = returns.reduce((sum, r) => sum + (r - mean) ** 2, 0) / Math.max(1, returns.length - 1);
+
+  const gaps = bars.slice(1).map((bar, i) => bar.time - bars[i].time).sort((a, b) => a - b);
+  const barLength = gaps[Math.floor(gaps.length / 2)];
+  const barsPerYear = barLength >= DAY_MS
+    ? TRADING_DAYS_PER_YEAR * DAY_MS / barLength
+    : TRADING_DAYS_PER_YEAR * 390 * 60000 / barLength;
+  return Math.sqrt(variance * barsPerYear);
+}
+
+// An imported series ({ symbol, name, sector, assetClass, bars }) as a market asset
+// whose history is its first `count` bars
+function assetFromBars(dataset, count, spread) {
+  const revealed = dataset.bars.slice(0, count);
+  const last = revealed[revealed.length - 1];
+  const previous = revealed[revealed.length - 2] ?? last;
+  const halfSpread = last.close * spread;
+
+  return {
+    symbol: dataset.symbol,
+    name: dataset.name,
+    sector: dataset.sector,
+    assetClass: dataset.assetClass,
+    volatility: estimateVolatility(dataset.bars),
+    basePrice: dataset.bars[0].close,
+    lotSize: defaultLotSize(dataset.assetClass),
+    tickSize: defaultTickSize(dataset.bars[0].close),
+    price: last.close,
+    history: revealed.map(bar => ({ price: bar.close, volume: bar.volume, timestamp: bar.time })),
+    dailyHigh: last.high,
+    dailyLow: last.low,
+    change: last.close - previous.close,
+    changePercent: ((last.close - previous.close) / previous.close) * 100,
+    volume: last.volume,
+    bid: last.close - halfSpread,
+    ask: last.close + halfSpread,
+    spread: halfSpread * 2
+  };
+}
+
+// Replay market over imported series. Each series shows its opening bars as history;
+// playback starts once every series has its warm-up, and runs over the union of the
+// later bar times.
+export function createReplayMarket(datasets, { seed, settings }) {
+  const warmupCount = (dataset) => Math.max(1, Math.min(WARMUP_BARS, Math.floor(dataset.bars.length / 5)));
+  const startTime = Math.max(...datasets.map(dataset => dataset.bars[warmupCount(dataset) - 1].time));
+  const timeline = [...new Set(datasets.flatMap(dataset =>
+    dataset.bars.filter(bar => bar.time > startTime).map(bar => bar.time)))].sort((a, b) => a - b);
+  if (timeline.length === 0) throw new Error("These series don't overlap in time");
+
+  const base = createMarketState({ seed, startTime, symbols: [], settings, calendar: false });
+  const rng = createRng(base.rngState);
+
+  const cursors = Object.fromEntries(datasets.map(dataset => [
+    dataset.symbol,
+    dataset.bars.filter(bar => bar.time <= startTime).length - 1
+  ]));
+  const assets = Object.fromEntries(datasets.map(dataset => [
+    dataset.symbol,
+    assetFromBars(dataset, cursors[dataset.symbol] + 1, settings.spread)
+  ]));
+
+  const books = quoteBooks(assets, {}, { settings, time: startTime }, rng);
+
+  return {
+    ...base,
+    assets: books.assets,
+    orderBooks: books.orderBooks,
+    fx: createFxState(books.assets),
+    replay: {
+      series: Object.fromEntries(datasets.map(dataset => [dataset.symbol, dataset.bars])),
+      timeline,
+      index: -1, // Position on the timeline; -1 until the first bar plays
+      cursors, // Last revealed bar of each series
+      startPrices: Object.fromEntries(Object.values(books.assets).map(asset => [asset.symbol, asset.price])),
+      finished: false
+    },
+    rngState: rng.state
+  };
+}
+
+// Share of the replay timeline played so far
+export const replayProgress = (replay) => (replay.index + 1) / replay.timeline.length;
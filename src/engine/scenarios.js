@@ -0,0 +1,164 @@
+// ==================== SCENARIOS ====================
+//
+// A scenario is a preset game: starting cash, an asset universe, a sentiment
+// trajectory, news scripted at set times and an objective to meet before the
+// clock runs out. Times are ms of market time since the scenario started. Scripted
+// news gives its whole log move as `impact` and plays out along its curve (see news.js).
+
+import { MARKET_SYMBOLS, createMarketState } from "./market.js";
+
+const MINUTE = 60000;
+
+const STOCK_SYMBOLS = MARKET_SYMBOLS.STOCKS.map(asset => asset.symbol);
+const CRYPTO_SYMBOLS = MARKET_SYMBOLS.CRYPTO.map(asset => asset.symbol);
+
+export const SCENARIOS = {
+  crash_2008: {
+    name: "2008-Style Crash",
+    description: "Banks wobble, then the whole market gives way. Cash and shorts are your friends.",
+    startingCash: 100000,
+    symbols: STOCK_SYMBOLS,
+    sentimentPath: [
+      { at: 0, value: 0.2 },
+      { at: 1 * MINUTE, value: -0.2 },
+      { at: 3 * MINUTE, value: -0.9 },
+      { at: 7 * MINUTE, value: -0.7 },
+      { at: 10 * MINUTE, value: -0.3 }
+    ],
+    script: [
+      { at: 0.5 * MINUTE, message: "Financial stocks slide as mortgage losses mount", sector: "Financial", severity: "major", curve: "drift", impact: -0.11 },
+      { at: 2 * MINUTE, message: "Regulators open an investigation into JPMorgan Chase's trading book", symbols: ["JPM"], severity: "critical", curve: "aftershock", impact: -0.15 },
+      { at: 3 * MINUTE, message: "Market-wide selloff as a major lender files for bankruptcy", severity: "critical", curve: "aftershock", impact: -0.15 },
+      { at: 5 * MINUTE, message: "Unemployment jumps to 7.2%, stoking recession fears", severity: "major", curve: "drift", impact: -0.06 },
+      { at: 8 * MINUTE, sector: "Technology", severity: "major", curve: "spike", impact: 0.04 }
+    ],
+    randomEvents: false,
+    objective: { type: "beat_benchmark", margin: 0.05, duration: 10 * MINUTE }
+  },
+  crypto_mania: {
+    name: "Crypto Mania",
+    description: "Institutional money floods into crypto. Ride the bubble, but get out before it pops.",
+    startingCash: 25000,
+    symbols: CRYPTO_SYMBOLS,
+    sentimentPath: [
+      { at: 0, value: 0.3 },
+      { at: 5 * MINUTE, value: 1 },
+      { at: 6 * MINUTE, value: 0.6 },
+      { at: 8 * MINUTE, value: -0.8 },
+      { at: 10 * MINUTE, value: -0.4 }
+    ],
+    script: [
+      { at: 1 * MINUTE, message: "Crypto surges as pension funds pour $40B into digital assets", sector: "Cryptocurrency", severity: "critical", curve: "drift", impact: 0.15 },
+      { at: 3 * MINUTE, message: "Bitcoin ETF approved in a landmark partnership with a top-3 bank", symbols: ["BTC"], severity: "major", curve: "spike", impact: 0.08 },
+      { at: 4 * MINUTE, symbols: ["SOL"], severity: "major", curve: "drift", impact: 0.1 },
+      { at: 7 * MINUTE, message: "Regulators open an investigation into crypto lenders", sector: "Cryptocurrency", severity: "critical", curve: "aftershock", impact: -0.15 }
+    ],
+    randomEvents: true,
+    objective: { type: "reach_return", target: 0.25, duration: 10 * MINUTE }
+  },
+  flat_chop: {
+    name: "Flat Chop",
+    description: "No trend, just noise and head fakes. Overtrading will bleed you dry.",
+    startingCash: 100000,
+    symbols: [...STOCK_SYMBOLS, ...CRYPTO_SYMBOLS],
+    sentimentPath: [
+      { at: 0, value: 0 },
+      { at: 1.5 * MINUTE, value: 0.4 },
+      { at: 3 * MINUTE, value: -0.4 },
+      { at: 4.5 * MINUTE, value: 0.4 },
+      { at: 6 * MINUTE, value: -0.4 },
+      { at: 7.5 * MINUTE, value: 0.4 },
+      { at: 9 * MINUTE, value: -0.4 },
+      { at: 10 * MINUTE, value: 0 }
+    ],
+    script: [],
+    randomEvents: true,
+    objective: { type: "beat_benchmark", margin: 0.02, duration: 10 * MINUTE }
+  },
+  bull_run: {
+    name: "Bull Run",
+    description: "Strong earnings and easy money lift everything. Can you do better than just holding?",
+    startingCash: 100000,
+    symbols: STOCK_SYMBOLS,
+    sentimentPath: [
+      { at: 0, value: 0.3 },
+      { at: 5 * MINUTE, value: 0.7 },
+      { at: 10 * MINUTE, value: 0.5 }
+    ],
+    script: [
+      { at: 2 * MINUTE, message: "Technology rallies as AI orders jump 40%", sector: "Technology", severity: "major", curve: "drift", impact: 0.11 },
+      { at: 6 * MINUTE, message: "NVIDIA Corp. beats earnings estimates by 18%", symbols: ["NVDA"], severity: "critical", curve: "spike", impact: 0.1 }
+    ],
+    randomEvents: true,
+    objective: { type: "beat_benchmark", margin: 0.03, duration: 10 * MINUTE }
+  },
+  bear_grind: {
+    name: "Bear Grind",
+    description: "A slow, relentless decline. Protect your capital until the selling stops.",
+    startingCash: 100000,
+    symbols: STOCK_SYMBOLS,
+    sentimentPath: [
+      { at: 0, value: -0.3 },
+      { at: 10 * MINUTE, value: -0.6 }
+    ],
+    script: [
+      { at: 4 * MINUTE, message: "Automotive hit by a 12% drop in orders as supply chains seize up", sector: "Automotive", severity: "major", curve: "drift", impact: -0.11 }
+    ],
+    randomEvents: true,
+    objective: { type: "preserve_capital", maxLoss: 0.02, duration: 10 * MINUTE }
+  }
+};
+
+// Fresh market for a scenario, limited to its asset universe. Scenarios run on their
+// own clock, so stocks trade throughout instead of following the exchange calendar.
+export function createScenarioMarket(id, { seed, startTime, settings }) {
+  const { symbols, sentimentPath, script, randomEvents } = SCENARIOS[id];
+  return createMarketState({
+    seed,
+    startTime,
+    settings,
+    calendar: false,
+    symbols: [...MARKET_SYMBOLS.STOCKS, ...MARKET_SYMBOLS.CRYPTO].filter(asset => symbols.includes(asset.symbol)),
+    scenario: { id, sentimentPath, script, randomEvents }
+  });
+}
+
+// Return of an equal-weight buy-and-hold of the universe since the start prices
+export function benchmarkReturn(startPrices, assets) {
+  const returns = Object.entries(startPrices)
+    .filter(([symbol]) => assets[symbol])
+    .map(([symbol, price]) => assets[symbol].price / price - 1);
+  return returns.length > 0 ? returns.reduce((sum, r) => sum + r, 0) / returns.length : 0;
+}
+
+// "won", "lost" or "active" given the player's and the benchmark's returns so far
+export function evaluateObjective(objective, { playerReturn, benchmark, elapsed }) {
+  const expired = elapsed >= objective.duration;
+  switch (objective.type) {
+    case "beat_benchmark":
+      if (!expired) return "active";
+      return playerReturn - benchmark >= objective.margin ? "won" : "lost";
+    case "reach_return":
+      if (playerReturn >= objective.target) return "won";
+      return expired ? "lost" : "active";
+    case "preserve_capital":
+      if (playerReturn <= -objective.maxLoss) return "lost";
+      return expired ? "won" : "active";
+    default:
+      return "active";
+  }
+}
+
+export function describeObjective(objective) {
+  const minutes = Math.round(objective.duration / MINUTE);
+  switch (objective.type) {
+    case "beat_benchmark":
+      return `Beat buy-and-hold by ${objective.margin * 100}% in ${minutes} minutes`;
+    case "reach_return":
+      return `Make ${objective.target * 100}% within ${minutes} minutes`;
+    case "preserve_capital":
+      return `Lose no more than ${objective.maxLoss * 100}% over ${minutes} minutes`;
+    default:
+      return objective.type;
+  }
+}
@@ -0,0 +1,101 @@
+// ==================== ASSET UNIVERSE ====================
+//
+// The assets free-play games trade and the sectors they belong to, editable by the
+// player. Definitions ({ symbol, name, sector, assetClass, volatility, basePrice, lotSize,
+// tickSize }) seed new markets; edits can also be applied to a running market.
+
+import { MARKET_SYMBOLS, SECTOR_COLORS, createMarketState } from "./market.js";
+import { withSectorFactors } from "./factors.js";
+import { createRng } from "./random.js";
+
+export const DEFAULT_UNIVERSE = {
+  assets: [...MARKET_SYMBOLS.STOCKS, ...MARKET_SYMBOLS.CRYPTO],
+  sectors: SECTOR_COLORS
+};
+
+const FALLBACK_SECTOR_COLOR = "#6B7280";
+const SYMBOL_PATTERN = /^[A-Z0-9.-]{1,10}$/;
+const VOLATILITY_RANGE = { min: 0.01, max: 3 };
+
+export const sectorColor = (sectors, sector) => sectors[sector] ?? FALLBACK_SECTOR_COLOR;
+
+// Returns an error message if a definition can't join the universe, or null.
+// `editing` is the symbol being edited, which may keep its own symbol.
+export function validateAssetDefinition(definition, universe, editing = null) {
+  if (!SYMBOL_PATTERN.test(definition.symbol)) {
+    return "Symbols are 1-10 capital letters, digits, dots or dashes!";
+  }
+  if (definition.symbol !== editing && universe.assets.some(asset => asset.symbol === definition.symbol)) {
+    return `${definition.symbol} is already in the universe!`;
+  }
+  if (!definition.name.trim()) return "Enter a name for the asset!";
+  if (!universe.sectors[definition.sector]) return "Pick one of the defined sectors!";
+  if (definition.assetClass !== "stock" && definition.assetClass !== "crypto") return "Pick an asset class!";
+  if (!(definition.volatility >= VOLATILITY_RANGE.min && definition.volatility <= VOLATILITY_RANGE.max)) {
+    return `Volatility must be between ${VOLATILITY_RANGE.min * 100}% and ${VOLATILITY_RANGE.max * 100}%!`;
+  }
+  if (!(definition.basePrice > 0)) return "Base price must be more than zero!";
+  if (!(definition.lotSize > 0)) return "Lot size must be more than zero!";
+  if (!(definition.tickSize > 0)) return "Tick size must be more than zero!";
+  return null;
+}
+
+// Returns an error message if a sector can't be added, or null
+export function validateSector(name, universe) {
+  if (!name.trim()) return "Enter a name for the sector!";
+  if (universe.sectors[name.trim()]) return `${name.trim()} already exists!`;
+  return null;
+}
+
+// ==================== RUNNING MARKETS ====================
+
+// Adds an asset to a running market with its own generated history, seeded from the
+// market's PRNG so the result stays reproducible. A new sector gets its own factor.
+export function addMarketAsset(state, definition) {
+  const rng = createRng(state.rngState);
+  const created = createMarketState({
+    seed: rng.int(0, 4294967295),
+    startTime: state.time,
+    symbols: [definition],
+    settings: state.settings,
+    calendar: state.calendar
+  });
+
+  return {
+    ...state,
+    factors: withSectorFactors(state.factors, [definition.sector]),
+    assets: { ...state.assets, ...created.assets },
+    orderBooks: { ...state.orderBooks, ...created.orderBooks },
+    rngState: rng.state
+  };
+}
+
+// Applies edited descriptive fields to a running asset. The base price only shapes
+// generated history, so a running asset keeps its current price. New lot and tick sizes
+// apply to orders placed from then on.
+export function updateMarketAsset(state, symbol, { name, sector, assetClass, volatility, basePrice, lotSize, tickSize }) {
+  return {
+    ...state,
+    factors: withSectorFactors(state.factors, [sector]),
+    assets: {
+      ...state.assets,
+      [symbol]: { ...state.assets[symbol], name, sector, assetClass, volatility, basePrice, lotSize, tickSize }
+    }
+  };
+}
+
+export function removeMarketAsset(state, symbol) {
+  const assets = { ...state.assets };
+  const orderBooks = { ...state.orderBooks };
+  const tape = { ...state.tape };
+  delete assets[symbol];
+  delete orderBooks[symbol];
+  delete tape[symbol];
+  return {
+    ...state,
+    assets,
+    orderBooks,
+    tape,
+    events: state.events.map(event => ({ ...event, symbols: event.symbols.filter(s => s !== symbol) }))
+  };
+}
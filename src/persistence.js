@@ -0,0 +1,575 @@
+// ==================== GAME STATE PERSISTENCE ====================
+//
+// Saves live in localStorage as one key per slot plus a small index, so the
+// save list can be shown without parsing every snapshot. Each snapshot carries
+// a schema version; older snapshots are run through MIGRATIONS on load.
+
+import { BALANCE_CURRENCIES, BASE_CURRENCY, createFxState } from "./engine/fx.js";
+import { hashSeed } from "./engine/random.js";
+
+export const SAVE_SCHEMA_VERSION = 19;
+export const AUTOSAVE_SLOT = "autosave";
+export const AUTOSAVE_INTERVAL = 10000; // ms
+
+const STORAGE_PREFIX = "quantum-trader:save:";
+const INDEX_KEY = "quantum-trader:saves";
+
+// History compaction: the most recent points are kept verbatim, older ones are thinned out
+const RECENT_HISTORY_POINTS = 1000;
+const HISTORY_DOWNSAMPLE_STEP = 10;
+
+// Upgrades keyed by the version they migrate *from*. Each receives a parsed
+// snapshot at that version and must return one at the next version.
+const MIGRATIONS = {
+  // v2 moved prices, news and order books into the seeded engine state
+  1: ({ marketData, marketStatus, ...save }) => ({
+    ...save,
+    version: 2,
+    market: {
+      seed: hashSeed(save.savedAt),
+      startTime: save.savedAt,
+      time: save.savedAt,
+      tick: 0,
+      sentiment: marketStatus.sentiment,
+      events: marketStatus.events.map(event => ({
+        ...event,
+        expiresAt: event.timestamp + event.duration * 1000
+      })),
+      nextEventCheck: save.savedAt,
+      nextOrderBookUpdate: save.savedAt,
+      isMarketOpen: marketStatus.isMarketOpen,
+      marketHours: marketStatus.marketHours,
+      assets: marketData,
+      orderBooks: {},
+      rngState: hashSeed(save.savedAt)
+    }
+  }),
+
+  // v3 added margin accounts: signed positions, account settings, borrow fees and margin calls
+  2: (save) => ({
+    ...save,
+    version: 3,
+    portfolio: {
+      ...save.portfolio,
+      borrowFees: 0,
+      account: { type: "cash", initialMargin: 0.5, maintenanceMargin: 0.25, borrowRate: 0.05 },
+      marginCalls: []
+    }
+  }),
+
+  // v4 added commissions and slippage: fee schedules per asset class and running cost totals
+  3: (save) => ({
+    ...save,
+    version: 4,
+    market: {
+      ...save.market,
+      assets: Object.fromEntries(Object.entries(save.market.assets).map(([symbol, asset]) => [
+        symbol,
+        { ...asset, assetClass: asset.sector === "Cryptocurrency" ? "crypto" : "stock" }
+      ]))
+    },
+    portfolio: {
+      ...save.portfolio,
+      account: {
+        ...save.portfolio.account,
+        fees: {
+          stock: { type: "per_share", perShare: 0.005, minimum: 1, percentage: 0.001, flat: 4.95, maker: 0.0005, taker: 0.001 },
+          crypto: { type: "maker_taker", perShare: 0.005, minimum: 1, percentage: 0.002, flat: 4.95, maker: 0.001, taker: 0.002 }
+        }
+      },
+      costs: { commissions: 0, slippage: 0, notional: 0 }
+    },
+    tradeHistory: save.tradeHistory.map(trade => ({ commission: 0, slippage: 0, ...trade }))
+  }),
+
+  // v5 added scenario mode: the engine's scripted scenario and the objective being played
+  4: (save) => ({
+    ...save,
+    version: 5,
+    market: { ...save.market, scenario: null },
+    scenario: null
+  }),
+
+  // v6 added difficulty: tunable market settings on the engine state and a session
+  // record of the difficulty the game is played at
+  5: (save) => ({
+    ...save,
+    version: 6,
+    market: { ...save.market, settings: { volatilityDamping: 0.7, eventProbability: 0.2, spread: 0.0003 } },
+    session: {
+      startedAt: save.market.startTime,
+      difficulty: {
+        preset: "normal",
+        volatilityDamping: 0.7,
+        eventProbability: 0.2,
+        spread: 0.0003,
+        tickInterval: 500,
+        startingCash: 100000
+      },
+      changedMidGame: false
+    }
+  }),
+
+  // v7 replaced the running performance metrics with FIFO lots, round-trip statistics
+  // and equity-curve accumulators. Open positions become lots at their average cost;
+  // statistics start over from the save.
+  6: (save) => {
+    const time = save.market.time;
+    const equity = save.portfolio.totalValue;
+    const migrated = {
+      ...save,
+      version: 7,
+      performance: {
+        lots: Object.fromEntries(Object.entries(save.portfolio.positions).map(([symbol, position]) => [
+          symbol,
+          [{ quantity: position.quantity, price: position.averageCost, time, feePerUnit: 0 }]
+        ])),
+        trades: { count: 0, wins: 0, losses: 0, grossProfit: 0, grossLoss: 0, best: 0, worst: 0, holdingTime: 0 },
+        recentRoundTrips: [],
+        equity: {
+          startTime: time,
+          startValue: equity,
+          lastTime: time,
+          lastValue: equity,
+          lastSampleTime: time,
+          lastSampleValue: equity,
+          samples: 0,
+          sumReturns: 0,
+          sumSquares: 0,
+          sumDownsideSquares: 0,
+          peak: equity,
+          peakTime: time,
+          maxDrawdown: 0,
+          maxDrawdownDuration: 0,
+          exposedTime: 0
+        }
+      }
+    };
+    delete migrated.performanceMetrics;
+    return migrated;
+  },
+
+  // v8 put stocks on a trading calendar, replacing the unused market-hours fields.
+  // Scenario markets keep trading around the clock; the session is recomputed on the
+  // next step.
+  7: (save) => {
+    const market = { ...save.market, calendar: !save.market.scenario, session: "regular" };
+    delete market.isMarketOpen;
+    delete market.marketHours;
+    return { ...save, version: 8, market };
+  },
+
+  // v9 added the simulation clock's speed and pause state
+  8: (save) => ({
+    ...save,
+    version: 9,
+    clock: { speed: "1x", paused: false }
+  }),
+
+  // v10 added historical replay markets
+  9: (save) => ({
+    ...save,
+    version: 10,
+    market: { ...save.market, replay: null }
+  }),
+
+  // v11 added the factor model: one factor per sector besides the market, uncorrelated
+  // to start with, and a market beta for every asset
+  10: (save) => {
+    const sectors = [...new Set(Object.values(save.market.assets).map(asset => asset.sector))].sort();
+    const factors = ["Market", ...sectors];
+    return {
+      ...save,
+      version: 11,
+      market: {
+        ...save.market,
+        factors: {
+          factors,
+          volatilities: factors.map(factor => factor === "Market" ? 0.12 : factor === "Cryptocurrency" ? 0.4 : 0.1),
+          correlation: factors.map((_, i) => factors.map((_, j) => i === j ? 1 : 0))
+        },
+        assets: Object.fromEntries(Object.entries(save.market.assets).map(([symbol, asset]) => [
+          symbol,
+          { ...asset, beta: asset.assetClass === "crypto" ? 0.5 : 1, sectorBeta: 1 }
+        ]))
+      }
+    };
+  },
+
+  // v12 gave each asset a stochastic price model and the market a volatility regime
+  11: (save) => ({
+    ...save,
+    version: 12,
+    market: {
+      ...save.market,
+      regime: { current: "calm", since: save.market.time },
+      assets: Object.fromEntries(Object.entries(save.market.assets).map(([symbol, asset]) => [
+        symbol,
+        asset.assetClass === "crypto"
+          ? { ...asset, model: "merton", modelState: null }
+          : { ...asset, model: "garch", modelState: { variance: 1 } }
+      ]))
+    }
+  }),
+
+  // v13 replaced events with news items that play out along an impact curve, and added
+  // the news archive. Active events are dropped; scripted ones become slow-drift news
+  // with the same total move the old per-tick impact gave at normal speed.
+  12: (save) => {
+    const { scenario } = save.market;
+    return {
+      ...save,
+      version: 13,
+      market: {
+        ...save.market,
+        events: [],
+        newsArchive: [],
+        scenario: scenario && {
+          ...scenario,
+          script: scenario.script.map(({ at, message, sector, symbols, impact, duration }) => ({
+            at,
+            message,
+            sector,
+            symbols,
+            severity: "major",
+            curve: "drift",
+            impact: impact * 0.7 * duration,
+            duration: duration * 1000
+          }))
+        }
+      }
+    };
+  },
+
+  // v14 gave assets lot and tick sizes, and orders a time in force and bracket fields.
+  // Saved orders become good till cancelled.
+  13: (save) => {
+    const cryptoLots = { BTC: 0.00001, ETH: 0.0001, SOL: 0.001, BNB: 0.001, ADA: 1, XRP: 1 };
+    return {
+      ...save,
+      version: 14,
+      market: {
+        ...save.market,
+        assets: Object.fromEntries(Object.entries(save.market.assets).map(([symbol, asset]) => [
+          symbol,
+          {
+            ...asset,
+            lotSize: asset.assetClass === "crypto" ? cryptoLots[symbol] ?? 0.0001 : 1,
+            tickSize: asset.basePrice < 1 ? 0.0001 : 0.01
+          }
+        ]))
+      },
+      openOrders: save.openOrders?.map(order => ({
+        ...order,
+        timeInForce: order.type === "market" ? null : "gtc",
+        expiresAt: null,
+        bracket: null,
+        ocoGroup: null
+      }))
+    };
+  },
+
+  // v15 added position protection and account risk limits, all off
+  14: (save) => ({
+    ...save,
+    version: 15,
+    portfolio: {
+      ...save.portfolio,
+      account: {
+        ...save.portfolio.account,
+        risk: { maxPositionValue: null, maxAssetWeight: null, dailyLossLimit: null }
+      },
+      riskDay: null
+    }
+  }),
+
+  // v16 replaced generated order books with limit order books traded by simulated
+  // participants around each asset's fair value. Fair value starts at the price and the
+  // books fill up on the next step; resting orders are synced into them on load.
+  15: (save) => {
+    const market = {
+      ...save.market,
+      assets: Object.fromEntries(Object.entries(save.market.assets).map(([symbol, asset]) => [
+        symbol,
+        { ...asset, fairValue: asset.price }
+      ])),
+      orderBooks: {},
+      userOrders: {},
+      userFills: [],
+      nextFillId: 1
+    };
+    delete market.nextOrderBookUpdate;
+    return { ...save, version: 16, market };
+  },
+
+  // v17 added a time-and-sales tape of each symbol's recent trades
+  16: (save) => ({ ...save, version: 17, market: { ...save.market, tape: {} } }),
+
+  // v18 added strategy bots, with each bot's P/L attributed from its own fills
+  17: (save) => ({ ...save, version: 18, botLedgers: {} }),
+
+  // v19 added currency balances beside USD cash, FX rates in the market and a reporting
+  // currency. Rates start at their opening levels; balances start empty.
+  18: (save) => ({
+    ...save,
+    version: 19,
+    market: { ...save.market, fx: createFxState(save.market.assets) },
+    portfolio: {
+      ...save.portfolio,
+      balances: Object.fromEntries(BALANCE_CURRENCIES.map(code => [code, 0])),
+      rates: {},
+      conversions: [],
+      account: { ...save.portfolio.account, reportingCurrency: BASE_CURRENCY }
+    }
+  })
+};
+
+export function migrateSave(save) {
+  let current = save;
+  while (current.version < SAVE_SCHEMA_VERSION) {
+    const migrate = MIGRATIONS[current.version];
+    if (!migrate) throw new Error(`Save version ${current.version} can't be upgraded`);
+    current = migrate(current);
+  }
+  if (current.version > SAVE_SCHEMA_VERSION) {
+    throw new Error(`Save version ${current.version} is newer than this game`);
+  }
+  return current;
+}
+
+const roundPrice = (n) => Number(n.toPrecision(7));
+
+// Stores history columnar with delta-encoded timestamps to keep saves under the storage quota
+function compactHistory(history) {
+  const cutoff = Math.max(0, history.length - RECENT_HISTORY_POINTS);
+  const points = history.filter((_, i) => i >= cutoff || i % HISTORY_DOWNSAMPLE_STEP === 0);
+
+  let lastTimestamp = 0;
+  return points.reduce((acc, point) => {
+    acc.t.push(point.timestamp - lastTimestamp);
+    acc.p.push(roundPrice(point.price));
+    acc.v.push(point.volume);
+    lastTimestamp = point.timestamp;
+    return acc;
+  }, { t: [], p: [], v: [] });
+}
+
+function expandHistory({ t, p, v }) {
+  let timestamp = 0;
+  return t.map((delta, i) => {
+    timestamp += delta;
+    return { price: p[i], volume: v[i], timestamp };
+  });
+}
+
+const mapAssetHistory = (assets, transform) => Object.fromEntries(
+  Object.entries(assets).map(([symbol, asset]) => [
+    symbol,
+    { ...asset, history: transform(asset.history) }
+  ])
+);
+
+export function serializeGameState(state) {
+  return {
+    version: SAVE_SCHEMA_VERSION,
+    savedAt: Date.now(),
+    market: {
+      ...state.market,
+      assets: mapAssetHistory(state.market.assets, compactHistory)
+    },
+    portfolio: state.portfolio,
+    performance: state.performance,
+    tradeHistory: state.tradeHistory,
+    openOrders: state.openOrders,
+    botLedgers: state.botLedgers,
+    selectedSymbol: state.selectedSymbol,
+    scenario: state.scenario,
+    session: state.session,
+    clock: state.clock
+  };
+}
+
+export function deserializeGameState(save) {
+  const migrated = migrateSave(save);
+  return {
+    ...migrated,
+    market: { ...migrated.market, assets: mapAssetHistory(migrated.market.assets, expandHistory) }
+  };
+}
+
+function readIndex() {
+  try {
+    return JSON.parse(localStorage.getItem(INDEX_KEY)) || [];
+  } catch {
+    return [];
+  }
+}
+
+// Lists save slots, newest first
+export function listSaves() {
+  return [...readIndex()].sort((a, b) => b.savedAt - a.savedAt);
+}
+
+export function writeSave(slot, name, state) {
+  const snapshot = serializeGameState(state);
+
+  try {
+    localStorage.setItem(STORAGE_PREFIX + slot, JSON.stringify(snapshot));
+  } catch {
+    throw new Error("Not enough browser storage for this save. Delete an old slot and try again.");
+  }
+
+  const entry = {
+    slot,
+    name,
+    savedAt: snapshot.savedAt,
+    version: snapshot.version,
+    totalValue: state.portfolio.totalValue,
+    scenario: state.scenario?.name ?? null,
+    difficulty: state.session.difficulty.preset
+  };
+  localStorage.setItem(INDEX_KEY, JSON.stringify([
+    ...readIndex().filter(existing => existing.slot !== slot),
+    entry
+  ]));
+  return entry;
+}
+
+// Returns the restored game state, or null when the slot is empty. Throws when the save
+// can't be read.
+export function readSave(slot) {
+  const raw = localStorage.getItem(STORAGE_PREFIX + slot);
+  if (!raw) return null;
+
+  try {
+    return deserializeGameState(JSON.parse(raw));
+  } catch {
+    throw new Error("This save is damaged and couldn't be loaded.");
+  }
+}
+
+export function deleteSave(slot) {
+  localStorage.removeItem(STORAGE_PREFIX + slot);
+  localStorage.setItem(INDEX_KEY, JSON.stringify(
+    readIndex().filter(entry => entry.slot !== slot)
+  ));
+}
+
+// ==================== PREFERENCES ====================
+//
+// User preferences and imported data that outlive any single game, stored outside the
+// save slots.
+
+const INDICATOR_PRESETS_KEY = "quantum-trader:indicator-presets";
+
+// Indicator presets by symbol: { [symbol]: [{ name, indicators }] }
+export function loadIndicatorPresets() {
+  try {
+    return JSON.parse(localStorage.getItem(INDICATOR_PRESETS_KEY)) || {};
+  } catch {
+    return {};
+  }
+}
+
+export function storeIndicatorPresets(presets) {
+  try {
+    localStorage.setItem(INDICATOR_PRESETS_KEY, JSON.stringify(presets));
+  } catch {
+    throw new Error("Not enough browser storage to keep your indicator presets. Delete an old save slot and try again.");
+  }
+}
+
+const IMPORTED_SERIES_KEY = "quantum-trader:imported-series";
+
+// Imported OHLCV series for replays: [{ symbol, name, sector, assetClass, bars, importedAt }]
+export function loadImportedSeries() {
+  try {
+    return JSON.parse(localStorage.getItem(IMPORTED_SERIES_KEY)) || [];
+  } catch {
+    return [];
+  }
+}
+
+export function storeImportedSeries(series) {
+  try {
+    localStorage.setItem(IMPORTED_SERIES_KEY, JSON.stringify(series));
+  } catch {
+    throw new Error("Not enough browser storage for this series. Delete an imported series and try again.");
+  }
+}
+
+const UNIVERSE_KEY = "quantum-trader:universe";
+
+// The edited asset universe ({ assets, sectors }), or null to use the built-in one
+export function loadUniverse() {
+  try {
+    return JSON.parse(localStorage.getItem(UNIVERSE_KEY));
+  } catch {
+    return null;
+  }
+}
+
+export function storeUniverse(universe) {
+  try {
+    localStorage.setItem(UNIVERSE_KEY, JSON.stringify(universe));
+  } catch {
+    throw new Error("Not enough browser storage to keep the universe. Delete an old save slot and try again.");
+  }
+}
+
+const WATCHLISTS_KEY = "quantum-trader:watchlists";
+
+// Named watchlists: [{ id, name, symbols }]
+export function loadWatchlists() {
+  try {
+    return JSON.parse(localStorage.getItem(WATCHLISTS_KEY)) || [];
+  } catch {
+    return [];
+  }
+}
+
+export function storeWatchlists(watchlists) {
+  try {
+    localStorage.setItem(WATCHLISTS_KEY, JSON.stringify(watchlists));
+  } catch {
+    throw new Error("Not enough browser storage to keep your watchlists. Delete an old save slot and try again.");
+  }
+}
+
+const ALERTS_KEY = "quantum-trader:alerts";
+
+// Alert rules and the notification history: { alerts, notifications, browserNotifications }
+export function loadAlerts() {
+  try {
+    return JSON.parse(localStorage.getItem(ALERTS_KEY)) || { alerts: [], notifications: [], browserNotifications: false };
+  } catch {
+    return { alerts: [], notifications: [], browserNotifications: false };
+  }
+}
+
+export function storeAlerts(alerts) {
+  try {
+    localStorage.setItem(ALERTS_KEY, JSON.stringify(alerts));
+  } catch {
+    throw new Error("Not enough browser storage to keep your alerts. Delete an old save slot to free some.");
+  }
+}
+
+const BOTS_KEY = "quantum-trader:bots";
+
+// Strategy bots: [{ id, name, code }]
+export function loadBots() {
+  try {
+    return JSON.parse(localStorage.getItem(BOTS_KEY)) || [];
+  } catch {
+    return [];
+  }
+}
+
+export function storeBots(bots) {
+  try {
+    localStorage.setItem(BOTS_KEY, JSON.stringify(bots));
+  } catch {
+    throw new Error("Not enough browser storage to keep your bots. Delete an old save slot and try again.");
+  }
+}
@@ -0,0 +1,263 @@
+// ==================== ACCOUNT & MARGIN ====================
+//
+// Positions carry a signed quantity: positive is long, negative is short.
+// Short sales credit their proceeds to cash, so equity is always
+// cash + Σ quantity × price and P/L comes out right on both sides.
+// Cash is in USD; balances in other currencies (see fx.js) are valued at the rates of
+// the last valuation.
+
+import { BALANCE_CURRENCIES, BASE_CURRENCY } from "../engine/fx.js";
+import { calculateReservations, concurrentOrders, roundQuantity } from "./orders.js";
+import { DEFAULT_FEE_SCHEDULES, priceFill } from "./execution.js";
+import { DEFAULT_RISK_LIMITS } from "./risk.js";
+
+export const STARTING_CASH = 100000;
+
+export const ACCOUNT_TYPES = {
+  cash: "Cash",
+  margin: "Margin"
+};
+
+export const DEFAULT_ACCOUNT = {
+  type: "cash",
+  initialMargin: 0.5, // Share of a new position's value that must be covered by equity
+  maintenanceMargin: 0.25, // Equity floor as a share of gross exposure before liquidation
+  borrowRate: 0.05, // Annual fee on the value of short positions
+  fees: DEFAULT_FEE_SCHEDULES,
+  risk: DEFAULT_RISK_LIMITS,
+  reportingCurrency: BASE_CURRENCY // Currency value and P/L are reported in
+};
+
+// Same year the price model uses: 252 trading days of 390 minutes
+const MS_PER_TRADING_YEAR = 252 * 390 * 60000;
+
+export const createInitialPortfolio = (time = Date.now(), startingCash = STARTING_CASH) => ({
+  cash: startingCash,
+  balances: Object.fromEntries(BALANCE_CURRENCIES.map(code => [code, 0])), // Currency → amount held
+  rates: {}, // USD rates the balances were last valued at
+  conversions: [], // Latest currency conversions, newest first
+  positions: {},
+  equityHistory: Array(390).fill(0).map((_, i) => ({
+    value: startingCash,
+    timestamp: time - (390 - i) * 60000
+  })),
+  totalValue: startingCash,
+  realizedPnL: 0,
+  borrowFees: 0,
+  costs: { commissions: 0, slippage: 0, notional: 0 }, // Running execution cost totals
+  account: { ...DEFAULT_ACCOUNT },
+  marginCalls: [],
+  riskDay: null // Start and opening equity of the current day, for the daily loss limit (see risk.js)
+});
+
+export const isMarginAccount = (portfolio) => portfolio.account?.type === "margin";
+
+// Long, short and gross market value of all positions
+export function calculateExposure(positions, assets) {
+  return Object.entries(positions).reduce((acc, [symbol, position]) => {
+    const value = (assets[symbol]?.price || 0) * position.quantity;
+    if (value >= 0) acc.long += value;
+    else acc.short += -value;
+    acc.gross += Math.abs(value);
+    return acc;
+  }, { long: 0, short: 0, gross: 0 });
+}
+
+// USD value of the currency balances
+export const balancesValue = (portfolio) => Object.entries(portfolio.balances).reduce(
+  (total, [code, amount]) => total + amount * (portfolio.rates[code] ?? 0),
+  0
+);
+
+export function calculateEquity(portfolio, assets) {
+  return Object.entries(portfolio.positions).reduce(
+    (total, [symbol, position]) => total + (assets[symbol]?.price || 0) * position.quantity,
+    portfolio.cash + balancesValue(portfolio)
+  );
+}
+
+// Margin state of the account: equity against the initial and maintenance requirements
+export function marginStatus(portfolio, assets) {
+  const equity = calculateEquity(portfolio, assets);
+  const { gross } = calculateExposure(portfolio.positions, assets);
+  const { initialMargin, maintenanceMargin } = portfolio.account;
+  const maintenanceRequirement = gross * maintenanceMargin;
+
+  return {
+    equity,
+    gross,
+    initialRequirement: gross * initialMargin,
+    maintenanceRequirement,
+    isBelowMaintenance: gross > 0 && equity < maintenanceRequirement
+  };
+}
+
+// Cash available to spend (cash account) or value of new positions the
+// equity can still support (margin account), before resting orders
+export function calculateBuyingPower(portfolio, assets) {
+  if (!isMarginAccount(portfolio)) return portfolio.cash;
+  const { equity, initialRequirement } = marginStatus(portfolio, assets);
+  return Math.max(0, (equity - initialRequirement) / portfolio.account.initialMargin);
+}
+
+// Gross value of positions as if every listed order that can fill alongside the others
+// had filled at current prices
+function projectedGross(positions, orders, assets) {
+  const quantities = Object.fromEntries(
+    Object.entries(positions).map(([symbol, position]) => [symbol, position.quantity])
+  );
+  concurrentOrders(orders).forEach(order => {
+    const signed = order.side === "buy" ? order.quantity : -order.quantity;
+    quantities[order.symbol] = (quantities[order.symbol] || 0) + signed;
+  });
+  return Object.entries(quantities).reduce(
+    (total, [symbol, quantity]) => total + Math.abs(quantity * (assets[symbol]?.price || 0)),
+    0
+  );
+}
+
+// Checks whether a new order ({ symbol, side, quantity }) can be afforded alongside the
+// orders already resting. `price` is what a buy is expected to cost per unit.
+// Returns an error message, or null when the order is allowed.
+export function checkOrderFunds(portfolio, assets, openOrders, order, price) {
+  if (!isMarginAccount(portfolio)) {
+    const reservations = calculateReservations(openOrders);
+    if (order.side === "buy" && order.quantity * price > portfolio.cash - reservations.cash) {
+      return "Insufficient funds!";
+    }
+    const held = portfolio.positions[order.symbol]?.quantity || 0;
+    if (order.side === "sell" && roundQuantity(held - (reservations.shares[order.symbol] || 0)) < order.quantity) {
+      return "Not enough shares to sell!";
+    }
+    return null;
+  }
+
+  // Orders that shrink projected exposure are always allowed; anything that grows it
+  // must stay within the initial margin the equity supports
+  const before = projectedGross(portfolio.positions, openOrders, assets);
+  const after = projectedGross(portfolio.positions, [...openOrders, order], assets);
+  if (after <= before) return null;
+
+  const equity = calculateEquity(portfolio, assets);
+  if (after * portfolio.account.initialMargin > equity) return "Insufficient buying power!";
+  return null;
+}
+
+// Applies a single fill to the portfolio. Returns the new portfolio and the realized profit
+// (null when the fill only opened or added to a position), or an error message when a
+// cash account can't cover it. Realized profit is gross of commission, which is
+// charged to cash and tracked in the cost totals.
+export function applyTrade(portfolio, { symbol, action, quantity, price, commission = 0, slippage = 0 }) {
+  const position = portfolio.positions[symbol] || { quantity: 0, averageCost: 0, totalInvested: 0 };
+
+  if (!isMarginAccount(portfolio)) {
+    if (action === "buy" && price * quantity + commission > portfolio.cash) return { error: "Insufficient funds!" };
+    if (action === "sell" && position.quantity < quantity) return { error: "Not enough shares to sell!" };
+  }
+
+  const signed = action === "buy" ? quantity : -quantity;
+  const direction = Math.sign(position.quantity);
+  const closing = position.quantity * signed < 0 ? Math.min(quantity, Math.abs(position.quantity)) : 0;
+  const profit = closing > 0 ? (price - position.averageCost) * closing * direction : null;
+  const newQuantity = roundQuantity(position.quantity + signed);
+
+  const newPositions = { ...portfolio.positions };
+  if (newQuantity === 0) {
+    delete newPositions[symbol];
+  } else {
+    let averageCost;
+    if (closing === 0) {
+      // Opening or adding: blend the entry price
+      averageCost = (Math.abs(position.quantity) * position.averageCost + quantity * price) / Math.abs(newQuantity);
+    } else if (Math.sign(newQuantity) === direction) {
+      // Partly closed: remaining units keep their entry price
+      averageCost = position.averageCost;
+    } else {
+      // Flipped sides: the remainder was opened at this price, and protection set for the
+      // other side no longer applies
+      averageCost = price;
+    }
+    newPositions[symbol] = {
+      ...position,
+      quantity: newQuantity,
+      averageCost,
+      totalInvested: Math.abs(newQuantity) * averageCost,
+      protection: Math.sign(newQuantity) === direction ? position.protection ?? null : null
+    };
+  }
+
+  return {
+    profit,
+    portfolio: {
+      ...portfolio,
+      cash: portfolio.cash - signed * price - commission,
+      positions: newPositions,
+      realizedPnL: portfolio.realizedPnL + (profit || 0),
+      costs: {
+        commissions: portfolio.costs.commissions + commission,
+        slippage: portfolio.costs.slippage + slippage,
+        notional: portfolio.costs.notional + quantity * price
+      }
+    }
+  };
+}
+
+// Marks the portfolio to market at the assets' prices and the FX `rates`, charges borrow
+// fees on shorts for the time since the last valuation and records a point on the equity curve
+export function revaluePortfolio(portfolio, assets, timestamp, rates = portfolio.rates) {
+  const lastValuation = portfolio.equityHistory[portfolio.equityHistory.length - 1]?.timestamp ?? timestamp;
+  const elapsedYears = Math.max(0, timestamp - lastValuation) / MS_PER_TRADING_YEAR;
+  const { short } = calculateExposure(portfolio.positions, assets);
+  const borrowFee = short * portfolio.account.borrowRate * elapsedYears;
+
+  const cash = portfolio.cash - borrowFee;
+  const totalValue = calculateEquity({ ...portfolio, cash, rates }, assets);
+
+  return {
+    ...portfolio,
+    cash,
+    rates,
+    borrowFees: portfolio.borrowFees + borrowFee,
+    totalValue,
+    equityHistory: [
+      ...portfolio.equityHistory.slice(1),
+      { value: totalValue, timestamp }
+    ]
+  };
+}
+
+// Forced liquidation plan for an account below maintenance: closes positions at
+// market, largest exposure first, until equity covers the maintenance requirement
+// again. Closes take liquidity from the book like any market order; positions whose
+// market is closed (`isTradable(asset)` false) wait for it to open. Returns the
+// closing trades in order.
+export function planLiquidation(portfolio, assets, orderBooks, isTradable = () => true) {
+  const trades = [];
+  let current = portfolio;
+
+  const bySize = Object.entries(portfolio.positions)
+    .filter(([symbol]) => assets[symbol] && isTradable(assets[symbol]))
+    .sort(([symbolA, a], [symbolB, b]) =>
+      Math.abs(b.quantity * assets[symbolB].price) - Math.abs(a.quantity * assets[symbolA].price));
+
+  for (const [symbol, position] of bySize) {
+    if (!marginStatus(current, assets).isBelowMaintenance) break;
+
+    const action = position.quantity > 0 ? "sell" : "buy";
+    const quantity = Math.abs(position.quantity);
+    const fill = priceFill({
+      asset: assets[symbol],
+      orderBook: orderBooks[symbol],
+      side: action,
+      quantity,
+      liquidity: "taker",
+      fees: current.account.fees
+    });
+    const trade = { symbol, action, quantity, ...fill };
+    const result = applyTrade(current, trade);
+    current = result.portfolio;
+    trades.push({ ...trade, profit: result.profit });
+  }
+
+  return trades;
+}
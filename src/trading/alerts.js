@@ -0,0 +1,213 @@
+// ==================== PRICE ALERTS ====================
+//
+// Alert rules the player sets on prices, moves, volume, indicators and news. Each type
+// is a registry entry: its parameters (shown as form fields), a description and a
+// condition on the asset. Alerts fire when their condition turns true, so a level
+// that's already been crossed doesn't fire again until it's been crossed back.
+
+import { CANDLE_TIMEFRAMES, aggregateCandles } from "../analysis/candles.js";
+import { INDICATORS } from "../analysis/indicators.js";
+import { NEWS_SEVERITIES } from "../engine/news.js";
+
+const VOLUME_LOOKBACK = 20; // Points the latest volume is compared against
+const INDICATOR_BARS = 200; // Candles an indicator alert is computed over
+
+const DIRECTIONS = [["above", "Above"], ["below", "Below"]];
+
+const fmtPrice = (price) =>
+  `$${price.toLocaleString(undefined, { minimumFractionDigits: 2, maximumFractionDigits: price < 10 ? 4 : 2 })}`;
+
+// Price at the first history point at or after `time`
+function priceSince(asset, time) {
+  const { history } = asset;
+  let low = 0;
+  let high = history.length - 1;
+  while (low < high) {
+    const middle = (low + high) >> 1;
+    if (history[middle].timestamp < time) low = middle + 1;
+    else high = middle;
+  }
+  return history[low]?.price ?? asset.price;
+}
+
+// Latest volume as a multiple of the average over the points before it
+function volumeMultiple(asset) {
+  const recent = asset.history.slice(-VOLUME_LOOKBACK - 1);
+  if (recent.length <= VOLUME_LOOKBACK) return null;
+  const average = recent.slice(0, -1).reduce((sum, point) => sum + point.volume, 0) / VOLUME_LOOKBACK;
+  return average > 0 ? recent[recent.length - 1].volume / average : null;
+}
+
+// Latest value of an indicator output at its default parameters, on candles of `timeframe`
+function indicatorValue(asset, { indicator, output, timeframe }) {
+  const interval = CANDLE_TIMEFRAMES[timeframe];
+  const since = asset.history[asset.history.length - 1].timestamp - interval * INDICATOR_BARS;
+  const bars = aggregateCandles(asset.history.filter(point => point.timestamp >= since), interval);
+  const params = Object.fromEntries(INDICATORS[indicator].params.map(param => [param.key, param.value]));
+  const values = INDICATORS[indicator].compute(bars, params)[output];
+  return values[values.length - 1] ?? null;
+}
+
+const outputLabel = ({ indicator, output }) =>
+  `${INDICATORS[indicator].label}${INDICATORS[indicator].outputs.length > 1
+    ? ` ${INDICATORS[indicator].outputs.find(o => o.key === output).label}`
+    : ""}`;
+const isOscillator = ({ indicator }) => INDICATORS[indicator].pane === "oscillator";
+
+// Parameters: `value` gives the default (from the selected asset and the other
+// parameters), `options` the choices of a select and `when` whether the field applies.
+// Number fields have a `min`.
+export const ALERT_TYPES = {
+  price: {
+    label: "Price crosses",
+    params: [
+      { key: "direction", label: "Direction", options: () => DIRECTIONS, value: () => "above" },
+      { key: "level", label: "Price", min: 0, step: 0.01, value: (asset) => +asset.price.toPrecision(4) }
+    ],
+    condition: (asset, { direction, level }) => direction === "above" ? asset.price >= level : asset.price <= level,
+    describe: ({ symbol, params }) => `${symbol} ${params.direction} ${fmtPrice(params.level)}`,
+    message: (asset, { direction, level }) => `${asset.symbol} crossed ${direction} ${fmtPrice(level)}, now ${fmtPrice(asset.price)}`
+  },
+  move: {
+    label: "% move",
+    params: [
+      { key: "percent", label: "Move %", min: 0.1, step: 0.1, value: () => 2 },
+      { key: "minutes", label: "Within (min)", min: 1, step: 1, value: () => 5 }
+    ],
+    condition: (asset, { percent, minutes }, time) =>
+      Math.abs(asset.price / priceSince(asset, time - minutes * 60000) - 1) >= percent / 100,
+    describe: ({ symbol, params }) => `${symbol} moves ${params.percent}% within ${params.minutes} min`,
+    message: (asset, { minutes }, time) => {
+      const change = (asset.price / priceSince(asset, time - minutes * 60000) - 1) * 100;
+      return `${asset.symbol} ${change >= 0 ? "up" : "down"} ${Math.abs(change).toFixed(2)}% in ${minutes} min, now ${fmtPrice(asset.price)}`;
+    }
+  },
+  volume: {
+    label: "Volume spike",
+    params: [{ key: "multiple", label: "× average", min: 1.5, step: 0.5, value: () => 3 }],
+    condition: (asset, { multiple }) => volumeMultiple(asset) >= multiple,
+    describe: ({ symbol, params }) => `${symbol} volume ${params.multiple}× its recent average`,
+    message: (asset) => `${asset.symbol} volume at ${volumeMultiple(asset).toFixed(1)}× its recent average`
+  },
+  indicator: {
+    label: "Indicator",
+    params: [
+      {
+        key: "indicator",
+        label: "Indicator",
+        options: () => Object.entries(INDICATORS).map(([key, indicator]) => [key, indicator.label]),
+        value: () => "rsi"
+      },
+      {
+        key: "output",
+        label: "Line",
+        options: ({ indicator }) => INDICATORS[indicator].outputs.map(output => [output.key, output.label]),
+        value: (asset, { indicator }) => INDICATORS[indicator].outputs[0].key
+      },
+      {
+        key: "timeframe",
+        label: "Candles",
+        options: () => Object.keys(CANDLE_TIMEFRAMES).map(timeframe => [timeframe, timeframe]),
+        value: () => "5m"
+      },
+      { key: "direction", label: "Direction", options: () => DIRECTIONS, value: () => "above" },
+      {
+        key: "level",
+        label: "Level",
+        step: 1,
+        when: isOscillator,
+        value: (asset, { indicator }) => INDICATORS[indicator].levels?.[INDICATORS[indicator].levels.length - 1] ?? 0
+      }
+    ],
+    // Price-pane indicators compare the price to the line; oscillators compare the line to a level
+    condition: (asset, params) => {
+      const value = indicatorValue(asset, params);
+      if (value === null) return false;
+      const [subject, threshold] = isOscillator(params) ? [value, params.level] : [asset.price, value];
+      return params.direction === "above" ? subject >= threshold : subject <= threshold;
+    },
+    describe: ({ symbol, params }) => isOscillator(params)
+      ? `${symbol} ${params.timeframe} ${outputLabel(params)} ${params.direction} ${params.level}`
+      : `${symbol} price ${params.direction} its ${params.timeframe} ${outputLabel(params)}`,
+    message: (asset, params) => isOscillator(params)
+      ? `${asset.symbol} ${params.timeframe} ${outputLabel(params)} crossed ${params.direction} ${params.level} (${indicatorValue(asset, params).toFixed(2)})`
+      : `${asset.symbol} crossed ${params.direction} its ${params.timeframe} ${outputLabel(params)} at ${fmtPrice(indicatorValue(asset, params))}`
+  },
+  news: {
+    label: "News on held symbols",
+    news: true, // Fires per news item instead of on a condition; needs no symbol
+    params: [
+      {
+        key: "severity",
+        label: "At least",
+        options: () => Object.entries(NEWS_SEVERITIES).map(([key, severity]) => [key, severity.label]),
+        value: () => "minor"
+      }
+    ],
+    describe: ({ params }) => `${NEWS_SEVERITIES[params.severity].label} or bigger news on held symbols`,
+    message: (item, held) => `${held.join(", ")}: ${item.message}`
+  }
+};
+
+// Parameters that apply to a type given the others
+export const alertFields = (type, params) => ALERT_TYPES[type].params.filter(param => !param.when || param.when(params));
+
+// Default parameters for a new alert of `type` on `asset`. Fields whose value `keep`
+// still allows are kept, so switching indicators only resets what no longer fits.
+export function defaultAlertParams(type, asset, keep = {}) {
+  return ALERT_TYPES[type].params.reduce((params, param) => {
+    const kept = keep[param.key];
+    const allowed = param.options ? param.options(params).some(([value]) => value === kept) : kept !== undefined;
+    return { ...params, [param.key]: allowed ? kept : param.value(asset, params) };
+  }, {});
+}
+
+export const describeAlert = (alert) => ALERT_TYPES[alert.type].describe(alert);
+
+// Returns an error message if the alert can't be set on the market, or null
+export function validateAlert(alert, market) {
+  if (!ALERT_TYPES[alert.type].news && !market.assets[alert.symbol]) return "Pick a symbol for the alert!";
+  const invalid = alertFields(alert.type, alert.params)
+    .find(param => !param.options && !(Number.isFinite(alert.params[param.key]) && alert.params[param.key] >= (param.min ?? -Infinity)));
+  return invalid ? `Enter a valid ${invalid.label.toLowerCase()}!` : null;
+}
+
+// Checks every enabled alert against the latest market state. `tracking` is what the
+// last check returned (null at first): each alert's condition then and the market time
+// it ran at. Alerts only record their condition the first time they're seen, and a new
+// game starts tracking afresh. News alerts fire for each item published since the last
+// check that names a held symbol. Returns the new tracking and the alerts that fired
+// with their messages.
+export function evaluateAlerts(alerts, { market, positions }, tracking) {
+  const fresh = !tracking || tracking.startTime !== market.startTime || tracking.time > market.time;
+  const previous = fresh ? {} : tracking.conditions;
+  const conditions = {};
+  const fired = [];
+
+  alerts.filter(alert => alert.enabled).forEach(alert => {
+    const type = ALERT_TYPES[alert.type];
+    if (type.news) {
+      if (fresh) return;
+      const minimum = Object.keys(NEWS_SEVERITIES).indexOf(alert.params.severity);
+      market.newsArchive
+        .filter(item => item.timestamp > tracking.time &&
+          Object.keys(NEWS_SEVERITIES).indexOf(item.severity) >= minimum)
+        .reverse()
+        .forEach(item => {
+          const held = item.symbols.filter(symbol => positions[symbol]);
+          if (held.length > 0) fired.push({ alert, message: type.message(item, held) });
+        });
+      return;
+    }
+
+    const asset = market.assets[alert.symbol];
+    if (!asset) return;
+    const condition = type.condition(asset, alert.params, market.time);
+    conditions[alert.id] = condition;
+    if (condition && previous[alert.id] === false) {
+      fired.push({ alert, message: type.message(asset, alert.params, market.time) });
+    }
+  });
+
+  return { tracking: { startTime: market.startTime, time: market.time, conditions }, fired };
+}
@@ -0,0 +1,351 @@
+// ==================== BACKTESTING ====================
+//
+// Runs a strategy bot (bots.js) over months or years of simulated market time, far faster
+// than real time. The price models and news step in a tight loop (stepPrices in
+// market.js) with no order books, and a simulated broker fills the strategy's orders at
+// the quotes: market orders and triggered stops at the bid or ask, limits at their price
+// once the quote touches it. Orders go through the same checks as the order ticket's.
+// Each run is seeded, so a strategy, its parameters and a seed always give the same result.
+//
+// A sweep runs every combination of a grid of parameter values (see parseSweep), each
+// over several seeds (Monte Carlo), and summarizeRuns compares the combinations.
+
+import { createMarketState, stepPrices } from "../engine/market.js";
+import { assetSession } from "../engine/calendar.js";
+import { buildReport, createPerformanceState, recordEquity, recordFills } from "../analysis/performance.js";
+import {
+  applyTrade, checkOrderFunds, createInitialPortfolio, isMarginAccount, marginStatus,
+  planLiquidation, revaluePortfolio
+} from "./account.js";
+import { priceBookFill, priceFill } from "./execution.js";
+import { addBracketLegs, canExecute, dayOrderExpiry, isImmediate, matchOrders, reservePrice, validateOrder } from "./orders.js";
+import { rollRiskDay } from "./risk.js";
+import { botOrder, botPortfolio, createBotRuntime, marketUpdate, recordBotFills, validateBotRequest } from "./bots.js";
+
+// Market time each step covers. Candles finer than the step hold one point each.
+export const BACKTEST_INTERVALS = {
+  "1m": 60000,
+  "5m": 5 * 60000,
+  "15m": 15 * 60000,
+  "1h": 60 * 60000,
+  "4h": 4 * 60 * 60000
+};
+
+export const DEFAULT_BACKTEST = { days: 250, interval: "1h", seed: 1, seeds: 1, sweep: "" };
+export const MAX_BACKTEST_DAYS = 5000;
+export const MAX_BACKTEST_STEPS = 500000; // Steps in one run, so a run can't go on for hours
+export const MAX_BACKTEST_RUNS = 500; // Runs in one sweep: every combination × seeds
+export const BACKTEST_START = Date.UTC(2020, 0, 2, 14, 30); // First regular open of 2020; runs start here so they repeat
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const HISTORY_KEPT = 390; // Points of each asset's history the market keeps while stepping
+const EQUITY_POINTS = 300; // Equity curve points kept per run
+const MAX_TRADES = 500; // Latest fills kept per run
+const MAX_LOG = 100; // Latest log lines kept per run
+const PROGRESS_STEPS = 2000; // Steps between progress reports
+const HISTOGRAM_BINS = 20;
+const BOT_ID = "backtest";
+
+// Parameter values a sweep runs: one parameter per line, `name = values`, where the
+// values are a list (`5, 10, 20`) or a range (`10:50:10`, from:to:step). Returns
+// { name → values }, or throws an Error describing the first problem found.
+export function parseSweep(text) {
+  const params = {};
+  text.split("\n").map(line => line.trim()).filter(Boolean).forEach((line, index) => {
+    const match = line.match(/^([A-Za-z_$][\w$]*)\s*=\s*(.+)$/);
+    if (!match) throw new Error(`Line ${index + 1}: write it as name = values`);
+    const [, name, spec] = match;
+    if (params[name]) throw new Error(`Line ${index + 1}: ${name} is swept twice`);
+
+    const range = spec.split(":").map(part => Number(part.trim()));
+    if (range.length === 3) {
+      const [from, to, step] = range;
+      if (!range.every(Number.isFinite) || !(step > 0) || to < from) {
+        throw new Error(`Line ${index + 1}: a range needs from ≤ to and a step over zero`);
+      }
+      const count = Math.floor((to - from) / step + 1e-9) + 1;
+      params[name] = Array.from({ length: count }, (_, i) => +(from + i * step).toFixed(10));
+      return;
+    }
+    const values = spec.split(",").map(part => part.trim());
+    if (values.some(value => value === "" || !Number.isFinite(Number(value)))) {
+      throw new Error(`Line ${index + 1}: values must be numbers`);
+    }
+    params[name] = values.map(Number);
+  });
+  return params;
+}
+
+// Every combination of the swept values, as params objects: [{}] when nothing is swept
+export const sweepGrid = (params) => Object.entries(params).reduce(
+  (grid, [name, values]) => grid.flatMap(combination => values.map(value => ({ ...combination, [name]: value }))),
+  [{}]
+);
+
+// Returns an error message if a backtest ({ days, interval, seeds }) over `grid`
+// combinations can't run as entered, or null
+export function validateBacktest({ days, interval, seeds }, grid) {
+  if (!(days > 0) || days > MAX_BACKTEST_DAYS) return `Backtests run between 1 and ${MAX_BACKTEST_DAYS} days!`;
+  if (days * DAY_MS / BACKTEST_INTERVALS[interval] > MAX_BACKTEST_STEPS) {
+    return `That's over ${MAX_BACKTEST_STEPS.toLocaleString()} steps: use fewer days or a longer interval!`;
+  }
+  if (!Number.isInteger(seeds) || seeds < 1) return "Run at least one seed!";
+  if (grid.length * seeds > MAX_BACKTEST_RUNS) {
+    return `${grid.length} combinations × ${seeds} seeds is over ${MAX_BACKTEST_RUNS} runs!`;
+  }
+  return null;
+}
+
+const sessionIn = (market) => (asset) => assetSession(market, asset);
+
+// Whether a limit order's price is at or through the quote, so it would trade now
+const touches = (order, asset) => order.side === "buy" ? asset.ask <= order.limitPrice : asset.bid >= order.limitPrice;
+
+// One run of `code` with `params` over `days` of market time stepped every `interval`,
+// in a market of `symbols` (asset definitions) with `settings`, from `startingCash` in an
+// account with the game's `account` settings. `onProgress(share)` hears how far it's got.
+// Returns the equity curve, the latest fills and log lines, the performance report and
+// the error that stopped the strategy, if any.
+export function runBacktest({
+  code, params = {}, seed, days, interval, symbols, settings, account, startingCash, startTime = BACKTEST_START
+}, onProgress = () => {}) {
+  const dt = BACKTEST_INTERVALS[interval];
+  const steps = Math.floor(days * DAY_MS / dt);
+  const sampleEvery = Math.max(1, Math.ceil(steps / EQUITY_POINTS));
+
+  let market = createMarketState({ seed, startTime, symbols, settings });
+  let portfolio = { ...createInitialPortfolio(startTime, startingCash), account };
+  portfolio = { ...portfolio, equityHistory: portfolio.equityHistory.slice(-1) }; // Only the latest valuation is needed
+  let performance = createPerformanceState(startTime, startingCash);
+  let ledgers = {};
+  let orders = [];
+  let tradeCount = 0;
+  const equity = [{ time: startTime, value: startingCash }];
+  const trades = [];
+  const logs = [];
+
+  const finish = (error = null) => ({
+    params,
+    seed,
+    equity,
+    trades,
+    tradeCount,
+    logs,
+    report: buildReport(performance),
+    finalEquity: portfolio.totalValue,
+    error
+  });
+
+  const log = (entries) => {
+    logs.push(...entries);
+    if (logs.length > MAX_LOG) logs.splice(0, logs.length - MAX_LOG);
+  };
+
+  // Applies a fill, records it and leaves any bracket legs behind. Returns an error
+  // message when the account can't cover it.
+  const settle = (order, fill) => {
+    const trade = { symbol: order.symbol, action: order.side, quantity: order.quantity, ...fill };
+    const result = applyTrade(portfolio, trade);
+    if (result.error) return result.error;
+    portfolio = result.portfolio;
+    const record = { ...trade, profit: result.profit, orderType: order.type, time: market.time, botId: BOT_ID };
+    performance = recordFills(performance, [record]);
+    ledgers = recordBotFills(ledgers, [record]);
+    trades.push(record);
+    if (trades.length > MAX_TRADES) trades.shift();
+    tradeCount += 1;
+    if (order.bracket) orders = addBracketLegs(orders, order, fill.quantity, market.time);
+    return null;
+  };
+
+  const takerFill = (order) => priceFill({
+    asset: market.assets[order.symbol],
+    orderBook: null,
+    side: order.side,
+    quantity: order.quantity,
+    liquidity: "taker",
+    fees: portfolio.account.fees
+  });
+
+  // Resting orders against the step's quotes: stops, queued market orders and expiries as
+  // live (matchOrders), then limits the quote has touched at their price
+  const fillResting = () => {
+    const sessionOf = sessionIn(market);
+    const matched = matchOrders(orders, market.assets, market.time, sessionOf);
+    orders = matched.resting;
+    matched.fills.forEach(({ order }) => {
+      const error = settle(order, takerFill(order));
+      if (error) log([{ time: market.time, level: "error", message: `${order.symbol} ${order.side} order cancelled: ${error}` }]);
+    });
+
+    const filledGroups = new Set();
+    const touched = orders.filter(order => (order.type === "limit" || (order.type === "stop_limit" && order.triggered)) &&
+      canExecute(order, sessionOf(market.assets[order.symbol])) && touches(order, market.assets[order.symbol]));
+    touched.forEach(order => {
+      if (order.ocoGroup && filledGroups.has(order.ocoGroup)) return;
+      if (order.ocoGroup) filledGroups.add(order.ocoGroup);
+      const error = settle(order, priceBookFill({
+        asset: market.assets[order.symbol],
+        price: order.limitPrice,
+        quantity: order.quantity,
+        liquidity: "maker",
+        fees: portfolio.account.fees
+      }));
+      if (error) log([{ time: market.time, level: "error", message: `${order.symbol} ${order.side} order cancelled: ${error}` }]);
+    });
+    const done = new Set(touched.map(order => order.id));
+    orders = orders.filter(order => !done.has(order.id) && !(order.ocoGroup && filledGroups.has(order.ocoGroup)));
+  };
+
+  // A margin account below maintenance is closed out at market, as live
+  const liquidate = () => {
+    if (!isMarginAccount(portfolio) || !marginStatus(portfolio, market.assets).isBelowMaintenance) return;
+    const tradable = (asset) => assetSession(market, asset) === "regular";
+    planLiquidation(portfolio, market.assets, {}, tradable).forEach(trade => {
+      settle({ symbol: trade.symbol, side: trade.action, type: "liquidation" }, trade);
+    });
+  };
+
+  // The strategy's cancels, then its orders: placed like the ticket's, or rejected into the log
+  const place = ({ orders: requests, cancels }) => {
+    cancels.forEach(cancel => {
+      orders = orders.filter(order => cancel.id ? order.id !== cancel.id : cancel.symbol !== null && order.symbol !== cancel.symbol);
+    });
+    requests.forEach(request => {
+      const reject = (message) => log([{ time: market.time, level: "error", message: `Order rejected: ${message}` }]);
+      const requestError = validateBotRequest(request, market.assets);
+      if (requestError) return reject(requestError);
+      const asset = market.assets[request.symbol];
+      const order = botOrder(request, asset, BOT_ID, market.time);
+      const error = validateOrder(order, { market, portfolio });
+      if (error) return reject(error);
+
+      // Without depth, an immediate order fills in full if its limit is through the quote
+      const marketable = order.type === "market" || (order.type === "limit" && touches(order, asset));
+      const tradable = canExecute(order, assetSession(market, asset));
+      if (isImmediate(order) && !marketable) {
+        log([{ time: market.time, level: "info", message: `${order.symbol} ${order.timeInForce.toUpperCase()} order cancelled: nothing to fill within the limit` }]);
+        return;
+      }
+      if (!(marketable && tradable)) {
+        const resting = { ...order, expiresAt: order.timeInForce === "day" ? dayOrderExpiry(market, asset, market.time) : null };
+        const fundsError = checkOrderFunds(portfolio, market.assets, orders, resting, reservePrice(resting));
+        if (fundsError) return reject(fundsError);
+        orders = [...orders, resting];
+        return;
+      }
+
+      const fill = takerFill(order);
+      const fundsError = checkOrderFunds(portfolio, market.assets, orders, order, fill.price + fill.commission / fill.quantity);
+      const settleError = fundsError ?? settle(order, fill);
+      if (settleError) reject(settleError);
+    });
+  };
+
+  // Hands the strategy the market since its last tick. Returns the error that stopped it, if any.
+  let since = {};
+  const runStrategy = (runtime, hook) => {
+    const update = marketUpdate(market, since);
+    since = update.since;
+    const result = runtime.run(update.update, botPortfolio(portfolio, orders, BOT_ID, ledgers[BOT_ID]), hook);
+    log(result.logs);
+    if (result.error) return result.error;
+    place(result);
+    return null;
+  };
+
+  let runtime;
+  try {
+    runtime = createBotRuntime(code, params);
+  } catch (error) {
+    return finish(error.message);
+  }
+  const startError = runStrategy(runtime, "onStart");
+  if (startError) return finish(startError);
+
+  // The strategy has the full history; the market only keeps what stepping needs
+  market = {
+    ...market,
+    assets: Object.fromEntries(Object.entries(market.assets).map(([symbol, asset]) =>
+      [symbol, { ...asset, history: asset.history.slice(-HISTORY_KEPT) }]))
+  };
+
+  for (let i = 1; i <= steps; i++) {
+    market = stepPrices(market, dt);
+    fillResting();
+    liquidate();
+    portfolio = rollRiskDay(revaluePortfolio(portfolio, market.assets, market.time, market.fx.rates), market.time);
+    const exposed = Object.keys(portfolio.positions).length > 0;
+    performance = recordEquity(performance, { time: market.time, value: portfolio.totalValue, exposed });
+    if (i % sampleEvery === 0 || i === steps) equity.push({ time: market.time, value: portfolio.totalValue });
+    if (i % PROGRESS_STEPS === 0) onProgress(i / steps);
+
+    const error = runStrategy(runtime, "onTick");
+    if (error) {
+      if (equity[equity.length - 1].time !== market.time) equity.push({ time: market.time, value: portfolio.totalValue });
+      return finish(error);
+    }
+  }
+  return finish();
+}
+
+// ==================== RESULTS ====================
+
+const mean = (values) => values.length > 0 ? values.reduce((sum, value) => sum + value, 0) / values.length : null;
+
+function median(values) {
+  if (values.length === 0) return null;
+  const sorted = [...values].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+}
+
+// Ratios that couldn't be measured (null) or are unbounded are left out of averages
+const finite = (values) => values.filter(value => Number.isFinite(value));
+
+// Stable key for a combination of parameter values
+export const paramsKey = (params) => JSON.stringify(Object.keys(params).sort().map(name => [name, params[name]]));
+
+// One row per parameter combination, over its runs across seeds: mean, median and worst
+// return, mean Sharpe, mean and worst max drawdown, the share of seeds that made money,
+// mean round trips and how many runs the strategy stopped on an error
+export function summarizeRuns(runs) {
+  const groups = new Map();
+  runs.forEach(run => {
+    const key = paramsKey(run.params);
+    if (!groups.has(key)) groups.set(key, { key, params: run.params, runs: [] });
+    groups.get(key).runs.push(run);
+  });
+
+  return [...groups.values()].map(({ key, params, runs: group }) => {
+    const returns = group.map(run => run.report.totalReturn);
+    const drawdowns = group.map(run => run.report.maxDrawdown);
+    return {
+      key,
+      params,
+      runs: group.length,
+      meanReturn: mean(returns),
+      medianReturn: median(returns),
+      worstReturn: Math.min(...returns),
+      sharpeRatio: mean(finite(group.map(run => run.report.sharpeRatio))),
+      maxDrawdown: mean(drawdowns),
+      worstDrawdown: Math.max(...drawdowns),
+      profitable: group.filter(run => run.report.totalReturn > 0).length / group.length,
+      roundTrips: mean(group.map(run => run.report.roundTrips)),
+      errors: group.filter(run => run.error).length
+    };
+  });
+}
+
+// Counts of `values` in equal-width bins across their range, for distribution charts
+export function histogram(values, bins = HISTOGRAM_BINS) {
+  if (values.length === 0) return [];
+  const low = Math.min(...values);
+  const high = Math.max(...values);
+  const width = (high - low) / bins || 1;
+  const counts = Array.from({ length: bins }, (_, i) => ({ from: low + i * width, to: low + (i + 1) * width, count: 0 }));
+  values.forEach(value => {
+    counts[Math.min(bins - 1, Math.floor((value - low) / width))].count += 1;
+  });
+  return counts;
+}
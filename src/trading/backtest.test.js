@@ -0,0 +1,63 @@
+import { describe, expect, it } from "vitest";
+import { MARKET_SYMBOLS, DEFAULT_MARKET_SETTINGS } from "../engine/market.js";
+import { DEFAULT_ACCOUNT } from "./account.js";
+import { parseSweep, runBacktest, summarizeRuns, sweepGrid, validateBacktest } from "./backtest.js";
+import { BOT_TEMPLATES } from "./bots.js";
+
+const CONFIG = {
+  symbols: [MARKET_SYMBOLS.STOCKS[0], MARKET_SYMBOLS.CRYPTO[0]],
+  settings: DEFAULT_MARKET_SETTINGS,
+  account: DEFAULT_ACCOUNT,
+  startingCash: 100000,
+  code: BOT_TEMPLATES.sma_cross.code,
+  days: 20,
+  interval: "1h"
+};
+
+describe("parseSweep", () => {
+  it("reads lists and ranges", () => {
+    expect(parseSweep("fast = 5, 10\nslow = 20:40:10")).toEqual({ fast: [5, 10], slow: [20, 30, 40] });
+  });
+
+  it("rejects malformed lines and repeated parameters", () => {
+    ["fast", "fast = 5, x", "slow = 40:20:10", "fast = 1\nfast = 2"].forEach(text => {
+      expect(() => parseSweep(text)).toThrow();
+    });
+  });
+});
+
+describe("sweepGrid", () => {
+  it("runs every combination", () => {
+    expect(sweepGrid({ fast: [5, 10], slow: [20, 30] })).toHaveLength(4);
+    expect(sweepGrid({})).toEqual([{}]);
+  });
+});
+
+describe("validateBacktest", () => {
+  it("limits days, steps and runs", () => {
+    expect(validateBacktest({ days: 100, interval: "1h", seeds: 1 }, [{}])).toBeNull();
+    expect(validateBacktest({ days: 0, interval: "1h", seeds: 1 }, [{}])).not.toBeNull();
+    expect(validateBacktest({ days: 5000, interval: "1m", seeds: 1 }, [{}])).not.toBeNull();
+    expect(validateBacktest({ days: 100, interval: "1h", seeds: 501 }, [{}])).not.toBeNull();
+  });
+});
+
+describe("runBacktest", () => {
+  it("repeats a run from its seed", () => {
+    const first = runBacktest({ ...CONFIG, seed: 1 });
+    const second = runBacktest({ ...CONFIG, seed: 1 });
+    expect(first.error).toBeNull();
+    expect(second.finalEquity).toBe(first.finalEquity);
+    expect(second.equity).toEqual(first.equity);
+  });
+
+  it("stops a strategy that throws, with its error", () => {
+    const run = runBacktest({ ...CONFIG, code: "function onTick() { throw new Error('boom'); }", seed: 1 });
+    expect(run.error).toContain("boom");
+  });
+
+  it("summarizes runs across seeds", () => {
+    const runs = [1, 2].map(seed => runBacktest({ ...CONFIG, days: 5, seed }));
+    expect(summarizeRuns(runs)).toHaveLength(1);
+  });
+});
@@ -0,0 +1,20 @@
+// ==================== BACKTEST WORKER ====================
+//
+// Web Worker running a backtest sweep (see backtest.js) off the page's thread. The message
+// in is { config, runs: [{ params, seed }] }; it answers with { type: "progress", done }
+// (runs finished, fractional within a run) as it goes, { type: "run", run } after each
+// run and { type: "done" } at the end. The worker is locked down like a bot's (see
+// lockDownWorker in bots.js), since the strategy under test runs in it.
+
+import { runBacktest } from "./backtest.js";
+import { lockDownWorker } from "./bots.js";
+
+const postMessage = lockDownWorker(self);
+
+self.onmessage = ({ data }) => {
+  data.runs.forEach(({ params, seed }, index) => {
+    const run = runBacktest({ ...data.config, params, seed }, share => postMessage({ type: "progress", done: index + share }));
+    postMessage({ type: "run", run });
+  });
+  postMessage({ type: "done" });
+};
@@ -0,0 +1,24 @@
+// ==================== BOT WORKER ====================
+//
+// Web Worker running one strategy bot (see bots.js). Messages in are
+// { type: "start", code, update, portfolio }, which compiles the strategy and runs its
+// onStart, and { type: "tick", update, portfolio }, which runs its onTick. Each is answered
+// with { orders, cancels, logs, error }. The worker is locked down (see lockDownWorker)
+// before any strategy code runs.
+
+import { createBotRuntime, lockDownWorker } from "./bots.js";
+
+const postMessage = lockDownWorker(self);
+let runtime = null;
+
+self.onmessage = ({ data }) => {
+  if (data.type === "start") {
+    try {
+      runtime = createBotRuntime(data.code);
+    } catch (error) {
+      postMessage({ orders: [], cancels: [], logs: [], error: error.message });
+      return;
+    }
+  }
+  postMessage(runtime.run(data.update, data.portfolio, data.type === "start" ? "onStart" : "onTick"));
+};
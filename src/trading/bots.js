@@ -0,0 +1,419 @@
+// ==================== STRATEGY BOTS ====================
+//
+// Rule-based trading bots the player scripts in JavaScript. A strategy defines
+// `onTick(market, portfolio)`, run on every simulation tick, and optionally
+// `onStart(market, portfolio)`, run once when the bot starts. Strategies run in a Web
+// Worker (botWorker.js), off the page's thread and away from its DOM and the game's state.
+// They talk to the game through the API below, and the orders they send go through the
+// same checks as the order ticket's.
+//
+//   buy(symbol, quantity, options) / sell(...)  Sends an order and returns its id. Options:
+//                                               { type, limitPrice, stopPrice, timeInForce,
+//                                               takeProfit, stopLoss }; market order by default
+//   cancel(id) / cancelAll(symbol)              Cancels the bot's resting orders
+//   indicator(symbol, type, params, timeframe)  Latest value of a technical indicator
+//   candles(symbol, timeframe, count)           Recent OHLCV candles
+//   state                                       An object kept from tick to tick
+//   params                                      Parameters the strategy was started with
+//                                               (see backtest.js); {} when trading live
+//   log(...values)                              Writes to the bot's log
+
+import { CANDLE_TIMEFRAMES, aggregateCandles, bucketStart } from "../analysis/candles.js";
+import { INDICATORS } from "../analysis/indicators.js";
+import { assetSession } from "../engine/calendar.js";
+import { ORDER_TYPE_LABELS, roundQuantity, timeInForceOptions } from "./orders.js";
+
+export const BOT_TIMEOUT = 2000; // ms of real time a bot gets to answer a tick before it's stopped
+export const MAX_BOT_LOG = 200; // Log lines kept per bot
+
+const MAX_ORDERS_PER_TICK = 10;
+const MAX_LOGS_PER_TICK = 20;
+const MAX_HISTORY_POINTS = 20000; // Price history a running bot keeps per symbol
+const INDICATOR_BARS = 200; // Candles an indicator is computed over
+
+// Worker globals a strategy has no use for and that could reach outside the worker: the
+// network, storage, other workers and the page. lockDownWorker removes them from the
+// worker's global object, and strategies see them as undefined parameters besides.
+const WORKER_ESCAPES = [
+  "fetch", "XMLHttpRequest", "WebSocket", "WebTransport", "EventSource", "importScripts",
+  "indexedDB", "caches", "navigator", "BroadcastChannel", "MessageChannel", "Worker", "SharedWorker",
+  "postMessage", "close", "setTimeout", "setInterval"
+];
+const SHADOWED_GLOBALS = ["self", "globalThis", "onmessage", ...WORKER_ESCAPES];
+
+// The Function constructor, kept for compileStrategy before lockDownWorker takes it away
+const FunctionConstructor = Function;
+
+// Locks down the worker `scope` before any strategy runs: deletes the globals above and
+// disables eval and every route to a function constructor, so strategy code can't compile
+// new code that gets back to the global object. Returns the worker's postMessage, which
+// only the worker itself keeps.
+export function lockDownWorker(scope) {
+  const postMessage = scope.postMessage.bind(scope);
+  const blocked = () => { throw new Error("Strategies can't compile code at run time"); };
+
+  WORKER_ESCAPES.forEach(name => {
+    delete scope[name];
+    // Shadows anything left on the global object's prototypes
+    if (name in scope) Object.defineProperty(scope, name, { value: undefined, configurable: false });
+  });
+  ["eval", "Function"].forEach(name =>
+    Object.defineProperty(scope, name, { value: blocked, writable: false, configurable: false }));
+  [function () {}, async function () {}, function* () {}, async function* () {}].forEach(fn =>
+    Object.defineProperty(Object.getPrototypeOf(fn), "constructor", { value: blocked, writable: false, configurable: false }));
+
+  return postMessage;
+}
+export const BOT_TEMPLATES = {
+  sma_cross: {
+    label: "SMA crossover",
+    code: `// Buys when the fast moving average crosses above the slow one, sells when it crosses back.
+// Backtests can sweep the averages' periods and the quantity through params.
+const SYMBOL = "AAPL";
+const QUANTITY = params.quantity ?? 10;
+const FAST = params.fast ?? 10;
+const SLOW = params.slow ?? 30;
+
+function onStart(market) {
+  log("Trading", SYMBOL, "from", market.assets[SYMBOL].price);
+}
+
+function onTick(market, portfolio) {
+  const fast = indicator(SYMBOL, "sma", { period: FAST }, "1m");
+  const slow = indicator(SYMBOL, "sma", { period: SLOW }, "1m");
+  if (fast === null || slow === null) return;
+
+  const above = fast > slow;
+  const held = portfolio.bot.positions[SYMBOL]?.quantity ?? 0;
+  if (state.above !== undefined && above !== state.above) {
+    if (above && held <= 0) buy(SYMBOL, QUANTITY - held);
+    if (!above && held > 0) sell(SYMBOL, held);
+    log(above ? "Crossed above" : "Crossed below", "at", market.assets[SYMBOL].price);
+  }
+  state.above = above;
+}
+`
+  },
+  rsi_reversion: {
+    label: "RSI mean reversion",
+    code: `// Bids at the best bid when RSI is oversold and offers at the best ask once it's
+// overbought, one position at a time. Orders that haven't filled in a minute are cancelled.
+const SYMBOL = "BTC";
+const QUANTITY = params.quantity ?? 0.05;
+const PERIOD = params.period ?? 14;
+const OVERSOLD = params.oversold ?? 30;
+const OVERBOUGHT = params.overbought ?? 70;
+
+function onTick(market, portfolio) {
+  const stale = portfolio.orders.filter(order => market.time - order.timestamp > 60000);
+  stale.forEach(order => cancel(order.id));
+  if (portfolio.orders.length > stale.length) return;
+
+  const rsi = indicator(SYMBOL, "rsi", { period: PERIOD }, "1m");
+  if (rsi === null) return;
+
+  const asset = market.assets[SYMBOL];
+  const held = portfolio.bot.positions[SYMBOL]?.quantity ?? 0;
+  if (rsi < OVERSOLD && held === 0) {
+    buy(SYMBOL, QUANTITY, { type: "limit", limitPrice: asset.bid });
+    log("RSI", rsi.toFixed(1), "- bidding", asset.bid);
+  } else if (rsi > OVERBOUGHT && held > 0) {
+    sell(SYMBOL, held, { type: "limit", limitPrice: asset.ask });
+    log("RSI", rsi.toFixed(1), "- offering", asset.ask);
+  }
+}
+`
+  },
+  blank: {
+    label: "Blank",
+    code: `// Runs once when the bot starts (optional)
+function onStart(market, portfolio) {
+}
+
+// Runs on every simulation tick
+function onTick(market, portfolio) {
+}
+`
+  }
+};
+
+// Returns an error message if the bot can't be saved as entered, or null
+export function validateBot({ name, code }) {
+  if (!name.trim()) return "Give the bot a name!";
+  if (!code.trim()) return "Write a strategy for the bot!";
+  return null;
+}
+
+const formatValue = (value) => typeof value === "object" && value !== null ? JSON.stringify(value) : String(value);
+
+// Compiles a strategy's source with the API in scope and returns its hooks. Throws on
+// syntax errors, on import(), which would load code past the lockdown, or when it doesn't
+// define onTick.
+function compileStrategy(code, api) {
+  if (/\bimport\b/.test(code)) throw new Error("Strategies can't import modules");
+  const names = Object.keys(api);
+  const factory = new FunctionConstructor(...names, ...SHADOWED_GLOBALS, `"use strict";
+${code}
+;return {
+  onStart: typeof onStart === "function" ? onStart : null,
+  onTick: typeof onTick === "function" ? onTick : null
+};`);
+  const hooks = factory(...names.map(name => api[name]));
+  if (!hooks.onTick) throw new Error("A strategy needs an onTick(market, portfolio) function");
+  return hooks;
+}
+
+// A strategy compiled and ready to run with `params`, with the price history and state it
+// keeps between ticks. Throws if the strategy doesn't compile.
+export function createBotRuntime(code, params = {}) {
+  const histories = {};
+  const state = {};
+  let market = null; // What the hooks see on the current tick
+  let output = null; // Orders, cancels and log lines sent on the current tick
+
+  const historyOf = (symbol) => {
+    if (!histories[symbol]) throw new Error(`Unknown symbol "${symbol}"`);
+    return histories[symbol];
+  };
+
+  const candles = (symbol, timeframe = "1m", count = 100) => {
+    const interval = CANDLE_TIMEFRAMES[timeframe];
+    if (!interval) throw new Error(`Unknown timeframe "${timeframe}"`);
+    // Walks back over the last `count` candles' points, however far apart they are
+    const history = historyOf(symbol);
+    let start = history.length;
+    let candle = null;
+    let seen = 0;
+    while (start > 0) {
+      const time = bucketStart(history[start - 1].timestamp, interval);
+      if (time !== candle) {
+        if (seen === count) break;
+        candle = time;
+        seen += 1;
+      }
+      start -= 1;
+    }
+    return aggregateCandles(history.slice(start), interval);
+  };
+
+  const send = (side) => (symbol, quantity, options = {}) => {
+    if (output.orders.length >= MAX_ORDERS_PER_TICK) {
+      throw new Error(`Sent more than ${MAX_ORDERS_PER_TICK} orders in one tick`);
+    }
+    const id = Math.random().toString(36).substr(2, 9);
+    output.orders.push({ ...options, id, symbol, side, quantity });
+    return id;
+  };
+
+  const hooks = compileStrategy(code, {
+    buy: send("buy"),
+    sell: send("sell"),
+    cancel: (id) => { output.cancels.push({ id }); },
+    cancelAll: (symbol = null) => { output.cancels.push({ symbol }); },
+    // Single-output indicators give their latest value, the rest an object of them by output
+    indicator: (symbol, type, params = {}, timeframe = "1m") => {
+      const definition = INDICATORS[type];
+      if (!definition) throw new Error(`Unknown indicator "${type}"`);
+      const defaults = Object.fromEntries(definition.params.map(param => [param.key, param.value]));
+      const values = definition.compute(candles(symbol, timeframe, INDICATOR_BARS), { ...defaults, ...params });
+      const latest = Object.fromEntries(definition.outputs.map(({ key }) => [key, values[key][values[key].length - 1] ?? null]));
+      return definition.outputs.length === 1 ? latest[definition.outputs[0].key] : latest;
+    },
+    candles,
+    state,
+    params: Object.freeze({ ...params }),
+    log: (...values) => {
+      if (output.logs.length < MAX_LOGS_PER_TICK) {
+        output.logs.push({ time: market.time, level: "log", message: values.map(formatValue).join(" ") });
+      }
+    }
+  });
+
+  return {
+    // Applies a market update (see marketUpdate) and runs `hook` with it and the portfolio
+    // (see botPortfolio). Returns the orders and cancels the bot sent, its log lines and
+    // the error that stopped it, if any; a failed tick sends nothing.
+    run(update, portfolio, hook = "onTick") {
+      // Histories grow in place and are trimmed in batches, so long runs stay cheap
+      Object.entries(update.assets).forEach(([symbol, { points }]) => {
+        const history = histories[symbol] ?? (histories[symbol] = []);
+        points.forEach(point => history.push(point));
+        if (history.length > MAX_HISTORY_POINTS * 1.5) history.splice(0, history.length - MAX_HISTORY_POINTS);
+      });
+      market = {
+        time: update.time,
+        assets: Object.fromEntries(Object.entries(update.assets).map(([symbol, asset]) => {
+          const { points: _points, ...quote } = asset;
+          return [symbol, { ...quote, history: histories[symbol] }];
+        }))
+      };
+      output = { orders: [], cancels: [], logs: [] };
+
+      try {
+        hooks[hook]?.(market, portfolio);
+        return { ...output, error: null };
+      } catch (error) {
+        return { orders: [], cancels: [], logs: output.logs, error: error.message };
+      }
+    }
+  };
+}
+
+// ==================== GAME SIDE ====================
+
+// What a bot is sent each tick: every asset's quote and the history points newer than
+// `since` ({ symbol → timestamp }, empty for all of it). Returns the update and the
+// timestamps to send from next time.
+export function marketUpdate(market, since = {}) {
+  const assets = {};
+  const latest = {};
+  Object.values(market.assets).forEach(asset => {
+    const from = since[asset.symbol] ?? -Infinity;
+    let start = asset.history.length;
+    while (start > 0 && asset.history[start - 1].timestamp > from) start -= 1;
+
+    assets[asset.symbol] = {
+      symbol: asset.symbol,
+      name: asset.name,
+      sector: asset.sector,
+      assetClass: asset.assetClass,
+      session: assetSession(market, asset),
+      price: asset.price,
+      bid: asset.bid,
+      ask: asset.ask,
+      spread: asset.spread,
+      change: asset.change,
+      changePercent: asset.changePercent,
+      dailyHigh: asset.dailyHigh,
+      dailyLow: asset.dailyLow,
+      volume: asset.volume,
+      lotSize: asset.lotSize,
+      tickSize: asset.tickSize,
+      points: asset.history.slice(start)
+    };
+    latest[asset.symbol] = asset.history[asset.history.length - 1]?.timestamp ?? from;
+  });
+  return { update: { time: market.time, assets }, since: latest };
+}
+
+const priceOrNull = (price) => Number.isFinite(price) ? price : null;
+
+// The portfolio as a bot sees it: the account's cash, equity and positions, the bot's
+// own resting orders and what it holds by its own fills (see recordBotFills)
+export function botPortfolio(portfolio, openOrders, botId, ledger = createBotLedger()) {
+  return {
+    cash: portfolio.cash,
+    equity: portfolio.totalValue,
+    positions: Object.fromEntries(Object.entries(portfolio.positions).map(([symbol, position]) =>
+      [symbol, { quantity: position.quantity, averageCost: position.averageCost }])),
+    orders: openOrders.filter(order => order.botId === botId).map(order => ({
+      id: order.id,
+      symbol: order.symbol,
+      side: order.side,
+      type: order.type,
+      quantity: order.quantity,
+      limitPrice: priceOrNull(order.limitPrice),
+      stopPrice: priceOrNull(order.stopPrice),
+      timestamp: order.timestamp
+    })),
+    bot: { positions: ledger.positions, realized: ledger.realized, fees: ledger.fees }
+  };
+}
+
+// Returns an error message if an order a bot sent ({ symbol, side, quantity, type,
+// timeInForce, ... }) isn't one the ticket could describe, or null. Sizes and prices are
+// left to the ticket's own checks.
+export function validateBotRequest(request, assets) {
+  if (!assets[request.symbol]) return `Unknown symbol "${request.symbol}"`;
+  const type = request.type ?? "market";
+  if (!ORDER_TYPE_LABELS[type]) return `Unknown order type "${type}"`;
+  if (request.timeInForce !== undefined && !timeInForceOptions(type).includes(request.timeInForce)) {
+    return `${ORDER_TYPE_LABELS[type]} orders can't be ${request.timeInForce}`;
+  }
+  return null;
+}
+
+// The order a bot's request describes, in the shape the ticket builds (see App's
+// ticketOrder), tagged with the bot's id
+export function botOrder(request, asset, botId, time) {
+  const type = request.type ?? "market";
+  const bracket = request.takeProfit !== undefined || request.stopLoss !== undefined;
+  return {
+    id: request.id,
+    symbol: request.symbol,
+    side: request.side,
+    type,
+    quantity: request.quantity,
+    limitPrice: request.limitPrice ?? NaN,
+    stopPrice: request.stopPrice ?? NaN,
+    quotedPrice: request.side === "buy" ? asset.ask : asset.bid,
+    timeInForce: request.timeInForce ?? timeInForceOptions(type)[0] ?? null,
+    expiresAt: null,
+    triggered: false,
+    bracket: bracket ? { takeProfit: request.takeProfit ?? NaN, stopLoss: request.stopLoss ?? NaN } : null,
+    ocoGroup: null,
+    timestamp: time,
+    botId
+  };
+}
+
+// ==================== P/L ATTRIBUTION ====================
+//
+// Each bot's share of the account, from its own fills: the positions they add up to at
+// average cost, the profit realized closing them and the commissions paid. Bots share
+// one account, so a liquidation or protection exit that closes a position isn't
+// charged to any of them.
+
+export const createBotLedger = () => ({ positions: {}, realized: 0, fees: 0, trades: 0 });
+
+// Folds fills ({ symbol, action, quantity, price, commission, botId }) into the ledgers of
+// the bots that sent them ({ botId → ledger })
+export function recordBotFills(ledgers, trades) {
+  const botTrades = trades.filter(trade => trade.botId);
+  if (botTrades.length === 0) return ledgers;
+
+  return botTrades.reduce((acc, { symbol, action, quantity, price, commission = 0, botId }) => {
+    const ledger = acc[botId] ?? createBotLedger();
+    const position = ledger.positions[symbol] ?? { quantity: 0, averageCost: 0 };
+    const signed = action === "buy" ? quantity : -quantity;
+    const direction = Math.sign(position.quantity);
+    const closing = position.quantity * signed < 0 ? Math.min(quantity, Math.abs(position.quantity)) : 0;
+    const held = roundQuantity(position.quantity + signed);
+
+    // Same average-cost rules as the account: adding blends, closing keeps the entry
+    // price, flipping starts the remainder at this price
+    let averageCost = position.averageCost;
+    if (closing === 0) averageCost = (Math.abs(position.quantity) * position.averageCost + quantity * price) / Math.abs(held);
+    else if (Math.sign(held) !== direction) averageCost = price;
+
+    const positions = { ...ledger.positions };
+    if (held === 0) delete positions[symbol];
+    else positions[symbol] = { quantity: held, averageCost };
+
+    return {
+      ...acc,
+      [botId]: {
+        positions,
+        realized: ledger.realized + (price - position.averageCost) * closing * direction,
+        fees: ledger.fees + commission,
+        trades: ledger.trades + 1
+      }
+    };
+  }, ledgers);
+}
+
+// A bot's P/L at the latest prices: realized, unrealized on what it still holds, fees and
+// the net of the three
+export function botPnl(ledger, assets) {
+  const unrealized = Object.entries(ledger.positions).reduce((sum, [symbol, position]) => {
+    const price = assets[symbol]?.price ?? position.averageCost;
+    return sum + (price - position.averageCost) * position.quantity;
+  }, 0);
+  return {
+    realized: ledger.realized,
+    unrealized,
+    fees: ledger.fees,
+    net: ledger.realized + unrealized - ledger.fees,
+    trades: ledger.trades
+  };
+}
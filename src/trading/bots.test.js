@@ -0,0 +1,47 @@
+import { describe, expect, it } from "vitest";
+import { createBotRuntime, lockDownWorker } from "./bots.js";
+
+// Stands in for a worker's global object. lockDownWorker also disables this realm's
+// function constructors for good, which is fine since test files run in their own workers.
+const sent = [];
+const scope = {
+  fetch: () => "fetched",
+  WebSocket: class {},
+  importScripts: () => {},
+  setTimeout: () => {},
+  postMessage: (message) => sent.push(message)
+};
+const postMessage = lockDownWorker(scope);
+
+const update = { time: 0, assets: {} };
+const portfolio = {};
+const runTick = (body) => createBotRuntime(`function onTick() { ${body} }`).run(update, portfolio);
+
+describe("lockDownWorker", () => {
+  it("removes the worker's escapes but keeps its own postMessage", () => {
+    expect(scope.fetch).toBeUndefined();
+    expect(scope.WebSocket).toBeUndefined();
+    expect(scope.importScripts).toBeUndefined();
+    expect(scope.setTimeout).toBeUndefined();
+    expect(scope.postMessage).toBeUndefined();
+    postMessage("done");
+    expect(sent).toEqual(["done"]);
+  });
+
+  it("blocks eval and every function constructor", () => {
+    expect(() => scope.eval("1")).toThrow("compile code");
+    expect(() => scope.Function("return 1")).toThrow("compile code");
+    expect(() => (function () {}).constructor("return this")).toThrow("compile code");
+    expect(() => (async () => {}).constructor("return this")).toThrow("compile code");
+    expect(() => (function* () {}).constructor("return this")).toThrow("compile code");
+    expect(() => (async function* () {}).constructor("return this")).toThrow("compile code");
+  });
+
+  it("still compiles strategies, which can't get back out", () => {
+    expect(runTick(`log("ok")`)).toMatchObject({ error: null, logs: [{ message: "ok" }] });
+    expect(runTick(`(() => {}).constructor("return globalThis")()`).error).toMatch("compile code");
+    expect(runTick(`fetch("https://example.com")`).error).toMatch("not a function");
+    expect(runTick(`postMessage("hi")`).error).toMatch("not a function");
+    expect(() => createBotRuntime(`function onTick() { import("https://example.com/x.js"); }`)).toThrow("import");
+  });
+});
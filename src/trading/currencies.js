@@ -0,0 +1,232 @@
+// ==================== CONVERSIONS & CROSS PAIRS ====================
+//
+// Currency conversions and trades on crypto cross pairs (ETH/BTC, SOL/ETH, BTC/EUR...).
+// Every USD price stays the single source of truth: a cross pair trades as its USD legs.
+// Buying ETH/BTC buys ETH through the ETH book and sells the BTC it cost through the BTC
+// book, or converts it from a currency balance at the FX rate, so cash nets out and each
+// leg's P/L is tracked like any other trade. The commission is charged once, on the base leg.
+//
+// Plans are lists of steps, in the order they settle: { trade } fills an asset (see
+// applyTrade) and { conversion } moves money between USD cash and a currency balance.
+// The step that funds the pair goes first.
+
+import { BASE_CURRENCY, CURRENCIES, convertAmount, crossQuotes, currencyQuote } from "../engine/fx.js";
+import { applyTrade, checkOrderFunds, isMarginAccount } from "./account.js";
+import { estimateOrder } from "./execution.js";
+import { calculateReservations, floorToStep, roundQuantity } from "./orders.js";
+
+const MAX_CONVERSIONS = 50; // Conversions kept on the portfolio
+const ROUNDING_MARGIN = 1e-12; // Nudge on funding legs, so float rounding never leaves the next one short
+
+export const pairName = (base, quote) => `${base}/${quote}`;
+
+const isCryptoAsset = (assets, symbol) => assets[symbol]?.assetClass === "crypto";
+
+// Amount held of a currency: USD is cash, balance currencies their balance and asset
+// currencies (BTC) the asset's position
+export function currencyHolding(portfolio, code) {
+  if (code === BASE_CURRENCY) return portfolio.cash;
+  const { asset } = CURRENCIES[code];
+  return asset ? portfolio.positions[asset]?.quantity ?? 0 : portfolio.balances[code] ?? 0;
+}
+
+// Moves `amount` of one currency into `received` of another between USD cash and the
+// balances. Balances can't go negative; USD cash can, on a margin account.
+export function applyConversion(portfolio, { from, to, amount, received, time }) {
+  const held = currencyHolding(portfolio, from);
+  const mayBorrow = from === BASE_CURRENCY && isMarginAccount(portfolio);
+  if (amount > held && !mayBorrow) return { error: `Not enough ${from} to convert!` };
+
+  const balances = { ...portfolio.balances };
+  let { cash } = portfolio;
+  if (from === BASE_CURRENCY) cash -= amount;
+  else balances[from] = roundQuantity(balances[from] - amount);
+  if (to === BASE_CURRENCY) cash += received;
+  else balances[to] = roundQuantity(balances[to] + received);
+
+  return {
+    portfolio: {
+      ...portfolio,
+      cash,
+      balances,
+      conversions: [{ from, to, amount, received, time }, ...portfolio.conversions].slice(0, MAX_CONVERSIONS)
+    }
+  };
+}
+
+// Converts a USD value into the quote currency's units at its bid or ask
+const conversionStep = (fx, assets, quote, side, value, time) => {
+  const rate = currencyQuote(fx, assets, quote)[side === "buy" ? "bid" : "ask"];
+  return side === "buy"
+    ? { conversion: { from: quote, to: BASE_CURRENCY, amount: value / rate * (1 + ROUNDING_MARGIN), received: value, time } }
+    : { conversion: { from: BASE_CURRENCY, to: quote, amount: value, received: value / rate, time } };
+};
+
+// Steps for a market order on a cross pair ({ base, quote, side, quantity }) at the
+// current books and rates. Returns { steps, quantity, price, total }: the base quantity
+// it fills, the fill price in the quote and the total paid (buy) or received (sell) in
+// it, fees included, or null when a leg comes to less than a lot. The quote can be USD, a balance currency or another crypto
+// asset.
+export function planCrossTrade({ base, quote, side, quantity }, { fx, assets, orderBooks, fees, time }) {
+  const baseLeg = (baseQuantity) => {
+    const fill = estimateOrder({
+      order: { type: "market", side, quantity: baseQuantity },
+      asset: assets[base],
+      orderBook: orderBooks[base],
+      fees
+    });
+    const value = side === "buy"
+      ? fill.price * baseQuantity + fill.commission
+      : fill.price * baseQuantity - fill.commission;
+    return { step: { trade: { symbol: base, action: side, ...fill, pair: pairName(base, quote) } }, value };
+  };
+  let { step: baseStep, value } = baseLeg(quantity);
+
+  let quoteStep = null;
+  let total = value;
+  if (isCryptoAsset(assets, quote)) {
+    // The quote leg walks its own book, in whole lots of the quote: what the base leg
+    // fetches buys the lots it covers, and a buy sells the lots that cover it, buying
+    // less of the base if they fall short. What's left over stays in USD cash.
+    const quoteSide = side === "buy" ? "sell" : "buy";
+    const quoteLeg = (quoteQuantity) => estimateOrder({
+      order: { type: "market", side: quoteSide, quantity: quoteQuantity },
+      asset: assets[quote],
+      orderBook: orderBooks[quote],
+      fees
+    });
+    const touch = quoteSide === "sell" ? assets[quote].bid : assets[quote].ask;
+    const { lotSize } = assets[quote];
+    total = floorToStep(value / quoteLeg(value / touch).price, lotSize);
+    if (total <= 0) return null;
+    if (side === "buy") {
+      const covered = total * quoteLeg(total).price;
+      if (covered < value) {
+        const baseQuantity = floorToStep(quantity * covered / value, assets[base].lotSize);
+        if (baseQuantity <= 0) return null;
+        ({ step: baseStep, value } = baseLeg(baseQuantity));
+      }
+    }
+    const walked = quoteLeg(total);
+    quoteStep = {
+      trade: {
+        symbol: quote,
+        action: quoteSide,
+        quantity: total,
+        price: walked.price,
+        quote: walked.quote,
+        slippage: walked.slippage,
+        commission: 0,
+        liquidity: "taker",
+        pair: pairName(base, quote)
+      }
+    };
+  } else if (quote !== BASE_CURRENCY) {
+    quoteStep = conversionStep(fx, assets, quote, side, value, time);
+    total = side === "buy" ? quoteStep.conversion.amount : quoteStep.conversion.received;
+  }
+
+  const steps = quoteStep ? (side === "buy" ? [quoteStep, baseStep] : [baseStep, quoteStep]) : [baseStep];
+  const filled = baseStep.trade.quantity;
+  return { steps, quantity: filled, price: total / filled, total };
+}
+
+// Steps for converting `amount` of one currency into another. Conversions to and from an
+// asset currency (BTC) trade the asset's pair against the other currency, in whole lots.
+export function planConversion({ from, to, amount }, { fx, assets, orderBooks, fees, time }) {
+  const toAsset = CURRENCIES[to].asset;
+  const fromAsset = CURRENCIES[from].asset;
+  if (fromAsset) {
+    const quantity = floorToStep(amount, assets[fromAsset].lotSize);
+    return quantity > 0 ? planCrossTrade({ base: fromAsset, quote: to, side: "sell", quantity }, { fx, assets, orderBooks, fees, time }) : null;
+  }
+  if (toAsset) {
+    // Sized from the rate, then scaled back once fees and depth are known so the total
+    // stays within `amount`
+    const { lotSize } = assets[toAsset];
+    const planFor = (quantity) => quantity > 0
+      ? planCrossTrade({ base: toAsset, quote: from, side: "buy", quantity }, { fx, assets, orderBooks, fees, time })
+      : null;
+    const estimate = planFor(floorToStep(convertAmount(fx, assets, from, to, amount).amount, lotSize));
+    if (!estimate || estimate.total <= amount) return estimate;
+    return planFor(floorToStep(estimate.quantity * amount / estimate.total, lotSize));
+  }
+  const { amount: received } = convertAmount(fx, assets, from, to, amount);
+  return { steps: [{ conversion: { from, to, amount, received, time } }], price: received / amount, total: received };
+}
+
+// Returns an error message if a cross pair order ({ base, quote, side, quantity }) can't
+// be placed as entered, or null
+export function validateCrossOrder({ base, quote, quantity }, assets) {
+  if (!isCryptoAsset(assets, base)) return "Cross pairs trade crypto assets!";
+  if (!crossQuotes(assets, base).includes(quote)) return `${base} isn't quoted in ${quote} here!`;
+  if (!(quantity > 0)) return "Enter a quantity!";
+  const { lotSize } = assets[base];
+  if (Math.abs(quantity - floorToStep(quantity, lotSize)) > 1e-9) return `${base} trades in lots of ${lotSize}!`;
+  return null;
+}
+
+// Returns an error message if a conversion ({ from, to, amount }) can't be made, or null
+export function validateConversion({ from, to, amount }, fx, assets) {
+  if (from === to) return "Pick two different currencies!";
+  if (!(amount > 0)) return "Enter an amount to convert!";
+  const missing = [from, to].find(code => !currencyQuote(fx, assets, code));
+  if (missing) return `${missing} can't be traded in this market!`;
+  return null;
+}
+
+// USD a step takes from (negative) or adds to cash
+const cashFlow = ({ trade, conversion }) => {
+  if (trade) {
+    const notional = trade.price * trade.quantity;
+    return trade.action === "buy" ? -(notional + trade.commission) : notional - trade.commission;
+  }
+  if (conversion.from === BASE_CURRENCY) return -conversion.amount;
+  return conversion.to === BASE_CURRENCY ? conversion.received : 0;
+};
+
+// Returns an error message if the plan can't be paid for alongside the resting orders,
+// or null. A cash account needs the USD it spends net and the units it sells free of
+// resting orders. A margin account checks each leg's exposure like an order, and can't
+// buy currency balances with borrowed dollars.
+export function checkPlanFunds(portfolio, assets, openOrders, { steps }) {
+  const trades = steps.filter(step => step.trade).map(step => step.trade);
+  if (isMarginAccount(portfolio)) {
+    const converted = steps.filter(step => step.conversion?.from === BASE_CURRENCY)
+      .reduce((total, step) => total + step.conversion.amount, 0);
+    const raised = trades.filter(trade => trade.action === "sell").reduce((total, trade) => total + cashFlow({ trade }), 0);
+    if (converted > Math.max(0, portfolio.cash) + raised) return "Insufficient funds!";
+
+    let pending = openOrders;
+    for (const trade of trades) {
+      const order = { symbol: trade.symbol, side: trade.action, quantity: trade.quantity };
+      const error = checkOrderFunds(portfolio, assets, pending, order, trade.price + trade.commission / trade.quantity);
+      if (error) return error;
+      pending = [...pending, order];
+    }
+    return null;
+  }
+
+  const reservations = calculateReservations(openOrders);
+  const spent = -steps.reduce((total, step) => total + cashFlow(step), 0);
+  if (spent > 0 && spent > portfolio.cash - reservations.cash) return "Insufficient funds!";
+  for (const trade of trades.filter(trade => trade.action === "sell")) {
+    const held = portfolio.positions[trade.symbol]?.quantity || 0;
+    if (held - (reservations.shares[trade.symbol] || 0) < trade.quantity) return `Not enough ${trade.symbol}!`;
+  }
+  return null;
+}
+
+// Settles a plan's steps in order. Returns the new portfolio and the trades it made,
+// with their realized profit, or the first step's error (nothing is applied then).
+export function applyPlan(portfolio, { steps }) {
+  let current = portfolio;
+  const trades = [];
+  for (const { trade, conversion } of steps) {
+    const result = trade ? applyTrade(current, trade) : applyConversion(current, conversion);
+    if (result.error) return { error: result.error };
+    current = result.portfolio;
+    if (trade) trades.push({ ...trade, profit: result.profit });
+  }
+  return { portfolio: current, trades };
+}
@@ -0,0 +1,64 @@
+import { describe, expect, it } from "vitest";
+import { MARKET_SYMBOLS, createMarketState } from "../engine/market.js";
+import { DEFAULT_ACCOUNT, createInitialPortfolio } from "./account.js";
+import { applyPlan, checkPlanFunds, planConversion, planCrossTrade } from "./currencies.js";
+import { floorToStep } from "./orders.js";
+
+const market = createMarketState({
+  seed: 7,
+  startTime: Date.UTC(2026, 9, 14, 15, 0),
+  symbols: MARKET_SYMBOLS.CRYPTO.filter(asset => ["BTC", "ETH"].includes(asset.symbol))
+});
+const context = { fx: market.fx, assets: market.assets, orderBooks: market.orderBooks, fees: DEFAULT_ACCOUNT.fees, time: market.time };
+const portfolio = { ...createInitialPortfolio(market.time, 100000), account: DEFAULT_ACCOUNT };
+const onLots = (quantity, symbol) => quantity === floorToStep(quantity, market.assets[symbol].lotSize);
+
+// Buys BTC to fund cross pair buys quoted in it
+const withBtc = applyPlan(portfolio, planConversion({ from: "USD", to: "BTC", amount: 20000 }, context)).portfolio;
+
+describe("planCrossTrade", () => {
+  it("trades both legs in whole lots", () => {
+    ["buy", "sell"].forEach(side => {
+      const plan = planCrossTrade({ base: "ETH", quote: "BTC", side, quantity: 1 }, context);
+      plan.steps.forEach(({ trade }) => expect(onLots(trade.quantity, trade.symbol)).toBe(true));
+    });
+  });
+
+  it("leaves what whole lots of the quote don't cover in cash, never short of it", () => {
+    ["buy", "sell"].forEach(side => {
+      const holding = side === "buy" ? withBtc : applyPlan(withBtc, planCrossTrade({ base: "ETH", quote: "BTC", side: "buy", quantity: 2 }, context)).portfolio;
+      const plan = planCrossTrade({ base: "ETH", quote: "BTC", side, quantity: 1 }, context);
+      expect(checkPlanFunds(holding, market.assets, [], plan)).toBeNull();
+      const { portfolio: after } = applyPlan(holding, plan);
+      const leftover = after.cash - holding.cash;
+      expect(leftover).toBeGreaterThanOrEqual(0);
+      expect(leftover).toBeLessThan(market.assets.BTC.lotSize * market.assets.BTC.ask);
+    });
+  });
+
+  it("buys less of the base when whole lots of the quote fall short", () => {
+    const plan = planCrossTrade({ base: "ETH", quote: "BTC", side: "buy", quantity: 1 }, context);
+    const { BTC, ETH } = market.assets;
+    expect(plan.quantity).toBeLessThanOrEqual(1);
+    // Short by at most a lot of the quote's worth, plus the base lot it rounds down to
+    expect((1 - plan.quantity) * ETH.ask).toBeLessThan(BTC.lotSize * BTC.bid + ETH.lotSize * ETH.ask);
+  });
+
+  it("returns null when a leg comes to less than a lot", () => {
+    expect(planCrossTrade({ base: "ETH", quote: "BTC", side: "sell", quantity: market.assets.ETH.lotSize }, context)).toBeNull();
+  });
+});
+
+describe("planConversion", () => {
+  it("converts balance currencies at the rate less the spread", () => {
+    const plan = planConversion({ from: "USD", to: "EUR", amount: 1000 }, context);
+    expect(plan.total).toBeLessThan(1000 / market.fx.rates.EUR);
+    expect(plan.total).toBeGreaterThan(999 / market.fx.rates.EUR);
+  });
+
+  it("keeps conversions to BTC within the amount", () => {
+    const plan = planConversion({ from: "USD", to: "BTC", amount: 5000 }, context);
+    expect(plan.total).toBeLessThanOrEqual(5000);
+    expect(onLots(plan.quantity, "BTC")).toBe(true);
+  });
+});
@@ -0,0 +1,145 @@
+// ==================== EXECUTION COSTS ====================
+//
+// Market-taking fills walk the order book and pay taker commission; resting
+// limit orders fill in the book at their price and pay maker commission.
+
+import { floorToStep, isImmediate } from "./orders.js";
+
+export const COMMISSION_TYPES = {
+  per_share: "Per Share",
+  percentage: "Percentage",
+  flat: "Flat",
+  maker_taker: "Maker/Taker"
+};
+
+// Parameters for every schedule type are kept so switching type doesn't lose them
+export const DEFAULT_FEE_SCHEDULES = {
+  stock: { type: "per_share", perShare: 0.005, minimum: 1, percentage: 0.001, flat: 4.95, maker: 0.0005, taker: 0.001 },
+  crypto: { type: "maker_taker", perShare: 0.005, minimum: 1, percentage: 0.002, flat: 4.95, maker: 0.001, taker: 0.002 }
+};
+
+// Which of a schedule's parameters each type uses, and whether they're entered as percentages
+export const COMMISSION_PARAMS = {
+  per_share: [{ key: "perShare", label: "$/unit" }, { key: "minimum", label: "Min $" }],
+  percentage: [{ key: "percentage", label: "%", percent: true }],
+  flat: [{ key: "flat", label: "$/trade" }],
+  maker_taker: [{ key: "maker", label: "Maker %", percent: true }, { key: "taker", label: "Taker %", percent: true }]
+};
+
+export const assetClassOf = (asset) => asset.assetClass || "stock";
+
+export function calculateCommission(schedule, { quantity, price, liquidity }) {
+  const notional = quantity * price;
+  switch (schedule.type) {
+    case "per_share":
+      return Math.max(schedule.minimum, quantity * schedule.perShare);
+    case "percentage":
+      return notional * schedule.percentage;
+    case "flat":
+      return schedule.flat;
+    case "maker_taker":
+      return notional * (liquidity === "maker" ? schedule.maker : schedule.taker);
+    default:
+      return 0;
+  }
+}
+
+// Liquidity other traders offer at each level: the player's own resting size (`own`)
+// can't fill the player's orders
+const othersOf = (levels) => levels
+  .map(level => ({ price: level.price, size: level.size - (level.own ?? 0) }))
+  .filter(level => level.size > 0);
+
+// Volume-weighted price for taking `quantity` from one side of the book (best level first).
+// The book is laid from `quote`, its best level moved to sit there, so a stop can be
+// priced walking the book from its stop price. Past the visible levels, liquidity is
+// assumed to continue at the same spacing with the book's average level size.
+export function walkOrderBook(levels, quote, quantity, side) {
+  if (!levels || levels.length === 0 || quantity <= 0) return quote;
+
+  const offset = quote - levels[0].price;
+  const available = othersOf(levels);
+  if (available.length === 0) return quote;
+  const direction = side === "buy" ? 1 : -1;
+  let remaining = quantity;
+  let cost = 0;
+
+  for (const level of available) {
+    const filled = Math.min(remaining, level.size);
+    cost += filled * Math.max(0.01, level.price + offset);
+    remaining -= filled;
+    if (remaining <= 0) return cost / quantity;
+  }
+
+  // Beyond the book: an arithmetic series of levels stepping away from the last one
+  const step = available.length > 1 ? Math.abs(available[1].price - available[0].price) : quote * 0.0005;
+  const levelSize = available.reduce((sum, level) => sum + level.size, 0) / available.length;
+  const base = available[available.length - 1].price + offset;
+  const fullLevels = Math.floor(remaining / levelSize);
+  const partial = remaining - fullLevels * levelSize;
+
+  cost += levelSize * (fullLevels * base + direction * step * fullLevels * (fullLevels + 1) / 2);
+  cost += partial * (base + direction * step * (fullLevels + 1));
+  return Math.max(0.01, cost / quantity);
+}
+
+// Prices a fill: its average price, the quote it's measured against, slippage (the cost of
+// filling worse than the quote, in currency) and commission
+export function priceFill({ asset, orderBook, side, quantity, liquidity, fees }) {
+  const quote = side === "buy" ? asset.ask : asset.bid;
+  const levels = side === "buy" ? orderBook?.asks : orderBook?.bids;
+  const price = liquidity === "taker" ? walkOrderBook(levels, quote, quantity, side) : quote;
+  const slippage = Math.max(0, (side === "buy" ? price - quote : quote - price) * quantity);
+  const commission = calculateCommission(fees[assetClassOf(asset)], { quantity, price, liquidity });
+
+  return { price, quote, slippage, commission, liquidity };
+}
+
+// Prices a fill the order book made on a resting order (see engine/orderbook.js). It
+// traded at its limit or better, so no slippage is counted against it.
+export function priceBookFill({ asset, price, quantity, liquidity, fees }) {
+  const commission = calculateCommission(fees[assetClassOf(asset)], { quantity, price, liquidity });
+  return { price, quote: price, slippage: 0, commission, liquidity };
+}
+
+// Visible quantity an order can take at or better than `limitPrice`, with the book laid
+// from the quote as in walkOrderBook. Immediate orders only count the levels shown,
+// never the liquidity assumed past them.
+export function fillableAtLimit(levels, quote, limitPrice, side) {
+  if (!levels || levels.length === 0) return 0;
+  const offset = quote - levels[0].price;
+  return othersOf(levels)
+    .filter(level => side === "buy" ? level.price + offset <= limitPrice : level.price + offset >= limitPrice)
+    .reduce((sum, level) => sum + level.size, 0);
+}
+
+// Expected fill of an order submitted now, for the order preview and immediate orders.
+// Market orders walk the book. IOC and FOK limits take what the visible book offers within
+// their limit, in whole lots; FOK takes nothing unless that covers the order. Resting
+// orders are priced where they'd fill: limits at the better of the quote and their limit,
+// stops walking the book from the stop. `quantity` is what
+// would fill, 0 if nothing would; `quote` is the price slippage is measured from.
+export function estimateOrder({ order, asset, orderBook, fees }) {
+  const quote = order.side === "buy" ? asset.ask : asset.bid;
+  const levels = order.side === "buy" ? orderBook?.asks : orderBook?.bids;
+  const immediate = isImmediate(order);
+
+  let quantity = order.quantity;
+  if (immediate) {
+    const available = floorToStep(fillableAtLimit(levels, quote, order.limitPrice, order.side), asset.lotSize);
+    quantity = order.timeInForce === "fok" && available < order.quantity ? 0 : Math.min(order.quantity, available);
+  }
+
+  const liquidity = order.type === "market" || order.type === "stop" || immediate ? "taker" : "maker";
+  let reference = quote;
+  if (order.type === "stop") reference = order.stopPrice;
+  else if (order.type !== "market" && !immediate) {
+    reference = order.side === "buy" ? Math.min(quote, order.limitPrice) : Math.max(quote, order.limitPrice);
+  }
+
+  const price = liquidity === "taker" ? walkOrderBook(levels, reference, quantity, order.side) : reference;
+  const slippage = Math.max(0, (order.side === "buy" ? price - reference : reference - price) * quantity);
+  const commission = quantity > 0 ? calculateCommission(fees[assetClassOf(asset)], { quantity, price, liquidity }) : 0;
+
+  return { quantity, price, quote: reference, slippage, commission, liquidity };
+}
@@ -0,0 +1,294 @@
+// ==================== ORDER MATCHING ENGINE ====================
+
+import { assetSession, nextRegularClose } from "../engine/calendar.js";
+import { checkRiskLimits } from "./risk.js";
+
+export const ORDER_TYPE_LABELS = {
+  market: "Market",
+  limit: "Limit",
+  stop: "Stop",
+  stop_limit: "Stop Limit"
+};
+
+// How long an order stays working. Market orders take none: they fill at once, or at
+// the open when queued. Only limit orders can be immediate (IOC/FOK).
+export const TIME_IN_FORCE = {
+  gtc: { label: "GTC", description: "Good till cancelled" },
+  day: { label: "DAY", description: "Expires at the end of the trading day" },
+  ioc: { label: "IOC", description: "Immediate or cancel: fills what it can now, cancels the rest" },
+  fok: { label: "FOK", description: "Fill or kill: fills in full now or not at all" }
+};
+
+export function timeInForceOptions(type) {
+  if (type === "market") return [];
+  if (type === "limit") return Object.keys(TIME_IN_FORCE);
+  return ["gtc", "day"];
+}
+
+export const isImmediate = (order) => order.timeInForce === "ioc" || order.timeInForce === "fok";
+
+// When a DAY order placed at `time` expires: the regular close for stocks on a calendar,
+// the next local midnight for crypto and markets that never close
+export function dayOrderExpiry(market, asset, time) {
+  if (market.calendar && asset.assetClass !== "crypto") return nextRegularClose(time);
+  const date = new Date(time);
+  return new Date(date.getFullYear(), date.getMonth(), date.getDate() + 1).getTime();
+}
+
+const MARKET_RESERVE_BUFFER = 0.02; // Extra cash held back for orders filling at market past their trigger or quote
+const STEP_TOLERANCE = 1e-6; // Share of a lot or tick that still counts as on the grid
+
+// ==================== LOTS & TICKS ====================
+
+const decimalsOf = (step) => (step.toFixed(10).replace(/0+$/, "").split(".")[1] ?? "").length;
+const isMultiple = (value, step) => Math.abs(value / step - Math.round(value / step)) < STEP_TOLERANCE;
+
+// Largest multiple of `step` at or below `value`, without floating-point dust
+export const floorToStep = (value, step) =>
+  +(Math.floor(value / step + STEP_TOLERANCE) * step).toFixed(decimalsOf(step));
+
+export const roundToStep = (value, step) => +(Math.round(value / step) * step).toFixed(decimalsOf(step));
+
+// Fractional quantities are kept to 8 decimals so fills that add up to a whole position close it exactly
+export const roundQuantity = (quantity) => Math.round(quantity * 1e8) / 1e8;
+
+// Returns an error message if the order's quantity isn't a whole number of lots or its
+// prices (bracket legs included) aren't on the asset's tick grid, or null
+export function validateOrderSize(order, asset) {
+  if (!(order.quantity > 0)) return "Enter a valid quantity!";
+  if (order.quantity < asset.lotSize || !isMultiple(order.quantity, asset.lotSize)) {
+    return `${asset.symbol} trades in lots of ${asset.lotSize}!`;
+  }
+  const prices = [order.limitPrice, order.stopPrice, order.bracket?.takeProfit, order.bracket?.stopLoss];
+  if (prices.some(price => Number.isFinite(price) && !isMultiple(price, asset.tickSize))) {
+    return `${asset.symbol} prices move in ticks of $${asset.tickSize}!`;
+  }
+  return null;
+}
+
+// Price used to reserve cash for a resting buy order. Market orders only rest while
+// their market is closed, reserved against the quote they were placed at.
+export function reservePrice(order) {
+  if (order.type === "market") return order.quotedPrice * (1 + MARKET_RESERVE_BUFFER);
+  if (order.type === "stop") return order.stopPrice * (1 + MARKET_RESERVE_BUFFER);
+  return order.limitPrice;
+}
+
+const reservedAmount = (order) => order.side === "buy" ? order.quantity * reservePrice(order) : order.quantity;
+
+// Orders that can fill together. Legs of a one-cancels-other group can't, so each group
+// only counts its largest leg.
+export function concurrentOrders(orders) {
+  const largest = new Map();
+  orders.forEach(order => {
+    const key = order.ocoGroup ?? order;
+    const current = largest.get(key);
+    if (!current || reservedAmount(order) > reservedAmount(current)) largest.set(key, order);
+  });
+  return [...largest.values()];
+}
+
+// Cash and shares locked up by resting orders so they can't overcommit the portfolio
+export function calculateReservations(orders) {
+  return concurrentOrders(orders).reduce((acc, order) => {
+    if (order.side === "buy") {
+      acc.cash += order.quantity * reservePrice(order);
+    } else {
+      acc.shares[order.symbol] = (acc.shares[order.symbol] || 0) + order.quantity;
+    }
+    return acc;
+  }, { cash: 0, shares: {} });
+}
+
+// Returns an error message if the order's prices don't make sense for its type
+export function validateOrderPrices(order) {
+  const needsLimit = order.type === "limit" || order.type === "stop_limit";
+  const needsStop = order.type === "stop" || order.type === "stop_limit";
+  if (needsLimit && !(order.limitPrice > 0)) return "Enter a valid limit price!";
+  if (needsStop && !(order.stopPrice > 0)) return "Enter a valid stop price!";
+  return null;
+}
+
+// ==================== BRACKETS ====================
+//
+// A bracket entry ({ bracket: { takeProfit, stopLoss } }) leaves exit orders behind
+// once it fills: a take-profit limit and a stop-loss stop on the other side, for the
+// filled quantity. With both legs set they're one-cancels-other (OCO): whichever
+// fills first cancels the other.
+
+// Price a bracket's legs are measured against: where the entry is expected to fill
+export function bracketEntryPrice(order, quote) {
+  if (order.type === "market") return quote;
+  return order.type === "stop" ? order.stopPrice : order.limitPrice;
+}
+
+// Returns an error message if the legs sit on the wrong side of the entry, or null. A
+// long entry needs its take-profit above and stop-loss below; a short one the reverse.
+export function validateBracket(order, entryPrice) {
+  const { takeProfit, stopLoss } = order.bracket;
+  if (!Number.isFinite(takeProfit) && !Number.isFinite(stopLoss)) return "Enter a take-profit or stop-loss price!";
+  const direction = order.side === "buy" ? 1 : -1;
+  if ((Number.isFinite(takeProfit) && !(takeProfit > 0)) || (Number.isFinite(stopLoss) && !(stopLoss > 0))) {
+    return "Bracket prices must be more than zero!";
+  }
+  if (Number.isFinite(takeProfit) && (takeProfit - entryPrice) * direction <= 0) {
+    return `Take-profit must be ${direction > 0 ? "above" : "below"} the entry price!`;
+  }
+  if (Number.isFinite(stopLoss) && (entryPrice - stopLoss) * direction <= 0) {
+    return `Stop-loss must be ${direction > 0 ? "below" : "above"} the entry price!`;
+  }
+  return null;
+}
+
+// Exit orders for a bracket entry that filled `quantity` at market time `time`
+export function bracketLegs(order, quantity, time) {
+  if (!order.bracket) return [];
+  const { takeProfit, stopLoss } = order.bracket;
+  const both = Number.isFinite(takeProfit) && Number.isFinite(stopLoss);
+  const leg = (type, prices) => ({
+    id: Math.random().toString(36).substr(2, 9),
+    symbol: order.symbol,
+    side: order.side === "buy" ? "sell" : "buy",
+    type,
+    quantity,
+    limitPrice: NaN,
+    stopPrice: NaN,
+    ...prices,
+    timeInForce: "gtc",
+    expiresAt: null,
+    triggered: false,
+    bracket: null,
+    ocoGroup: both ? order.id : null,
+    parentId: order.id,
+    timestamp: time,
+    botId: order.botId ?? null // Legs of a bot's order are the bot's
+  });
+
+  return [
+    Number.isFinite(takeProfit) && leg("limit", { limitPrice: takeProfit }),
+    Number.isFinite(stopLoss) && leg("stop", { stopPrice: stopLoss })
+  ].filter(Boolean);
+}
+
+// Open orders once a bracket entry has filled another `quantity`: the first fill leaves
+// its legs behind, later partial fills grow them. A grown leg takes a new revision, so
+// a take-profit resting in the book is resized there.
+export function addBracketLegs(orders, order, quantity, time) {
+  if (!order.bracket) return orders;
+  if (!orders.some(leg => leg.parentId === order.id)) return [...orders, ...bracketLegs(order, quantity, time)];
+  return orders.map(leg => leg.parentId === order.id
+    ? { ...leg, quantity: roundQuantity(leg.quantity + quantity), revision: (leg.revision ?? 0) + 1 }
+    : leg);
+}
+
+// Whether an order can trade in a session: anything in the regular session, only limit
+// orders (including triggered stop-limits) in pre-market and after hours, nothing while
+// the market is closed. Stops don't trigger outside the regular session.
+export function canExecute(order, session) {
+  if (session === "regular") return true;
+  if (session === "closed") return false;
+  return order.type === "limit" || (order.type === "stop_limit" && order.triggered);
+}
+
+// Returns an error message if an order can't be sent as entered in `market`, or null:
+// its prices, size and bracket, whether an immediate order can trade now and the account's
+// risk limits. `notional` orders were sized from a dollar amount. The ticket, strategy
+// bots and backtests all send orders through these checks.
+export function validateOrder(order, { market, portfolio, notional = false }) {
+  const asset = market.assets[order.symbol];
+  const priceError = validateOrderPrices(order);
+  if (priceError) return priceError;
+  if (notional && order.quantity === 0) {
+    return `That amount doesn't buy one lot (${asset.lotSize} ${order.symbol})!`;
+  }
+  const sizeError = validateOrderSize(order, asset);
+  if (sizeError) return sizeError;
+  if (order.bracket) {
+    const quote = order.side === "buy" ? asset.ask : asset.bid;
+    const bracketError = validateBracket(order, bracketEntryPrice(order, quote));
+    if (bracketError) return bracketError;
+  }
+  if (isImmediate(order) && !canExecute(order, assetSession(market, asset))) {
+    return `${TIME_IN_FORCE[order.timeInForce].label} orders can't trade while the market is closed!`;
+  }
+  return checkRiskLimits(portfolio, market.assets, order);
+}
+
+// Orders that rest in the market's order book (see engine/orderbook.js), in the shape
+// the engine syncs: limits and triggered stop-limits. The book fills them, not matchOrders.
+export const bookOrders = (orders) => orders
+  .filter(order => order.type === "limit" || (order.type === "stop_limit" && order.triggered))
+  .map(order => ({
+    id: order.id,
+    symbol: order.symbol,
+    side: order.side,
+    price: order.limitPrice,
+    quantity: order.quantity,
+    revision: order.revision ?? 0
+  }));
+
+// Checks every resting order against the latest bid/ask. `sessionOf(asset)` gives the
+// session each asset trades in; orders wait while theirs can't execute. Orders past
+// their `expiresAt` (DAY orders) expire first, whatever the session.
+// Stops trigger when the quote crosses the stop price; stop orders then fill at market,
+// stop-limit orders go on resting in the book as limit orders. Limits are left to the
+// book. Queued market orders fill as soon as their market opens. The first leg of an OCO
+// group to fill cancels the rest of the group.
+export function matchOrders(orders, marketData, time, sessionOf = () => "regular") {
+  const resting = [];
+  const fills = [];
+  const expired = [];
+  let changed = false;
+
+  orders.forEach(order => {
+    if (order.expiresAt && time >= order.expiresAt) {
+      expired.push(order);
+      changed = true;
+      return;
+    }
+
+    const asset = marketData[order.symbol];
+    if (!asset || !canExecute(order, sessionOf(asset))) {
+      resting.push(order);
+      return;
+    }
+
+    const quote = order.side === "buy" ? asset.ask : asset.bid;
+    let current = order;
+
+    if ((order.type === "stop" || order.type === "stop_limit") && !order.triggered) {
+      const hit = order.side === "buy" ? quote >= order.stopPrice : quote <= order.stopPrice;
+      if (!hit) {
+        resting.push(order);
+        return;
+      }
+      current = { ...order, triggered: true, triggeredAt: time };
+      changed = true;
+    }
+
+    if (current.type === "stop" || current.type === "market") {
+      fills.push({ order: current, price: quote });
+      changed = true;
+    } else {
+      resting.push(current);
+    }
+  });
+
+  const filledGroups = new Set();
+  const groupFills = fills.filter(({ order }) => {
+    if (!order.ocoGroup) return true;
+    if (filledGroups.has(order.ocoGroup)) return false;
+    filledGroups.add(order.ocoGroup);
+    return true;
+  });
+  const cancelled = [...resting, ...fills.map(fill => fill.order)]
+    .filter(order => filledGroups.has(order.ocoGroup) && !groupFills.some(fill => fill.order === order));
+
+  return {
+    resting: resting.filter(order => !filledGroups.has(order.ocoGroup)),
+    fills: groupFills,
+    expired,
+    cancelled,
+    changed
+  };
+}
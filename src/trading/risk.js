@@ -0,0 +1,151 @@
+// ==================== RISK MANAGEMENT ====================
+//
+// Protection attached to a position (stop-loss, take-profit and a trailing stop) and
+// account-wide limits on new orders. Protection lives on the position itself, so it
+// covers the whole position whatever its size and goes away when the position closes.
+// Exits are taken at the quote a close would trade at: the bid for longs, the ask for
+// shorts.
+
+export const TRAIL_MODES = { percent: "%", amount: "$" };
+
+export const PROTECTION_REASONS = {
+  stop_loss: "Stop-loss",
+  take_profit: "Take-profit",
+  trailing_stop: "Trailing stop"
+};
+
+// Limits are off while null
+export const DEFAULT_RISK_LIMITS = { maxPositionValue: null, maxAssetWeight: null, dailyLossLimit: null };
+
+export const RISK_LIMIT_FIELDS = [
+  { key: "maxPositionValue", label: "Max position $" },
+  { key: "maxAssetWeight", label: "Max % equity", percent: true },
+  { key: "dailyLossLimit", label: "Daily loss $" }
+];
+
+const fmtDollars = (n) => `$${n.toLocaleString(undefined, { maximumFractionDigits: 0 })}`;
+
+const exitQuote = (position, asset) => position.quantity > 0 ? asset.bid : asset.ask;
+
+// Level a trailing stop sits at: `value` % or $ behind the best exit quote since it was set
+function trailingLevel({ mode, value, extreme }, direction) {
+  const distance = mode === "percent" ? extreme * value / 100 : value;
+  return extreme - direction * distance;
+}
+
+export const trailingStopPrice = (position) =>
+  trailingLevel(position.protection.trailing, Math.sign(position.quantity));
+
+// Returns an error message if the levels ({ stopLoss, takeProfit, trail: { mode, value } },
+// unset ones null) can't protect the position at the current quote, or null
+export function validateProtection({ stopLoss, takeProfit, trail }, position, asset) {
+  if (stopLoss === null && takeProfit === null && !trail) return "Set a stop-loss, take-profit or trailing stop!";
+  const direction = Math.sign(position.quantity);
+  const quote = exitQuote(position, asset);
+  if (stopLoss !== null && !(stopLoss > 0 && (quote - stopLoss) * direction > 0)) {
+    return `Stop-loss must be ${direction > 0 ? "below" : "above"} the current price!`;
+  }
+  if (takeProfit !== null && !(takeProfit > 0 && (takeProfit - quote) * direction > 0)) {
+    return `Take-profit must be ${direction > 0 ? "above" : "below"} the current price!`;
+  }
+  if (trail && !(trail.value > 0 && (trail.mode !== "percent" || trail.value < 100))) {
+    return "Trailing distance must be more than zero, and under 100%!";
+  }
+  return null;
+}
+
+// Protection from validated levels. The trailing stop starts trailing from the current quote.
+export const createProtection = ({ stopLoss, takeProfit, trail }, position, asset) => ({
+  stopLoss,
+  takeProfit,
+  trailing: trail && { ...trail, extreme: exitQuote(position, asset) }
+});
+
+// Sets (or with null, removes) a position's protection, if the position is still open
+export function setPositionProtection(portfolio, symbol, protection) {
+  const position = portfolio.positions[symbol];
+  if (!position) return portfolio;
+  return { ...portfolio, positions: { ...portfolio.positions, [symbol]: { ...position, protection } } };
+}
+
+// Ratchets trailing stops on each tick: up behind a long's best bid, down behind a
+// short's best ask, never back. Positions whose market isn't tradable (`isTradable`)
+// don't trail, so extended-hours quotes don't move them.
+export function trailProtection(portfolio, assets, isTradable = () => true) {
+  let changed = false;
+  const positions = Object.fromEntries(Object.entries(portfolio.positions).map(([symbol, position]) => {
+    const trailing = position.protection?.trailing;
+    const asset = assets[symbol];
+    if (!trailing || !asset || !isTradable(asset)) return [symbol, position];
+
+    const quote = exitQuote(position, asset);
+    if ((quote - trailing.extreme) * Math.sign(position.quantity) <= 0) return [symbol, position];
+    changed = true;
+    return [symbol, { ...position, protection: { ...position.protection, trailing: { ...trailing, extreme: quote } } }];
+  }));
+  return changed ? { ...portfolio, positions } : portfolio;
+}
+
+// Positions whose protection the latest quotes hit, as [{ symbol, reason }]. Stops are
+// checked before the take-profit, and only while the position's market is tradable.
+export function protectionExits(positions, assets, isTradable = () => true) {
+  return Object.entries(positions).flatMap(([symbol, position]) => {
+    const { protection } = position;
+    const asset = assets[symbol];
+    if (!protection || !asset || !isTradable(asset)) return [];
+
+    const direction = Math.sign(position.quantity);
+    const quote = exitQuote(position, asset);
+    if (protection.stopLoss !== null && (quote - protection.stopLoss) * direction <= 0) {
+      return [{ symbol, reason: "stop_loss" }];
+    }
+    if (protection.trailing && (quote - trailingLevel(protection.trailing, direction)) * direction <= 0) {
+      return [{ symbol, reason: "trailing_stop" }];
+    }
+    if (protection.takeProfit !== null && (protection.takeProfit - quote) * direction <= 0) {
+      return [{ symbol, reason: "take_profit" }];
+    }
+    return [];
+  });
+}
+
+// ==================== RISK LIMITS ====================
+
+const startOfDay = (time) => {
+  const date = new Date(time);
+  return new Date(date.getFullYear(), date.getMonth(), date.getDate()).getTime();
+};
+
+// Starts a new risk day at local midnight of market time, remembering the equity it
+// opened with for the daily loss limit
+export function rollRiskDay(portfolio, time) {
+  const start = startOfDay(time);
+  if (portfolio.riskDay?.start === start) return portfolio;
+  return { ...portfolio, riskDay: { start, equity: portfolio.totalValue } };
+}
+
+export const dailyLoss = (portfolio) =>
+  portfolio.riskDay ? Math.max(0, portfolio.riskDay.equity - portfolio.totalValue) : 0;
+
+// Returns an error message if a new order ({ symbol, side, quantity }) breaks a risk
+// limit, or null. Limits apply to the position as it would be after the order, at the
+// current price. Orders that only shrink a position are always allowed, so an account
+// at its daily loss limit can still get out.
+export function checkRiskLimits(portfolio, assets, order) {
+  const { maxPositionValue, maxAssetWeight, dailyLossLimit } = portfolio.account.risk;
+  const held = portfolio.positions[order.symbol]?.quantity || 0;
+  const after = held + (order.side === "buy" ? order.quantity : -order.quantity);
+  if (held * after >= 0 && Math.abs(after) <= Math.abs(held)) return null;
+
+  if (dailyLossLimit !== null && dailyLoss(portfolio) >= dailyLossLimit) {
+    return `Daily loss limit of ${fmtDollars(dailyLossLimit)} reached: only closing orders until tomorrow!`;
+  }
+  const value = Math.abs(after) * assets[order.symbol].price;
+  if (maxPositionValue !== null && value > maxPositionValue) {
+    return `That would take ${order.symbol} to ${fmtDollars(value)}, over the ${fmtDollars(maxPositionValue)} position limit!`;
+  }
+  if (maxAssetWeight !== null && value > portfolio.totalValue * maxAssetWeight) {
+    return `That would take ${order.symbol} over ${+(maxAssetWeight * 100).toFixed(2)}% of equity!`;
+  }
+  return null;
+}